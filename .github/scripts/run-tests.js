@@ -0,0 +1,121 @@
+/*!
+ * @file        .github/scripts/run-tests.js
+ * @description Runs the parser regression tests in .github/tests under Node
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Usage: node .github/scripts/run-tests.js [filter]
+// Each .github/tests/*.test.js exports { scripts, cases }. The listed app scripts
+// are loaded into a fresh window-like context per case, as the browser would.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '../..');
+const TESTS_DIR = path.resolve(__dirname, '../tests');
+
+// ============================================================================
+// SANDBOX
+// ============================================================================
+
+function createWindow(scripts) {
+    const context = vm.createContext({
+        console,
+        navigator: { userAgent: 'node' },
+        document: { addEventListener() {}, createElement() { return { style: {} }; } },
+        localStorage: { getItem() { return null; }, setItem() {} }
+    });
+    context.window = context;
+
+    for (const file of scripts) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    return context;
+}
+
+// ============================================================================
+// ASSERTIONS
+// ============================================================================
+
+class AssertionError extends Error {}
+
+const assert = {
+    ok(value, message) {
+        if (!value) throw new AssertionError(message || 'Expected a truthy value');
+    },
+
+    equal(actual, expected, message) {
+        if (actual !== expected) {
+            throw new AssertionError(`${message || 'Values differ'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    },
+
+    close(actual, expected, message, tolerance = 1e-6) {
+        if (typeof actual !== 'number' || Math.abs(actual - expected) > tolerance) {
+            throw new AssertionError(`${message || 'Values differ'}: expected ${expected}, got ${actual}`);
+        }
+    },
+
+    point(actual, expected, message, tolerance = 1e-6) {
+        if (!actual || Math.hypot(actual.x - expected.x, actual.y - expected.y) > tolerance) {
+            throw new AssertionError(`${message || 'Points differ'}: expected (${expected.x}, ${expected.y}), got ${formatPoint(actual)}`);
+        }
+    },
+
+    // Same vertices in any order; a repeated closing vertex is ignored
+    polygon(actual, expected, message, tolerance = 1e-6) {
+        const open = (actual || []).filter((p, i, all) =>
+            i < all.length - 1 || Math.hypot(p.x - all[0].x, p.y - all[0].y) > tolerance);
+        const unmatched = expected.filter(e =>
+            !open.some(p => Math.hypot(p.x - e.x, p.y - e.y) <= tolerance));
+
+        if (open.length !== expected.length || unmatched.length > 0) {
+            throw new AssertionError(`${message || 'Polygons differ'}: expected ${expected.map(formatPoint).join(' ')}, got ${open.map(formatPoint).join(' ')}`);
+        }
+    }
+};
+
+function formatPoint(p) {
+    return p ? `(${+p.x.toFixed(4)}, ${+p.y.toFixed(4)})` : String(p);
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+function run(filter) {
+    const files = fs.readdirSync(TESTS_DIR).filter(f => f.endsWith('.test.js')).sort();
+    let passed = 0;
+    let failed = 0;
+
+    for (const file of files) {
+        const spec = require(path.join(TESTS_DIR, file));
+        console.log(file);
+
+        for (const testCase of spec.cases) {
+            if (filter && !`${file} ${testCase.name}`.includes(filter)) continue;
+
+            const fixture = (name) => fs.readFileSync(path.join(TESTS_DIR, name), 'utf8');
+            try {
+                testCase.run({ window: createWindow(spec.scripts), fixture, assert });
+                passed++;
+                console.log(`  ✓ ${testCase.name}`);
+            } catch (error) {
+                failed++;
+                console.log(`  ✗ ${testCase.name}`);
+                console.log(`    ${error instanceof AssertionError ? error.message : error.stack}`);
+            }
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run(process.argv[2]);
@@ -0,0 +1,122 @@
+/*!
+ * @file        .github/tests/parser-gerber.test.js
+ * @description Gerber parser regressions: load mirroring, rotation and scaling
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Fixtures in gerber/ flash a TRIANGLE macro with vertices (0,0) (1,0) (0,2)
+// relative to the flash point, so every mirror, turn and scale is visible.
+// Load transforms act on the aperture image only; draw coordinates never move.
+
+function parse(window, source, setup) {
+    window.globalCurveRegistry = new window.GlobalCurveRegistry();
+    const parser = new window.GerberParser();
+    if (setup) setup(parser);
+
+    const result = parser.parse(source);
+    if (!result.success || result.warnings.length > 0) {
+        throw new Error(`Parse failed: ${[...result.errors, ...result.warnings].join('; ')}`);
+    }
+    return result.layers.objects;
+}
+
+function triangle(x, y, a, b) {
+    return [{ x, y }, { x: x + a.x, y: y + a.y }, { x: x + b.x, y: y + b.y }];
+}
+
+module.exports = {
+    scripts: [
+        'config.js',
+        'geometry/geometry-curve-registry.js',
+        'parsers/parser-core.js',
+        'parsers/parser-gerber.js'
+    ],
+
+    cases: [
+        {
+            name: 'LM mirrors the aperture image about the flash point',
+            run({ window, fixture, assert }) {
+                const [mx, rect, arc, my, mxy] = parse(window, fixture('gerber/load-mirror.gbr'));
+
+                assert.point(mx.position, { x: 5, y: 5 }, 'LMX flash position');
+                assert.polygon(mx.points, triangle(5, 5, { x: -1, y: 0 }, { x: 0, y: 2 }), 'LMX triangle');
+                assert.polygon(my.points, triangle(5, 10, { x: 1, y: 0 }, { x: 0, y: -2 }), 'LMY triangle');
+                assert.polygon(mxy.points, triangle(5, 15, { x: -1, y: 0 }, { x: 0, y: -2 }), 'LMXY triangle');
+
+                assert.equal(rect.shape, 'rectangle', 'Mirrored rectangle shape');
+                assert.close(rect.width, 2, 'Mirrored rectangle width');
+                assert.close(rect.height, 1, 'Mirrored rectangle height');
+
+                // The arc is a draw: its path and direction stay as written
+                assert.equal(arc.type, 'trace', 'Arc object type');
+                assert.point(arc.start, { x: 0, y: 0 }, 'Arc start');
+                assert.point(arc.end, { x: 2, y: 0 }, 'Arc end');
+                assert.close(arc.arc.i, 1, 'Arc I offset');
+                assert.close(arc.arc.j, 0, 'Arc J offset');
+                assert.equal(arc.interpolation, 'ccw_arc', 'Arc direction');
+                assert.close(arc.width, 0.5, 'Arc width');
+            }
+        },
+        {
+            name: 'LR rotates the aperture image counterclockwise',
+            run({ window, fixture, assert }) {
+                const [tri, rect, obround, rect45] = parse(window, fixture('gerber/load-rotate.gbr'));
+
+                assert.polygon(tri.points, triangle(5, 5, { x: 0, y: 1 }, { x: -2, y: 0 }), 'LR90 triangle');
+
+                assert.equal(rect.shape, 'rectangle', 'LR90 rectangle stays a rectangle');
+                assert.point(rect.position, { x: 10, y: 5 }, 'LR90 rectangle position');
+                assert.close(rect.width, 1, 'LR90 rectangle width');
+                assert.close(rect.height, 2, 'LR90 rectangle height');
+
+                assert.equal(obround.shape, 'obround', 'LR90 obround stays an obround');
+                assert.close(obround.width, 1, 'LR90 obround width');
+                assert.close(obround.height, 2, 'LR90 obround height');
+
+                // 2x1 rectangle turned 45°: corners at (±1, ±0.5) rotated
+                const c = Math.SQRT1_2;
+                const corner = (x, y) => ({ x: 20 + (x - y) * c, y: 5 + (x + y) * c });
+                assert.equal(rect45.shape, 'polygon', 'LR45 rectangle becomes a polygon');
+                assert.polygon(rect45.points, [corner(-1, -0.5), corner(1, -0.5), corner(1, 0.5), corner(-1, 0.5)], 'LR45 rectangle');
+            }
+        },
+        {
+            name: 'LS scales the aperture image and draw width, applied after LM and before LR',
+            run({ window, fixture, assert }) {
+                const [tri, rect, circle, trace, combined] = parse(window, fixture('gerber/load-scale.gbr'));
+
+                assert.polygon(tri.points, triangle(5, 5, { x: 2, y: 0 }, { x: 0, y: 4 }), 'LS2 triangle');
+                assert.close(rect.width, 4, 'LS2 rectangle width');
+                assert.close(rect.height, 2, 'LS2 rectangle height');
+                assert.close(circle.radius, 0.5, 'LS2 circle radius');
+                assert.point(circle.position, { x: 15, y: 5 }, 'LS2 circle position');
+
+                assert.point(trace.start, { x: 0, y: 0 }, 'LS2 trace start');
+                assert.point(trace.end, { x: 3, y: 0 }, 'LS2 trace end');
+                assert.close(trace.width, 1, 'LS2 trace width');
+
+                // (1,0): mirror (-1,0), scale (-2,0), rotate (0,-2). (0,2): (0,2), (0,4), (-4,0)
+                assert.polygon(combined.points, triangle(5, 10, { x: 0, y: -2 }, { x: -4, y: 0 }), 'LMX LS2 LR90 triangle');
+            }
+        },
+        {
+            name: 'Macro circle fallback rotates about the flash point, not the circle center',
+            run({ window, fixture, assert }) {
+                // Force the fallback taken when a macro cannot be converted to a polygon
+                const [flash] = parse(window, fixture('gerber/load-macro-circle.gbr'), parser => {
+                    parser.macroShapesToPolygon = () => null;
+                });
+
+                // Circle at (+1, 0) from the flash at (10, 0), turned 90° about the flash
+                assert.equal(flash.shape, 'circle', 'Fallback shape');
+                assert.point(flash.position, { x: 10, y: 1 }, 'Fallback circle center');
+                assert.close(flash.radius, 0.5, 'Fallback circle radius');
+            }
+        }
+    ]
+};
@@ -463,6 +463,25 @@
             });
         }
 
+        /**
+         * Loads a .ttf/.otf into the font library used to outline SVG text.
+         * @returns {Promise<boolean>} true when the font was registered
+         */
+        async importFont(file) {
+            let buffer;
+            try { buffer = await this.readFileAsArrayBuffer(file); }
+            catch (err) { this.ui.setStatus(`Failed to read ${file.name}: ${err.message}`, 'error'); return false; }
+
+            const result = window.fontLibrary.addFont(buffer);
+            if (!result.success) {
+                this.ui.setStatus(`${file.name}: ${result.errors.join('; ')}`, 'error');
+                return false;
+            }
+            result.warnings.forEach(w => console.warn(`[Fonts] ${file.name}:`, w));
+            this.ui.setStatus(`Font loaded: ${result.font.fullName}. SVG text using "${result.font.family}" now outlines with it.`, 'success');
+            return true;
+        }
+
         // ════════════════════════════════════════════════════════════════
         // Debug & Stats
         // ════════════════════════════════════════════════════════════════
@@ -18,6 +18,12 @@
     const PRECISION = C.precision.coordinate;
     const debugState = D.debug;
 
+    // Laser export formats written by LaserProjectExporter instead of GraphicsExporter
+    const LASER_PROJECT_FORMATS = {
+        lbrn2: { label: 'LightBurn', extension: '.lbrn2' },
+        ezcad: { label: 'EZCAD', extension: '.dxf' }
+    };
+
     class CamCore {
         constructor(options = {}) {
             // Core data
@@ -28,6 +34,13 @@
             // Toolpath management
             this.toolpaths = new Map();
 
+            // Imported G-code programs, drawn as backplot layers
+            this.backplots = [];
+            this.nextBackplotId = 1;
+
+            // Last uncut copper check, drawn as a warning layer until paths change
+            this.uncutCopper = null;
+
             // Tool library reference
             this.toolLibrary = null;
 
@@ -253,9 +266,14 @@
             this.debug(`Registered parser for ${extension}: ${parser.constructor.name}`);
         }
 
-        getParser(fileName) {
+        /**
+         * @param {string} fileName
+         * @param {string|null} formatHint - Canonical extension detected from content (e.g. '.gbr' for an Eagle '.cmp'),
+         *                                   used when the file's own extension has no registered parser.
+         */
+        getParser(fileName, formatHint = null) {
             const ext = this.getFileExtension(fileName);
-            return this.parsers.get(ext) || null;
+            return this.parsers.get(ext) || (formatHint ? this.parsers.get(formatHint) : null) || null;
         }
 
         /**
@@ -404,6 +422,7 @@
                     strokeCount: 0
                 },
                 offsets: [],
+                clearanceCheck: null,
                 layerVisibility: {}
             };
 
@@ -419,6 +438,7 @@
             this.unindexOperation(operationId);
             this.operations.splice(index, 1);
             this.toolpaths.delete(operationId);
+            this.clearUncutCopper();
 
             this.updateStatistics();
             this.updateBoardBounds();
@@ -439,6 +459,9 @@
             operation.isInvalidated = false;
             operation.invalidatedReason = null;
 
+            // The check describes the old paths
+            this.clearUncutCopper();
+
             return true;
         }
 
@@ -459,6 +482,232 @@
             this.operationIndex.delete(operationId);
         }
 
+        /**
+         * Backplot CRUD
+         */
+
+        /**
+         * Registers an imported G-code program.
+         * @param {string} fileName
+         * @param {Object} parseResult - GcodeParser.parse() result
+         * @returns {Object} The backplot entry, registered in core.backplots[]
+         */
+        addBackplot(fileName, parseResult) {
+            const backplot = {
+                id: `bp_${this.nextBackplotId++}`,
+                name: fileName,
+                plans: parseResult.plans,
+                primitives: parseResult.primitives,
+                bounds: parseResult.bounds,
+                sourceUnits: parseResult.sourceUnits,
+                warnings: parseResult.warnings,
+                visible: true
+            };
+            this.backplots.push(backplot);
+            return backplot;
+        }
+
+        removeBackplot(backplotId) {
+            const index = this.backplots.findIndex(bp => bp.id === backplotId);
+            if (index === -1) return false;
+            this.backplots.splice(index, 1);
+            return true;
+        }
+
+        clearBackplots() {
+            const count = this.backplots.length;
+            this.backplots = [];
+            return count;
+        }
+
+        /**
+         * Uncut copper check
+         */
+
+        /**
+         * Finds copper that no generated isolation or clearing pass reaches.
+         * Every path is swept at its tool diameter; the union is subtracted
+         * from the area the operations were meant to clear - the isolation
+         * halo out to the outermost pass, and the clearing source region.
+         * What is left are the slivers that short nets or stay on the board.
+         *
+         * Hatch and filled laser results carry no tool centerlines and are
+         * skipped, as are operations waiting to be regenerated.
+         *
+         * @returns {Promise<Object>} The stored result, { residuals, checked, skipped, totalArea }
+         */
+        async analyzeUncutCopper() {
+            await this.ensureProcessorReady();
+            const processor = this.geometryProcessor;
+            const tolerance = C.geometry.uncutCopper.tolerance;
+
+            const zones = [];
+            const swept = [];
+            const checked = [];
+            const skipped = [];
+
+            for (const operation of this.operations) {
+                if (operation.type !== 'isolation' && operation.type !== 'clearing') continue;
+
+                const offsets = (operation.offsets || []).filter(o => o.primitives?.length > 0);
+                if (offsets.length === 0) continue;
+
+                // Fills, midline and net-aware isolation don't follow the copper edge, there is no halo to check
+                const isFill = offsets.some(o => o.metadata?.strategy === 'filled' || o.metadata?.isHatch);
+                const offEdge = offsets.some(o => o.metadata?.strategy === 'midline' || o.metadata?.netAware);
+                if (isFill || offEdge || operation.isInvalidated) {
+                    skipped.push(operation.file.name);
+                    continue;
+                }
+
+                // Halo the isolation passes promise: out to the far edge of the last pass.
+                // getClearanceZone caches into clearancePolygon for laser fills, keep it untouched.
+                const reach = Math.max(...offsets.map(o => o.metadata?.actualWidth || 0));
+                const savedClearance = operation.clearancePolygon;
+                let zone;
+                try {
+                    zone = await this.getHandler(operation.type).getClearanceZone(operation, { isolationWidth: reach });
+                } finally {
+                    operation.clearancePolygon = savedClearance;
+                }
+                if (!zone || zone.length === 0) continue;
+
+                const bands = [];
+                for (const offset of offsets) {
+                    const width = (offset.metadata?.toolDiameter || 0) + tolerance * 2;
+                    for (const prim of offset.primitives) {
+                        bands.push(...this.geometryOffsetter.sweepToolpath(prim, width));
+                    }
+                }
+
+                zones.push(...zone);
+                swept.push(...await processor.unionGeometry(bands));
+                checked.push(operation.file.name);
+            }
+
+            const target = await processor.unionGeometry(zones);
+            const uncut = target.length > 0 && swept.length > 0
+                ? await processor.difference(target, await processor.unionGeometry(swept))
+                : target;
+
+            const machineMatrix = this.getTransforms().machineMatrix;
+            const residuals = [];
+
+            for (const prim of uncut) {
+                const area = (prim.contours || []).reduce((sum, c) => {
+                    const a = Math.abs(GeometryUtils.calculateWinding(c.points));
+                    return c.isHole ? sum - a : sum + a;
+                }, 0);
+                if (area < C.geometry.uncutCopper.minArea) continue;
+
+                const bounds = prim.getBounds();
+                const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+                prim.properties = { ...prim.properties, isResidual: true, area };
+                residuals.push({
+                    primitive: prim,
+                    area,
+                    bounds,
+                    center,
+                    machineCenter: TransformMath.applyToPoint(machineMatrix, center)
+                });
+            }
+
+            // Largest first - those are the likely shorts
+            residuals.sort((a, b) => b.area - a.area);
+            residuals.forEach((r, i) => { r.primitive.properties.findingIndex = i; });
+
+            this.uncutCopper = {
+                residuals,
+                checked,
+                skipped,
+                totalArea: residuals.reduce((sum, r) => sum + r.area, 0),
+                analyzedAt: Date.now()
+            };
+
+            this.debug(`Uncut copper: ${residuals.length} region(s) across ${checked.length} operation(s), ${skipped.length} skipped`);
+            return this.uncutCopper;
+        }
+
+        clearUncutCopper() {
+            const hadResult = this.uncutCopper !== null;
+            this.uncutCopper = null;
+            return hadResult;
+        }
+
+        /**
+         * Width a tool cuts at the given depth. V-bits widen with depth from
+         * their tip, everything else cuts its diameter.
+         *
+         * @param {Object} tool - Entry from ToolLibrary.getToolWithEffectiveDiameter
+         * @param {number} cutDepth - mm, sign ignored
+         * @param {number} [tipDiameter] - Overrides the library diameter (user-edited field)
+         */
+        getCutWidthAtDepth(tool, cutDepth, tipDiameter = null) {
+            const base = tipDiameter || tool?.effectiveDiameter || 0;
+            const angle = tool?.geometry?.angle;
+            if (tool?.type !== 'v_bit' || !angle) return base;
+            return base + 2 * Math.abs(cutDepth || 0) * Math.tan((angle / 2) * Math.PI / 180);
+        }
+
+        /**
+         * Pre-generation design-rule check for isolation: every net-to-net
+         * clearance narrower than the cut width, and the widest library tool
+         * that would still isolate all of them. Stored on the operation.
+         *
+         * @param {string} operationId
+         * @param {Object} params - Operation parameters (tool, toolDiameter, cutDepth)
+         * @returns {Promise<Object|null>} operation.clearanceCheck
+         */
+        async checkIsolationClearance(operationId, params) {
+            const operation = this.getOperation(operationId);
+            if (!operation || operation.type !== 'isolation' || !operation.primitives?.length) return null;
+
+            const tool = this.toolLibrary?.getToolWithEffectiveDiameter(params.tool) || null;
+            const toolWidth = this.getCutWidthAtDepth(tool, params.cutDepth, params.toolDiameter);
+            if (!(toolWidth > PRECISION)) return null;
+
+            const handler = this.getHandler('isolation');
+            const { islands, violations } = await handler.findClearanceViolations(operation, toolWidth);
+
+            const machineMatrix = this.getTransforms().machineMatrix;
+            violations.sort((a, b) => a.gap - b.gap);
+            violations.forEach((v, i) => {
+                v.center = { x: (v.bounds.minX + v.bounds.maxX) / 2, y: (v.bounds.minY + v.bounds.maxY) / 2 };
+                v.machineCenter = TransformMath.applyToPoint(machineMatrix, v.center);
+                v.primitive.properties = { ...v.primitive.properties, isClearanceViolation: true, gap: v.gap, findingIndex: i };
+            });
+
+            const minGap = violations.length > 0 ? violations[0].gap : null;
+            let suggestion = null;
+            if (minGap !== null && this.toolLibrary) {
+                for (const candidate of this.toolLibrary.getToolsForOperation('isolation')) {
+                    const width = this.getCutWidthAtDepth(
+                        this.toolLibrary.getToolWithEffectiveDiameter(candidate.id), params.cutDepth);
+                    if (width > 0 && width <= minGap && (!suggestion || width > suggestion.width)) {
+                        suggestion = { id: candidate.id, name: candidate.name, width };
+                    }
+                }
+            }
+
+            const fits = suggestion
+                ? `largest tool that isolates all: ${suggestion.name} (${suggestion.width.toFixed(3)}mm)`
+                : 'no library tool isolates all';
+
+            operation.clearanceCheck = {
+                summary: `${violations.length} clearance${violations.length === 1 ? '' : 's'} below ${toolWidth.toFixed(3)}mm cut width, ${fits}`,
+                toolName: tool?.name || null,
+                toolWidth,
+                islands,
+                violations,
+                minGap,
+                suggestion,
+                checkedAt: Date.now()
+            };
+
+            this.debug(`Clearance check ${operationId}: ${violations.length} violation(s) at ${toolWidth.toFixed(3)}mm`);
+            return operation.clearanceCheck;
+        }
+
         /**
          * Generates a CNC toolpath preview from existing offsets.
          * Collects all offset primitives, tags them as preview geometry,
@@ -552,10 +801,16 @@
                 this.debug(`[parseOperation] Parsing ${operation.file.name}...`);
 
                 let parseResult;
-                const parser = this.getParser(operation.file.name);
+                const parser = this.getParser(operation.file.name, operation.file.formatHint);
+
+                // SVG text is outlined with loaded fonts, the bundled fallback is fetched on first use
+                if (window.fontLibrary && typeof operation.file.content === 'string' && operation.file.content.includes('<text')) {
+                    await window.fontLibrary.loadBundled();
+                }
 
                 if (parser) {
-                    parseResult = parser.parse(operation.file.content);
+                    // Companion data some formats need (e.g. an Excellon tool list)
+                    parseResult = parser.parse(operation.file.content, { toolTable: operation.file.toolTable || null });
                 }
 
                 if (!parseResult.success) {
@@ -581,6 +836,11 @@
 
                 let primitives = plotResult.primitives;
 
+                // SVG clip-path regions are intersected before classification
+                if (plotResult.clipRegions && this.geometryProcessor) {
+                    primitives = await this.geometryProcessor.applyClipPaths(primitives, plotResult.clipRegions);
+                }
+
                 //Debug check
                 const polarityCounts = primitives.reduce((acc, p) => {
                     const polarity = p.properties?.polarity || 'dark';
@@ -755,6 +1015,16 @@
                 }
             }
 
+            // Excellon tool diameters: where they came from and which are still placeholders
+            const drillData = operation.parsed?.drillData;
+            if (operation.type === 'drill' && drillData) {
+                summary.excellonTools = {
+                    count: drillData.tools.length,
+                    undefinedTools: drillData.undefinedTools || [],
+                    tableName: operation.file?.toolTable?.name || null
+                };
+            }
+
             return summary;
         }
 
@@ -1314,7 +1584,16 @@
                     spotSize: laserMachine.spotSize,
                     exportFormat: laserMachine.exportFormat,
                     exportDPI: laserMachine.exportDPI,
-                    computedPasses: computedPasses
+                    computedPasses: computedPasses,
+                    // Power/speed per operation, written into LightBurn cut settings and EZCAD pens
+                    cutSettings: {
+                        power: params.laserPower,
+                        speed: params.laserSpeed,
+                        frequency: params.laserFrequency,
+                        repeat: params.laserRepeat,
+                        interval: strategy.stepDistance,
+                        angle: strategy.hatchAngle
+                    }
                 };
             }
 
@@ -1505,7 +1784,7 @@
             }
         }
 
-        validateFileType(fileName, operationType) {
+        validateFileType(fileName, operationType, formatHint = null) {
             const extension = this.getFileExtension(fileName);
             const config = this.fileTypes[operationType];
 
@@ -1513,7 +1792,7 @@
                 return { valid: false, message: `Unknown operation type: ${operationType}` };
             }
 
-            if (config.extensions.includes(extension)) {
+            if (config.extensions.includes(extension) || (formatHint && config.extensions.includes(formatHint))) {
                 return { valid: true, message: null };
             }
 
@@ -1618,7 +1897,7 @@
          * @param {boolean} [intent.includeComments]
          * @param {boolean} [intent.toolChanges]
          * @param {ParameterManager} parameterManager
-         * @returns {Object} keyed results: { [key]: { gcode, lineCount, planCount, estimatedTime, totalDistance, label } }
+         * @returns {Object} keyed results: { [key]: { gcode, lineCount, planCount, estimatedTime, totalDistance, timing, label } }
          */
         async generateCNCResults(intent, parameterManager) {
             if (!this.gcodeGenerator) {
@@ -1636,11 +1915,16 @@
                 toolChanges: intent.toolChanges,
                 userStartCode: gcodeConfig.userStartCode,
                 userEndCode: gcodeConfig.userEndCode,
+                lineNumbers: gcodeConfig.lineNumbers,
                 units: gcodeConfig.units,
                 safeZ: this.settings.machine.heights.safeZ,
                 travelZ: this.settings.machine.heights.travelZ,
                 maxSafeDepth: this.settings.machine.heights.maxSafeDepth,
                 maxFeed: this.settings.machine.speeds.maxFeedRate,
+                rapidFeed: this.settings.machine.speeds.rapidFeed,
+                toolChange: this.settings.machine.toolChange,
+                probeZ: this.settings.machine.heights.probeZ,
+                probeFeed: this.settings.machine.speeds.probeFeed,
                 coolant: this.settings.machine.coolant,
                 vacuum: this.settings.machine.vacuum,
                 rolandModel: rolandSettings.rolandModel,
@@ -1708,9 +1992,33 @@
         }
 
         /**
-         * Internal: buildContext → executePipeline → generate G-code → metrics.
+         * Internal: buildContext → executePipeline → generate G-code → simulate runtime.
          */
         async runCNCPipeline(operationIds, optimize, genOptions, parameterManager) {
+            const plans = await this.buildMachinePlans(operationIds, optimize, parameterManager);
+
+            if (!plans) {
+                return { gcode: '; No valid operations to process', lineCount: 1, planCount: 0, estimatedTime: 0, totalDistance: 0 };
+            }
+
+            const gcode = this.gcodeGenerator.generate(plans, genOptions);
+            const timing = this.gcodeGenerator.estimateRuntime(genOptions);
+
+            return {
+                gcode,
+                lineCount: gcode.split('\n').length,
+                planCount: plans.length,
+                estimatedTime: timing.totalTime,
+                totalDistance: timing.totalDistance,
+                timing
+            };
+        }
+
+        /**
+         * Internal: buildContext → executePipeline. Returns machine-ready plans,
+         * or null when none of the operations has a valid context.
+         */
+        async buildMachinePlans(operationIds, optimize, parameterManager) {
             const operationContextPairs = [];
 
             for (const opId of operationIds) {
@@ -1729,22 +2037,10 @@
                 }
             }
 
-            if (operationContextPairs.length === 0) {
-                return { gcode: '; No valid operations to process', lineCount: 1, planCount: 0, estimatedTime: 0, totalDistance: 0 };
-            }
+            if (operationContextPairs.length === 0) return null;
 
             const { plans } = await this.executePipeline(operationContextPairs, { optimize });
-            const gcode = this.gcodeGenerator.generate(plans, genOptions);
-            const firstContext = operationContextPairs[0].context;
-            const { estimatedTime, totalDistance } = this.machineProcessor.calculatePathMetrics(plans, firstContext);
-
-            return {
-                gcode,
-                lineCount: gcode.split('\n').length,
-                planCount: plans.length,
-                estimatedTime,
-                totalDistance
-            };
+            return plans;
         }
 
         /**
@@ -1811,6 +2107,7 @@
         async executeExport(intent, parameterManager) {
             const allFiles = [];
             const parts = [];
+            let exportError = null;
             const isWebKit = /AppleWebKit/.test(navigator.userAgent) && !/Chrome/.test(navigator.userAgent);
 
             // CNC
@@ -1866,7 +2163,18 @@
                         }
                     }
                 }
-                if (allFiles.length > 0) parts.push('G-code');
+                if (allFiles.length > 0) {
+                    parts.push('G-code');
+
+                    if (intent.setupSheet) {
+                        const gcodeFiles = allFiles.map(f => f.filename);
+                        const sheet = this.generateSetupSheetFile(cncOps, gcodeResults, gcodeFiles, intent, parameterManager);
+                        if (sheet) {
+                            allFiles.push(sheet);
+                            parts.push('Setup sheet');
+                        }
+                    }
+                }
             }
 
             // Laser
@@ -1898,6 +2206,8 @@
                     if (result.success) {
                         allFiles.push(...result.files);
                         parts.push('Laser');
+                    } else if (result.message) {
+                        exportError = result.message;
                     }
                 }
             }
@@ -1909,18 +2219,31 @@
                 if (unready.length > 0) {
                     this.debug(`Stencil export blocked: ${unready.map(o => o.file.name).join(', ')} missing geometry`);
                 } else {
-                    const result = await this.generateLaserExportFiles(stencilOps, parameterManager, {
-                        layerColors: { stencil: '#000000' },
-                        format: 'svg',
-                        padding: intent.stencilPadding ?? 5.0,
-                        includeComments: intent.includeComments,
-                        singleFile: intent.singleFile,
-                        baseName: intent.baseName + '-stencil',
-                        heatManagement: 'off',
-                        reverseCutOrder: false,
-                        svgGrouping: 'layer',
-                        colorPerPass: false
-                    });
+                    const stencilFormat = intent.stencilFormat || this.settings.export.stencilFormat;
+                    let result;
+                    if (stencilFormat === 'hpgl') {
+                        result = await this.generateHPGLExportFiles(stencilOps, {
+                            padding: intent.stencilPadding ?? 5.0,
+                            singleFile: intent.singleFile,
+                            baseName: intent.baseName + '-stencil',
+                            knifeOffset: intent.hpglKnifeOffset,
+                            overcut: intent.hpglOvercut,
+                            includeOutline: intent.hpglIncludeOutline
+                        });
+                    } else {
+                        result = await this.generateLaserExportFiles(stencilOps, parameterManager, {
+                            layerColors: { stencil: '#000000' },
+                            format: 'svg',
+                            padding: intent.stencilPadding ?? 5.0,
+                            includeComments: intent.includeComments,
+                            singleFile: intent.singleFile,
+                            baseName: intent.baseName + '-stencil',
+                            heatManagement: 'off',
+                            reverseCutOrder: false,
+                            svgGrouping: 'layer',
+                            colorPerPass: false
+                        });
+                    }
 
                     if (result.success) {
                         allFiles.push(...result.files);
@@ -1929,13 +2252,22 @@
                 }
             }
 
+            // DXF review file (geometry of every selected operation, optional toolpaths)
+            if (intent.dxf) {
+                const dxfFile = await this.generateDXFExportFile(intent, parameterManager);
+                if (dxfFile) {
+                    allFiles.push(dxfFile);
+                    parts.push('DXF');
+                }
+            }
+
             // Downloads
             if (allFiles.length > 0) {
                 await this.executeDownloads(allFiles, { isWebKit });
                 return { success: true, message: `${parts.join(' + ')} export completed successfully` };
             }
 
-            return { success: false, message: 'No files generated.' };
+            return { success: false, message: exportError || 'No files generated.' };
         }
 
         /**
@@ -1976,7 +2308,7 @@
          * @param {Array} operations - Operation objects to export
          * @param {ParameterManager} parameterManager - For buildToolpathContext
          * @param {Object} [exportOverrides] - Per-job overrides (padding, baseName, singleFile, etc.)
-         * @returns {{ success: boolean, files: Array<{blob: Blob, filename: string}> }}
+         * @returns {{ success: boolean, files: Array<{blob: Blob, filename: string}>, message?: string }}
          */
         async generateLaserExportFiles(operations, parameterManager, exportOverrides = {}) {
             this.debug('generateLaserExportFiles: starting');
@@ -2017,7 +2349,7 @@
             if (exportOverrides.includeComments) {
                 commonOptions.commentBlock = commonOptions.commentBlock || [];
                 const appName = this.appProfile.meta.app;
-                commonOptions.commentBlock.push(`${appName} SVG Export`);
+                commonOptions.commentBlock.push(`${appName} ${LASER_PROJECT_FORMATS[format]?.label || 'SVG'} Export`);
                 commonOptions.commentBlock.push(`Date: ${new Date().toLocaleString()}`);
                 commonOptions.commentBlock.push(`Operations (${operations.length}):`);
                 operations.forEach(op => {
@@ -2033,11 +2365,13 @@
 
                 // Use context builder for per-operation data
                 let strokeWidth = laserSettings.spotSize;
+                let cutSettings = null;
                 try {
                     const context = this.buildToolpathContext(op.id, parameterManager);
                     if (context.laser?.spotSize) {
                         strokeWidth = context.laser.spotSize;
                     }
+                    cutSettings = context.laser?.cutSettings || null;
                 } catch (e) {
                     this.debug(`buildToolpathContext failed for ${op.id}, using global spotSize: ${e.message}`);
                 }
@@ -2070,12 +2404,15 @@
                     baseColor: color,
                     layerName: layerName,
                     strokeWidth: strokeWidth,
+                    cutSettings,
                     passes
                 };
             };
 
             // Split into layer groups based on format
             const isPNGFormat = format === 'png';
+            // LightBurn and EZCAD projects group layers like SVG, PNG jobs keep their SVG vector companion
+            const vectorFormat = LASER_PROJECT_FORMATS[format] ? format : 'svg';
             const rasterTypes = ['isolation', 'clearing'];
             let layerGroups;
 
@@ -2096,7 +2433,7 @@
                 if (vectorLayers.length > 0) layerGroups.push({ layers: vectorLayers, format: 'svg', suffix: '-vectors' });
             } else if (singleFile) {
                 const allLayers = operations.map(buildLayer).filter(Boolean);
-                layerGroups = allLayers.length > 0 ? [{ layers: allLayers, format: 'svg', suffix: '' }] : [];
+                layerGroups = allLayers.length > 0 ? [{ layers: allLayers, format: vectorFormat, suffix: '' }] : [];
             } else {
                 layerGroups = [];
                 for (const op of operations) {
@@ -2105,7 +2442,7 @@
                     const isRasterOp = isPNGFormat && rasterTypes.includes(op.type);
                     layerGroups.push({
                         layers: [layer],
-                        format: isRasterOp ? 'png' : 'svg',
+                        format: isRasterOp ? 'png' : vectorFormat,
                         suffix: `-${op.type}`
                     });
                 }
@@ -2120,11 +2457,32 @@
                 return { success: false, files: [] };
             }
 
+            if (LASER_PROJECT_FORMATS[vectorFormat] && typeof LaserProjectExporter === 'undefined') {
+                console.error('[Core] LaserProjectExporter module not loaded');
+                return { success: false, files: [] };
+            }
+
             const exporter = new GraphicsExporter();
             const files = [];
 
             try {
                 for (const group of layerGroups) {
+                    const projectFormat = LASER_PROJECT_FORMATS[group.format];
+                    if (projectFormat) {
+                        const filename = `${baseName}${group.suffix}${projectFormat.extension}`;
+                        const projectExporter = new LaserProjectExporter();
+
+                        if (group.format === 'lbrn2') {
+                            const result = await projectExporter.generateLightBurn(group.layers, commonOptions);
+                            files.push({ blob: result.blob, filename });
+                        } else {
+                            const result = await projectExporter.generateEzcad(group.layers, commonOptions);
+                            files.push({ blob: result.blob, filename });
+                            files.push({ blob: result.penTable, filename: `${baseName}${group.suffix}-pens.txt` });
+                        }
+                        continue;
+                    }
+
                     const ext = group.format === 'png' ? '.png' : '.svg';
                     const filename = `${baseName}${group.suffix}${ext}`;
 
@@ -2139,6 +2497,308 @@
                 }
             } catch (error) {
                 console.error('[Core] Laser export generation failed:', error);
+                return { success: false, files: [], message: error.message };
+            }
+
+            return { success: files.length > 0, files };
+        }
+
+        /**
+         * Generates one DXF with source, offset and preview geometry of every exported
+         * operation on separate layers, drill holes as circles, and optionally the
+         * machine toolpaths of CNC operations as 3D polylines. Geometry is written in
+         * machine coordinates so it overlays the G-code.
+         *
+         * @param {Object} intent - Export intent (operationIds, cncOperationIds, baseName, optimize, dxfToolpaths, includeComments)
+         * @param {ParameterManager} parameterManager
+         * @returns {Promise<{blob: Blob, filename: string}|null>}
+         */
+        async generateDXFExportFile(intent, parameterManager) {
+            if (typeof DXFExporter === 'undefined') {
+                console.error('[Core] DXFExporter module not loaded');
+                return null;
+            }
+
+            const operations = (intent.operationIds || []).map(id => this.getOperation(id)).filter(Boolean);
+            if (operations.length === 0) return null;
+
+            const dxfColors = D.export.dxf.colors;
+            const typeCounts = {};
+            const layers = [];
+
+            let plans = [];
+            const cncOperationIds = intent.cncOperationIds || [];
+            if (intent.dxfToolpaths && cncOperationIds.length > 0) {
+                try {
+                    plans = await this.buildMachinePlans(cncOperationIds, intent.optimize !== false, parameterManager) || [];
+                } catch (error) {
+                    console.warn('[Core] DXF toolpath generation failed, exporting geometry only:', error);
+                }
+            }
+
+            for (const op of operations) {
+                // R12 layer names: uppercase letters, digits, _ and -, at most 31 characters
+                typeCounts[op.type] = (typeCounts[op.type] || 0) + 1;
+                const prefix = `${op.type.toUpperCase()}_${typeCounts[op.type]}`;
+
+                const source = op.primitives || [];
+                const holes = source.filter(p => p.properties?.role === 'drill_hole' && p.center && p.radius);
+                layers.push({ name: `${prefix}_SOURCE`, color: dxfColors.source, kind: 'geometry', primitives: source.filter(p => !holes.includes(p)) });
+                layers.push({ name: `${prefix}_HOLES`, color: dxfColors.holes, kind: 'holes', primitives: holes });
+
+                const offsetPrimitives = (op.offsets || []).flatMap(o => o.primitives || []);
+                layers.push({ name: `${prefix}_OFFSET`, color: dxfColors.offset, kind: 'geometry', primitives: offsetPrimitives });
+
+                if (op.preview?.primitives?.length > 0) {
+                    layers.push({
+                        name: `${prefix}_PREVIEW`,
+                        color: dxfColors.preview,
+                        kind: 'preview',
+                        primitives: op.preview.primitives,
+                        width: op.preview.metadata?.toolDiameter || 0
+                    });
+                }
+
+                const opPlans = plans.filter(plan => plan.operationId === op.id);
+                if (opPlans.length > 0) {
+                    layers.push({
+                        name: `${prefix}_TOOLPATH`,
+                        color: dxfColors.toolpath,
+                        kind: 'toolpath',
+                        rapidLayer: `${prefix}_RAPID`,
+                        rapidColor: dxfColors.rapid,
+                        plans: opPlans
+                    });
+                }
+            }
+
+            const commentBlock = [];
+            if (intent.includeComments) {
+                commentBlock.push(`${this.appProfile.meta.app} DXF Export`);
+                commentBlock.push(`Date: ${new Date().toLocaleString()}`);
+                commentBlock.push('Units: mm, machine coordinates');
+                operations.forEach(op => commentBlock.push(`  - ${op.type}: ${op.file.name}`));
+            }
+
+            try {
+                const exporter = new DXFExporter();
+                const result = await exporter.generate(layers, {
+                    matrix: this.getTransforms().machineMatrix,
+                    includeComments: intent.includeComments,
+                    commentBlock
+                });
+                if (!result?.blob || result.entityCount === 0) return null;
+                return { blob: result.blob, filename: `${intent.baseName}.dxf` };
+            } catch (error) {
+                console.error('[Core] DXF export generation failed:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Builds the printable setup sheet for a CNC export: operations in program
+         * order, tools, feeds, depths, estimated times, job extents and origin.
+         * Times come from the runtime estimate of the already generated G-code.
+         *
+         * @param {Array} cncOps - Exported CNC operations
+         * @param {Object} gcodeResults - Keyed results from generateCNCResults()
+         * @param {string[]} gcodeFiles - Names of the G-code files the sheet belongs to
+         * @param {Object} intent - Export intent (baseName, singleFile, thumbnail)
+         * @param {ParameterManager} parameterManager
+         * @returns {{blob: Blob, filename: string}|null}
+         */
+        generateSetupSheetFile(cncOps, gcodeResults, gcodeFiles, intent, parameterManager) {
+            if (typeof SetupSheetGenerator === 'undefined') {
+                console.error('[Core] SetupSheetGenerator module not loaded');
+                return null;
+            }
+
+            // Per-operation time: combined file reports it per operation, separate
+            // files (including split drill files) carry their own totals
+            const combinedTiming = gcodeResults['__combined__']?.timing;
+            const operationTime = (opId) => {
+                if (combinedTiming) return combinedTiming.operations?.[opId]?.time || 0;
+                return Object.keys(gcodeResults)
+                    .filter(key => key === opId || key.startsWith(`${opId}_`))
+                    .reduce((sum, key) => sum + (gcodeResults[key].timing?.totalTime || 0), 0);
+            };
+
+            // Program order is the order operations appear in the combined command stream
+            let orderedOps = cncOps;
+            if (combinedTiming?.operations) {
+                const streamOrder = Object.keys(combinedTiming.operations);
+                const rank = (op) => {
+                    const index = streamOrder.indexOf(op.id);
+                    return index === -1 ? Infinity : index;
+                };
+                orderedOps = [...cncOps].sort((a, b) => rank(a) - rank(b));
+            }
+
+            const tools = [];
+            const toolsByKey = new Map();
+            const operations = [];
+            let extents = null;
+            let heights = null;
+
+            for (const op of orderedOps) {
+                let ctx;
+                try {
+                    ctx = this.buildToolpathContext(op.id, parameterManager);
+                } catch (error) {
+                    console.warn(`[Core] Setup sheet skipped ${op.id}: ${error.message}`);
+                    continue;
+                }
+
+                // Heights relative to Z0, including the stock offset for bed-zero jobs
+                heights ||= { safeZ: ctx.machine.safeZ, travelZ: ctx.machine.travelZ };
+
+                const toolKey = `${ctx.tool.id ?? ''}|${ctx.tool.diameter ?? ''}`;
+                let tool = toolsByKey.get(toolKey);
+                if (!tool) {
+                    const libraryTool = this.toolLibrary?.getTool(ctx.tool.id);
+                    tool = {
+                        number: tools.length + 1,
+                        name: libraryTool?.name || ctx.tool.id || 'Unknown tool',
+                        type: libraryTool?.type || '',
+                        diameter: ctx.tool.diameter,
+                        flutes: libraryTool?.geometry?.flutes ?? null,
+                        operations: []
+                    };
+                    tools.push(tool);
+                    toolsByKey.set(toolKey, tool);
+                }
+                tool.operations.push(`${operations.length + 1}. ${op.type}`);
+
+                operations.push({
+                    type: op.type,
+                    fileName: op.file.name,
+                    toolNumber: tool.number,
+                    toolName: tool.name,
+                    feedRate: ctx.cutting.feedRate,
+                    plungeRate: ctx.cutting.plungeRate,
+                    spindleSpeed: ctx.cutting.spindleSpeed,
+                    cutDepth: ctx.strategy.cutDepth,
+                    depthPerPass: ctx.strategy.depthPerPass,
+                    depthLevels: ctx.computed.depthLevels?.length || 1,
+                    passes: ctx.strategy.passes,
+                    time: operationTime(op.id)
+                });
+
+                if (op.bounds) {
+                    extents = extents
+                        ? {
+                            minX: Math.min(extents.minX, op.bounds.minX),
+                            minY: Math.min(extents.minY, op.bounds.minY),
+                            maxX: Math.max(extents.maxX, op.bounds.maxX),
+                            maxY: Math.max(extents.maxY, op.bounds.maxY)
+                        }
+                        : { minX: op.bounds.minX, minY: op.bounds.minY, maxX: op.bounds.maxX, maxY: op.bounds.maxY };
+                }
+            }
+
+            if (operations.length === 0) return null;
+
+            const transforms = this.getTransforms();
+            const processorInfo = this.gcodeGenerator.getProcessorInfo(this.settings.gcode.postProcessor);
+            const totalTime = Object.values(gcodeResults).reduce((sum, r) => sum + (r?.timing?.totalTime || 0), 0);
+
+            try {
+                const generator = new SetupSheetGenerator();
+                const result = generator.generate({
+                    title: intent.baseName,
+                    appName: this.appProfile.meta.app,
+                    files: gcodeFiles,
+                    singleFile: intent.singleFile,
+                    postProcessor: processorInfo?.label || this.settings.gcode.postProcessor,
+                    units: this.settings.gcode.units,
+                    origin: transforms.origin,
+                    transforms,
+                    bounds: extents ? TransformMath.transformBounds(transforms.machineMatrix, extents) : null,
+                    stock: this.stock,
+                    heights,
+                    tools,
+                    operations,
+                    totalTime,
+                    thumbnail: intent.thumbnail || null
+                });
+                return { blob: result.blob, filename: `${intent.baseName}-setup.html` };
+            } catch (error) {
+                console.error('[Core] Setup sheet generation failed:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Generates HPGL cutter files for stencil operations. Optionally appends the
+         * board outline from cutout operations as the last layer, so the stencil
+         * sheet is released only after every aperture is cut.
+         * Returns blobs without triggering downloads - caller decides when to download.
+         *
+         * @param {Array} operations - Stencil operations to export
+         * @param {Object} [exportOverrides] - padding, baseName, singleFile, includeOutline, knifeOffset, overcut
+         * @returns {{ success: boolean, files: Array<{blob: Blob, filename: string}> }}
+         */
+        async generateHPGLExportFiles(operations, exportOverrides = {}) {
+            if (!operations || operations.length === 0) {
+                return { success: false, files: [] };
+            }
+
+            if (typeof HPGLExporter === 'undefined') {
+                console.error('[Core] HPGLExporter module not loaded');
+                return { success: false, files: [] };
+            }
+
+            const hpglSettings = this.settings.export.hpgl;
+            const baseName = exportOverrides.baseName || D.export.defaultBaseName;
+            const singleFile = exportOverrides.singleFile !== false;
+            const includeOutline = exportOverrides.includeOutline ?? hpglSettings.includeOutline;
+
+            const options = {
+                padding: exportOverrides.padding ?? this.settings.laser.exportPadding,
+                transforms: this.getTransforms(),
+                knifeOffset: exportOverrides.knifeOffset ?? hpglSettings.knifeOffset,
+                overcut: exportOverrides.overcut ?? hpglSettings.overcut,
+                swivelAngle: hpglSettings.swivelAngle,
+                unitsPerMm: hpglSettings.unitsPerMm
+            };
+
+            const toLayer = (op, primitives) => ({
+                operationId: op.id,
+                layerName: op.type,
+                passes: [{ passIndex: 1, primitives }]
+            });
+
+            let layerGroups = singleFile
+                ? [{ layers: operations.map(op => toLayer(op, op.offsets.flatMap(o => o.primitives || []))), suffix: '' }]
+                : operations.map(op => ({
+                    layers: [toLayer(op, op.offsets.flatMap(o => o.primitives || []))],
+                    suffix: `-${op.file.name.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]/g, '_')}`
+                }));
+
+            if (includeOutline) {
+                // Board outline is the source geometry, not the tool-compensated cutout path
+                const outlineLayers = this.operations
+                    .filter(op => op.type === 'cutout' && op.primitives?.length > 0)
+                    .map(op => toLayer(op, op.primitives));
+                if (outlineLayers.length > 0) {
+                    layerGroups = layerGroups.map(group => ({ ...group, layers: [...group.layers, ...outlineLayers] }));
+                } else {
+                    this.debug('HPGL export: no cutout operation to take the board outline from');
+                }
+            }
+
+            const exporter = new HPGLExporter();
+            const files = [];
+
+            try {
+                for (const group of layerGroups) {
+                    const result = await exporter.generate(group.layers, options);
+                    if (result?.blob && result.contourCount > 0) {
+                        files.push({ blob: result.blob, filename: `${baseName}${group.suffix}.plt` });
+                    }
+                }
+            } catch (error) {
+                console.error('[Core] HPGL export generation failed:', error);
                 return { success: false, files: [] };
             }
 
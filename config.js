@@ -81,6 +81,22 @@ window.CAMConfig = {
                 hashPrecision: 1000
             },
 
+            restMachining: {            // Clearing only what a larger tool left behind
+                sweepTolerance: 0.01        // mm, the larger tool's swept bands are widened by this; thinner leftovers count as cleared
+            },
+
+            uncutCopper: {              // Copper the tools cannot reach
+                tolerance: 0.01,            // mm, swept bands are widened by this; thinner copper counts as cleared
+                minArea: 0.01               // mm², smaller islands (e.g. fillets in sharp pour corners) stay out of the report
+            },
+
+            midlineIsolation: {         // Midline (Voronoi) isolation strategy
+                sampleSpacing: 0.05,        // mm, copper outline sampling; midline error is about spacing² / (8 × gap)
+                maxSamples: 200000,         // Larger boards are sampled coarser so triangulation stays in seconds
+                simplifyTolerance: 0.005,   // mm, RDP on the output paths
+                boundaryMargin: 2           // x tool diameter, frame around the copper that closes the outer paths
+            },
+
             edgeKeyDecimals: 3
         },
 
@@ -101,7 +117,9 @@ window.CAMConfig = {
                 defaultUnits: 'mm',
                 defaultAperture: 0.1,
                 minAperture: 0.01,
-                maxAperture: 10.0
+                maxAperture: 10.0,
+                // X2 %TA.AperFunction values that identify component pads
+                padApertureFunctions: ['SMDPad', 'BGAPad', 'ComponentPad', 'ConnectorPad', 'HeatsinkPad', 'TestPad', 'CastellatedPad', 'WasherPad']
             },
             svg: {
                 defaultStyles: {
@@ -112,7 +130,29 @@ window.CAMConfig = {
                     strokeOpacity: 1.0,
                     display: 'inline',
                     visibility: 'visible'
-                }
+                },
+                // Text layout defaults (CSS initial values)
+                defaultFontSize: 16,
+                defaultFontFamily: 'sans-serif'
+            },
+            dxf: {
+                // $INSUNITS codes → mm. 0 (unitless) falls back to $MEASUREMENT (0 = inch, 1 = mm)
+                unitScales: { 1: 25.4, 2: 304.8, 4: 1, 5: 10, 6: 1000, 8: 0.0000254, 9: 0.0254, 10: 914.4, 13: 0.001, 14: 100 },
+                chainTolerance: 0.001,      // mm, endpoint gap joined when chaining LINE/ARC outlines into loops
+                maxInsertDepth: 16
+            },
+            font: {
+                // Outlines <text> when the requested family isn't loaded. Path is relative to the app page.
+                bundledFont: '../fonts/Lato-Regular.ttf',
+                extensions: ['.ttf', '.otf']
+            },
+            gcode: {
+                // Backplot import. .tap is shared with Mach3 drill files and is content sniffed.
+                extensions: ['.nc', '.ngc', '.gcode', '.gc', '.cnc', '.tap'],
+                arcTolerance: 0.01,         // mm, start/end radius mismatch reported as a warning
+                arcSegmentLength: 0.1,      // mm, chord length for G18/G19 arcs (plans are XY)
+                maxRunPoints: 2000,         // points per backplot path, keeps viewport culling granular
+                hitMarkRadius: 0.25         // mm, drill hit marker when the tool diameter is unknown
             }
         },
 
@@ -130,7 +170,8 @@ window.CAMConfig = {
                 fitPaddingWithOrigin: 1.35,
                 factor: 1.2,
                 min: 0.01,
-                max: 3000
+                max: 3000,
+                findingFrameSize: 2     // mm, smallest view framed when jumping to a check finding
             },
             emptyCanvas: {
                 originMarginLeft: 0.10,
@@ -193,7 +234,15 @@ window.CAMConfig = {
                 debugArcStrokeWidth: 3,
                 debugArcCenterSize: 4,
                 debugContourStrokeWidth: 2,
-                debugContourDash: [5, 5]
+                debugContourDash: [5, 5],
+                backplotStrokeWidth: 1.5,
+                backplotRapidDash: [4, 4],
+                backplotRapidAlpha: 0.6,
+                backplotSwathAlpha: 0.2,
+                findingStrokeWidth: 1.5,
+                findingFillAlpha: 0.6,
+                findingMarkerRadius: 12,    // px, ring around each check finding so slivers show at any zoom
+                findingHighlightWidth: 3
             }
         },
 
@@ -204,6 +253,7 @@ window.CAMConfig = {
         // Shared across all apps on this domain
         theme: 'cam-theme',
         machine: 'cam-machine-settings',
+        postProcessors: 'cam-post-processors', // User-defined template processors
 
         // App-specific - call with app name from profile
         // e.g. storageKeys.forApp('easyshape5000').parameters
@@ -240,6 +290,7 @@ window.CAMConfig = {
                     laser_geometry: 'Isolation',
                     laser_strategy: 'Clearing Strategy',
                     laser_cutout: 'Cut Settings',
+                    laser_power: 'Power & Speed',
                     laser_export: 'Export Settings'
                 },
                 textAreaStyle: {
@@ -288,8 +339,8 @@ window.CAMConfig = {
                 travelZ: 2.0,
                 feedHeight: 1.0,    // Clearance above Z0 where G0→G1 handoff occurs.
                 maxSafeDepth: -10.1, // Negative Z limit. Calculated values below this throw an error.
-                // REVIEW - probeZ and homeZ may be mislabeled? Or just useless?
-                probeZ: -5.0,
+                probeZ: -5.0,        // G38.2 travel limit when probing after a manual tool change.
+                // REVIEW - homeZ may be mislabeled? Or just useless?
                 homeZ: 10.0
             },
             speeds: {
@@ -308,6 +359,16 @@ window.CAMConfig = {
             //     minY: 0,
             //     minZ: -5
             // },
+            // Manual tool change for controllers without M6 (Grbl, Marlin).
+            // Position is in work coordinates unless machineCoords (G53) is set.
+            toolChange: {
+                x: 0,
+                y: 0,
+                z: 30,
+                machineCoords: false,
+                probe: false,           // G38.2 towards probeZ at probeFeed, then re-zero Z
+                plateThickness: 0
+            },
             coolant: 'none',
             vacuum: false
         },
@@ -455,6 +516,15 @@ window.CAMConfig = {
                 stencil:   '#860694'
             },
 
+            // Fallback cut settings for LightBurn / EZCAD exports when an operation has none
+            cutSettings: {
+                power: 50,                  // %
+                speed: 100,                 // mm/s
+                frequency: 30,              // kHz, fiber/MOPA sources
+                repeat: 1,
+                interval: 0.05              // mm, scan line spacing for filled layers
+            },
+
             // Operation-Specific Overrides
             operations: {
                 isolation: { laserIsolationWidth: 0.4, laserStepOver: 10, laserClearStrategy: 'offset', laserHatchAngle: 0 },
@@ -562,6 +632,30 @@ window.CAMConfig = {
                     wireframeStrokeWidth: 0.05,
                     cutoutStrokeWidth: 0.1
                 }
+            },
+            // Printable HTML setup sheet alongside G-code exports
+            setupSheet: false,
+            // Stencil export target: 'svg' or 'hpgl' (vinyl cutters / plotters)
+            stencilFormat: 'svg',
+            hpgl: {
+                unitsPerMm: 40,             // 0.025mm plotter units (HP, Roland CAMM-GL, Graphtec)
+                knifeOffset: 0.25,          // Drag-knife blade offset in mm, 0 for pens/tangential knives
+                overcut: 1.0,               // mm cut past the start of closed contours
+                swivelAngle: 15,            // Degrees; sharper direction changes get a swivel arc
+                includeOutline: false       // Also cut the board outline from cutout operations
+            },
+            dxf: {
+                enabled: false,
+                includeToolpaths: false,
+                // AutoCAD Color Index per layer kind
+                colors: {
+                    source: 7,              // White/black
+                    holes: 5,               // Blue
+                    offset: 1,              // Red
+                    preview: 8,             // Grey
+                    toolpath: 3,            // Green
+                    rapid: 4                // Cyan
+                }
             }
         },
 
@@ -62,6 +62,7 @@
         registerHandlers() {
             // Parsers
             if (typeof SVGParser !== 'undefined') this.core.registerParser('.svg', new SVGParser());
+            if (typeof DXFParser !== 'undefined') this.core.registerParser('.dxf', new DXFParser());
             if (typeof STLParser !== 'undefined') this.core.registerParser('.stl', new STLParser());
 
             // Handlers
@@ -150,8 +151,12 @@
 
             if (ext === 'svg') {
                 await this.importSVG(file);
+            } else if (ext === 'dxf') {
+                await this.importDXF(file);
             } else if (ext === 'stl') {
                 await this.importSTL(file);
+            } else if (ext === 'ttf' || ext === 'otf') {
+                await this.importFont(file);
             } else {
                 this.ui.setStatus(`Unsupported file type: .${ext}`, 'warning');
             }
@@ -207,17 +212,44 @@
             try { content = await this.readFileAsText(file); }
             catch (err) { this.ui.setStatus(`Failed to read ${file.name}: ${err.message}`, 'error'); return; }
 
+            if (window.fontLibrary && content.includes('<text')) await window.fontLibrary.loadBundled();
+
             const parser = new SVGParser();
-            const parseResult = parser.parse(content);
+            await this.addParsedShapes(file, parser.parse(content), 'SVG');
+        }
+
+        /**
+         * Imports a DXF drawing. Layers become groups in the scene tree, INSERTed blocks nest under their layer.
+         */
+        async importDXF(file) {
+            if (!file) return;
+            this.ui.setStatus(`Loading ${file.name}…`);
+            let content;
+            try { content = await this.readFileAsText(file); }
+            catch (err) { this.ui.setStatus(`Failed to read ${file.name}: ${err.message}`, 'error'); return; }
+
+            const parser = new DXFParser();
+            await this.addParsedShapes(file, parser.parse(content), 'DXF');
+        }
+
+        /**
+         * Plots a vector parse result and adds the shapes to the scene under a group named after the file.
+         */
+        async addParsedShapes(file, parseResult, formatName) {
             if (!parseResult.success) { this.ui.setStatus(`Parse error: ${(parseResult.errors?.join('; ')) || 'Unknown'}`, 'error'); return; }
-            if (parseResult.warnings?.length > 0) for (const w of parseResult.warnings) console.warn(`[EasyShape] SVG warning:`, w);
+            if (parseResult.warnings?.length > 0) for (const w of parseResult.warnings) console.warn(`[EasyShape] ${formatName} warning:`, w);
 
             const plotter = new ParserPlotter({ markStrokes: true });
             const plotResult = plotter.plot(parseResult);
             if (!plotResult.success) { this.ui.setStatus(`Plotter error: ${plotResult.error}`, 'error'); return; }
 
+            let primitives = plotResult.primitives;
+            if (plotResult.clipRegions && this.core.geometryProcessor) {
+                primitives = await this.core.geometryProcessor.applyClipPaths(primitives, plotResult.clipRegions);
+            }
+
             const beforeCount = this.scene.shapeCount();
-            this.scene.addShapesFromPlot(plotResult.primitives, file.name);
+            this.scene.addShapesFromPlot(primitives, file.name);
             const added = this.scene.shapeCount() - beforeCount;
 
             this.history.clear();
@@ -505,8 +537,9 @@
             const hidden = document.getElementById('file-input-hidden');
             if (importBtn && hidden) {
                 importBtn.addEventListener('click', () => {
-                    hidden.accept = '.svg';
-                    hidden.onchange = async (e) => { const f = e.target.files?.[0]; if (f) await this.importSVG(f); hidden.value = ''; };
+                    // Fonts picked here are used by text in SVGs imported afterwards
+                    hidden.accept = '.svg,.dxf,.ttf,.otf';
+                    hidden.onchange = async (e) => { const f = e.target.files?.[0]; if (f) await this.processFile(f); hidden.value = ''; };
                     hidden.click();
                     this.closeDropdown();
                 });
@@ -520,7 +553,7 @@
                     if (document.querySelector('.modal.active')) return;
                     e.preventDefault();
                     const f = e.dataTransfer.files?.[0];
-                    if (f && /\.svg$/i.test(f.name)) this.importSVG(f);
+                    if (f && /\.(svg|dxf|ttf|otf)$/i.test(f.name)) this.processFile(f);
                     else if (f) this.ui.setStatus(`Unsupported file: ${f.name}`, 'warning');
                 });
             }
@@ -586,8 +619,8 @@
                 dropZone.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); qsInput.click(); } });
                 ['dragover', 'dragenter'].forEach(ev => dropZone.addEventListener(ev, e => { e.preventDefault(); dropZone.classList.add('dragging'); }));
                 ['dragleave', 'drop'].forEach(ev => dropZone.addEventListener(ev, e => { e.preventDefault(); dropZone.classList.remove('dragging'); }));
-                dropZone.addEventListener('drop', e => { const f = e.dataTransfer.files?.[0]; if (f) { this.modalManager.closeModal(); this.importSVG(f); } });
-                qsInput.addEventListener('change', e => { const f = e.target.files?.[0]; if (f) { this.modalManager.closeModal(); this.importSVG(f); } qsInput.value = ''; });
+                dropZone.addEventListener('drop', e => { const f = e.dataTransfer.files?.[0]; if (f) { this.modalManager.closeModal(); this.processFile(f); } });
+                qsInput.addEventListener('change', e => { const f = e.target.files?.[0]; if (f) { this.modalManager.closeModal(); this.processFile(f); } qsInput.value = ''; });
             }
         }
 
@@ -159,6 +159,46 @@
                 this.closeDropdown();
             });
 
+            const importGcodeBtn = document.getElementById('toolbar-import-gcode');
+            const hidden = document.getElementById('file-input-hidden');
+            if (importGcodeBtn && hidden) {
+                importGcodeBtn.addEventListener('click', () => {
+                    hidden.accept = C.formats.gcode.extensions.join(',');
+                    hidden.onchange = async (e) => {
+                        for (const file of Array.from(e.target.files || [])) await this.importGcode(file);
+                        hidden.value = '';
+                    };
+                    hidden.click();
+                    this.closeDropdown();
+                });
+            }
+
+            document.getElementById('toolbar-clear-backplot')?.addEventListener('click', async () => {
+                const count = this.core.clearBackplots();
+                if (count > 0) {
+                    await this.ui.updateRendererAsync();
+                    this.ui.setStatus(`Removed ${count} backplot${count === 1 ? '' : 's'}`, 'info');
+                } else {
+                    this.ui.setStatus('No backplot loaded', 'info');
+                }
+                this.closeDropdown();
+            });
+
+            document.getElementById('toolbar-check-uncut')?.addEventListener('click', async () => {
+                this.closeDropdown();
+                await this.checkUncutCopper();
+            });
+
+            document.getElementById('toolbar-clear-uncut')?.addEventListener('click', async () => {
+                if (this.core.clearUncutCopper()) {
+                    await this.ui.updateRendererAsync();
+                    this.ui.setStatus('Uncut copper check cleared', 'info');
+                } else {
+                    this.ui.setStatus('No uncut copper check to clear', 'info');
+                }
+                this.closeDropdown();
+            });
+
             document.getElementById('toolbar-export-canvas')?.addEventListener('click', async () => {
                 if (!this.ui.canvasExporter) {
                     this.ui.setStatus('Canvas exporter not available', 'error');
@@ -191,11 +231,45 @@
                 e.preventDefault();
                 if (this.modalManager?.activeModal) return;
                 if (!e.target.closest('.file-drop-zone') && !e.target.closest('#file-drop-zone')) {
-                    await this.handleGlobalFileDrop(e.dataTransfer.files);
+                    const { files, fromFolder } = await this.collectDroppedFiles(e.dataTransfer);
+                    await this.handleGlobalFileDrop(files, { fromFolder });
                 }
             });
         }
 
+        /**
+         * Flattens a drop into a file list, walking into dropped folders.
+         * Falls back to dataTransfer.files where the entries API is unavailable.
+         */
+        async collectDroppedFiles(dataTransfer) {
+            const items = Array.from(dataTransfer.items || []);
+            const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+            if (entries.length === 0 || !entries.some(entry => entry.isDirectory)) {
+                return { files: Array.from(dataTransfer.files), fromFolder: false };
+            }
+
+            const files = [];
+            const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            const walk = async (entry) => {
+                if (entry.isFile) {
+                    files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+                } else if (entry.isDirectory) {
+                    const reader = entry.createReader();
+                    // readEntries returns results in batches until an empty batch
+                    let batch;
+                    do {
+                        batch = await readEntries(reader);
+                        for (const child of batch) await walk(child);
+                    } while (batch.length > 0);
+                }
+            };
+
+            for (const entry of entries) {
+                try { await walk(entry); } catch (e) { console.warn(`Could not read dropped entry ${entry.name}:`, e); }
+            }
+            return { files, fromFolder: true };
+        }
+
         returnFocusToTree() {
             const selected = document.querySelector('.file-node-content.selected, .geometry-node-content.selected, .geometry-node.selected');
             if (selected) {
@@ -272,12 +346,22 @@
             this.ui.renderer.render();
         }
 
-        async processFile(file, type) {
+        /**
+         * @param {File} file
+         * @param {string} type - Operation type.
+         * @param {Object} [options]
+         * @param {string} [options.formatHint] - Parser extension detected from content, for files with unregistered extensions.
+         * @param {Object} [options.toolTable] - Companion Excellon tool list (ExcellonParser.parseToolTable result).
+         */
+        async processFile(file, type, options = {}) {
             if (!file || !type) { console.error('Invalid file or type provided'); return; }
-            const validation = this.core.validateFileType(file.name, type);
+            const formatHint = options.formatHint || null;
+            const validation = this.core.validateFileType(file.name, type, formatHint);
             if (validation && !validation.valid) { this.ui.setStatus(validation.message, 'error'); return; }
             const operation = this.core.createOperation(type, file);
             if (!operation) { console.error('Failed to create operation'); return; }
+            if (formatHint) operation.file.formatHint = formatHint;
+            if (options.toolTable) operation.file.toolTable = options.toolTable;
             this.ui.navTreePanel.addFileNode(operation);
             this.ui.setStatus(`${this.appProfile.ui.text.statusLoading || 'Loading...'} ${file.name}...`, 'info', true);
             const reader = new FileReader();
@@ -452,24 +536,355 @@
             });
         }
 
-        async handleGlobalFileDrop(files) {
+        /**
+         * Reads a companion tool list and re-parses the Excellon operation with its diameters.
+         * @param {Object} operation
+         * @param {File} file
+         */
+        async importToolTable(operation, file) {
+            let table = null;
+            try {
+                table = ExcellonParser.parseToolTable(await file.text());
+            } catch (e) {
+                console.warn(`Could not read ${file.name}:`, e);
+            }
+
+            if (!table) {
+                this.ui.setStatus(`${file.name}: no tool diameters found`, 'error');
+                return false;
+            }
+
+            table.name = file.name;
+            operation.file.toolTable = table;
+            return this.reparseOperation(operation, `${operation.file.name}: applied ${table.tools.length} tool(s) from ${file.name}`);
+        }
+
+        /**
+         * Parses an operation's file again (e.g. after new companion data), discarding generated geometry.
+         */
+        async reparseOperation(operation, successMessage) {
+            this.core.resetOperationState(operation.id);
+            operation.warnings = [];
+            delete operation.error;
+
+            const success = await this.core.parseOperation(operation);
+
+            const layerKeys = Array.from(this.ui.renderer.layers.keys())
+                .filter(key => key.includes(`_${operation.id}_`));
+            layerKeys.forEach(key => this.ui.renderer.layers.delete(key));
+
+            if (this.ui.navTreePanel) {
+                const fileNode = this.ui.navTreePanel.getNodeByOperationId(operation.id);
+                if (fileNode) this.ui.navTreePanel.updateFileGeometries(fileNode.id, operation);
+            }
+
+            this.core.updateBoardBounds();
+            await this.ui.updateRendererAsync();
+
+            if (success) this.ui.setStatus(successMessage, 'success');
+            else this.ui.setStatus(`Error processing ${operation.file.name}: ${operation.error}`, 'error');
+            return success;
+        }
+
+        async handleGlobalFileDrop(files, options = {}) {
             if (!this.ui) return;
-            let totalWarnings = 0, formatGuessed = false, fileCount = 0;
-            for (let file of files) {
-                const ext = file.name.toLowerCase().split('.').pop();
-                const opType = this.getOperationTypeFromExtension(ext);
-                if (opType) {
-                    if (this.initState.fullyReady) {
-                        await this.processFile(file, opType);
-                        fileCount++;
-                        const lastOp = this.core.operations[this.core.operations.length - 1];
-                        if (lastOp?.warnings?.length > 0) {
-                            totalWarnings += lastOp.warnings.length;
-                            if (lastOp.warnings.some(w => (typeof w === 'string' ? w : w.message).includes('No explicit format found'))) formatGuessed = true;
+            const { files: expanded, hadArchive } = await this.expandArchives(Array.from(files));
+
+            // Fonts are not layers, they outline SVG text
+            const fonts = expanded.filter(f => /\.(ttf|otf)$/i.test(f.name));
+            if (fonts.length > 0) {
+                let loaded = 0;
+                for (const font of fonts) if (await this.importFont(font)) loaded++;
+                if (loaded > 0) await this.reparseTextOperations();
+            }
+
+            // Neither are G-code programs, they are overlaid as a backplot
+            const programs = await this.findGcodePrograms(expanded.filter(f => !fonts.includes(f)));
+            for (const program of programs) await this.importGcode(program);
+
+            const layerFiles = expanded.filter(f => !fonts.includes(f) && !programs.includes(f));
+            if (layerFiles.length === 0) return;
+
+            const proposals = await this.detectLayerRoles(layerFiles);
+
+            // A tool list dropped on its own completes drill files that are already loaded
+            const tables = proposals.filter(p => p.toolTable && !p.operationType);
+            if (tables.length > 0 && !proposals.some(p => p.operationType === 'drill')) {
+                for (const { file, toolTable } of tables) await this.applyToolTableToLoaded(file, toolTable);
+                if (tables.length === proposals.length) return;
+            }
+
+            // Several files (a fab output folder or zip) get a confirmation dialog with the detected roles
+            if ((proposals.length > 1 || options.fromFolder || hadArchive) && this.initState.fullyReady && this.modalManager) {
+                this.modalManager.showLayerAssignment(proposals, (assignments) => {
+                    this.loadAssignedFiles(assignments).catch(error => {
+                        console.error('Failed to load assigned files:', error);
+                        this.ui.setStatus(`Failed to load files: ${error.message}`, 'error');
+                    });
+                });
+                return;
+            }
+
+            await this.loadAssignedFiles(proposals.filter(p => p.operationType));
+
+            // Without the dialog nobody sees that layers like masks or silkscreen were left out
+            const skipped = proposals.filter(p => !p.operationType && !p.toolTable);
+            if (skipped.length > 0) {
+                const list = skipped.map(p => `${p.file.name} (${p.reason})`).join(', ');
+                this.ui.setStatus(`Not loaded, no machining operation for: ${list}`, 'warning');
+            }
+        }
+
+        /**
+         * Replaces dropped .zip archives by their contained files.
+         * Directories, dot-files and macOS resource forks are skipped, nested archives are not opened.
+         * @returns {Promise<{files: File[], hadArchive: boolean}>}
+         */
+        async expandArchives(files) {
+            const result = [];
+            let hadArchive = false;
+
+            for (const file of files) {
+                if (!file.name.toLowerCase().endsWith('.zip')) {
+                    result.push(file);
+                    continue;
+                }
+
+                hadArchive = true;
+                try {
+                    const zip = await ZipReader.fromFile(file);
+                    let count = 0;
+                    for (const entry of zip.getEntries()) {
+                        const baseName = entry.name.split('/').pop();
+                        if (entry.directory || !baseName || baseName.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue;
+                        if (baseName.toLowerCase().endsWith('.zip')) continue;
+
+                        try {
+                            result.push(new File([zip.extract(entry)], baseName, { lastModified: file.lastModified }));
+                            count++;
+                        } catch (e) {
+                            this.ui.setStatus(`${file.name}: skipped ${entry.name} (${e.message})`, 'warning');
                         }
-                    } else {
-                        this.pendingOperations.push({ file, opType });
                     }
+                    this.debug(`Expanded ${file.name}: ${count} file(s)`);
+                } catch (e) {
+                    console.error(`Failed to read archive ${file.name}:`, e);
+                    this.ui.setStatus(`Could not open ${file.name}: ${e.message}`, 'error');
+                }
+            }
+
+            return { files: result, hadArchive };
+        }
+
+        /**
+         * Reads each file and proposes an operation type from its content and name,
+         * falling back to the profile's extension mapping.
+         * Companion tool lists are returned without an operation type and attached to the drill proposals as toolTable.
+         * @returns {Promise<Array<{file: File, operationType: string|null, format: string|null, side: string|null, confidence: string, reason: string, toolTable?: Object}>>}
+         */
+        async detectLayerRoles(files) {
+            const detector = new LayerDetector();
+            const proposals = [];
+
+            for (const file of files) {
+                let detection = null;
+                let text = null;
+                try {
+                    text = await file.text();
+                    detection = detector.detect(file.name, text);
+                } catch (e) {
+                    console.warn(`Could not read ${file.name} for layer detection:`, e);
+                }
+
+                // Companion tool lists (Eagle .dri, Protel .drr) are not layers, they complete the drill file
+                if (text && ExcellonParser.isToolTable(text)) {
+                    const toolTable = ExcellonParser.parseToolTable(text);
+                    toolTable.name = file.name;
+                    proposals.push({ file, operationType: null, format: null, side: null, confidence: 'high', reason: `Tool table (${toolTable.tools.length} tools)`, toolTable });
+                    continue;
+                }
+
+                const proposal = {
+                    file,
+                    operationType: null,
+                    format: detection?.format || null,
+                    side: detection?.side || null,
+                    confidence: 'low',
+                    reason: detection?.reason || 'Unknown format'
+                };
+
+                if (!this.core.getParser(file.name, proposal.format)) {
+                    proposal.reason = 'Unsupported file type';
+                } else if (detection?.operationType) {
+                    proposal.operationType = detection.operationType;
+                    proposal.confidence = detection.confidence;
+                } else if (!detection || detection.confidence === 'low') {
+                    // Nothing recognized (e.g. SVG artwork) - keep the old extension based routing
+                    const byExtension = this.getOperationTypeFromExtension(file.name.toLowerCase().split('.').pop());
+                    if (byExtension) {
+                        proposal.operationType = byExtension;
+                        proposal.reason = 'File extension';
+                    }
+                }
+
+                proposals.push(proposal);
+            }
+
+            this.pairToolTables(proposals);
+            return proposals;
+        }
+
+        /**
+         * Attaches dropped tool tables to the Excellon drill files of the same drop.
+         * A table whose base name matches a drill file wins, otherwise the only table is shared.
+         */
+        pairToolTables(proposals) {
+            const tables = proposals.filter(p => p.toolTable);
+            if (tables.length === 0) return;
+
+            const baseName = (name) => name.toLowerCase().replace(/\.[^.]*$/, '');
+
+            for (const proposal of proposals) {
+                if (proposal.toolTable || proposal.operationType !== 'drill' || proposal.format !== '.drl') continue;
+                const match = tables.find(t => baseName(t.file.name) === baseName(proposal.file.name))
+                    || (tables.length === 1 ? tables[0] : null);
+                if (match) proposal.toolTable = match.toolTable;
+            }
+        }
+
+        /**
+         * Re-outlines loaded SVG files containing text after the font library changed
+         */
+        async reparseTextOperations() {
+            const targets = this.core.operations.filter(op => /\.svg$/i.test(op.file.name)
+                && typeof op.file.content === 'string' && op.file.content.includes('<text'));
+
+            for (const operation of targets) {
+                await this.reparseOperation(operation, `${operation.file.name}: text outlined with the loaded fonts`);
+            }
+        }
+
+        /**
+         * G-code extensions overlap with drill formats (.tap), so the content decides.
+         */
+        async findGcodePrograms(files) {
+            const extensions = C.formats.gcode.extensions;
+            const programs = [];
+            for (const file of files) {
+                const name = file.name.toLowerCase();
+                if (!extensions.some(ext => name.endsWith(ext))) continue;
+                try {
+                    if (GcodeParser.isGcode(await file.text())) programs.push(file);
+                } catch (e) {
+                    console.warn(`Could not read ${file.name}:`, e);
+                }
+            }
+            return programs;
+        }
+
+        /**
+         * Parses a G-code program and overlays it on the board as a backplot layer.
+         * @returns {Promise<boolean>} true when the program was added
+         */
+        async importGcode(file) {
+            let content;
+            try { content = await this.readFileAsText(file); }
+            catch (err) { this.ui.setStatus(`Failed to read ${file.name}: ${err.message}`, 'error'); return false; }
+
+            const result = new GcodeParser().parse(content);
+            if (!result.success) {
+                this.ui.setStatus(`${file.name}: ${result.errors.join('; ')}`, 'error');
+                return false;
+            }
+            result.warnings.forEach(w => console.warn(`[Backplot] ${file.name}:`, w));
+
+            this.core.addBackplot(file.name, result);
+            this.ensureCoordinateSystem();
+            await this.ui.updateRendererAsync();
+            if (this.core.operations.length === 0) {
+                this.ui.renderer.core.zoomFit(true);
+                this.ui.renderer.render();
+            }
+
+            const tools = result.plans.length;
+            const summary = `Backplot ${file.name}: ${result.stats.motionCommands} moves, ${tools} tool${tools === 1 ? '' : 's'}`;
+            if (result.warnings.length > 0) this.ui.setStatus(`${summary}, ${result.warnings.length} warning(s). See log.`, 'warning');
+            else this.ui.setStatus(summary, 'success');
+            return true;
+        }
+
+        /**
+         * Runs the uncut copper check over the generated isolation/clearing
+         * paths, draws the result and lists the regions in the status panel.
+         */
+        async checkUncutCopper() {
+            const generated = this.core.operations.filter(op =>
+                (op.type === 'isolation' || op.type === 'clearing') && op.offsets?.length > 0);
+            if (generated.length === 0) {
+                this.ui.setStatus('Generate isolation or clearing paths first.', 'warning');
+                return;
+            }
+
+            this.ui.showCanvasSpinner('Checking for uncut copper...');
+            let result;
+            try {
+                result = await this.core.analyzeUncutCopper();
+            } catch (error) {
+                console.error('Uncut copper check error:', error);
+                this.ui.setStatus('Uncut copper check failed: ' + error.message, 'error');
+                return;
+            } finally {
+                this.ui.hideCanvasSpinner();
+            }
+
+            await this.ui.updateRendererAsync();
+            this.ui.showUncutCopperList();
+
+            const skippedNote = result.skipped.length > 0
+                ? ` Skipped ${result.skipped.join(', ')} (hatch/filled or needs regenerating).`
+                : '';
+            const count = result.residuals.length;
+            if (count === 0) {
+                this.ui.setStatus(`No uncut copper in ${result.checked.join(', ') || 'the generated paths'}.${skippedNote}`, result.skipped.length > 0 ? 'warning' : 'success');
+            } else {
+                this.ui.setStatus(`${count} uncut copper region${count === 1 ? '' : 's'} (${result.totalArea.toFixed(3)} mm²). Pick one in the log to zoom to it.${skippedNote}`, 'warning');
+            }
+        }
+
+        /**
+         * Applies a tool list to loaded Excellon operations that have tools without a diameter.
+         */
+        async applyToolTableToLoaded(file, toolTable) {
+            const targets = this.core.operations.filter(op => op.type === 'drill' && op.parsed?.drillData?.undefinedTools?.length > 0);
+            if (targets.length === 0) {
+                this.ui.setStatus(`${file.name}: tool table has no drill file to complete`, 'warning');
+                return;
+            }
+
+            for (const operation of targets) {
+                operation.file.toolTable = toolTable;
+                await this.reparseOperation(operation, `${operation.file.name}: applied ${toolTable.tools.length} tool(s) from ${file.name}`);
+            }
+        }
+
+        /**
+         * Creates operations for confirmed file/operation pairs.
+         * @param {Array<{file: File, operationType: string, format: string|null, toolTable?: Object}>} assignments
+         */
+        async loadAssignedFiles(assignments) {
+            let totalWarnings = 0, formatGuessed = false, fileCount = 0;
+            for (const { file, operationType, format, toolTable } of assignments) {
+                if (!operationType) continue;
+                if (this.initState.fullyReady) {
+                    await this.processFile(file, operationType, { formatHint: format, toolTable });
+                    fileCount++;
+                    const lastOp = this.core.operations[this.core.operations.length - 1];
+                    if (lastOp?.warnings?.length > 0) {
+                        totalWarnings += lastOp.warnings.length;
+                        if (lastOp.warnings.some(w => (typeof w === 'string' ? w : w.message).includes('No explicit format found'))) formatGuessed = true;
+                    }
+                } else {
+                    this.pendingOperations.push({ file, opType: operationType, formatHint: format, toolTable });
                 }
             }
             if (this.pendingOperations.length === 0 && this.initState.fullyReady) {
@@ -498,7 +913,7 @@
         async processPendingOperations() {
             if (this.pendingOperations.length === 0) return;
             this.debug(`Processing ${this.pendingOperations.length} pending files...`);
-            for (let op of this.pendingOperations) await this.processFile(op.file, op.opType);
+            for (let op of this.pendingOperations) await this.processFile(op.file, op.opType, { formatHint: op.formatHint, toolTable: op.toolTable });
             this.pendingOperations = [];
         }
 
@@ -29,6 +29,10 @@
             this.sceneInteraction = null;
             this.updatePending = false;
             this.updateQueued = false;
+
+            // Finding layer shown in the status panel list, and the picked entry
+            this.listedFindings = null;
+            this.findingHighlight = null;
         }
 
         async init() {
@@ -119,7 +123,7 @@
         shouldRenderPrimitive(primitive, layerType) {
             if (primitive.properties?.isFused) return true;
             const role = primitive.properties?.role;
-            if (role === 'drill_slot' || role === 'drill_milling_path' || role === 'peck_mark') return true;
+            if (role === 'drill_slot' || role === 'drill_route' || role === 'drill_milling_path' || role === 'peck_mark') return true;
             const opts = this.renderer.options;
             if (primitive.properties?.isCutout || layerType === 'cutout') return opts.showCutouts;
             if (primitive.properties?.isRegion) return opts.showRegions;
@@ -135,6 +139,7 @@
         initializeSceneListeners() {
             if (!this.scene) { console.warn('[cam-ui] core.scene missing'); return; }
             this.scene.addTransformListener((change) => {
+                this.updateBackplotTransforms();
                 if (this.renderer) this.renderer.render();
                 if (debugState.enabled) this.debug(`[scene] transform change: ${change.action}`);
             });
@@ -331,6 +336,10 @@
                 if (this.renderer.options.fuseGeometry) await this.performFusion();
                 else this.addIndividualLayers();
                 this.addOffsetLayers();
+                this.addBackplotLayers();
+                this.addUncutCopperLayer();
+                this.addClearanceLayers();
+                this.syncFindingsList();
                 this.renderer.render();
                 this.updateOriginDisplay();
                 this.updateStatistics();
@@ -486,6 +495,129 @@
             });
         }
 
+        /**
+         * Imported G-code is in machine coordinates. Mapping it back through the
+         * inverse machine matrix places it where a program exported with the current
+         * origin, rotation and mirror would cut.
+         */
+        getBackplotTransform() {
+            return TransformMath.invert(this.core.getTransforms().machineMatrix) || TransformMath.identity();
+        }
+
+        addBackplotLayers() {
+            if (!this.core.backplots.length) return;
+            const transform = this.getBackplotTransform();
+            this.core.backplots.forEach(backplot => {
+                if (!backplot.primitives.length) return;
+                this.renderer.addLayer(window.LayerNaming.backplot(backplot.id), backplot.primitives, {
+                    type: 'backplot', visible: backplot.visible, transform,
+                    bounds: backplot.bounds ? TransformMath.transformBounds(transform, backplot.bounds) : null,
+                    metadata: { name: backplot.name },
+                    zIndex: this.getLayerZIndex('backplot')
+                });
+            });
+        }
+
+        /**
+         * Uncut copper check result. Regenerating or removing an operation
+         * drops the result in core, which also takes the jump list down.
+         */
+        addUncutCopperLayer() {
+            const result = this.core.uncutCopper;
+            if (!result || result.residuals.length === 0) return;
+            this.addFindingLayer(window.LayerNaming.residual(), 'residual', result.residuals.map(r => r.primitive));
+        }
+
+        addClearanceLayers() {
+            for (const operation of this.core.operations) {
+                const check = operation.clearanceCheck;
+                if (!check || check.violations.length === 0) continue;
+                this.addFindingLayer(window.LayerNaming.clearance(operation.id), 'clearance', check.violations.map(v => v.primitive));
+            }
+        }
+
+        addFindingLayer(name, type, primitives) {
+            this.renderer.addLayer(name, primitives, {
+                type, visible: true,
+                metadata: { highlightIndex: this.listedFindings === name ? this.findingHighlight : null },
+                zIndex: this.getLayerZIndex(type)
+            });
+        }
+
+        // The listed findings went away with their check (paths regenerated, operation removed)
+        syncFindingsList() {
+            if (this.listedFindings && !this.renderer.layers.has(this.listedFindings)) {
+                this.statusManager?.clearFindings();
+                this.listedFindings = null;
+            }
+        }
+
+        /**
+         * Lists the regions of a finding layer in the status panel. Picking one
+         * frames it on the canvas and rings it.
+         *
+         * @param {string} layerName - Layer holding the regions (LayerNaming)
+         * @param {string} title
+         * @param {Array} items - [{ label, bounds }] in layer findingIndex order
+         */
+        listFindings(layerName, title, items) {
+            this.findingHighlight = null;
+            if (items.length === 0) {
+                this.statusManager?.clearFindings();
+                this.listedFindings = null;
+                return;
+            }
+
+            const minFrame = C.renderer.zoom.findingFrameSize;
+            this.statusManager?.showFindings(title, items, (item, index) => {
+                this.findingHighlight = index;
+                const layer = this.renderer.layers.get(layerName);
+                if (layer) layer.metadata.highlightIndex = index;
+                this.renderer.core.zoomToBounds(item.bounds, minFrame);
+                this.renderer.render();
+                this.canvasReadout?.updateZoom();
+            });
+            this.listedFindings = layerName;
+        }
+
+        showUncutCopperList() {
+            const residuals = this.core.uncutCopper?.residuals || [];
+            const items = residuals.map((r, i) => ({
+                label: `#${i + 1}  ${r.area.toFixed(3)} mm²  X${r.machineCenter.x.toFixed(2)} Y${r.machineCenter.y.toFixed(2)}`,
+                bounds: r.bounds
+            }));
+            this.listFindings(window.LayerNaming.residual(), `Uncut copper: ${items.length} region${items.length === 1 ? '' : 's'}`, items);
+        }
+
+        showClearanceList(operation) {
+            const check = operation?.clearanceCheck;
+            const violations = check?.violations || [];
+            const netLabel = (nets) => nets.length > 0 ? nets.join(',') : 'no net';
+            const items = violations.map((v, i) => {
+                const nets = v.nets[0].length > 0 || v.nets[1].length > 0
+                    ? `  ${netLabel(v.nets[0])} / ${netLabel(v.nets[1])}`
+                    : '';
+                return {
+                    label: `#${i + 1}  gap ${v.gap.toFixed(3)} mm${nets}  X${v.machineCenter.x.toFixed(2)} Y${v.machineCenter.y.toFixed(2)}`,
+                    bounds: v.bounds
+                };
+            });
+
+            const fits = check?.suggestion ? ` (fits: ${check.suggestion.name})` : '';
+            const title = `Clearance below ${check?.toolWidth.toFixed(3)} mm: ${items.length} gap${items.length === 1 ? '' : 's'}${fits}`;
+            this.listFindings(window.LayerNaming.clearance(operation?.id), title, items);
+        }
+
+        updateBackplotTransforms() {
+            if (!this.renderer || !this.core.backplots.length) return;
+            const transform = this.getBackplotTransform();
+            this.core.backplots.forEach(backplot => {
+                if (!backplot.bounds) return;
+                this.renderer.updateLayerTransform(window.LayerNaming.backplot(backplot.id), transform,
+                    TransformMath.transformBounds(transform, backplot.bounds));
+            });
+        }
+
         // ═══════════════════════════════════════════════════════════════
         // Display updates
         // ═══════════════════════════════════════════════════════════════
@@ -42,6 +42,8 @@
 
             const paramDef = this.parameterManager.parameterDefinitions[paramName];
             if (!paramDef || (paramDef.stage !== 'geometry' && paramDef.stage !== 'strategy')) return;
+            // Laser power/speed only reach the export, the generated paths stay valid
+            if (paramDef.invalidatesGeometry === false) return;
 
             if (!this.ui.ctrl.core?.isExportReady(operation)) return;
 
@@ -152,6 +154,11 @@
                 container.appendChild(this.createActionButton(actionText));
             }
 
+            // Rest machining can reference any other clearing operation
+            if (operation.type === 'clearing' && stage === 'geometry') {
+                this.populateRestMachiningSources(operation, values.restMachiningFrom);
+            }
+
             // Disable Drill Exclude if no drill operation is loaded
             if (operation.type === 'stencil' && stage === 'geometry') {
                 const hasDrill = this.core.operations.some(op => op.type === 'drill' && op.primitives?.length > 0);
@@ -167,6 +174,26 @@
             }
         }
 
+        /**
+         * Appends the other clearing operations to the rest machining select.
+         * Generated ones show their tool so the larger tool is easy to pick.
+         */
+        populateRestMachiningSources(operation, selectedId) {
+            const select = document.getElementById('prop-restMachiningFrom');
+            if (!select) return;
+
+            for (const other of this.core.operations) {
+                if (other.type !== 'clearing' || other.id === operation.id) continue;
+
+                const diameter = other.offsets?.[0]?.metadata?.toolDiameter;
+                const option = document.createElement('option');
+                option.value = other.id;
+                option.textContent = diameter ? `${other.file.name} (${diameter}mm)` : other.file.name;
+                if (other.id === selectedId) option.selected = true;
+                select.appendChild(option);
+            }
+        }
+
         // ═══════════════════════════════════════════════════════════════
         // Action Dispatch
         // ═══════════════════════════════════════════════════════════════
@@ -185,6 +212,40 @@
             return null;
         }
 
+        /**
+         * Isolation runs its clearance check first, so narrow gaps are on the
+         * canvas and in the log before the offsets are built.
+         */
+        async runGeneration(operationId) {
+            const operation = this.core.getOperation(operationId);
+            if (operation?.type === 'isolation') await this.runClearanceCheck(operation);
+            return super.runGeneration(operationId);
+        }
+
+        async runClearanceCheck(operation) {
+            operation.clearanceCheck = null;
+
+            // Laser halos have no cutter width to check against
+            const params = this.parameterManager.getAllParameters(operation.id);
+            if (params.checkClearance === false || this.ui.ctrl.isLaserPipeline?.()) return;
+
+            this.ui.showCanvasSpinner?.('Checking clearances...');
+            let check = null;
+            try {
+                check = await this.core.checkIsolationClearance(operation.id, params);
+            } catch (error) {
+                // A failed check must not block generation
+                console.warn('[TraceOperationPanel] Clearance check failed:', error);
+            }
+
+            if (check?.violations.length > 0) {
+                await this.ui.updateRendererAsync();
+                this.ui.showClearanceList(operation);
+                this.ui.setStatus(`${check.summary}. Generating offsets...`, 'warning');
+            }
+            this.ui.showCanvasSpinner?.(this.getSpinnerLabel('geometry', operation.type));
+        }
+
         async onGenerationSuccess(opId, operation) {
             const isLaser = this.ui.ctrl.isLaserPipeline?.() || false;
             const isStencil = operation.type === 'stencil';
@@ -325,6 +386,55 @@
             return panel;
         }
 
+        /**
+         * Excellon tool source line with an import button for a companion tool list (Eagle .dri, Protel .drr).
+         */
+        createToolTableLine(operation, tools) {
+            const line = document.createElement('div');
+            const missing = tools.undefinedTools.length;
+            line.className = missing > 0 ? 'summary-line summary-warning' : 'summary-line';
+
+            // Tool codes and the table name come from the files, so they stay text
+            const text = document.createElement('span');
+            const label = document.createElement('strong');
+            label.textContent = 'Tools:';
+            text.appendChild(label);
+            if (missing > 0) {
+                text.appendChild(document.createTextNode(` ${tools.undefinedTools.join(', ')} without diameter (placeholder used)`));
+            } else if (tools.tableName) {
+                text.appendChild(document.createTextNode(` ${tools.count} from ${tools.tableName}`));
+            } else {
+                text.appendChild(document.createTextNode(` ${tools.count} defined in file`));
+            }
+            line.appendChild(text);
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.dri,.drr,.rep,.txt,.tools,.drl';
+            input.style.display = 'none';
+            input.onchange = async () => {
+                const file = input.files[0];
+                input.value = '';
+                if (!file || !await this.ui.ctrl.importToolTable(operation, file)) return;
+                const container = this.getFormContainer();
+                if (container && this.currentOperationId === operation.id) {
+                    this.showOperationProperties(container, operation, this.currentStage);
+                }
+            };
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn--secondary btn--compact';
+            button.textContent = 'Import tool table…';
+            button.title = 'Load the tool list that came with the drill file';
+            button.style.marginLeft = 'var(--spacing-sm)';
+            button.onclick = () => input.click();
+
+            line.appendChild(button);
+            line.appendChild(input);
+            return line;
+        }
+
         /**
          * Creates a read-only geometry summary panel showing source geometry info.
          * Visible for all operation types when source geometry stage is selected.
@@ -390,6 +500,10 @@
                 }
             }
 
+            if (summary.excellonTools) {
+                info.appendChild(this.createToolTableLine(operation, summary.excellonTools));
+            }
+
             if (summary.isDrill && !summary.drillSummary && summary.byRole) {
                 const roleEntries = Object.entries(summary.byRole)
                     .map(([role, count]) => `${count} ${role.replace('drill_', '').replace('_', ' ')}${count > 1 ? 's' : ''}`)
@@ -488,6 +602,13 @@
                 <div><strong>Path count:</strong> ${primCount}</div>
             `;
 
+            // Only written into LightBurn / EZCAD exports; other formats leave it to the laser software
+            const laserFormat = this.core.settings.laser?.exportFormat;
+            if (!isStencil && (laserFormat === 'lbrn2' || laserFormat === 'ezcad')) {
+                const s = this.parameterManager.getAllParameters(operation.id);
+                html += `<div><strong>Power / Speed:</strong> ${s.laserPower ?? '-'}% @ ${s.laserSpeed ?? '-'} mm/s, ${s.laserRepeat ?? 1}x</div>`;
+            }
+
             // Carry skipped pad metrics forward so they aren't hidden on the previous tab
             if (isStencil) {
                 const skipped = operation.offsets?.[0]?.metadata?.skippedPads || operation.stencilMetadata?.skippedPads || 0;
@@ -0,0 +1,460 @@
+/*!
+ * @file        export/dxf-exporter.js
+ * @description DXF (R12) writer for geometry review in CAD
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const D = window.CAMConfig.defaults;
+    const debugState = D.debug;
+
+    /**
+     * Writes AutoCAD R12 (AC1009) ASCII DXF, the version every CAD package and fab
+     * viewer still reads. Layer kinds:
+     *
+     *   'geometry'  primitives as LINE / ARC / CIRCLE, arcs taken from arcSegments
+     *   'preview'   primitives as 2D POLYLINE with bulge arcs and the tool diameter as width
+     *   'holes'     drill holes as CIRCLE
+     *   'toolpath'  machine plans as 3D POLYLINE (rapids and cuts on separate layers)
+     *
+     * Geometry is mapped through options.matrix; toolpath plans are already in machine coordinates.
+     */
+    class DXFExporter {
+        constructor() {
+            this.DECIMAL = 4;
+            this.ARC_TOLERANCE = 0.005;     // mm chord error for G2/G3 in 3D polylines (no bulges in 3D)
+            this.EPSILON = C.precision.coordinate;
+            this.graphics = new GraphicsExporter();
+        }
+
+        /**
+         * @param {Array} layers - [{ name, color, kind, primitives?, width?, plans? }]
+         * @param {Object} [options]
+         * @param {Object} [options.matrix] - Affine matrix applied to primitives
+         * @param {boolean} [options.includeComments]
+         * @param {string[]} [options.commentBlock]
+         * @returns {{ blob: Blob, entityCount: number }}
+         */
+        async generate(layers, options = {}) {
+            const mat = options.matrix || { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+            this.mirrored = (mat.a * mat.d - mat.b * mat.c) < 0;
+
+            this.entities = [];
+            this.entityCount = 0;
+            this.bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+            const tableLayers = [];
+            for (const layer of layers) {
+                const before = this.entityCount;
+
+                switch (layer.kind) {
+                    case 'preview':
+                        this.writePreview(layer.name, layer.primitives || [], layer.width || 0, mat);
+                        break;
+                    case 'holes':
+                        this.writeHoles(layer.name, layer.primitives || [], mat);
+                        break;
+                    case 'toolpath':
+                        this.writeToolpaths(layer.name, layer.rapidLayer, layer.plans || []);
+                        break;
+                    default:
+                        this.writeGeometry(layer.name, layer.primitives || [], mat);
+                }
+
+                if (this.entityCount > before) {
+                    tableLayers.push({ name: layer.name, color: layer.color ?? 7 });
+                    if (layer.kind === 'toolpath' && layer.rapidLayer) {
+                        tableLayers.push({ name: layer.rapidLayer, color: layer.rapidColor ?? 8 });
+                    }
+                }
+            }
+
+            const out = [];
+            if (options.includeComments && options.commentBlock) {
+                options.commentBlock.forEach(line => out.push('999', line));
+            }
+
+            const b = isFinite(this.bounds.minX) ? this.bounds : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+            // R12 has no units header variable ($INSUNITS is R2000+), so the drawing is plain mm
+            out.push(
+                '0', 'SECTION', '2', 'HEADER',
+                '9', '$ACADVER', '1', 'AC1009',
+                '9', '$EXTMIN', '10', this.fmt(b.minX), '20', this.fmt(b.minY), '30', '0',
+                '9', '$EXTMAX', '10', this.fmt(b.maxX), '20', this.fmt(b.maxY), '30', '0',
+                '0', 'ENDSEC'
+            );
+
+            out.push(
+                '0', 'SECTION', '2', 'TABLES',
+                '0', 'TABLE', '2', 'LTYPE', '70', '1',
+                '0', 'LTYPE', '2', 'CONTINUOUS', '70', '0', '3', 'Solid line', '72', '65', '73', '0', '40', '0.0',
+                '0', 'ENDTAB',
+                '0', 'TABLE', '2', 'LAYER', '70', String(tableLayers.length)
+            );
+            for (const layer of tableLayers) {
+                out.push('0', 'LAYER', '2', layer.name, '70', '0', '62', String(layer.color), '6', 'CONTINUOUS');
+            }
+            out.push('0', 'ENDTAB', '0', 'ENDSEC');
+
+            out.push('0', 'SECTION', '2', 'ENTITIES', ...this.entities, '0', 'ENDSEC', '0', 'EOF');
+
+            this.debug(`DXF: ${this.entityCount} entities on ${tableLayers.length} layer(s)`);
+
+            return {
+                blob: new Blob([out.join('\n') + '\n'], { type: 'application/dxf' }),
+                entityCount: this.entityCount
+            };
+        }
+
+        formatNumber(value, precision) {
+            return parseFloat(value.toFixed(precision)).toString();
+        }
+
+        fmt(n) {
+            return this.formatNumber(n, this.DECIMAL);
+        }
+
+        expandBounds(x, y) {
+            if (x < this.bounds.minX) this.bounds.minX = x;
+            if (x > this.bounds.maxX) this.bounds.maxX = x;
+            if (y < this.bounds.minY) this.bounds.minY = y;
+            if (y > this.bounds.maxY) this.bounds.maxY = y;
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // Entities
+        // ────────────────────────────────────────────────────────────
+
+        addLine(layer, a, b) {
+            this.entities.push('0', 'LINE', '8', layer,
+                '10', this.fmt(a.x), '20', this.fmt(a.y), '30', '0',
+                '11', this.fmt(b.x), '21', this.fmt(b.y), '31', '0');
+            this.expandBounds(a.x, a.y);
+            this.expandBounds(b.x, b.y);
+            this.entityCount++;
+        }
+
+        addCircle(layer, center, radius) {
+            this.entities.push('0', 'CIRCLE', '8', layer,
+                '10', this.fmt(center.x), '20', this.fmt(center.y), '30', '0',
+                '40', this.fmt(radius));
+            this.expandBounds(center.x - radius, center.y - radius);
+            this.expandBounds(center.x + radius, center.y + radius);
+            this.entityCount++;
+        }
+
+        /** DXF arcs always run counter-clockwise from start angle to end angle (degrees). */
+        addArc(layer, seg) {
+            const startAngle = Math.atan2(seg.start.y - seg.center.y, seg.start.x - seg.center.x);
+            const endAngle = Math.atan2(seg.end.y - seg.center.y, seg.end.x - seg.center.x);
+            const [from, to] = seg.sweep > 0 ? [startAngle, endAngle] : [endAngle, startAngle];
+            const deg = (a) => this.fmt(((a * 180 / Math.PI) % 360 + 360) % 360);
+
+            this.entities.push('0', 'ARC', '8', layer,
+                '10', this.fmt(seg.center.x), '20', this.fmt(seg.center.y), '30', '0',
+                '40', this.fmt(seg.radius),
+                '50', deg(from), '51', deg(to));
+            this.expandBounds(seg.start.x, seg.start.y);
+            this.expandBounds(seg.end.x, seg.end.y);
+            this.entityCount++;
+        }
+
+        /**
+         * @param {Array<{x, y, bulge?}>} vertices
+         * @param {Object} [opts] - { closed, width, is3d }
+         */
+        addPolyline(layer, vertices, opts = {}) {
+            if (vertices.length < 2) return;
+
+            const flags = (opts.closed ? 1 : 0) | (opts.is3d ? 8 : 0);
+            this.entities.push('0', 'POLYLINE', '8', layer, '66', '1',
+                '10', '0', '20', '0', '30', '0', '70', String(flags));
+            if (opts.width > 0) {
+                this.entities.push('40', this.fmt(opts.width), '41', this.fmt(opts.width));
+            }
+
+            for (const v of vertices) {
+                this.entities.push('0', 'VERTEX', '8', layer,
+                    '10', this.fmt(v.x), '20', this.fmt(v.y), '30', this.fmt(v.z || 0));
+                if (v.bulge) this.entities.push('42', this.formatNumber(v.bulge, 6));
+                if (opts.is3d) this.entities.push('70', '32');
+                this.expandBounds(v.x, v.y);
+            }
+            this.entities.push('0', 'SEQEND', '8', layer);
+            this.entityCount++;
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // Primitive Decomposition
+        // ────────────────────────────────────────────────────────────
+
+        /**
+         * Splits a primitive into transformed contours of line/arc segments.
+         * Analytic circles and arcs stay analytic; other shapes go through
+         * GeometryUtils.primitiveToPath() first.
+         * @returns {Array<{segments: Array, closed: boolean}>}
+         */
+        decompose(prim, mat) {
+            if (prim.type === 'circle' && prim.center && prim.radius) {
+                const center = this.graphics.tx(prim.center.x, prim.center.y, mat);
+                const start = this.graphics.tx(prim.center.x + prim.radius, prim.center.y, mat);
+                return [{
+                    segments: [{ type: 'arc', center, radius: prim.radius, start, end: start, sweep: 2 * Math.PI }],
+                    closed: true
+                }];
+            }
+
+            if (prim.type === 'arc' && prim.center && prim.radius) {
+                let sweep = prim.endAngle - prim.startAngle;
+                if (prim.clockwise && sweep > 0) sweep -= 2 * Math.PI;
+                if (!prim.clockwise && sweep < 0) sweep += 2 * Math.PI;
+                const p = (a) => this.graphics.tx(prim.center.x + prim.radius * Math.cos(a), prim.center.y + prim.radius * Math.sin(a), mat);
+                return [{
+                    segments: [{
+                        type: 'arc',
+                        center: this.graphics.tx(prim.center.x, prim.center.y, mat),
+                        radius: prim.radius,
+                        start: p(prim.startAngle),
+                        end: p(prim.endAngle),
+                        sweep: this.mirrored ? -sweep : sweep
+                    }],
+                    closed: false
+                }];
+            }
+
+            let path = prim;
+            if (prim.type !== 'path') {
+                path = typeof GeometryUtils !== 'undefined' ? GeometryUtils.primitiveToPath(prim) : null;
+                if (Array.isArray(path)) return path.flatMap(p => this.decompose(p, mat));
+                if (!path) return [];
+            }
+            if (!path.contours) return [];
+
+            const props = path.properties || {};
+            const isStroke = (props.stroke && !props.fill) || props.isTrace;
+            const result = [];
+
+            for (const contour of path.contours) {
+                const pts = contour.points;
+                if (!pts || pts.length < 2) continue;
+
+                const arcMap = this.graphics.buildArcMap(contour, path.arcSegments);
+                const segments = [];
+                let i = 1;
+                while (i < pts.length) {
+                    const arc = arcMap.get(i - 1);
+
+                    if (arc && arc.endIndex < pts.length && arc.endIndex > i - 1) {
+                        const sweep = this.graphics.getArcSweep(arc);
+                        segments.push({
+                            type: 'arc',
+                            center: this.graphics.tx(arc.center.x, arc.center.y, mat),
+                            radius: arc.radius,
+                            start: this.graphics.tx(pts[i - 1].x, pts[i - 1].y, mat),
+                            end: this.graphics.tx(pts[arc.endIndex].x, pts[arc.endIndex].y, mat),
+                            sweep: this.mirrored ? -sweep : sweep
+                        });
+                        i = arc.endIndex + 1;
+                    } else {
+                        segments.push({
+                            type: 'line',
+                            start: this.graphics.tx(pts[i - 1].x, pts[i - 1].y, mat),
+                            end: this.graphics.tx(pts[i].x, pts[i].y, mat)
+                        });
+                        i++;
+                    }
+                }
+
+                const closed = !isStroke && props.closed !== false && pts.length > 2;
+                if (closed && segments.length > 0) {
+                    const first = segments[0].start;
+                    const last = segments[segments.length - 1].end;
+                    if (Math.hypot(last.x - first.x, last.y - first.y) > this.EPSILON) {
+                        segments.push({ type: 'line', start: last, end: first });
+                    }
+                }
+                result.push({ segments, closed });
+            }
+            return result;
+        }
+
+        isFullCircle(seg) {
+            return Math.abs(seg.sweep) >= Math.PI * 1.99;
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // Layer Writers
+        // ────────────────────────────────────────────────────────────
+
+        writeGeometry(layer, primitives, mat) {
+            for (const prim of primitives) {
+                for (const contour of this.decompose(prim, mat)) {
+                    for (const seg of contour.segments) {
+                        if (seg.type === 'line') {
+                            if (Math.hypot(seg.end.x - seg.start.x, seg.end.y - seg.start.y) > this.EPSILON) {
+                                this.addLine(layer, seg.start, seg.end);
+                            }
+                        } else if (this.isFullCircle(seg)) {
+                            this.addCircle(layer, seg.center, seg.radius);
+                        } else {
+                            this.addArc(layer, seg);
+                        }
+                    }
+                }
+            }
+        }
+
+        writeHoles(layer, primitives, mat) {
+            for (const prim of primitives) {
+                if (!prim.center || !prim.radius) continue;
+                this.addCircle(layer, this.graphics.tx(prim.center.x, prim.center.y, mat), prim.radius);
+            }
+        }
+
+        /**
+         * Tool-width preview: each contour becomes one POLYLINE whose constant width
+         * is the tool diameter. Arcs stay exact as vertex bulges (tan(sweep / 4));
+         * full circles are written as two half-circle bulges.
+         */
+        writePreview(layer, primitives, width, mat) {
+            for (const prim of primitives) {
+                const primWidth = prim.properties?.toolDiameter || width;
+
+                for (const contour of this.decompose(prim, mat)) {
+                    const vertices = [];
+                    for (const seg of contour.segments) {
+                        if (seg.type === 'arc' && this.isFullCircle(seg)) {
+                            const mid = { x: 2 * seg.center.x - seg.start.x, y: 2 * seg.center.y - seg.start.y };
+                            const bulge = Math.sign(seg.sweep);
+                            vertices.push({ ...seg.start, bulge }, { ...mid, bulge });
+                        } else {
+                            vertices.push({ ...seg.start, bulge: seg.type === 'arc' ? Math.tan(seg.sweep / 4) : 0 });
+                        }
+                    }
+
+                    if (contour.closed) {
+                        // Each vertex is a segment start; the closed flag draws the last segment back to the first
+                        this.addPolyline(layer, vertices, { closed: true, width: primWidth });
+                    } else {
+                        const end = contour.segments[contour.segments.length - 1]?.end;
+                        if (end) vertices.push({ ...end, bulge: 0 });
+                        this.addPolyline(layer, vertices, { width: primWidth });
+                    }
+                }
+            }
+        }
+
+        /**
+         * Replays machine plans into 3D polylines. Cutting moves (feeds, plunges,
+         * arcs, canned-cycle feeds) go to `layer`, rapids to `rapidLayer`.
+         * Arcs are flattened to ARC_TOLERANCE since R12 3D polylines have no bulges.
+         */
+        writeToolpaths(layer, rapidLayer, plans) {
+            const pos = { x: null, y: null, z: null };
+            let run = [];
+            let runIsRapid = null;
+
+            const known = () => pos.x !== null && pos.y !== null && pos.z !== null;
+            const flush = () => {
+                if (run.length >= 2) {
+                    const target = runIsRapid ? rapidLayer : layer;
+                    if (target) this.addPolyline(target, run, { is3d: true });
+                }
+                run = [];
+            };
+            const moveTo = (x, y, z, isRapid) => {
+                const wasKnown = known();
+                const from = { x: pos.x, y: pos.y, z: pos.z };
+                pos.x = x ?? pos.x;
+                pos.y = y ?? pos.y;
+                pos.z = z ?? pos.z;
+                if (!wasKnown || !known()) return;
+
+                if (isRapid !== runIsRapid) {
+                    flush();
+                    runIsRapid = isRapid;
+                }
+                if (run.length === 0) run.push(from);
+                run.push({ x: pos.x, y: pos.y, z: pos.z });
+            };
+
+            for (const plan of plans) {
+                for (const cmd of plan.commands || []) {
+                    switch (cmd.type) {
+                        case 'RAPID':
+                        case 'RETRACT':
+                            moveTo(cmd.x, cmd.y, cmd.z, true);
+                            break;
+
+                        case 'LINEAR':
+                        case 'PLUNGE':
+                            moveTo(cmd.x, cmd.y, cmd.z, false);
+                            break;
+
+                        case 'ARC_CW':
+                        case 'ARC_CCW': {
+                            if (!known()) {
+                                moveTo(cmd.x, cmd.y, cmd.z, false);
+                                break;
+                            }
+                            const start = { x: pos.x, y: pos.y, z: pos.z };
+                            const end = { x: cmd.x ?? pos.x, y: cmd.y ?? pos.y, z: cmd.z ?? pos.z };
+                            for (const p of this.flattenArc(start, end, cmd.i || 0, cmd.j || 0, cmd.type === 'ARC_CW')) {
+                                moveTo(p.x, p.y, p.z, false);
+                            }
+                            break;
+                        }
+
+                        case 'CANNED_SIMPLE':
+                        case 'CANNED_PECK': {
+                            const rPlane = cmd.retract ?? pos.z;
+                            moveTo(cmd.x, cmd.y, null, true);
+                            moveTo(null, null, rPlane, true);
+                            moveTo(null, null, cmd.z, false);
+                            moveTo(null, null, cmd.returnZ ?? rPlane, true);
+                            break;
+                        }
+
+                        default:
+                            break;
+                    }
+                }
+            }
+            flush();
+        }
+
+        /** Points along a G2/G3 move (excluding the start), Z interpolated for helices. */
+        flattenArc(start, end, i, j, clockwise) {
+            const center = { x: start.x + i, y: start.y + j };
+            const radius = Math.hypot(i, j);
+            const a0 = Math.atan2(start.y - center.y, start.x - center.x);
+            const a1 = Math.atan2(end.y - center.y, end.x - center.x);
+
+            let sweep = a1 - a0;
+            if (clockwise && sweep >= 0) sweep -= 2 * Math.PI;
+            if (!clockwise && sweep <= 0) sweep += 2 * Math.PI;
+
+            const sampled = this.graphics.sampleArc(center, radius, a0, sweep, this.ARC_TOLERANCE, Math.PI / 8);
+            const steps = sampled.length - 1;
+            const points = sampled.slice(1, -1).map((p, s) => ({ ...p, z: start.z + (end.z - start.z) * (s + 1) / steps }));
+            points.push(end);
+            return points;
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[DXFExporter] ${message}`, data)
+                 : console.log(`[DXFExporter] ${message}`);
+        }
+    }
+
+    window.DXFExporter = DXFExporter;
+})();
@@ -17,6 +17,11 @@
     const PRECISION = C.precision.coordinate;
     const EPSILON = C.precision.epsilon;
 
+    // Plans the machine processor inserts around operations; they carry no cutting parameters of their own
+    const SYNTHETIC_PLAN_IDS = new Set(['init', 'connection', 'entry', 'retract', 'final', 'staydown_plunge', 'depth_plunge']);
+    // Synthetic plans that finish the previous operation rather than lead into the next one
+    const TRAILING_PLAN_IDS = new Set(['retract', 'final']);
+
     class GCodeGenerator {
         constructor(config) {
             this.config = config;
@@ -24,8 +29,10 @@
             this.currentProcessor = null;
             this.core = null;
             this.untransformedPosition = { x: 0, y: 0, z: 0 };
+            this.commandStream = [];
 
             this.registerDefaultProcessors();
+            this.loadUserProcessors();
         }
 
         setCore(coreInstance) {
@@ -68,6 +75,71 @@
             this.processors.set(name.toLowerCase(), processor);
         }
 
+        // ====================================================================
+        // User-defined (template) processors
+        // ====================================================================
+
+        /**
+         * Registers the template processors saved in localStorage. Broken entries are skipped, not fatal.
+         */
+        loadUserProcessors() {
+            if (typeof TemplatePostProcessor === 'undefined') return;
+
+            for (const template of this.getUserProcessorTemplates()) {
+                try {
+                    const processor = new TemplatePostProcessor(template);
+                    this.registerProcessor(processor.name, processor);
+                } catch (error) {
+                    console.warn(`[GCodeGenerator] Skipping saved post-processor '${template?.label}':`, error.message);
+                }
+            }
+        }
+
+        /**
+         * Returns the saved template documents (normalized copies are not guaranteed).
+         */
+        getUserProcessorTemplates() {
+            try {
+                const raw = localStorage.getItem(C.storageKeys.postProcessors);
+                const list = raw ? JSON.parse(raw) : [];
+                return Array.isArray(list) ? list : [];
+            } catch (error) {
+                console.warn('[GCodeGenerator] Could not read saved post-processors:', error);
+                return [];
+            }
+        }
+
+        /**
+         * Validates, registers and persists a template. Replaces any saved template with the same id.
+         * @param {Object|string} template - template document or its JSON text
+         * @returns {string} registry key of the processor
+         * @throws {Error} when the template is invalid
+         */
+        saveUserProcessor(template) {
+            const processor = new TemplatePostProcessor(template);
+            const doc = processor.template;
+
+            const list = this.getUserProcessorTemplates().filter(t => t?.id !== doc.id);
+            list.push(doc);
+            localStorage.setItem(C.storageKeys.postProcessors, JSON.stringify(list));
+
+            this.registerProcessor(processor.name, processor);
+            return processor.name;
+        }
+
+        /**
+         * Unregisters and forgets a template processor by registry key.
+         */
+        removeUserProcessor(name) {
+            const processor = this.getProcessor(name);
+            if (!processor?.descriptor?.isUserDefined) return false;
+
+            const list = this.getUserProcessorTemplates().filter(t => t?.id !== processor.template.id);
+            localStorage.setItem(C.storageKeys.postProcessors, JSON.stringify(list));
+            this.processors.delete(name.toLowerCase());
+            return true;
+        }
+
         getProcessor(name) {
             return this.processors.get(name.toLowerCase());
         }
@@ -119,6 +191,19 @@
             return desc?.defaults?.endCode ?? '';
         }
 
+        /**
+         * Resolves the effective line numbering settings for a processor.
+         * Priority: user override fields > processor factory default.
+         */
+        resolveLineNumbers(processorName, userOverride) {
+            const desc = this.getProcessorInfo(processorName);
+            const defaults = desc?.defaults?.lineNumbers || { enabled: false };
+            if (!userOverride || typeof userOverride !== 'object') {
+                return { ...defaults };
+            }
+            return { ...defaults, ...userOverride };
+        }
+
         generate(toolpathPlans, options) {
             if (!toolpathPlans || toolpathPlans.length === 0) {
                 return '; No toolpath data available';
@@ -133,6 +218,7 @@
 
             this.currentProcessor.resetState();
             this.untransformedPosition = { x: 0, y: 0, z: 0 };
+            this.commandStream = [];
 
             // Shallow clone
             options = { ...options };
@@ -201,8 +287,9 @@
 
             // Pass the first operational plan to the header for feed rate setup
             // Skip synthetic plans (init, connection, entry, retract, final) that don't carry real cutting parameters.
-            const syntheticIds = new Set(['init', 'connection', 'entry', 'retract', 'final']);
-            options.firstPlan = toolpathPlans.find(p => !syntheticIds.has(p.operationId)) || toolpathPlans[0];
+            options.firstPlan = toolpathPlans.find(p => !SYNTHETIC_PLAN_IDS.has(p.operationId)) || toolpathPlans[0];
+            const ownerPlans = this.resolvePlanOwners(toolpathPlans);
+            const planOwners = ownerPlans.map(owner => owner?.operationId ?? null);
 
             // Generate header
             output.push(this.currentProcessor.generateHeader(options));
@@ -216,6 +303,7 @@
                     if (gcode) {
                         output.push(gcode);
                     }
+                    this.commandStream.push({ cmd, operationId: planOwners[initPlanIndex] });
 
                     // Update untransformed position tracking
                     if (cmd.x !== null && cmd.x !== undefined) this.untransformedPosition.x = cmd.x;
@@ -232,11 +320,16 @@
                 const spindleGcode = this.currentProcessor.setSpindle(spindle, dwell, options);
                 if (spindleGcode) {
                     output.push(spindleGcode);
+                    this.recordSpindleDwell(dwell, planOwners[toolpathPlans.indexOf(firstPlanWithSpindle)]);
                 }
             }
 
             let inCannedCycle = false;
 
+            // The first tool is loaded by the start code; later tools get a change sequence
+            const toolNumbers = new Map();
+            let activeToolKey = this.toolKey(ownerPlans.find(Boolean)?.metadata?.tool);
+
             // Process remaining plans
             for (let i = 0; i < toolpathPlans.length; i++) {
                 // Only skip the specific init plan index processed manually.
@@ -248,6 +341,21 @@
                 const plan = toolpathPlans[i];
                 const metadata = plan.metadata || {};
 
+                // Tool change before the lead-in of the first operation that needs a different tool
+                const owner = ownerPlans[i];
+                const toolKey = this.toolKey(owner?.metadata?.tool);
+                if (options.toolChanges && toolKey && toolKey !== activeToolKey && !TRAILING_PLAN_IDS.has(plan.operationId)) {
+                    if (inCannedCycle && this.currentProcessor.cancelCannedCycle) {
+                        const cancelCode = this.currentProcessor.cancelCannedCycle(options);
+                        if (cancelCode) output.push(cancelCode);
+                        inCannedCycle = false;
+                    }
+                    const tool = this.describeTool(owner, toolNumbers, activeToolKey);
+                    const changeGcode = this.currentProcessor.generateToolChange(tool, options);
+                    if (changeGcode) output.push(changeGcode);
+                    activeToolKey = toolKey;
+                }
+
                 // Handle spindle speed changes mid-job
                 const spindle = metadata.spindleSpeed;
                 if (spindle !== undefined && spindle !== this.currentProcessor.currentSpindle) {
@@ -255,6 +363,7 @@
                     const spindleGcode = this.currentProcessor.setSpindle(spindle, dwell, options);
                     if (spindleGcode) {
                         output.push(spindleGcode);
+                        this.recordSpindleDwell(dwell, planOwners[i]);
                     }
                 }
 
@@ -316,6 +425,7 @@
                         if (gcode) {
                             output.push(gcode);
                         }
+                        this.commandStream.push({ cmd: commandToProcess, operationId: planOwners[i] });
 
                         // Update untransformed position to end of segment
                         if (commandToProcess.x !== null && commandToProcess.x !== undefined) {
@@ -324,7 +434,10 @@
                         if (commandToProcess.y !== null && commandToProcess.y !== undefined) {
                             this.untransformedPosition.y = commandToProcess.y;
                         }
-                        if (commandToProcess.z !== null && commandToProcess.z !== undefined) {
+                        if (isCannedCmd) {
+                            // The cycle ends back at its return level, not at the hole bottom
+                            this.untransformedPosition.z = this.currentProcessor.currentPosition?.z ?? commandToProcess.retract;
+                        } else if (commandToProcess.z !== null && commandToProcess.z !== undefined) {
                             this.untransformedPosition.z = commandToProcess.z;
                         }
                     }
@@ -338,7 +451,82 @@
             }
 
             output.push(this.currentProcessor.generateFooter(options));
-            return output.join('\n');
+
+            const program = output.join('\n');
+            if (typeof this.currentProcessor.applyLineNumbers !== 'function') {
+                return program;
+            }
+            const lineNumbers = this.resolveLineNumbers(processorName, options.lineNumbers);
+            return this.currentProcessor.applyLineNumbers(program, lineNumbers);
+        }
+
+        /**
+         * Maps each plan to the cutting plan it serves (for tool changes and per-operation runtime).
+         * Lead-in plans (init, connection, entry, plunges) belong to the next cutting plan; retract/final to the previous one.
+         */
+        resolvePlanOwners(toolpathPlans) {
+            const owners = new Array(toolpathPlans.length).fill(null);
+
+            let next = null;
+            for (let i = toolpathPlans.length - 1; i >= 0; i--) {
+                if (!SYNTHETIC_PLAN_IDS.has(toolpathPlans[i].operationId)) next = toolpathPlans[i];
+                owners[i] = next;
+            }
+
+            let prev = null;
+            for (let i = 0; i < toolpathPlans.length; i++) {
+                const id = toolpathPlans[i].operationId;
+                if (!SYNTHETIC_PLAN_IDS.has(id)) {
+                    prev = toolpathPlans[i];
+                } else if (prev && (TRAILING_PLAN_IDS.has(id) || !owners[i])) {
+                    owners[i] = prev;
+                }
+            }
+            return owners;
+        }
+
+        toolKey(tool) {
+            if (!tool) return null;
+            return `${tool.id ?? ''}|${tool.diameter ?? ''}`;
+        }
+
+        /**
+         * Builds the tool description handed to generateToolChange(). Tools are numbered in order of first use (T1 is the start tool).
+         */
+        describeTool(ownerPlan, toolNumbers, startToolKey) {
+            if (toolNumbers.size === 0 && startToolKey) toolNumbers.set(startToolKey, 1);
+
+            const metadata = ownerPlan.metadata;
+            const tool = metadata.tool;
+            const key = this.toolKey(tool);
+            if (!toolNumbers.has(key)) toolNumbers.set(key, toolNumbers.size + 1);
+
+            const libraryTool = this.core?.toolLibrary?.getTool(tool.id);
+            return {
+                id: tool.id,
+                number: toolNumbers.get(key),
+                name: libraryTool?.name || tool.id,
+                diameter: tool.diameter,
+                spindleSpeed: metadata.spindleSpeed,
+                spindleDwell: metadata.spindleDwell
+            };
+        }
+
+        recordSpindleDwell(dwell, operationId) {
+            if (dwell > 0) {
+                this.commandStream.push({ cmd: new MotionCommand('DWELL', { x: null, y: null, z: null }, { dwell }), operationId });
+            }
+        }
+
+        /**
+         * Simulates the last generated program with the active processor's acceleration limits.
+         * @param {Object} options - generation options (rapidFeed is the machine rapid rate in mm/min)
+         * @returns {Object} MotionPlanner report: totals, rapid/cut split, per-operation times and longest cut
+         */
+        estimateRuntime(options = {}) {
+            const limits = this.currentProcessor?.descriptor?.limits || {};
+            const planner = new MotionPlanner(limits, { rapidFeed: options.rapidFeed });
+            return planner.simulate(this.commandStream);
         }
 
         linearizeArc(cmd, startPos, resolution = 1.0) {
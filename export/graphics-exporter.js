@@ -184,6 +184,104 @@
             return map;
         }
 
+        /** Signed sweep of an arc segment in radians, negative is clockwise. */
+        getArcSweep(arc) {
+            let sweep = arc.sweepAngle;
+            if (sweep === undefined || sweep === null) {
+                sweep = arc.endAngle - arc.startAngle;
+                if (arc.clockwise && sweep > 0) sweep -= 2 * Math.PI;
+                if (!arc.clockwise && sweep < 0) sweep += 2 * Math.PI;
+            }
+            return sweep;
+        }
+
+        /**
+         * Points along an arc within the given chord error, including both ends.
+         * Used by the exporters whose formats have no arcs (HPGL, LightBurn, 3D DXF polylines).
+         * @param {number} sweep - Signed sweep in radians, negative is clockwise
+         * @param {number} tolerance - mm chord error
+         * @param {number} [maxStep] - Largest angle per segment, keeps tiny arcs round
+         */
+        sampleArc(center, radius, startAngle, sweep, tolerance, maxStep = Math.PI / 4) {
+            const step = radius > tolerance ? Math.min(2 * Math.acos(1 - tolerance / radius), maxStep) : maxStep;
+            const segments = Math.max(1, Math.ceil(Math.abs(sweep) / step));
+
+            const points = [];
+            for (let s = 0; s <= segments; s++) {
+                const a = startAngle + sweep * (s / segments);
+                points.push({
+                    x: center.x + radius * Math.cos(a),
+                    y: center.y + radius * Math.sin(a)
+                });
+            }
+            return points;
+        }
+
+        /**
+         * Polylines of a primitive with its arcs sampled. Closed contours are
+         * returned without a repeated end point; the open/closed rule matches
+         * buildRawPathData().
+         * @returns {Array<{points: Array<{x, y}>, closed: boolean}>}
+         */
+        flattenPrimitive(prim, tolerance) {
+            if (prim.type === 'circle' && prim.center && prim.radius) {
+                const points = this.sampleArc(prim.center, prim.radius, 0, 2 * Math.PI, tolerance);
+                points.pop();
+                return [{ points, closed: true }];
+            }
+
+            if (!prim.contours || prim.contours.length === 0) return [];
+
+            const result = [];
+            for (const contour of prim.contours) {
+                const points = this.flattenContour(contour, prim.arcSegments, tolerance);
+                if (points.length < 2) continue;
+
+                let closed = prim.properties?.closed !== false && points.length > 2;
+                const first = points[0];
+                const last = points[points.length - 1];
+                if (Math.hypot(last.x - first.x, last.y - first.y) < C.precision.coordinate) {
+                    points.pop();
+                    closed = points.length > 2;
+                }
+                if (points.length >= 2) result.push({ points, closed });
+            }
+            return result;
+        }
+
+        /** Walks a contour, replacing arc-segment spans with points sampled at the given chord error. */
+        flattenContour(contour, primArcSegments, tolerance) {
+            const pts = contour.points;
+            if (!pts || pts.length === 0) return [];
+
+            const arcMap = this.buildArcMap(contour, primArcSegments);
+            const out = [{ x: pts[0].x, y: pts[0].y }];
+            let i = 1;
+            while (i < pts.length) {
+                const arc = arcMap.get(i - 1);
+
+                if (arc && arc.endIndex < pts.length && arc.endIndex > i - 1) {
+                    const start = pts[i - 1];
+                    let sweep = this.getArcSweep(arc);
+                    if (Math.abs(sweep) >= Math.PI * 1.99) {
+                        sweep = arc.clockwise ? -2 * Math.PI : 2 * Math.PI;
+                    }
+
+                    const startAngle = Math.atan2(start.y - arc.center.y, start.x - arc.center.x);
+                    const sampled = this.sampleArc(arc.center, arc.radius, startAngle, sweep, tolerance);
+                    // Land exactly on the stored end point so the next segment starts where the data says
+                    sampled[sampled.length - 1] = { x: pts[arc.endIndex].x, y: pts[arc.endIndex].y };
+                    out.push(...sampled.slice(1));
+
+                    i = arc.endIndex + 1;
+                } else {
+                    out.push({ x: pts[i].x, y: pts[i].y });
+                    i++;
+                }
+            }
+            return out;
+        }
+
         // ────────────────────────────────────────────────────────────
         // SVG Generation
         // ────────────────────────────────────────────────────────────
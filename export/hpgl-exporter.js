@@ -0,0 +1,268 @@
+/*!
+ * @file        export/hpgl-exporter.js
+ * @description HPGL plotter/cutter output with drag-knife compensation
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const D = window.CAMConfig.defaults;
+    const debugState = D.debug;
+
+    /**
+     * Writes closed and open contours as HP-GL pen moves (IN/SP/PU/PD, absolute
+     * coordinates). Only the subset shared by HP-GL and HP-GL/2 is used, so the
+     * output runs on Roland CAMM-GL and Graphtec cutters as well as pen plotters.
+     *
+     * Takes the same layer structure as GraphicsExporter.generate().
+     */
+    class HPGLExporter {
+        constructor() {
+            this.ARC_TOLERANCE = 0.01;              // mm chord error when flattening arcs
+            this.SWIVEL_STEP = Math.PI / 18;        // 10° steps for drag-knife corner swivels
+            this.EPSILON = C.precision.coordinate;
+            this.graphics = new GraphicsExporter();
+        }
+
+        /**
+         * @param {Array} layers - [{ layerName, passes: [{ primitives }] }], cut in array order
+         * @param {Object} options
+         * @param {Object} [options.transforms] - Workspace transforms (uses .matrix)
+         * @param {number} [options.padding=0] - Margin in mm between the geometry and the plotter origin
+         * @param {number} [options.knifeOffset=0] - Drag-knife blade offset in mm, 0 disables compensation
+         * @param {number} [options.overcut=0] - Extra length in mm cut past the start of closed contours
+         * @param {number} [options.swivelAngle] - Direction changes above this (degrees) get a swivel arc
+         * @param {number} [options.unitsPerMm] - Plotter units per mm
+         * @returns {{ blob: Blob, contourCount: number }}
+         */
+        async generate(layers, options = {}) {
+            const hpglDefaults = D.export.hpgl;
+            const padding = options.padding || 0;
+            const knifeOffset = Math.max(0, options.knifeOffset ?? hpglDefaults.knifeOffset);
+            const overcut = Math.max(0, options.overcut ?? hpglDefaults.overcut);
+            const swivelAngle = (options.swivelAngle ?? hpglDefaults.swivelAngle) * Math.PI / 180;
+            const unitsPerMm = options.unitsPerMm || hpglDefaults.unitsPerMm;
+            const mat = options.transforms?.matrix || { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+            // Flatten every layer into transformed polylines, keeping layer order
+            const layerContours = layers.map(layer => {
+                const contours = [];
+                for (const pass of layer.passes || []) {
+                    for (const prim of pass.primitives || []) {
+                        for (const contour of this.graphics.flattenPrimitive(prim, this.ARC_TOLERANCE)) {
+                            contour.points = contour.points.map(p => this.graphics.tx(p.x, p.y, mat));
+                            contours.push(contour);
+                        }
+                    }
+                }
+                return contours;
+            });
+
+            // Shift so the geometry minimum lands at (padding, padding); plotters reject negative coordinates
+            let minX = Infinity, minY = Infinity;
+            for (const contours of layerContours) {
+                for (const contour of contours) {
+                    for (const p of contour.points) {
+                        if (p.x < minX) minX = p.x;
+                        if (p.y < minY) minY = p.y;
+                    }
+                }
+            }
+            if (!isFinite(minX)) {
+                minX = 0;
+                minY = 0;
+            }
+            // Compensated paths run up to knifeOffset outside the geometry
+            const shiftX = padding + knifeOffset - minX;
+            const shiftY = padding + knifeOffset - minY;
+
+            const lines = ['IN;', 'SP1;', 'PA;'];
+            const toUnits = (p) => `${Math.round((p.x + shiftX) * unitsPerMm)},${Math.round((p.y + shiftY) * unitsPerMm)}`;
+            let position = { x: -shiftX, y: -shiftY };
+            let contourCount = 0;
+
+            for (const contours of layerContours) {
+                for (const contour of this.orderContours(contours, position)) {
+                    let points = contour.closed
+                        ? this.applyOvercut(contour.points, overcut)
+                        : contour.points;
+
+                    if (knifeOffset > this.EPSILON) {
+                        points = this.compensateDragKnife(points, knifeOffset, swivelAngle);
+                    }
+                    if (points.length < 2) continue;
+
+                    lines.push(`PU${toUnits(points[0])};`);
+                    let last = toUnits(points[0]);
+                    for (let i = 1; i < points.length; i++) {
+                        const coords = toUnits(points[i]);
+                        if (coords === last) continue;
+                        lines.push(`PD${coords};`);
+                        last = coords;
+                    }
+
+                    position = points[points.length - 1];
+                    contourCount++;
+                }
+            }
+
+            lines.push('PU0,0;', 'SP0;');
+            this.debug(`HPGL: ${contourCount} contour(s), knife offset ${knifeOffset}mm, overcut ${overcut}mm`);
+
+            return {
+                blob: new Blob([lines.join('\n') + '\n'], { type: 'application/vnd.hp-hpgl' }),
+                contourCount
+            };
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // Cutting Strategy
+        // ────────────────────────────────────────────────────────────
+
+        /**
+         * Nearest-neighbour ordering within a layer. Closed contours are rotated to
+         * start at the vertex closest to the previous end point.
+         */
+        orderContours(contours, startPosition) {
+            const remaining = contours.slice();
+            const ordered = [];
+            let position = startPosition;
+
+            while (remaining.length > 0) {
+                let bestIndex = 0;
+                let bestVertex = 0;
+                let bestDist = Infinity;
+
+                remaining.forEach((contour, index) => {
+                    const candidates = contour.closed
+                        ? contour.points.length
+                        : 1;
+                    for (let v = 0; v < candidates; v++) {
+                        const p = contour.points[v];
+                        const dist = Math.hypot(p.x - position.x, p.y - position.y);
+                        if (dist < bestDist) {
+                            bestDist = dist;
+                            bestIndex = index;
+                            bestVertex = v;
+                        }
+                    }
+                    // Open contours may also be cut backwards
+                    if (!contour.closed) {
+                        const end = contour.points[contour.points.length - 1];
+                        const dist = Math.hypot(end.x - position.x, end.y - position.y);
+                        if (dist < bestDist) {
+                            bestDist = dist;
+                            bestIndex = index;
+                            bestVertex = -1;
+                        }
+                    }
+                });
+
+                const contour = remaining.splice(bestIndex, 1)[0];
+                let points = contour.points;
+                if (bestVertex === -1) {
+                    points = points.slice().reverse();
+                } else if (bestVertex > 0) {
+                    points = points.slice(bestVertex).concat(points.slice(0, bestVertex));
+                }
+
+                ordered.push({ points, closed: contour.closed });
+                const end = contour.closed ? points[0] : points[points.length - 1];
+                position = end;
+            }
+            return ordered;
+        }
+
+        /**
+         * Turns a closed contour into an explicit open sequence that returns to the
+         * start and then keeps cutting along the first segments for `overcut` mm,
+         * so the blade fully separates the start corner.
+         */
+        applyOvercut(points, overcut) {
+            const sequence = points.concat([points[0]]);
+            if (overcut <= this.EPSILON) return sequence;
+
+            let remaining = overcut;
+            for (let i = 1; i < points.length + 1 && remaining > this.EPSILON; i++) {
+                const a = points[i - 1];
+                const b = points[i % points.length];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length < this.EPSILON) continue;
+
+                if (length >= remaining) {
+                    const t = remaining / length;
+                    sequence.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+                    break;
+                }
+                sequence.push(b);
+                remaining -= length;
+            }
+            return sequence;
+        }
+
+        /**
+         * Drag-knife compensation. The blade tip trails the holder axis by `offset`,
+         * so the axis runs `offset` ahead of every point along the current direction
+         * and swings around each sharp corner on a radius-`offset` arc, turning the
+         * blade before the next segment starts.
+         */
+        compensateDragKnife(points, offset, swivelAngle) {
+            const pts = [points[0]];
+            for (let i = 1; i < points.length; i++) {
+                const prev = pts[pts.length - 1];
+                if (Math.hypot(points[i].x - prev.x, points[i].y - prev.y) > this.EPSILON) {
+                    pts.push(points[i]);
+                }
+            }
+            if (pts.length < 2) return pts;
+
+            const dirs = [];
+            for (let i = 0; i < pts.length - 1; i++) {
+                const dx = pts[i + 1].x - pts[i].x;
+                const dy = pts[i + 1].y - pts[i].y;
+                const len = Math.hypot(dx, dy);
+                dirs.push({ x: dx / len, y: dy / len });
+            }
+
+            const ahead = (p, dir) => ({ x: p.x + dir.x * offset, y: p.y + dir.y * offset });
+            const out = [ahead(pts[0], dirs[0])];
+
+            for (let i = 0; i < dirs.length; i++) {
+                const corner = pts[i + 1];
+                out.push(ahead(corner, dirs[i]));
+                if (i === dirs.length - 1) break;
+
+                const from = dirs[i];
+                const to = dirs[i + 1];
+                const turn = Math.atan2(from.x * to.y - from.y * to.x, from.x * to.x + from.y * to.y);
+
+                if (Math.abs(turn) > swivelAngle) {
+                    const startAngle = Math.atan2(from.y, from.x);
+                    const steps = Math.ceil(Math.abs(turn) / this.SWIVEL_STEP);
+                    for (let s = 1; s <= steps; s++) {
+                        const a = startAngle + turn * (s / steps);
+                        out.push({ x: corner.x + offset * Math.cos(a), y: corner.y + offset * Math.sin(a) });
+                    }
+                } else {
+                    out.push(ahead(corner, to));
+                }
+            }
+            return out;
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[HPGLExporter] ${message}`, data)
+                 : console.log(`[HPGLExporter] ${message}`);
+        }
+    }
+
+    window.HPGLExporter = HPGLExporter;
+})();
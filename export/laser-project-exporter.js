@@ -0,0 +1,303 @@
+/*!
+ * @file        export/laser-project-exporter.js
+ * @description LightBurn project (.lbrn2) and EZCAD pen-mapped DXF export
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const D = window.CAMConfig.defaults;
+    const debugState = D.debug;
+
+    // LightBurn has 30 color layers (C00-C29); EZCAD has 256 pens
+    const LIGHTBURN_MAX_LAYERS = 30;
+    const EZCAD_MAX_PENS = 256;
+
+    /**
+     * Turns the laser layers GraphicsExporter receives into files that carry their
+     * power, speed, frequency and pass count. Every exported pass color becomes one
+     * cut setting, assigned the same way the SVG export assigns colors, so a job
+     * opens ready to run instead of needing every layer re-entered.
+     *
+     * Layers are the cam-core laser layers with an added cutSettings object:
+     *   { power (%), speed (mm/s), frequency (kHz), repeat, interval (mm), angle (°) }
+     */
+    class LaserProjectExporter {
+        constructor() {
+            this.DECIMAL = 4;
+            this.ARC_TOLERANCE = 0.005;     // mm chord error; LightBurn paths are written as line segments
+            this.graphics = new GraphicsExporter();
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // LightBurn
+        // ────────────────────────────────────────────────────────────
+
+        /**
+         * @param {Array} layers - Laser layers with cutSettings
+         * @param {Object} options
+         * @param {Object} options.transforms - From core.getTransforms()
+         * @param {number} [options.padding] - mm between the geometry and the workspace origin
+         * @param {string} [options.heatManagement]
+         * @param {boolean} [options.colorPerPass]
+         * @param {string[]} [options.palette]
+         * @param {boolean} [options.paletteLumping]
+         * @param {boolean} [options.includeComments]
+         * @param {string[]} [options.commentBlock]
+         * @returns {{ blob: Blob, cutSettingCount: number }}
+         */
+        async generateLightBurn(layers, options = {}) {
+            const entries = this.assignCutSettings(layers, options);
+            if (entries.length > LIGHTBURN_MAX_LAYERS) {
+                throw new Error(`LightBurn projects hold at most ${LIGHTBURN_MAX_LAYERS} cut layers, this job needs ${entries.length}. Disable color per pass or export fewer operations.`);
+            }
+
+            // LightBurn is Y-up like the board, so no flip: only move the geometry minimum to (padding, padding)
+            const userMat = this.graphics.buildUserTransformMatrix(options.transforms);
+            const bounds = this.graphics.computeTransformedBounds(layers, userMat);
+            const padding = options.padding || 0;
+            const mat = this.graphics.matMul({
+                a: 1, b: 0, c: 0, d: 1,
+                e: -bounds.minX + padding,
+                f: -bounds.minY + padding
+            }, userMat);
+
+            const fmt = (n) => this.graphics.formatNumber(n, this.DECIMAL);
+            const lines = [];
+            lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+            lines.push('<LightBurnProject AppVersion="1.4.00" FormatVersion="1" MaterialHeight="0" MirrorX="False" MirrorY="False">');
+
+            if (options.includeComments && options.commentBlock?.length > 0) {
+                lines.push(`    <Notes ShowOnLoad="0" Notes="${this.escape(options.commentBlock.join('\n'))}"/>`);
+            }
+
+            entries.forEach((entry, index) => {
+                const s = entry.settings;
+                lines.push(`    <CutSetting type="${entry.type}">`);
+                lines.push(`        <index Value="${index}"/>`);
+                lines.push(`        <name Value="${this.escape(entry.name)}"/>`);
+                lines.push(`        <minPower Value="${fmt(s.power)}"/>`);
+                lines.push(`        <maxPower Value="${fmt(s.power)}"/>`);
+                lines.push(`        <maxPower2 Value="${fmt(s.power)}"/>`);
+                lines.push(`        <speed Value="${fmt(s.speed)}"/>`);
+                lines.push(`        <numPasses Value="${s.repeat}"/>`);
+                lines.push(`        <frequency Value="${Math.round(s.frequency * 1000)}"/>`);
+                if (entry.type === 'Scan') {
+                    lines.push(`        <interval Value="${fmt(s.interval)}"/>`);
+                    lines.push(`        <angle Value="${fmt(s.angle)}"/>`);
+                }
+                lines.push(`        <priority Value="${index}"/>`);
+                lines.push('    </CutSetting>');
+            });
+
+            let shapeCount = 0;
+            entries.forEach((entry, index) => {
+                for (const prim of entry.primitives) {
+                    if (prim.type === 'circle' && prim.center && prim.radius) {
+                        // Rotation and mirroring keep a circle a circle; only the center moves
+                        const c = this.graphics.tx(prim.center.x, prim.center.y, mat);
+                        lines.push(`    <Shape Type="Ellipse" CutIndex="${index}" Rx="${fmt(prim.radius)}" Ry="${fmt(prim.radius)}">`);
+                        lines.push(`        <XForm>1 0 0 1 ${fmt(c.x)} ${fmt(c.y)}</XForm>`);
+                        lines.push('    </Shape>');
+                        shapeCount++;
+                        continue;
+                    }
+
+                    for (const contour of this.graphics.flattenPrimitive(prim, this.ARC_TOLERANCE)) {
+                        const pts = contour.points.map(p => this.graphics.tx(p.x, p.y, mat));
+                        const verts = pts.map(p => `V${fmt(p.x)} ${fmt(p.y)}`).join('');
+                        const segments = [];
+                        for (let i = 0; i < pts.length - 1; i++) segments.push(`L${i} ${i + 1}`);
+                        if (contour.closed) segments.push(`L${pts.length - 1} 0`);
+
+                        lines.push(`    <Shape Type="Path" CutIndex="${index}">`);
+                        lines.push('        <XForm>1 0 0 1 0 0</XForm>');
+                        lines.push(`        <VertList>${verts}</VertList>`);
+                        lines.push(`        <PrimList>${segments.join('')}</PrimList>`);
+                        lines.push('    </Shape>');
+                        shapeCount++;
+                    }
+                }
+            });
+
+            lines.push('</LightBurnProject>');
+
+            this.debug(`LightBurn: ${entries.length} cut setting(s), ${shapeCount} shape(s)`);
+            return {
+                blob: new Blob([lines.join('\n')], { type: 'application/xml;charset=utf-8' }),
+                cutSettingCount: entries.length
+            };
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // EZCAD
+        // ────────────────────────────────────────────────────────────
+
+        /**
+         * EZCAD has no importable project format, so the variant is a DXF with one
+         * layer (and color) per pen plus a pen table to copy into the pen list.
+         * Galvo coordinates are relative to the field center, so the job is
+         * centered on 0,0.
+         *
+         * @param {Array} layers - Laser layers with cutSettings
+         * @param {Object} options - As generateLightBurn(), padding is ignored
+         * @returns {{ blob: Blob, penTable: Blob, penCount: number }}
+         */
+        async generateEzcad(layers, options = {}) {
+            if (typeof DXFExporter === 'undefined') {
+                throw new Error('DXFExporter module not loaded');
+            }
+
+            const entries = this.assignCutSettings(layers, options);
+            if (entries.length > EZCAD_MAX_PENS) {
+                throw new Error(`EZCAD has ${EZCAD_MAX_PENS} pens, this job needs ${entries.length}.`);
+            }
+
+            const userMat = this.graphics.buildUserTransformMatrix(options.transforms);
+            const bounds = this.graphics.computeTransformedBounds(layers, userMat);
+            const mat = this.graphics.matMul({
+                a: 1, b: 0, c: 0, d: 1,
+                e: -(bounds.minX + bounds.maxX) / 2,
+                f: -(bounds.minY + bounds.maxY) / 2
+            }, userMat);
+
+            // R12 layer names: uppercase letters, digits, _ and -. ACI 1-255 cycles past 255 pens.
+            const dxfLayers = entries.map((entry, pen) => ({
+                name: `PEN_${String(pen).padStart(2, '0')}_${this.graphics.sanitizeId(entry.name).toUpperCase()}`.slice(0, 31),
+                color: (pen % 255) + 1,
+                kind: 'geometry',
+                primitives: entry.primitives
+            }));
+
+            const dxf = await new DXFExporter().generate(dxfLayers, {
+                matrix: mat,
+                includeComments: options.includeComments,
+                commentBlock: options.commentBlock
+            });
+
+            const fmt = (n) => this.graphics.formatNumber(n, 2);
+            const table = [
+                'EZCAD pen settings',
+                `Assign each DXF layer to the pen of the same number, then enter these values in the pen list.`,
+                `Field: job centered on 0,0, size ${fmt(bounds.maxX - bounds.minX)} x ${fmt(bounds.maxY - bounds.minY)} mm`,
+                '',
+                ['Pen', 'Layer', 'Power %', 'Speed mm/s', 'Frequency kHz', 'Loop', 'Fill'].join('\t'),
+                ...entries.map((entry, pen) => [
+                    pen,
+                    dxfLayers[pen].name,
+                    fmt(entry.settings.power),
+                    fmt(entry.settings.speed),
+                    fmt(entry.settings.frequency),
+                    entry.settings.repeat,
+                    entry.type === 'Scan' ? `hatch ${fmt(entry.settings.interval)} mm at ${fmt(entry.settings.angle)}°` : '-'
+                ].join('\t'))
+            ];
+
+            this.debug(`EZCAD: ${entries.length} pen(s), ${dxf.entityCount} DXF entities`);
+            return {
+                blob: dxf.blob,
+                penTable: new Blob([table.join('\n') + '\n'], { type: 'text/plain;charset=utf-8' }),
+                penCount: entries.length
+            };
+        }
+
+        // ────────────────────────────────────────────────────────────
+        // Cut setting assignment
+        // ────────────────────────────────────────────────────────────
+
+        /**
+         * Groups pass geometry into cut settings in cut order. Pass colors follow
+         * GraphicsExporter (base color, hue-rotated or palette-mapped per pass), and
+         * a setting is unique per operation, color and type: operations sharing a
+         * color can still carry different power/speed.
+         */
+        assignCutSettings(layers, options) {
+            this.graphics.fuseColinearSegments(layers);
+
+            const entries = [];
+            const byKey = new Map();
+
+            for (const layer of layers) {
+                const passes = layer.passes.filter(p => p.primitives && p.primitives.length > 0);
+                const isFilledLayer = passes.some(p => p.type === 'filled');
+                const physicalPassCount = Math.max(...passes.map(p => p.metadata?.pass || 1), 1);
+
+                let passColors = null;
+                if (options.colorPerPass && !isFilledLayer) {
+                    passColors = options.palette && options.palette.length > 0
+                        ? this.graphics.generatePaletteMappedColors(physicalPassCount, options.palette, options.paletteLumping)
+                        : this.graphics.generatePassColors(layer.baseColor, physicalPassCount);
+                }
+
+                for (const pass of passes) {
+                    const physicalIndex = (pass.metadata?.pass || 1) - 1;
+                    const color = ((passColors && passColors[physicalIndex]) || layer.baseColor || '#000000').toUpperCase();
+                    const type = pass.type === 'filled' ? 'Scan' : 'Cut';
+                    const key = `${layer.operationId}|${color}|${type}`;
+
+                    let entry = byKey.get(key);
+                    if (!entry) {
+                        let name = layer.layerName;
+                        if (passColors) name += ` pass ${physicalIndex + 1}`;
+                        if (type === 'Scan') name += ' fill';
+                        entry = {
+                            name,
+                            type,
+                            color,
+                            settings: this.resolveSettings(layer.cutSettings),
+                            primitives: []
+                        };
+                        byKey.set(key, entry);
+                        entries.push(entry);
+                    }
+
+                    let primitives = pass.primitives;
+                    const isHatch = pass.metadata?.isHatch === true;
+                    if (options.heatManagement && options.heatManagement !== 'off' && type === 'Cut' && !isHatch) {
+                        primitives = this.graphics.applyHeatManagementSort(primitives);
+                    }
+                    entry.primitives.push(...primitives);
+                }
+            }
+
+            return entries;
+        }
+
+        resolveSettings(cutSettings = {}) {
+            const defaults = D.laser.cutSettings;
+            const pick = (value, fallback) => (typeof value === 'number' && isFinite(value)) ? value : fallback;
+            return {
+                power: pick(cutSettings.power, defaults.power),
+                speed: pick(cutSettings.speed, defaults.speed),
+                frequency: pick(cutSettings.frequency, defaults.frequency),
+                repeat: Math.max(1, Math.round(pick(cutSettings.repeat, defaults.repeat))),
+                interval: pick(cutSettings.interval, defaults.interval),
+                angle: pick(cutSettings.angle, 0)
+            };
+        }
+
+        escape(text) {
+            return String(text ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/\n/g, '&#10;');
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[LaserProjectExporter] ${message}`, data)
+                 : console.log(`[LaserProjectExporter] ${message}`);
+        }
+    }
+
+    window.LaserProjectExporter = LaserProjectExporter;
+})();
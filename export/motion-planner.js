@@ -0,0 +1,394 @@
+/*!
+ * @file        export/motion-planner.js
+ * @description Trapezoidal motion planner for runtime estimates
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const D = window.CAMConfig.defaults;
+    const EPSILON = C.precision.epsilon;
+    const debugState = D.debug;
+
+    // Junctions this close to straight/reversed skip the deviation formula (same cut-offs as Grbl)
+    const STRAIGHT_COS = -0.999999;
+    const REVERSAL_COS = 0.999999;
+
+    /**
+     * Simulates the exported command stream the way a Grbl-style controller
+     * executes it: every move becomes a planner block with trapezoidal
+     * acceleration, and corner speeds are limited by junction deviation.
+     * Dwells and canned cycle bottoms bring the machine to a full stop.
+     *
+     * Limits come from the post-processor descriptor:
+     *   acceleration      - XY acceleration (mm/s²)
+     *   accelerationZ     - Z acceleration (mm/s²)
+     *   junctionDeviation - cornering tolerance (mm)
+     *   arcTolerance      - chord error used when the controller splits arcs (mm)
+     *   maxRapidRate      - rapid rate (mm/min), unless options.rapidFeed is set
+     */
+    class MotionPlanner {
+        constructor(limits = {}, options = {}) {
+            this.limits = {
+                acceleration: 250,
+                accelerationZ: 100,
+                junctionDeviation: 0.01,
+                arcTolerance: 0.002,
+                maxRapidRate: 1000,
+                ...limits
+            };
+            this.options = {
+                rapidFeed: null,
+                defaultFeed: 100,
+                peckClearance: 0.5,
+                chipBreakRetract: 0.2,
+                ...options
+            };
+            this.rapidRate = (this.options.rapidFeed || this.limits.maxRapidRate) / 60;
+        }
+
+        /**
+         * Runs the simulation.
+         * @param {Array<{cmd: MotionCommand, operationId: string}>} stream - commands in output order
+         * @param {Object} [startPos] - machine position before the first command
+         * @returns {Object} runtime report (seconds and mm)
+         */
+        simulate(stream, startPos = { x: 0, y: 0, z: 0 }) {
+            const blocks = this.buildBlocks(stream, startPos);
+            this.planSpeeds(blocks);
+            const report = this.summarize(blocks);
+
+            this.debug(`${blocks.length} blocks, ${report.totalTime.toFixed(1)}s (rapid ${report.rapidTime.toFixed(1)}s, cut ${report.cutTime.toFixed(1)}s)`);
+            return report;
+        }
+
+        // ====================================================================
+        // Block Construction
+        // ====================================================================
+
+        buildBlocks(stream, startPos) {
+            const blocks = [];
+            const pos = { ...startPos };
+            let feed = null;
+
+            const addMove = (target, rapid, operationId) => {
+                const dx = target.x - pos.x;
+                const dy = target.y - pos.y;
+                const dz = target.z - pos.z;
+                const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                pos.x = target.x;
+                pos.y = target.y;
+                pos.z = target.z;
+                if (length < EPSILON) return;
+
+                const ux = dx / length;
+                const uy = dy / length;
+                const uz = dz / length;
+                const speed = rapid ? this.rapidRate : (feed || this.options.defaultFeed) / 60;
+
+                blocks.push({
+                    type: rapid ? 'rapid' : 'cut',
+                    operationId,
+                    length,
+                    ux, uy, uz,
+                    nominalSpeed: speed,
+                    acceleration: this.blockAcceleration(ux, uy, uz),
+                    entrySpeed: 0,
+                    exitSpeed: 0,
+                    time: 0
+                });
+            };
+
+            const addDwell = (seconds, operationId) => {
+                if (seconds > 0) blocks.push({ type: 'dwell', operationId, length: 0, time: seconds });
+            };
+
+            for (const { cmd, operationId } of stream) {
+                const target = {
+                    x: cmd.x ?? pos.x,
+                    y: cmd.y ?? pos.y,
+                    z: cmd.z ?? pos.z
+                };
+                if (cmd.f) feed = cmd.f;
+
+                switch (cmd.type) {
+                    case 'RAPID':
+                    case 'RETRACT':
+                        addMove(target, true, operationId);
+                        break;
+                    case 'LINEAR':
+                    case 'PLUNGE':
+                        addMove(target, false, operationId);
+                        break;
+                    case 'ARC_CW':
+                    case 'ARC_CCW':
+                        for (const point of this.splitArc(cmd, pos, target)) {
+                            addMove(point, false, operationId);
+                        }
+                        break;
+                    case 'DWELL':
+                        addDwell(cmd.dwell || 0, operationId);
+                        break;
+                    case 'CANNED_SIMPLE':
+                    case 'CANNED_PECK':
+                        this.expandCannedCycle(cmd, pos, addMove, addDwell, operationId);
+                        break;
+                    default:
+                        break;
+                }
+            }
+
+            return blocks;
+        }
+
+        /**
+         * Acceleration along a direction is capped by whichever axis saturates first.
+         */
+        blockAcceleration(ux, uy, uz) {
+            let accel = Infinity;
+            if (Math.abs(ux) > EPSILON) accel = Math.min(accel, this.limits.acceleration / Math.abs(ux));
+            if (Math.abs(uy) > EPSILON) accel = Math.min(accel, this.limits.acceleration / Math.abs(uy));
+            if (Math.abs(uz) > EPSILON) accel = Math.min(accel, this.limits.accelerationZ / Math.abs(uz));
+            return accel;
+        }
+
+        /**
+         * Splits an arc into chords the way the controller does, with the
+         * chord count driven by arcTolerance. Z is interpolated for helices.
+         */
+        splitArc(cmd, start, end) {
+            const cx = start.x + (cmd.i || 0);
+            const cy = start.y + (cmd.j || 0);
+            const radius = Math.hypot(cmd.i || 0, cmd.j || 0);
+            if (radius < EPSILON) return [end];
+
+            const a0 = Math.atan2(start.y - cy, start.x - cx);
+            const a1 = Math.atan2(end.y - cy, end.x - cx);
+            let sweep = a1 - a0;
+            if (cmd.type === 'ARC_CW') {
+                if (sweep >= -EPSILON) sweep -= 2 * Math.PI;
+            } else if (sweep <= EPSILON) {
+                sweep += 2 * Math.PI;
+            }
+
+            const tolerance = this.limits.arcTolerance;
+            const maxStep = radius > tolerance ? 2 * Math.acos(1 - tolerance / radius) : Math.PI;
+            const segments = Math.max(1, Math.ceil(Math.abs(sweep) / maxStep));
+            const points = [];
+
+            for (let k = 1; k < segments; k++) {
+                const angle = a0 + sweep * k / segments;
+                points.push({
+                    x: cx + radius * Math.cos(angle),
+                    y: cy + radius * Math.sin(angle),
+                    z: start.z + (end.z - start.z) * k / segments
+                });
+            }
+            points.push(end);
+            return points;
+        }
+
+        /**
+         * Expands G81/G82/G83/G73 into the moves the controller performs:
+         * rapid over the hole, rapid to R, feed down (pecking), dwell, rapid back to
+         * the return level (returnZ for G98, otherwise R).
+         */
+        expandCannedCycle(cmd, pos, addMove, addDwell, operationId) {
+            const x = cmd.x ?? pos.x;
+            const y = cmd.y ?? pos.y;
+            const bottom = cmd.z;
+            const rPlane = cmd.retract ?? pos.z;
+
+            addMove({ x, y, z: pos.z }, true, operationId);
+            addMove({ x, y, z: rPlane }, true, operationId);
+
+            const peck = cmd.type === 'CANNED_PECK' ? Math.abs(cmd.peckDepth || 0) : 0;
+            if (peck < EPSILON) {
+                addMove({ x, y, z: bottom }, false, operationId);
+            } else {
+                const chipBreak = cmd.cycleType === 'G73';
+                let depth = rPlane;
+                while (depth > bottom + EPSILON) {
+                    const next = Math.max(bottom, depth - peck);
+                    if (depth < rPlane) {
+                        // Re-approach just above the previous depth before feeding again
+                        addMove({ x, y, z: depth + (chipBreak ? 0 : this.options.peckClearance) }, true, operationId);
+                    }
+                    addMove({ x, y, z: next }, false, operationId);
+                    depth = next;
+                    if (depth > bottom + EPSILON) {
+                        const up = chipBreak ? depth + this.options.chipBreakRetract : rPlane;
+                        addMove({ x, y, z: up }, true, operationId);
+                    }
+                }
+            }
+
+            addDwell(cmd.dwell || 0, operationId);
+            addMove({ x, y, z: cmd.returnZ ?? rPlane }, true, operationId);
+        }
+
+        // ====================================================================
+        // Speed Planning
+        // ====================================================================
+
+        /**
+         * Look-ahead over the whole program: junction limits, then a reverse
+         * pass (can we still stop in time?) and a forward pass (can we reach it?).
+         */
+        planSpeeds(blocks) {
+            const jd = this.limits.junctionDeviation;
+
+            // Junction speed limits (entry speed cap of each block)
+            const maxEntry = new Float64Array(blocks.length);
+            let prev = null;
+            for (let i = 0; i < blocks.length; i++) {
+                const b = blocks[i];
+                if (b.type === 'dwell') {
+                    prev = null;
+                    continue;
+                }
+                if (!prev) {
+                    maxEntry[i] = 0;
+                } else {
+                    const cos = -(prev.ux * b.ux + prev.uy * b.uy + prev.uz * b.uz);
+                    let limit;
+                    if (cos > REVERSAL_COS) {
+                        limit = 0;
+                    } else if (cos < STRAIGHT_COS) {
+                        limit = Infinity;
+                    } else {
+                        const sinHalf = Math.sqrt(0.5 * (1 - cos));
+                        const accel = Math.min(prev.acceleration, b.acceleration);
+                        limit = Math.sqrt(accel * jd * sinHalf / (1 - sinHalf));
+                    }
+                    maxEntry[i] = Math.min(limit, prev.nominalSpeed, b.nominalSpeed);
+                }
+                prev = b;
+            }
+
+            // Reverse pass: each block must be able to decelerate to the next entry speed
+            let nextEntry = 0;
+            for (let i = blocks.length - 1; i >= 0; i--) {
+                const b = blocks[i];
+                if (b.type === 'dwell') {
+                    nextEntry = 0;
+                    continue;
+                }
+                b.exitSpeed = nextEntry;
+                b.entrySpeed = Math.min(maxEntry[i], Math.sqrt(nextEntry * nextEntry + 2 * b.acceleration * b.length));
+                nextEntry = b.entrySpeed;
+            }
+
+            // Forward pass: each block must be able to accelerate up to the next entry speed
+            let reachable = 0;
+            for (let i = 0; i < blocks.length; i++) {
+                const b = blocks[i];
+                if (b.type === 'dwell') {
+                    reachable = 0;
+                    continue;
+                }
+                b.entrySpeed = Math.min(b.entrySpeed, reachable);
+                reachable = Math.sqrt(b.entrySpeed * b.entrySpeed + 2 * b.acceleration * b.length);
+            }
+
+            for (let i = 0; i < blocks.length; i++) {
+                const b = blocks[i];
+                if (b.type === 'dwell') continue;
+                const next = blocks[i + 1];
+                b.exitSpeed = next && next.type !== 'dwell' ? next.entrySpeed : 0;
+                b.time = this.trapezoidTime(b);
+            }
+        }
+
+        /**
+         * Duration of one block: accelerate, cruise, decelerate - or a
+         * triangle when the block is too short to reach nominal speed.
+         */
+        trapezoidTime(b) {
+            const { length: L, acceleration: a, nominalSpeed: vMax, entrySpeed: v0, exitSpeed: v1 } = b;
+            if (!isFinite(a)) return L / vMax;
+
+            const accelDist = (vMax * vMax - v0 * v0) / (2 * a);
+            const decelDist = (vMax * vMax - v1 * v1) / (2 * a);
+
+            if (accelDist + decelDist <= L) {
+                return (vMax - v0) / a + (vMax - v1) / a + (L - accelDist - decelDist) / vMax;
+            }
+
+            const peak = Math.sqrt((2 * a * L + v0 * v0 + v1 * v1) / 2);
+            return (peak - v0) / a + (peak - v1) / a;
+        }
+
+        // ====================================================================
+        // Reporting
+        // ====================================================================
+
+        summarize(blocks) {
+            const report = {
+                totalTime: 0,
+                rapidTime: 0,
+                cutTime: 0,
+                dwellTime: 0,
+                totalDistance: 0,
+                rapidDistance: 0,
+                cutDistance: 0,
+                longestCut: { length: 0, time: 0, operationId: null },
+                operations: {},
+                blockCount: blocks.length
+            };
+
+            let run = null;
+            const closeRun = () => {
+                if (run && run.length > report.longestCut.length) report.longestCut = run;
+                run = null;
+            };
+
+            for (const b of blocks) {
+                const op = report.operations[b.operationId] ||= {
+                    time: 0, rapidTime: 0, cutTime: 0, dwellTime: 0, distance: 0
+                };
+                op.time += b.time;
+                op.distance += b.length;
+                report.totalTime += b.time;
+                report.totalDistance += b.length;
+
+                if (b.type === 'rapid') {
+                    op.rapidTime += b.time;
+                    report.rapidTime += b.time;
+                    report.rapidDistance += b.length;
+                    closeRun();
+                } else if (b.type === 'cut') {
+                    op.cutTime += b.time;
+                    report.cutTime += b.time;
+                    report.cutDistance += b.length;
+                    run ||= { length: 0, time: 0, operationId: b.operationId };
+                    run.length += b.length;
+                    run.time += b.time;
+                } else {
+                    // Dwelling keeps the tool in the cut, so it doesn't end the run
+                    op.dwellTime += b.time;
+                    report.dwellTime += b.time;
+                    if (run) run.time += b.time;
+                }
+            }
+            closeRun();
+
+            return report;
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[MotionPlanner] ${message}`, data)
+                 : console.log(`[MotionPlanner] ${message}`);
+        }
+    }
+
+    window.MotionPlanner = MotionPlanner;
+})();
@@ -22,6 +22,7 @@
                 supportsToolChange: false,
                 supportsArcCommands: true,
                 supportsCannedCycles: false,
+                cannedReturnMode: 'G98', // Holes return to the block's start Z (travel Z)
                 useM6: false,
                 supportsToolLengthComp: false,
                 pauseAfterToolChange: false,
@@ -29,7 +30,11 @@
                 coordinateDecimals: 3,
                 feedDecimals: 0,
                 spindleDecimals: 0,
-                lineNumbering: false, // To be implemented in the future
+                lineNumbering: false,
+                lineNumberStart: 10,
+                lineNumberIncrement: 10,
+                supportsLineNumbers: true,
+                supportsChecksums: false,
                 modalCommands: true,
                 safetyHeight: 5.0,
                 maxSpindleSpeed: 30000,
@@ -57,14 +62,29 @@
                     supportsArcCommands: this.config.supportsArcCommands !== false,
                     supportsCannedCycles: this.config.supportsCannedCycles || false,
                     arcFormat: this.config.arcFormat || null,
+                    supportsLineNumbers: this.config.supportsLineNumbers !== false,
+                    supportsChecksums: this.config.supportsChecksums || false,
                 },
-                defaults: this.config.defaults || {
+                defaults: {
                     startCode: '',
                     endCode: '',
+                    ...this.config.defaults,
+                    lineNumbers: {
+                        enabled: this.config.lineNumbering || false,
+                        start: this.config.lineNumberStart ?? 10,
+                        increment: this.config.lineNumberIncrement ?? 10,
+                        skipComments: true,
+                        checksum: false
+                    }
                 },
                 limits: {
                     maxSpindleSpeed: this.config.maxSpindleSpeed || 30000,
                     maxRapidRate: this.config.maxRapidRate || 1000,
+                    // Motion planner inputs for runtime estimates (mm/s², mm)
+                    acceleration: this.config.acceleration || 250,
+                    accelerationZ: this.config.accelerationZ || 100,
+                    junctionDeviation: this.config.junctionDeviation ?? 0.01,
+                    arcTolerance: this.config.arcTolerance ?? 0.002,
                 },
                 customParameters: this.config.customParameters || [],
 
@@ -75,12 +95,13 @@
         /**
          * Formats a standalone comment line for this processor's dialect.
          * Returns empty string if comments are disabled or text is empty.
+         * Parentheses inside a (...) comment would end it early, so they become brackets.
          */
         formatComment(text, options) {
             if (!options?.includeComments || !text) return '';
             return this.config.commentStyle === 'semicolon'
                 ? `; ${text}`
-                : `(${text})`;
+                : `(${String(text).replace(/\(/g, '[').replace(/\)/g, ']')})`;
         }
 
         /**
@@ -99,13 +120,13 @@
          */
         pushCommentLine(linesArray, text, options) {
             if (!options?.includeComments || !text) return;
-            linesArray.push(this.formatComment(text, options));
+            const comment = this.formatComment(text, options);
+            if (comment) linesArray.push(comment);
         }
 
         // Abstract methods
         generateHeader(options) {
             const headerLines = [];
-            const c = options.comments || {};
 
             // Add the formatted comment block IF it exists
             if (options.includeComments && options.commentBlock) {
@@ -127,8 +148,18 @@
             headerLines.push(this.modalState.feedRateMode);
             headerLines.push('');
 
+            headerLines.push(this.buildStartCode(options)); // Add the actual start code after the modals
+            return headerLines.join('\n');
+        }
+
+        /**
+         * Start code with placeholders filled and coolant/vacuum on commands appended when the template lacks them.
+         */
+        buildStartCode(options) {
+            const c = options.comments || {};
+
             // Get the template from the options, or a default
-            let startCode = options.startCode;
+            let startCode = options.startCode || '';
 
             // Replace placeholders
             const toolNum = options.toolNumber ?? 1;
@@ -146,8 +177,7 @@
                 startCode += '\n' + this.appendComment('M10', c.vacuumOn, options); // Vacuum On
             }
 
-            headerLines.push(startCode); // Add the actual start code after the modals
-            return headerLines.join('\n');
+            return startCode;
         }
 
         generateFooter(options) {
@@ -206,28 +236,25 @@
             return lines.join('\n');
         }
 
-        // TEST DRAFT - DO NOT CONNECT
-        /*
+        /**
+         * Tool change between operations. Controllers with M6 get T/M6 (plus G43 and M0 where configured);
+         * the rest get a manual sequence: stop, retract, park at the change position, pause, optionally probe Z.
+         * @param {Object} tool - { number, name, diameter, spindleSpeed, spindleDwell }
+         * @param {Object} options - generation options; manual changes read options.toolChange, probeZ and probeFeed
+         */
         generateToolChange(tool, options) {
-            if (!this.config.supportsToolChange) return '';
-
-            const lines = [];
+            const lines = [''];
             const c = options.comments || {};
-            const safeZ = options.safeZ || this.config.safetyHeight;
+            const safeZ = options.safeZ ?? this.config.safetyHeight;
             const toolNumber = tool.number || options.toolNumber || 1;
+            const toolLabel = tool.name || tool.id || `T${toolNumber}`;
 
-            lines.push('');
-            this.pushCommentLine(lines, (c.toolChange || 'Tool change: {name}').replace('{name}', tool.name || tool.id), options);
+            this.pushCommentLine(lines, (c.toolChange || 'Tool change: {name}').replace('{name}', toolLabel), options);
             this.pushCommentLine(lines, (c.toolDiameter || 'Diameter: {diameter}mm').replace('{diameter}', tool.diameter), options);
 
             // Stop Spindle and Coolant
             const stopGcode = this.setSpindle(0, 0, options);
-            if (stopGcode) {
-                lines.push(stopGcode);
-            } else if (this.currentSpindle > 0) {
-                lines.push(this.appendComment('M5', c.spindleStop, options));
-                this.currentSpindle = 0;
-            }
+            if (stopGcode) lines.push(stopGcode);
 
             if (options.coolant && options.coolant !== 'none') {
                 lines.push(this.appendComment('M9', c.coolantOff, options));
@@ -237,42 +264,95 @@
             lines.push(this.appendComment(`G0 Z${this.formatCoordinate(safeZ)}`, c.retractSafeZ, options));
             this.currentPosition.z = safeZ;
 
-            // Tool Change Command
-            if (this.config.useM6) {
-                lines.push(`T${toolNumber} M6`);
-            }
-
-            // Tool Length Compensation
-            if (this.config.supportsToolLengthComp) {
-                lines.push(this.appendComment(`G43 H${toolNumber}`, c.toolLengthComp, options));
-            }
+            lines.push(...this.generateToolChangeCommands(tool, toolNumber, toolLabel, safeZ, options));
 
-            // Pause for Manual Change
-            if (this.config.pauseAfterToolChange) {
-                lines.push(this.appendComment('M0', c.toolChangePause, options));
-            }
+            // Any modal motion state is stale after the pause
+            this.modalState.motionMode = null;
             lines.push('');
 
             // Restart Spindle
             const spindleSpeed = tool.spindleSpeed || options.spindleSpeed || 12000;
             const startGcode = this.setSpindle(spindleSpeed, tool.spindleDwell || 0, options);
-            if (startGcode) {
-                lines.push(startGcode);
-            }
+            if (startGcode) lines.push(startGcode);
 
             // Restart Coolant
-            if (options.coolant && options.coolant !== 'none') {
-                if (options.coolant === 'mist') {
-                    lines.push(this.appendComment('M7', c.coolantMist, options));
-                } else if (options.coolant === 'flood') {
-                    lines.push(this.appendComment('M8', c.coolantFlood, options));
-                }
+            if (options.coolant === 'mist') {
+                lines.push(this.appendComment('M7', c.coolantMist, options));
+            } else if (options.coolant === 'flood') {
+                lines.push(this.appendComment('M8', c.coolantFlood, options));
             }
 
             lines.push('');
             return lines.join('\n');
         }
-        */
+
+        /**
+         * The swap itself, between the spindle stop/retract and the restart: T/M6 or the manual sequence.
+         * @returns {string[]} G-code lines
+         */
+        generateToolChangeCommands(tool, toolNumber, toolLabel, safeZ, options) {
+            if (!this.config.useM6) {
+                return this.generateManualToolChange(tool, toolNumber, toolLabel, safeZ, options);
+            }
+
+            const c = options.comments || {};
+            const lines = [`T${toolNumber} M6`];
+            if (this.config.supportsToolLengthComp) {
+                lines.push(this.appendComment(`G43 H${toolNumber}`, c.toolLengthComp, options));
+            }
+            if (this.config.pauseAfterToolChange) {
+                lines.push(this.appendComment('M0', c.toolChangePause, options));
+            }
+            return lines;
+        }
+
+        /**
+         * Park, pause with the tool named in the M0 comment, then (optionally) touch off on a plate with G38.2
+         * and re-zero Z with G92 before returning to safe Z.
+         */
+        generateManualToolChange(tool, toolNumber, toolLabel, safeZ, options) {
+            const lines = [];
+            const c = options.comments || {};
+            const tc = options.toolChange || {};
+            const prefix = tc.machineCoords ? 'G53 G0' : 'G0';
+            const changeZ = tc.z ?? safeZ;
+
+            lines.push(this.appendComment(
+                `${prefix} X${this.formatCoordinate(tc.x ?? 0)} Y${this.formatCoordinate(tc.y ?? 0)}`,
+                c.toolChangeMove, options
+            ));
+            if (tc.machineCoords || changeZ > safeZ) {
+                lines.push(`${prefix} Z${this.formatCoordinate(changeZ)}`);
+            }
+
+            // The pause comment always names the tool - it is what the operator sees on the controller
+            const insertText = (c.toolChangeInsert || 'Insert T{number} {name} - {diameter}mm - and press cycle start')
+                .replace('{number}', toolNumber)
+                .replace('{name}', toolLabel)
+                .replace('{diameter}', tool.diameter);
+            lines.push(this.appendComment('M0', insertText, { ...options, includeComments: true }));
+
+            if (tc.probe) {
+                const probeZ = options.probeZ ?? -5;
+                const probeFeed = options.probeFeed || 25;
+                lines.push(this.appendComment(
+                    `G38.2 Z${this.formatCoordinate(probeZ)} F${this.formatFeed(probeFeed)}`,
+                    c.toolProbe, options
+                ));
+                lines.push(this.appendComment(`G92 Z${this.formatCoordinate(tc.plateThickness || 0)}`, c.toolProbeZero, options));
+                lines.push(this.appendComment('M0', c.toolProbeRemovePlate || 'Remove touch plate and press cycle start', { ...options, includeComments: true }));
+            }
+
+            lines.push(this.appendComment(`G0 Z${this.formatCoordinate(safeZ)}`, c.retractSafeZ, options));
+
+            // The next rapid re-emits full coordinates (motion mode is reset by the caller)
+            if (!tc.machineCoords) {
+                this.currentPosition.x = tc.x ?? 0;
+                this.currentPosition.y = tc.y ?? 0;
+            }
+            this.currentPosition.z = safeZ;
+            return lines;
+        }
 
         // Base formatter that safely strips trailing zeros and handles -0
         formatNumberSafe(value, precision, scale = 1.0) {
@@ -546,25 +626,50 @@
                 case 'PLUNGE': return this.generatePlunge(cmd);
                 case 'RETRACT': return this.generateRetract(cmd);
                 case 'DWELL': return this.generateDwell(cmd);
-                case 'CANNED_SIMPLE': 
-                    if (this.generateSimpleDrill) return this.generateSimpleDrill({x: cmd.x, y: cmd.y}, cmd.z, cmd.retract, cmd.f, cmd.dwell);
-                    return '';
-                case 'CANNED_PECK':
-                    // Route to G73 if requested AND supported by the specific post-processor
-                    if (cmd.cycleType === 'G73' && this.generateChipBreakDrill) {
-                        return this.generateChipBreakDrill({x: cmd.x, y: cmd.y}, cmd.z, cmd.retract, cmd.peckDepth, cmd.f);
-                    } 
-                    // Fallback to G83 if G73 isn't available, or if G83 was explicitly requested
-                    else if (this.generatePeckDrill) {
-                        // Pass cmd.cycleType so it doesn't automatically default to G83
-                        return this.generatePeckDrill({x: cmd.x, y: cmd.y}, cmd.z, cmd.retract, cmd.peckDepth, cmd.f, cmd.cycleType);
-                    }
-                    return '';
+                case 'CANNED_SIMPLE':
+                case 'CANNED_PECK': return this.generateCannedCycle(cmd);
                 default:
                     return '';
             }
         }
 
+        /**
+         * Dispatches a canned drill command and tracks where the cycle leaves the tool.
+         * Consecutive holes stay inside one modal block until the generator issues G80.
+         */
+        generateCannedCycle(cmd) {
+            const position = { x: cmd.x, y: cmd.y };
+            let line = '';
+
+            if (cmd.type === 'CANNED_SIMPLE') {
+                line = this.generateSimpleDrill(position, cmd.z, cmd.retract, cmd.f, cmd.dwell);
+            } else if (cmd.cycleType === 'G73') {
+                line = this.generateChipBreakDrill(position, cmd.z, cmd.retract, cmd.peckDepth, cmd.f);
+            } else {
+                line = this.generatePeckDrill(position, cmd.z, cmd.retract, cmd.peckDepth, cmd.f, cmd.cycleType || 'G83');
+            }
+
+            // G98 returns to the Z the block started from, G99 to the R plane
+            const returnZ = this.config.cannedReturnMode === 'G99'
+                ? cmd.retract
+                : (cmd.returnZ ?? Math.max(this.currentPosition.z, cmd.retract));
+            this.currentPosition = { x: cmd.x, y: cmd.y, z: returnZ };
+            this.modalState.motionMode = null;
+
+            return line;
+        }
+
+        /**
+         * Emits the cycle word, prefixed with the return mode on the first hole of a block.
+         */
+        formatCycleCode(cycleCode) {
+            if (cycleCode === this.cannedState.cycleType) return '';
+            const startsBlock = this.cannedState.cycleType === null;
+            this.cannedState.cycleType = cycleCode;
+            const returnMode = startsBlock && this.config.cannedReturnMode;
+            return returnMode ? `${returnMode} ${cycleCode} ` : `${cycleCode} `;
+        }
+
         /**
          * G81 — Simple drilling cycle (no dwell).
          * G82 — Drilling cycle with dwell at bottom.
@@ -574,11 +679,7 @@
             let line = '';
 
             // Emit cycle code only on first hole or if changed
-            const cycleCode = dwellTime > 0 ? 'G82' : 'G81';
-            if (cycleCode !== this.cannedState.cycleType) {
-                line += cycleCode + ' ';
-                this.cannedState.cycleType = cycleCode;
-            }
+            line += this.formatCycleCode(dwellTime > 0 ? 'G82' : 'G81');
 
             // Always emit XY (position changes every hole)
             line += `X${this.formatCoordinate(position.x)} Y${this.formatCoordinate(position.y)}`;
@@ -610,10 +711,7 @@
         generatePeckDrill(position, depth, retract, peckDepth, feedRate, cycleType = 'G83') {
             let line = '';
 
-            if (cycleType !== this.cannedState.cycleType) {
-                line += cycleType + ' ';
-                this.cannedState.cycleType = cycleType;
-            }
+            line += this.formatCycleCode(cycleType);
 
             line += `X${this.formatCoordinate(position.x)} Y${this.formatCoordinate(position.y)}`;
 
@@ -644,10 +742,7 @@
         generateChipBreakDrill(position, depth, retract, peckDepth, feedRate) {
             let line = '';
 
-            if ('G73' !== this.cannedState.cycleType) {
-                line += 'G73 ';
-                this.cannedState.cycleType = 'G73';
-            }
+            line += this.formatCycleCode('G73');
 
             line += `X${this.formatCoordinate(position.x)} Y${this.formatCoordinate(position.y)}`;
 
@@ -677,6 +772,8 @@
                 cycleType: null, z: null, r: null,
                 q: null, f: null, dwell: null
             };
+            // G80 also cancels the motion mode, so the next move must state G0/G1 again
+            this.modalState.motionMode = null;
             return 'G80';
         }
 
@@ -706,6 +803,67 @@
             return { warnings, errors };
         }
 
+        /**
+         * Post-pass that prefixes N words to a finished program.
+         * Program markers (%) and O-numbers are never numbered. Blank and comment-only
+         * lines are left bare unless skipComments is off. With Marlin-style checksums
+         * the sequence restarts at N0 via M110, steps by 1 and every line gets *checksum.
+         */
+        applyLineNumbers(text, lineNumbers) {
+            const caps = this.descriptor.capabilities;
+            if (!lineNumbers?.enabled || !caps.supportsLineNumbers) return text;
+
+            const checksum = !!lineNumbers.checksum && caps.supportsChecksums;
+            const skipComments = checksum || lineNumbers.skipComments !== false;
+            const increment = checksum ? 1 : Math.max(1, parseInt(lineNumbers.increment, 10) || 10);
+            let n = checksum ? 0 : Math.max(0, parseInt(lineNumbers.start, 10) || 0);
+
+            const output = [];
+            const number = (code) => {
+                const line = `N${n} ${code}`.trimEnd();
+                n += increment;
+                return checksum ? `${line}*${this.calculateChecksum(line)}` : line;
+            };
+
+            // Marlin: reset the expected line number before the first numbered line
+            if (checksum) output.push(number('M110 N0'));
+
+            for (const raw of text.split('\n')) {
+                const line = raw.trim();
+
+                if (line.startsWith('%') || /^O\d/i.test(line)) {
+                    output.push(raw);
+                    continue;
+                }
+
+                const isComment = line === '' || line.startsWith(';') || /^\(.*\)$/.test(line);
+                if (isComment) {
+                    if (skipComments) {
+                        output.push(raw);
+                    } else {
+                        output.push(number(line));
+                    }
+                    continue;
+                }
+
+                // Checksummed lines must not carry trailing comments; hosts strip them anyway
+                output.push(number(checksum ? line.replace(/\s*;.*$/, '') : line));
+            }
+
+            return output.join('\n');
+        }
+
+        /**
+         * Marlin/RepRap line checksum: XOR of every byte before the '*'.
+         */
+        calculateChecksum(line) {
+            let cs = 0;
+            for (let i = 0; i < line.length; i++) {
+                cs ^= line.charCodeAt(i);
+            }
+            return cs & 0xFF;
+        }
+
         resetState() {
             this.currentPosition = { x: 0, y: 0, z: 0 };
             this.currentFeed = null;
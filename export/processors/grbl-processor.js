@@ -17,7 +17,7 @@
             super('GRBL', {
                 label: 'Grbl',
                 fileExtension: '.nc',
-                supportsToolChange: false, // REVIEW - Consider a manual tool change macro. Stops spindle, goes to origin, raises Z, allows change, probe? raise again, finally allows resume? Makera has a similar system?
+                supportsToolChange: false, // No M6 - tool changes use the manual park/M0/probe sequence
                 supportsArcCommands: true,
                 supportsCannedCycles: false,
                 useM6: false,
@@ -30,6 +30,7 @@
                 modalCommands: true,
                 maxSpindleSpeed: 30000,
                 maxRapidRate: 5000,
+                acceleration: 500,
                 defaults: {
                     startCode: 'T1',
                     endCode: 'M5\nG0 X0 Y0\nM2',
@@ -28,9 +28,10 @@
                 feedDecimals: 1,
                 spindleDecimals: 0,
                 modalCommands: true,
-                lineNumbering: false, // To be implemented in the future
+                lineNumbering: false,
                 maxSpindleSpeed: 24000,
                 maxRapidRate: 5000,
+                acceleration: 500,
                 defaults: {
                     startCode: 'G64 P0.01\nG4 P1',
                     endCode: 'M5\nG0 X0Y0\nM2',
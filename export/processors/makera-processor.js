@@ -40,6 +40,7 @@
                 modalCommands: true,
                 maxSpindleSpeed: 24000,
                 maxRapidRate: 3000,
+                acceleration: 500,
                 defaults: {
                     // Initial tool assignment — Makera firmware requires M6 before first motion
                     startCode: 'M6 T1',
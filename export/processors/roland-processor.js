@@ -226,6 +226,8 @@
                     supportsArcCommands: false,
                     supportsCannedCycles: false,
                     arcFormat: null,
+                    supportsLineNumbers: false, // RML has no block numbers
+                    supportsChecksums: false,
                 },
                 defaults: {
                     startCode: ';;^DF\nPA;',
@@ -234,6 +236,9 @@
                 limits: {
                     maxSpindleSpeed: 15000,
                     maxRapidRate: 60,
+                    acceleration: 100,
+                    accelerationZ: 50,
+                    junctionDeviation: 0.02,
                 },
                 customParameters: [
                     {
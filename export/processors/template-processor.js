@@ -0,0 +1,388 @@
+/*!
+ * @file        export/processors/template-processor.js
+ * @description User-defined post-processor driven by a JSON template document
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const PRECISION = window.CAMConfig.constants.precision.coordinate;
+
+    const DOCUMENT_TYPE = 'easytrace5000-post-processor';
+    const DOCUMENT_VERSION = 1;
+    const COMMENT_STYLES = ['parentheses', 'semicolon', 'none'];
+    const ARC_FORMATS = ['IJ', 'R', 'none'];
+
+    const DEFAULT_TEMPLATE = {
+        type: DOCUMENT_TYPE,
+        version: DOCUMENT_VERSION,
+        id: 'custom',
+        label: 'Custom Machine',
+        fileExtension: '.nc',
+        commentStyle: 'parentheses',
+        arcFormat: 'IJ',
+        decimals: { coordinate: 3, feed: 0, spindle: 0 },
+        numberFormat: {
+            trailingZeros: false,   // X1.500 instead of X1.5
+            leadingZero: true,      // X0.5 instead of X.5
+            decimalPoint: false     // X1. instead of X1 (Fanuc reads X1 as 1 µm)
+        },
+        modalCommands: true,
+        cannedCycles: false,
+        lineNumbers: { enabled: false, start: 10, increment: 10 },
+        checksums: false,
+        limits: { maxSpindleSpeed: 24000, maxRapidRate: 1000 },
+        templates: {
+            header: 'G90\n{units}\nG17\nG94\n{startCode}',
+            footer: '{endCode}',
+            toolChange: '',         // Empty: manual park/M0/probe sequence
+            spindleOn: 'M3 S{speed}',
+            spindleOff: 'M5'
+        },
+        startCode: '',
+        endCode: 'M5\nG0 Z{safeZ}\nM30'
+    };
+
+    /**
+     * Fills {name} placeholders; unknown names are left as written so typos stay visible in the output.
+     */
+    function expandTemplate(template, values) {
+        return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+        );
+    }
+
+    function pickNumber(value, fallback, min, max) {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return fallback;
+        return Math.min(max, Math.max(min, num));
+    }
+
+    /**
+     * Template Post-Processor
+     *
+     * Header, footer, tool change and spindle commands come from the template
+     * document; motion, canned cycles and line numbering reuse BasePostProcessor.
+     *
+     * Placeholders:
+     *   header      {comments} {units} {startCode} {toolNumber} {safeZ} {travelZ} {date}
+     *   footer      {endCode} {safeZ} {travelZ}
+     *   toolChange  {toolNumber} {toolName} {toolDiameter} {safeZ}
+     *   spindleOn   {speed} {percent}
+     */
+    class TemplatePostProcessor extends BasePostProcessor {
+        constructor(template) {
+            const doc = TemplatePostProcessor.normalize(template);
+
+            super(TemplatePostProcessor.registryKey(doc.id), {
+                label: `${doc.label} (Custom)`,
+                fileExtension: doc.fileExtension,
+                commentStyle: doc.commentStyle === 'semicolon' ? 'semicolon' : 'parentheses',
+                supportsToolChange: doc.templates.toolChange.trim() !== '',
+                supportsArcCommands: doc.arcFormat !== 'none',
+                supportsCannedCycles: doc.cannedCycles,
+                useM6: false,
+                arcFormat: doc.arcFormat === 'none' ? null : doc.arcFormat,
+                coordinateDecimals: doc.decimals.coordinate,
+                feedDecimals: doc.decimals.feed,
+                spindleDecimals: doc.decimals.spindle,
+                modalCommands: doc.modalCommands,
+                lineNumbering: doc.lineNumbers.enabled,
+                lineNumberStart: doc.lineNumbers.start,
+                lineNumberIncrement: doc.lineNumbers.increment,
+                supportsChecksums: doc.checksums,
+                maxSpindleSpeed: doc.limits.maxSpindleSpeed,
+                maxRapidRate: doc.limits.maxRapidRate,
+                defaults: {
+                    startCode: doc.startCode,
+                    endCode: doc.endCode,
+                }
+            });
+
+            this.template = doc;
+            this.descriptor.isUserDefined = true;
+        }
+
+        /**
+         * Registry key for a template id. The prefix keeps user processors from replacing built-in ones.
+         */
+        static registryKey(id) {
+            return `custom-${id}`;
+        }
+
+        /**
+         * Returns a fresh copy of the starter template.
+         */
+        static createDefaultTemplate() {
+            return JSON.parse(JSON.stringify(DEFAULT_TEMPLATE));
+        }
+
+        /**
+         * Validates a template document (object or JSON text) and fills in missing fields.
+         * @throws {Error} when the document is unreadable or has an invalid value
+         */
+        static normalize(input) {
+            let doc = input;
+            if (typeof doc === 'string') {
+                try {
+                    doc = JSON.parse(doc);
+                } catch (e) {
+                    throw new Error(`Post-processor file is not valid JSON: ${e.message}`);
+                }
+            }
+            if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+                throw new Error('Post-processor template must be a JSON object');
+            }
+            if (doc.type !== undefined && doc.type !== DOCUMENT_TYPE) {
+                throw new Error(`Unknown template type '${doc.type}'`);
+            }
+            if (doc.version !== undefined && doc.version > DOCUMENT_VERSION) {
+                throw new Error(`Template version ${doc.version} is newer than this app supports (${DOCUMENT_VERSION})`);
+            }
+
+            const def = DEFAULT_TEMPLATE;
+            const label = String(doc.label ?? '').trim();
+            if (!label) {
+                throw new Error('Post-processor template needs a label');
+            }
+
+            const id = String(doc.id || label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            if (!id) {
+                throw new Error(`Cannot derive an id from '${label}'`);
+            }
+
+            const commentStyle = doc.commentStyle ?? def.commentStyle;
+            if (!COMMENT_STYLES.includes(commentStyle)) {
+                throw new Error(`Comment style must be one of ${COMMENT_STYLES.join(', ')}`);
+            }
+            const arcFormat = doc.arcFormat ?? def.arcFormat;
+            if (!ARC_FORMATS.includes(arcFormat)) {
+                throw new Error(`Arc format must be one of ${ARC_FORMATS.join(', ')}`);
+            }
+
+            let fileExtension = String(doc.fileExtension || def.fileExtension).trim();
+            if (!fileExtension.startsWith('.')) fileExtension = '.' + fileExtension;
+            if (!/^\.[A-Za-z0-9]{1,8}$/.test(fileExtension)) {
+                throw new Error(`Invalid file extension '${fileExtension}'`);
+            }
+
+            const templates = {};
+            for (const key of Object.keys(def.templates)) {
+                const value = doc.templates?.[key];
+                templates[key] = typeof value === 'string' ? value : def.templates[key];
+            }
+
+            const decimals = doc.decimals || {};
+            const numberFormat = doc.numberFormat || {};
+            const lineNumbers = doc.lineNumbers || {};
+            const limits = doc.limits || {};
+
+            return {
+                type: DOCUMENT_TYPE,
+                version: DOCUMENT_VERSION,
+                id,
+                label,
+                fileExtension,
+                commentStyle,
+                arcFormat,
+                decimals: {
+                    coordinate: Math.round(pickNumber(decimals.coordinate, def.decimals.coordinate, 0, 6)),
+                    feed: Math.round(pickNumber(decimals.feed, def.decimals.feed, 0, 4)),
+                    spindle: Math.round(pickNumber(decimals.spindle, def.decimals.spindle, 0, 2))
+                },
+                numberFormat: {
+                    trailingZeros: numberFormat.trailingZeros === true,
+                    leadingZero: numberFormat.leadingZero !== false,
+                    decimalPoint: numberFormat.decimalPoint === true
+                },
+                modalCommands: doc.modalCommands !== false,
+                cannedCycles: doc.cannedCycles === true,
+                lineNumbers: {
+                    enabled: lineNumbers.enabled === true,
+                    start: Math.round(pickNumber(lineNumbers.start, def.lineNumbers.start, 0, 99999)),
+                    increment: Math.round(pickNumber(lineNumbers.increment, def.lineNumbers.increment, 1, 1000))
+                },
+                checksums: doc.checksums === true,
+                limits: {
+                    maxSpindleSpeed: pickNumber(limits.maxSpindleSpeed, def.limits.maxSpindleSpeed, 1, 1e6),
+                    maxRapidRate: pickNumber(limits.maxRapidRate, def.limits.maxRapidRate, 1, 1e6)
+                },
+                templates,
+                startCode: typeof doc.startCode === 'string' ? doc.startCode : def.startCode,
+                endCode: typeof doc.endCode === 'string' ? doc.endCode : def.endCode
+            };
+        }
+
+        // ====================================================================
+        // Formatting
+        // ====================================================================
+
+        formatComment(text, options) {
+            if (this.template.commentStyle === 'none') return '';
+            return super.formatComment(text, options);
+        }
+
+        formatNumberSafe(value, precision, scale = 1.0) {
+            if (value == null) return '';
+
+            const scaled = value * scale;
+            const format = this.template.numberFormat;
+            let text;
+            if (precision === 0) {
+                text = Math.round(scaled).toString();
+            } else if (format.trailingZeros) {
+                text = scaled.toFixed(precision);
+            } else {
+                text = parseFloat(scaled.toFixed(precision)).toString();
+            }
+
+            if (/^-0(\.0*)?$/.test(text)) text = text.slice(1);
+            if (!format.leadingZero) text = text.replace(/^(-?)0\./, '$1.');
+            return text;
+        }
+
+        formatCoordinate(value) {
+            const text = super.formatCoordinate(value);
+            if (this.template.numberFormat.decimalPoint && text !== '' && !text.includes('.')) {
+                return text + '.';
+            }
+            return text;
+        }
+
+        // ====================================================================
+        // Program Structure
+        // ====================================================================
+
+        generateHeader(options) {
+            const commentLines = [];
+            if (options.includeComments && options.commentBlock) {
+                options.commentBlock.forEach(line => this.pushCommentLine(commentLines, line, options));
+            }
+
+            const isInch = options.units === 'inch' || options.units === 'in';
+            this.modalState.units = isInch ? 'G20' : 'G21';
+            this.outputScale = isInch ? (1 / 25.4) : 1.0;
+
+            // Without a {comments} slot the block goes first; headers that must open with % or O place it themselves
+            const header = this.template.templates.header;
+            const lines = [];
+            if (!header.includes('{comments}') && commentLines.length > 0) {
+                lines.push(...commentLines, '');
+            }
+
+            lines.push(expandTemplate(header, {
+                comments: commentLines.join('\n'),
+                units: this.modalState.units,
+                startCode: this.buildStartCode(options),
+                toolNumber: options.toolNumber ?? 1,
+                safeZ: this.formatCoordinate(options.safeZ),
+                travelZ: this.formatCoordinate(options.travelZ),
+                date: new Date().toISOString().slice(0, 10)
+            }));
+            return lines.join('\n');
+        }
+
+        generateFooter(options) {
+            return expandTemplate(this.template.templates.footer, {
+                endCode: super.generateFooter(options),
+                safeZ: this.formatCoordinate(options.safeZ),
+                travelZ: this.formatCoordinate(options.travelZ)
+            });
+        }
+
+        setSpindle(speed, dwell = 0, options = {}) {
+            if (speed === this.currentSpindle) {
+                return null;
+            }
+
+            const maxSpeed = this.config.maxSpindleSpeed;
+            const targetSpeed = Math.min(speed, maxSpeed);
+            const c = options.comments || {};
+            this.currentSpindle = speed;
+
+            if (speed <= 0) {
+                return this.annotateFirstLine(this.template.templates.spindleOff, c.spindleStop, options);
+            }
+
+            const lines = [this.annotateFirstLine(expandTemplate(this.template.templates.spindleOn, {
+                speed: this.formatSpindle(targetSpeed),
+                percent: Math.round(targetSpeed / maxSpeed * 100)
+            }), c.spindleStart, options)];
+            if (dwell > 0) {
+                lines.push(this.appendComment(`G4 P${this.formatDwell(dwell)}`, c.spindleDwell, options));
+            }
+            return lines.filter(Boolean).join('\n');
+        }
+
+        generateToolChangeCommands(tool, toolNumber, toolLabel, safeZ, options) {
+            const template = this.template.templates.toolChange;
+            if (!template.trim()) {
+                return super.generateToolChangeCommands(tool, toolNumber, toolLabel, safeZ, options);
+            }
+
+            // Where the template leaves the machine is unknown; the next rapid restates every axis
+            this.currentPosition = { x: NaN, y: NaN, z: safeZ };
+            return expandTemplate(template, {
+                toolNumber,
+                toolName: toolLabel,
+                toolDiameter: tool.diameter,
+                safeZ: this.formatCoordinate(safeZ)
+            }).split('\n');
+        }
+
+        /**
+         * R-format arcs are ambiguous past 180° and cannot describe full circles,
+         * so those are emitted as two halves split at the angular midpoint.
+         */
+        generateArc(cmd) {
+            if (this.config.arcFormat !== 'R') {
+                return super.generateArc(cmd);
+            }
+
+            const start = this.currentPosition;
+            const end = {
+                x: cmd.x ?? start.x,
+                y: cmd.y ?? start.y,
+                z: cmd.z ?? start.z
+            };
+            const cx = start.x + (cmd.i || 0);
+            const cy = start.y + (cmd.j || 0);
+            const radius = Math.hypot(cmd.i || 0, cmd.j || 0);
+
+            let sweep = Math.atan2(end.y - cy, end.x - cx) - Math.atan2(start.y - cy, start.x - cx);
+            if (cmd.type === 'ARC_CW') {
+                if (sweep >= -PRECISION) sweep -= 2 * Math.PI;
+            } else if (sweep <= PRECISION) {
+                sweep += 2 * Math.PI;
+            }
+
+            if (radius < PRECISION || Math.abs(sweep) <= Math.PI + PRECISION) {
+                return super.generateArc(cmd);
+            }
+
+            const midAngle = Math.atan2(start.y - cy, start.x - cx) + sweep / 2;
+            const mid = {
+                x: cx + radius * Math.cos(midAngle),
+                y: cy + radius * Math.sin(midAngle),
+                z: (start.z + end.z) / 2
+            };
+            const first = super.generateArc(new MotionCommand(cmd.type, mid, { i: cmd.i, j: cmd.j, feed: cmd.f }));
+            const second = super.generateArc(new MotionCommand(cmd.type, end, { i: cx - mid.x, j: cy - mid.y, feed: cmd.f }));
+            return [first, second].filter(Boolean).join('\n');
+        }
+
+        annotateFirstLine(text, comment, options) {
+            const lines = String(text || '').split('\n');
+            if (lines[0].trim()) lines[0] = this.appendComment(lines[0], comment, options);
+            return lines.join('\n');
+        }
+    }
+
+    window.TemplatePostProcessor = TemplatePostProcessor;
+})();
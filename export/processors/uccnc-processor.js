@@ -44,9 +44,10 @@
                 feedDecimals: 1,
                 spindleDecimals: 0,
                 modalCommands: true,
-                lineNumbering: false, // To be implemented in the future
+                lineNumbering: false,
                 maxSpindleSpeed: 24000,
                 maxRapidRate: 5000,
+                acceleration: 500,
                 defaults: {
                     startCode: 'G64\nT1',
                     endCode: 'M5\nG0 X0 Y0\nM30',
@@ -0,0 +1,228 @@
+/*!
+ * @file        export/setup-sheet.js
+ * @description Printable HTML setup sheet for G-code jobs
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const D = window.CAMConfig.defaults;
+    const debugState = D.debug;
+
+    const STYLES = `
+        body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111; margin: 24px; font-size: 13px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 15px; margin: 20px 0 8px; border-bottom: 2px solid #111; padding-bottom: 2px; }
+        .meta { color: #555; margin: 0 0 16px; }
+        .summary { display: flex; gap: 24px; align-items: flex-start; }
+        .summary img { max-width: 45%; border: 1px solid #999; background: #222; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; }
+        dt { font-weight: 600; }
+        dd { margin: 0; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+        th { background: #eee; }
+        td.num { text-align: right; font-variant-numeric: tabular-nums; }
+        .check { width: 18px; }
+        .note { color: #555; font-size: 12px; }
+        @media print {
+            body { margin: 10mm; }
+            h2 { break-after: avoid; }
+            tr { break-inside: avoid; }
+        }
+    `;
+
+    /**
+     * Builds a standalone HTML page (inline styles, embedded thumbnail) that the
+     * operator can print or open at the machine. Pure formatting - CamCore
+     * collects the job data.
+     */
+    class SetupSheetGenerator {
+        /**
+         * @param {Object} job
+         * @param {string} job.title - Job / file base name
+         * @param {string} job.appName
+         * @param {string[]} job.files - Output file names the sheet belongs to
+         * @param {boolean} job.singleFile - All operations in one program
+         * @param {string} job.postProcessor - Processor label
+         * @param {string} job.units - 'mm' | 'inch'
+         * @param {Object} job.origin - { x, y } file-space point used as X0 Y0
+         * @param {Object} job.transforms - { rotation, mirrorX, mirrorY }
+         * @param {Object|null} job.bounds - Machine-coordinate { minX, minY, maxX, maxY }
+         * @param {Object|null} job.stock - { thickness, zeroReference, width, height, material }
+         * @param {Object} job.heights - { safeZ, travelZ }
+         * @param {Array} job.tools - [{ number, name, type, diameter, flutes, operations }]
+         * @param {Array} job.operations - [{ type, fileName, toolNumber, toolName, feedRate, plungeRate, spindleSpeed, cutDepth, depthPerPass, depthLevels, passes, time }]
+         * @param {number} job.totalTime - Seconds
+         * @param {string|null} job.thumbnail - PNG data URL
+         * @returns {{ blob: Blob }}
+         */
+        generate(job) {
+            const html = [
+                '<!DOCTYPE html>',
+                '<html lang="en">',
+                '<head>',
+                '<meta charset="utf-8">',
+                `<title>Setup Sheet - ${this.escape(job.title)}</title>`,
+                `<style>${STYLES}</style>`,
+                '</head>',
+                '<body>',
+                `<h1>Setup Sheet - ${this.escape(job.title)}</h1>`,
+                `<p class="meta">${this.escape(job.appName)} | ${this.escape(new Date().toLocaleString())} | ${this.escape(job.files.join(', '))}</p>`,
+                this.buildSummary(job),
+                this.buildTools(job),
+                this.buildOperations(job),
+                '</body>',
+                '</html>'
+            ].join('\n');
+
+            this.debug(`Setup sheet: ${job.operations.length} operation(s), ${job.tools.length} tool(s)`);
+            return { blob: new Blob([html], { type: 'text/html;charset=utf-8' }) };
+        }
+
+        buildSummary(job) {
+            const length = (mm) => this.formatLength(mm, job.units);
+            const rows = [
+                ['Post-processor', this.escape(job.postProcessor)],
+                ['Units', job.units === 'inch' ? 'inch (G20)' : 'mm (G21)'],
+                ['Work offset', 'Active work coordinate system on the controller (the program does not select one)'],
+                ['Origin (X0 Y0)', `Design point X ${this.formatNumber(job.origin.x)} Y ${this.formatNumber(job.origin.y)} mm`],
+                ['Board orientation', this.describeTransforms(job.transforms)]
+            ];
+
+            if (job.bounds) {
+                const b = job.bounds;
+                rows.push(['Job extents', `X ${length(b.minX)} to ${length(b.maxX)}, Y ${length(b.minY)} to ${length(b.maxY)}`]);
+                rows.push(['Job size', `${length(b.maxX - b.minX)} x ${length(b.maxY - b.minY)}`]);
+            }
+
+            if (job.stock?.thickness) {
+                const zeroAt = job.stock.zeroReference && job.stock.zeroReference !== 'material'
+                    ? 'machine bed / spoilboard'
+                    : 'top of material';
+                rows.push(['Stock thickness', length(job.stock.thickness)]);
+                rows.push(['Z0', zeroAt]);
+                if (job.stock.width && job.stock.height) {
+                    rows.push(['Stock size', `${length(job.stock.width)} x ${length(job.stock.height)}${job.stock.material ? ` (${this.escape(job.stock.material)})` : ''}`]);
+                }
+            } else {
+                rows.push(['Z0', 'top of material']);
+            }
+
+            rows.push(['Safe Z / Travel Z', `${length(job.heights.safeZ)} / ${length(job.heights.travelZ)}`]);
+            rows.push(['Estimated time', this.formatTime(job.totalTime)]);
+
+            const list = rows.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('\n');
+            const image = job.thumbnail
+                ? `<img src="${job.thumbnail}" alt="Board preview">`
+                : '';
+
+            return `<h2>Job</h2>\n<div class="summary">\n<dl>\n${list}\n</dl>\n${image}\n</div>`;
+        }
+
+        buildTools(job) {
+            if (job.tools.length === 0) return '';
+
+            const rows = job.tools.map(tool => `<tr>
+<td class="check">&#9744;</td>
+<td>T${tool.number}</td>
+<td>${this.escape(tool.name)}</td>
+<td>${this.escape(tool.type || '')}</td>
+<td class="num">${this.formatNumber(tool.diameter)} mm</td>
+<td class="num">${tool.flutes ?? ''}</td>
+<td>${this.escape(tool.operations.join(', '))}</td>
+</tr>`).join('\n');
+
+            const note = job.singleFile
+                ? 'Tools are numbered in order of first use; T1 must be loaded before starting the program.'
+                : 'Each file starts with the tool of its operation loaded.';
+
+            return `<h2>Tools</h2>
+<p class="note">${note}</p>
+<table>
+<thead><tr><th></th><th>#</th><th>Tool</th><th>Type</th><th>Diameter</th><th>Flutes</th><th>Used by</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+        }
+
+        buildOperations(job) {
+            const rows = job.operations.map((op, index) => {
+                const depth = op.depthLevels > 1
+                    ? `${this.formatNumber(op.cutDepth)} mm in ${op.depthLevels} passes of ${this.formatNumber(op.depthPerPass)} mm`
+                    : `${this.formatNumber(op.cutDepth)} mm`;
+                return `<tr>
+<td class="check">&#9744;</td>
+<td>${index + 1}</td>
+<td>${this.escape(op.type)}<br><span class="note">${this.escape(op.fileName)}</span></td>
+<td>T${op.toolNumber} ${this.escape(op.toolName)}</td>
+<td class="num">${this.formatNumber(op.feedRate, 0)} / ${this.formatNumber(op.plungeRate, 0)}</td>
+<td class="num">${this.formatNumber(op.spindleSpeed, 0)}</td>
+<td>${depth}</td>
+<td class="num">${op.passes ?? ''}</td>
+<td class="num">${this.formatTime(op.time)}</td>
+</tr>`;
+            }).join('\n');
+
+            return `<h2>Operations (in program order)</h2>
+<table>
+<thead><tr><th></th><th>#</th><th>Operation</th><th>Tool</th><th>Feed / Plunge (mm/min)</th><th>Spindle (RPM)</th><th>Depth</th><th>Offset passes</th><th>Est. time</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+        }
+
+        describeTransforms(t) {
+            const parts = [];
+            if (t?.rotation) parts.push(`rotated ${this.formatNumber(t.rotation, 1)}°`);
+            if (t?.mirrorX) parts.push('mirrored in X');
+            if (t?.mirrorY) parts.push('mirrored in Y');
+            return parts.length > 0 ? parts.join(', ') : 'as designed (no rotation or mirror)';
+        }
+
+        formatNumber(value, decimals = 3) {
+            if (typeof value !== 'number' || !isFinite(value)) return '-';
+            return parseFloat(value.toFixed(decimals)).toString();
+        }
+
+        formatLength(mm, units) {
+            return units === 'inch'
+                ? `${this.formatNumber(mm / 25.4, 4)} in`
+                : `${this.formatNumber(mm)} mm`;
+        }
+
+        formatTime(seconds) {
+            if (typeof seconds !== 'number' || !isFinite(seconds) || seconds <= 0) return '-';
+            const total = Math.round(seconds);
+            const h = Math.floor(total / 3600);
+            const m = Math.floor((total % 3600) / 60);
+            const s = total % 60;
+            const pad = (n) => String(n).padStart(2, '0');
+            return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+        }
+
+        escape(text) {
+            return String(text ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[SetupSheet] ${message}`, data)
+                 : console.log(`[SetupSheet] ${message}`);
+        }
+    }
+
+    window.SetupSheetGenerator = SetupSheetGenerator;
+})();
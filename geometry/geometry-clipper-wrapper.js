@@ -264,6 +264,61 @@
             }
         }
 
+        // Intersection operation (keep the parts of subjectPaths inside clipPaths)
+        async intersection(subjectPaths, clipPaths, fillRule = 'nonzero') {
+            await this.ensureInitialized();
+
+            const { Paths64, ClipType, FillRule, Clipper64, PolyPath64 } = this.clipper2;
+            const objects = [];
+
+            try {
+                const subjects = new Paths64();
+                const clips = new Paths64();
+                objects.push(subjects, clips);
+
+                const addAllContours = (pathsArray, clipperPathsObj) => {
+                    pathsArray.forEach(path => {
+                        const source = (path.contours && path.contours.length > 0) ? path
+                            : (path.type !== 'path' ? GeometryUtils.primitiveToPath(path) : null);
+                        if (!source || !source.contours) return;
+
+                        source.contours.forEach(contour => {
+                            const clipperPath = this.jsPathToClipper(contour.points, path.properties?.sourceId || 0);
+                            if (clipperPath) {
+                                clipperPathsObj.push_back(clipperPath);
+                                objects.push(clipperPath);
+                            }
+                        });
+                    });
+                };
+
+                addAllContours(subjectPaths, subjects);
+                addAllContours(clipPaths, clips);
+
+                if (subjects.size() === 0 || clips.size() === 0) return [];
+
+                const clipper = new Clipper64();
+                const solution = new PolyPath64();
+                objects.push(clipper, solution);
+
+                clipper.AddSubject(subjects);
+                clipper.AddClip(clips);
+
+                const fr = fillRule === 'evenodd' ? FillRule.EvenOdd : FillRule.NonZero;
+                const success = clipper.ExecutePoly(ClipType.Intersection, fr, solution);
+
+                if (!success) {
+                    this.debug('Intersection operation failed');
+                    return [];
+                }
+
+                return this.polyTreeToJS(solution);
+
+            } finally {
+                this.cleanup(objects);
+            }
+        }
+
         // Convert JS path to Clipper Path64 with metadata packing
         jsPathToClipper(points) {
             const { Path64, Point64 } = this.clipper2;
@@ -128,6 +128,38 @@
             return null;
         }
 
+        /**
+         * Area swept by a tool of the given diameter following a generated
+         * toolpath. Closed contours become rings, open ones capped strokes.
+         * Returns the unfused pieces so callers can union a whole operation
+         * in one boolean pass.
+         *
+         * @param {Object} primitive - Offset/toolpath primitive (path, circle or arc)
+         * @param {number} toolDiameter - Width of the swept band
+         * @returns {Array} Filled polygon primitives
+         */
+        sweepToolpath(primitive, toolDiameter) {
+            if (!primitive || !(toolDiameter >= PRECISION)) return [];
+
+            if (primitive.type === 'arc') {
+                const band = GeometryUtils.arcToPolygon(primitive, toolDiameter);
+                return band ? [band] : [];
+            }
+
+            const path = primitive.type === 'path' ? primitive : GeometryUtils.primitiveToPath(primitive);
+            if (!path?.contours) return [];
+
+            const isOpen = path.properties?.closed === false;
+            const swept = [];
+            for (const contour of path.contours) {
+                const pieces = isOpen
+                    ? GeometryUtils.traceToPolygon(contour, toolDiameter, { polarity: 'dark' })
+                    : GeometryUtils.closedContourToStrokePolygons(contour, toolDiameter);
+                if (pieces?.length) swept.push(...pieces);
+            }
+            return swept;
+        }
+
         /**
          * Checks if a path primitive contains any analytic arc segments.
          */
@@ -248,6 +248,85 @@
             }
         }
 
+        // Intersection geometry for clip regions
+        async intersection(subjectPrimitives, clipPrimitives) {
+            await this.ensureInitialized();
+
+            if (!subjectPrimitives || subjectPrimitives.length === 0) return [];
+            if (!clipPrimitives || clipPrimitives.length === 0) return [];
+
+            this.debug(`=== INTERSECTION OPERATION START ===`);
+            this.debug(`Input: ${subjectPrimitives.length} subjects, ${clipPrimitives.length} clips`);
+
+            try {
+                const result = await this.clipper.intersection(subjectPrimitives, clipPrimitives);
+
+                this.debug(`=== INTERSECTION OPERATION COMPLETE ===`);
+                this.debug(`Result: ${result.length} primitives`);
+
+                return result;
+
+            } catch (error) {
+                console.error('Intersection operation failed:', error);
+                throw error;
+            }
+        }
+
+        /**
+         * Applies SVG clip paths. Primitives tagged with properties.clipIds are converted to filled
+         * polygons (strokes expanded) and intersected with each referenced region in turn; untagged
+         * primitives pass through unchanged. Clipped pieces keep the source properties as fills.
+         * @param {Array} primitives
+         * @param {Object} clipRegions - clip key → primitives forming the clip area (ParserPlotter result)
+         */
+        async applyClipPaths(primitives, clipRegions) {
+            if (!clipRegions || !primitives.some(p => p.properties?.clipIds)) return primitives;
+
+            await this.ensureInitialized();
+
+            const preparedRegions = new Map();
+            const getRegion = (clipId) => {
+                if (!preparedRegions.has(clipId)) {
+                    preparedRegions.set(clipId, this.preprocessPrimitives(clipRegions[clipId] || []));
+                }
+                return preparedRegions.get(clipId);
+            };
+
+            const result = [];
+            let clippedCount = 0;
+
+            for (const primitive of primitives) {
+                const clipIds = primitive.properties?.clipIds;
+                if (!clipIds || clipIds.length === 0) {
+                    result.push(primitive);
+                    continue;
+                }
+
+                let pieces = this.preprocessPrimitives([primitive]);
+                for (const clipId of clipIds) {
+                    if (pieces.length === 0) break;
+                    // An empty clip region hides the element entirely
+                    pieces = await this.intersection(pieces, getRegion(clipId));
+                }
+
+                const { clipIds: _clipIds, stroke, strokeWidth, isTrace, ...properties } = primitive.properties;
+                for (const piece of pieces) {
+                    piece.properties = {
+                        ...properties,
+                        fill: true,
+                        stroke: false,
+                        closed: true,
+                        isClipped: true
+                    };
+                    result.push(piece);
+                }
+                clippedCount++;
+            }
+
+            this.debug(`Clip paths applied to ${clippedCount} primitive(s): ${primitives.length} → ${result.length}`);
+            return result;
+        }
+
         // Verify metadata propagation through pipeline
         verifyMetadataPropagation(primitives, stage) {
             let pointsWithCurveIds = 0;
@@ -0,0 +1,495 @@
+/*!
+ * @file        geometry/geometry-utils-voronoi.js
+ * @description Sampled Voronoi midlines between labelled boundaries (midline isolation)
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const D = window.CAMConfig.defaults;
+    const PRECISION = C.precision.coordinate;
+    const debugState = D.debug;
+
+    const YIELD_INTERVAL = 50;  // ms of triangulation between yields, keeps the page responsive
+
+    /**
+     * Static midline generator.
+     *
+     * Algorithm: Voronoi diagram of densely sampled boundaries.
+     *   1. Every boundary contour is sampled at a fixed spacing. Each sample
+     *      keeps the label of its boundary (an island, a net, the board frame).
+     *   2. The samples are Delaunay-triangulated (Bowyer-Watson, spatially
+     *      sorted insertion, walking point location).
+     *   3. A Delaunay edge between two differently labelled samples is dual to
+     *      a Voronoi edge: the segment between the circumcenters of its two
+     *      triangles. Together these segments are the boundaries of the label
+     *      cells, i.e. the lines halfway between different labels.
+     *   4. Segments are chained into polylines (closed where a cell boundary
+     *      loops back on itself, open between junctions) and RDP-simplified.
+     *
+     * The straight skeleton (geometry-utils-vcarve.js) is not used here: the
+     * gaps on a PCB are mostly bounded by parallel edges, whose fronts meet
+     * head-on, which is the degenerate case of the skeleton event loop.
+     * Accuracy of the midline is about spacing² / (8 × gap).
+     *
+     * This module performs pure geometry math — no Clipper2 dependency.
+     */
+    const VoronoiGenerator = {
+
+        /**
+         * @param {Array} boundaries - [{ label, contours: [[{x, y}, ...], ...] }]
+         *   Samples sharing a label never get a midline between them.
+         * @param {Object} options
+         *   spacing           {number} sample spacing along the boundaries in mm
+         *   maxSamples        {number} sample budget; the spacing is widened to stay within it
+         *   simplifyTolerance {number} RDP tolerance for the output in mm (default 0 = off)
+         * @returns {Promise<{primitives: Array, spacing: number}>} 2D PathPrimitives, closed
+         *   where a chain returns to its start, and the spacing actually used
+         */
+        async generateMidlinePaths(boundaries, options = {}) {
+            let spacing = options.spacing;
+            if (!spacing || spacing <= 0) {
+                console.error('[VoronoiGenerator] Invalid sample spacing:', spacing);
+                return { primitives: [], spacing };
+            }
+
+            const perimeter = this.measureBoundaries(boundaries);
+            if (options.maxSamples > 0 && perimeter / spacing > options.maxSamples) {
+                spacing = perimeter / options.maxSamples;
+                this.debug(`Midline: ${perimeter.toFixed(1)}mm of outline, spacing widened to ${spacing.toFixed(4)}mm`);
+            }
+
+            const sites = this.sampleBoundaries(boundaries, spacing);
+            if (sites.count < 3 || sites.labelCount < 2) {
+                this.debug('Midline needs at least two labelled boundaries');
+                return { primitives: [], spacing };
+            }
+
+            const mesh = await this.triangulate(sites);
+            const graph = this.extractMidlineGraph(mesh, sites);
+            const chains = this.chainSegments(graph);
+            this.debug(`Midline: ${sites.count} samples, ${graph.edges.length} Voronoi edge(s), ${chains.length} chain(s)`);
+
+            return { primitives: this.chainsToPrimitives(chains, options.simplifyTolerance || 0), spacing };
+        },
+
+        // ═══════════════════════════════════════════════════════════
+        // Stage 1 — Boundary sampling
+        // ═══════════════════════════════════════════════════════════
+
+        measureBoundaries(boundaries) {
+            let length = 0;
+            for (const boundary of boundaries) {
+                for (const pts of boundary.contours) {
+                    if (pts.length < 2) continue;
+                    for (let i = 0; i < pts.length; i++) {
+                        const p = pts[i], q = pts[(i + 1) % pts.length];
+                        length += Math.hypot(q.x - p.x, q.y - p.y);
+                    }
+                }
+            }
+            return length;
+        },
+
+        sampleBoundaries(boundaries, spacing) {
+            const xs = [];
+            const ys = [];
+            const labels = [];
+            const labelIds = new Map();
+            const seen = new Set();
+
+            const add = (x, y, label) => {
+                const key = `${Math.round(x / PRECISION)}_${Math.round(y / PRECISION)}`;
+                if (seen.has(key)) return; // touching boundaries share a sample, keep the first
+                seen.add(key);
+                xs.push(x);
+                ys.push(y);
+                labels.push(label);
+            };
+
+            for (const boundary of boundaries) {
+                if (!labelIds.has(boundary.label)) labelIds.set(boundary.label, labelIds.size);
+                const label = labelIds.get(boundary.label);
+
+                for (const pts of boundary.contours) {
+                    const n = pts.length;
+                    if (n < 2) continue;
+                    for (let i = 0; i < n; i++) {
+                        const p = pts[i], q = pts[(i + 1) % n];
+                        const steps = Math.max(1, Math.ceil(Math.hypot(q.x - p.x, q.y - p.y) / spacing));
+                        for (let k = 0; k < steps; k++) {
+                            const f = k / steps;
+                            add(p.x + (q.x - p.x) * f, p.y + (q.y - p.y) * f, label);
+                        }
+                    }
+                }
+            }
+
+            return {
+                count: xs.length,
+                xs: Float64Array.from(xs),
+                ys: Float64Array.from(ys),
+                labels: Int32Array.from(labels),
+                labelCount: labelIds.size
+            };
+        },
+
+        // ═══════════════════════════════════════════════════════════
+        // Stage 2 — Delaunay triangulation (Bowyer-Watson)
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Triangles are CCW vertex triples in `verts`; `adj[3t + i]` is the
+         * triangle across the edge opposite vertex i (-1 = none). Vertices
+         * count, count + 1, count + 2 form the enclosing super triangle.
+         * Coordinates are shifted to the sample centroid for precision.
+         * Yields to the event loop every YIELD_INTERVAL ms on large boards.
+         */
+        async triangulate(sites) {
+            const n = sites.count;
+            const xs = new Float64Array(n + 3);
+            const ys = new Float64Array(n + 3);
+
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (let i = 0; i < n; i++) {
+                minX = Math.min(minX, sites.xs[i]); maxX = Math.max(maxX, sites.xs[i]);
+                minY = Math.min(minY, sites.ys[i]); maxY = Math.max(maxY, sites.ys[i]);
+            }
+            const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+            const extent = Math.max(maxX - minX, maxY - minY, PRECISION);
+            for (let i = 0; i < n; i++) {
+                xs[i] = sites.xs[i] - cx;
+                ys[i] = sites.ys[i] - cy;
+            }
+            xs[n] = -20 * extent;     ys[n] = -20 * extent;
+            xs[n + 1] = 20 * extent;  ys[n + 1] = -20 * extent;
+            xs[n + 2] = 0;            ys[n + 2] = 20 * extent;
+
+            const verts = [n, n + 1, n + 2];
+            const adj = [-1, -1, -1];
+            const alive = [true];
+            const free = [];
+
+            const orient = (a, b, px, py) =>
+                (xs[b] - xs[a]) * (py - ys[a]) - (ys[b] - ys[a]) * (px - xs[a]);
+
+            const inCircle = (t, px, py) => {
+                const a = verts[3 * t], b = verts[3 * t + 1], c = verts[3 * t + 2];
+                const adx = xs[a] - px, ady = ys[a] - py;
+                const bdx = xs[b] - px, bdy = ys[b] - py;
+                const cdx = xs[c] - px, cdy = ys[c] - py;
+                return (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy)
+                     - (bdx * bdx + bdy * bdy) * (adx * cdy - cdx * ady)
+                     + (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady) > 0;
+            };
+
+            const makeTriangle = (a, b, c) => {
+                const t = free.length > 0 ? free.pop() : alive.length;
+                verts[3 * t] = a; verts[3 * t + 1] = b; verts[3 * t + 2] = c;
+                adj[3 * t] = adj[3 * t + 1] = adj[3 * t + 2] = -1;
+                alive[t] = true;
+                return t;
+            };
+
+            // Walk towards p from `start`; falls back to a scan if the walk cycles
+            const locate = (start, px, py) => {
+                let t = start;
+                for (let steps = 0; steps < 4 * alive.length; steps++) {
+                    let moved = false;
+                    for (let k = 0; k < 3; k++) {
+                        const i = (k + steps) % 3;
+                        const a = verts[3 * t + (i + 1) % 3], b = verts[3 * t + (i + 2) % 3];
+                        if (orient(a, b, px, py) < 0 && adj[3 * t + i] !== -1) {
+                            t = adj[3 * t + i];
+                            moved = true;
+                            break;
+                        }
+                    }
+                    if (!moved) return t;
+                }
+                for (let s = 0; s < alive.length; s++) {
+                    if (!alive[s]) continue;
+                    if (orient(verts[3 * s], verts[3 * s + 1], px, py) >= 0 &&
+                        orient(verts[3 * s + 1], verts[3 * s + 2], px, py) >= 0 &&
+                        orient(verts[3 * s + 2], verts[3 * s], px, py) >= 0) return s;
+                }
+                return t;
+            };
+
+            let last = 0;
+            let lastYield = Date.now();
+            const bad = new Set();
+            for (const p of this.insertionOrder(sites, minX, minY, extent)) {
+                if (Date.now() - lastYield > YIELD_INTERVAL) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    lastYield = Date.now();
+                }
+                const px = xs[p], py = ys[p];
+
+                // Cavity: triangles whose circumcircle holds p, grown until p sees
+                // every boundary edge (keeps it star-shaped under round-off)
+                bad.clear();
+                const stack = [locate(last, px, py)];
+                while (stack.length > 0) {
+                    const t = stack.pop();
+                    if (bad.has(t)) continue;
+                    bad.add(t);
+                    for (let i = 0; i < 3; i++) {
+                        const nb = adj[3 * t + i];
+                        if (nb !== -1 && !bad.has(nb) && inCircle(nb, px, py)) stack.push(nb);
+                    }
+                }
+
+                let boundary;
+                for (;;) {
+                    boundary = [];
+                    let grown = false;
+                    for (const t of bad) {
+                        for (let i = 0; i < 3; i++) {
+                            const nb = adj[3 * t + i];
+                            if (nb !== -1 && bad.has(nb)) continue;
+                            const a = verts[3 * t + (i + 1) % 3], b = verts[3 * t + (i + 2) % 3];
+                            if (orient(a, b, px, py) <= 0 && nb !== -1) {
+                                bad.add(nb);
+                                grown = true;
+                                continue;
+                            }
+                            boundary.push({ a, b, outer: nb });
+                        }
+                    }
+                    if (!grown) break;
+                }
+
+                for (const t of bad) {
+                    alive[t] = false;
+                    free.push(t);
+                }
+
+                // Fan the cavity boundary to p, then stitch the fan together
+                const byStart = new Map();
+                const byEnd = new Map();
+                const created = [];
+                for (const edge of boundary) {
+                    const t = makeTriangle(edge.a, edge.b, p);
+                    adj[3 * t + 2] = edge.outer;
+                    if (edge.outer !== -1) {
+                        // Match by the shared edge, cavity ids are already being reused
+                        const o = edge.outer;
+                        for (let i = 0; i < 3; i++) {
+                            if (verts[3 * o + (i + 1) % 3] === edge.b && verts[3 * o + (i + 2) % 3] === edge.a) adj[3 * o + i] = t;
+                        }
+                    }
+                    byStart.set(edge.a, t);
+                    byEnd.set(edge.b, t);
+                    created.push(t);
+                }
+                for (const t of created) {
+                    const a = verts[3 * t], b = verts[3 * t + 1];
+                    adj[3 * t] = byStart.get(b) ?? -1;      // across (b, p)
+                    adj[3 * t + 1] = byEnd.get(a) ?? -1;    // across (p, a)
+                }
+                last = created[created.length - 1];
+            }
+
+            return { verts, adj, alive, xs, ys, offsetX: cx, offsetY: cy, superStart: n };
+        },
+
+        /** Row-snake order over a coarse grid so consecutive inserts are neighbours. */
+        insertionOrder(sites, minX, minY, extent) {
+            const n = sites.count;
+            const rows = Math.max(1, Math.ceil(Math.sqrt(n) / 2));
+            const cell = extent / rows || 1;
+            const order = Array.from({ length: n }, (_, i) => i);
+            const row = (i) => Math.min(rows - 1, Math.floor((sites.ys[i] - minY) / cell));
+            order.sort((i, j) => {
+                const ri = row(i), rj = row(j);
+                if (ri !== rj) return ri - rj;
+                return ri % 2 === 0 ? sites.xs[i] - sites.xs[j] : sites.xs[j] - sites.xs[i];
+            });
+            return order;
+        },
+
+        // ═══════════════════════════════════════════════════════════
+        // Stage 3 — Voronoi edges between different labels
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Voronoi vertices are triangle circumcenters. Neighbouring triangles
+         * with the same circumcenter (cocircular samples, common on straight
+         * outlines) are merged into one node so chains don't break on round-off.
+         * @returns {{ points: Map, edges: Array }} node id -> point, [nodeA, nodeB] pairs
+         */
+        extractMidlineGraph(mesh, sites) {
+            const { verts, adj, alive, xs, ys, superStart } = mesh;
+            const count = alive.length;
+            const isReal = (t) => alive[t] && verts[3 * t] < superStart && verts[3 * t + 1] < superStart && verts[3 * t + 2] < superStart;
+
+            const cx = new Float64Array(count);
+            const cy = new Float64Array(count);
+            for (let t = 0; t < count; t++) {
+                if (!isReal(t)) continue;
+                const a = verts[3 * t], b = verts[3 * t + 1], c = verts[3 * t + 2];
+                const bx = xs[b] - xs[a], by = ys[b] - ys[a];
+                const qx = xs[c] - xs[a], qy = ys[c] - ys[a];
+                const d = 2 * (bx * qy - by * qx);
+                const b2 = bx * bx + by * by, q2 = qx * qx + qy * qy;
+                cx[t] = xs[a] + (qy * b2 - by * q2) / d + mesh.offsetX;
+                cy[t] = ys[a] + (bx * q2 - qx * b2) / d + mesh.offsetY;
+            }
+
+            const parent = Int32Array.from({ length: count }, (_, i) => i);
+            const find = (t) => {
+                while (parent[t] !== t) {
+                    parent[t] = parent[parent[t]];
+                    t = parent[t];
+                }
+                return t;
+            };
+
+            const cuts = [];
+            for (let t = 0; t < count; t++) {
+                if (!isReal(t)) continue;
+                for (let i = 0; i < 3; i++) {
+                    const nb = adj[3 * t + i];
+                    if (nb < t || !isReal(nb)) continue; // each shared edge once
+                    if (Math.hypot(cx[t] - cx[nb], cy[t] - cy[nb]) < PRECISION) {
+                        parent[find(nb)] = find(t);
+                        continue;
+                    }
+                    const u = verts[3 * t + (i + 1) % 3], w = verts[3 * t + (i + 2) % 3];
+                    if (sites.labels[u] !== sites.labels[w]) cuts.push([t, nb]);
+                }
+            }
+
+            const points = new Map();
+            const edges = [];
+            const seen = new Set();
+            for (const [t, nb] of cuts) {
+                const a = find(t), b = find(nb);
+                if (a === b) continue;
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                if (!isFinite(cx[a]) || !isFinite(cx[b])) continue; // collinear sliver
+                points.set(a, { x: cx[a], y: cy[a] });
+                points.set(b, { x: cx[b], y: cy[b] });
+                edges.push([a, b]);
+            }
+            return { points, edges };
+        },
+
+        // ═══════════════════════════════════════════════════════════
+        // Stage 4 — Chain segments into polylines
+        // ═══════════════════════════════════════════════════════════
+
+        chainSegments(graph) {
+            const incident = new Map();   // node -> [edge index]
+            graph.edges.forEach(([a, b], index) => {
+                if (!incident.has(a)) incident.set(a, []);
+                if (!incident.has(b)) incident.set(b, []);
+                incident.get(a).push(index);
+                incident.get(b).push(index);
+            });
+
+            const used = new Uint8Array(graph.edges.length);
+            const chains = [];
+
+            const walk = (start, edge) => {
+                const chain = [graph.points.get(start)];
+                let current = start;
+                while (edge !== -1 && !used[edge]) {
+                    used[edge] = 1;
+                    const [a, b] = graph.edges[edge];
+                    current = a === current ? b : a;
+                    chain.push(graph.points.get(current));
+                    const next = incident.get(current);
+                    if (next.length !== 2) break; // junction or dead end
+                    edge = next[0] === edge ? next[1] : next[0];
+                }
+                return { points: chain, closed: current === start && chain.length > 3 };
+            };
+
+            // Open chains run between junctions; whatever is left are closed loops
+            for (const [node, list] of incident) {
+                if (list.length === 2) continue;
+                for (const edge of list) {
+                    if (!used[edge]) chains.push(walk(node, edge));
+                }
+            }
+            for (let edge = 0; edge < graph.edges.length; edge++) {
+                if (!used[edge]) chains.push(walk(graph.edges[edge][0], edge));
+            }
+            return chains;
+        },
+
+        chainsToPrimitives(chains, simplifyTolerance) {
+            const out = [];
+
+            for (const chain of chains) {
+                let points = chain.points;
+                if (chain.closed) points = points.slice(0, -1);
+                if (simplifyTolerance > 0) {
+                    points = chain.closed
+                        ? this.rdpOpen([...points, points[0]], simplifyTolerance).slice(0, -1)
+                        : this.rdpOpen(points, simplifyTolerance);
+                }
+                const closed = chain.closed && points.length >= 3;
+                if (points.length < 2) continue;
+
+                const contour = {
+                    points: points.map(p => ({ x: p.x, y: p.y })),
+                    isHole: false,
+                    nestingLevel: 0,
+                    parentId: null,
+                    arcSegments: [],
+                    curveIds: []
+                };
+                const properties = {
+                    isMidline: true,
+                    closed,
+                    stroke: true,
+                    fill: false,
+                    strokeWidth: 0
+                };
+
+                out.push(typeof PathPrimitive !== 'undefined'
+                    ? new PathPrimitive([contour], properties)
+                    : { type: 'path', contours: [contour], properties, closed });
+            }
+            return out;
+        },
+
+        rdpOpen(pts, tolerance) {
+            if (pts.length <= 2) return pts;
+            const first = pts[0], last = pts[pts.length - 1];
+            const dx = last.x - first.x, dy = last.y - first.y;
+            const segLen = Math.hypot(dx, dy);
+            let maxDist = 0, idx = 0;
+            for (let i = 1; i < pts.length - 1; i++) {
+                const d = segLen < PRECISION
+                    ? Math.hypot(pts[i].x - first.x, pts[i].y - first.y)   // loop: distance to the anchor
+                    : Math.abs(dy * (pts[i].x - first.x) - dx * (pts[i].y - first.y)) / segLen;
+                if (d > maxDist) { maxDist = d; idx = i; }
+            }
+            if (maxDist <= tolerance) return [first, last];
+            const left = this.rdpOpen(pts.slice(0, idx + 1), tolerance);
+            const right = this.rdpOpen(pts.slice(idx), tolerance);
+            return left.slice(0, -1).concat(right);
+        },
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[VoronoiGenerator] ${message}`, data)
+                 : console.log(`[VoronoiGenerator] ${message}`);
+        }
+    };
+
+    window.VoronoiGenerator = VoronoiGenerator;
+})();
@@ -387,6 +387,15 @@
             const processedGeometry = [];
 
             for (const prim of operation.primitives) {
+                // Routes: the swept area narrowed by the spot is the stroke at reduced width
+                if (prim.properties?.role === 'drill_route') {
+                    const strokes = this.core.geometryOffsetter.expandStroke(prim, prim.properties.diameter + 2 * offsetDist);
+                    if (strokes && strokes.length > 0) {
+                        processedGeometry.push(...await this.core.geometryProcessor.unionGeometry(strokes));
+                    }
+                    continue;
+                }
+
                 // Safeguard: Ensure we only offset actual drill holes/slots
                 if (prim.properties?.role !== 'drill_hole' && prim.properties?.role !== 'drill_slot') {
                     continue;
@@ -540,6 +549,11 @@
             for (const primitive of operation.primitives) {
                 const role = primitive.properties?.role;
 
+                if (role === 'drill_route') {
+                    plan.push(this.planRoute(primitive, toolDiameter, settings, warnings, minMillingMargin));
+                    continue;
+                }
+
                 if (role === 'drill_hole') {
                     if (primitive.type !== 'circle' || !primitive.center || !primitive.radius) {
                         console.warn(`[DrillHandler] Invalid drill hole primitive ${primitive.id}`);
@@ -626,6 +640,100 @@
             return { plan, warnings };
         }
 
+        /**
+         * Routed slots (Excellon M15/M16 sequences) can only be milled. A tool that matches the
+         * route width follows the centerline, a narrower one also gets widening passes.
+         */
+        planRoute(primitive, toolDiameter, settings, warnings, minMillingMargin) {
+            const routeWidth = primitive.properties.diameter;
+            const diff = routeWidth - toolDiameter;
+
+            let toolRelation = 'exact';
+            if (diff < -PRECISION) toolRelation = 'oversized';
+            else if (diff > PRECISION) toolRelation = 'undersized';
+
+            // One warning per route width, rout files often repeat the same tool many times
+            const warnOnce = (message) => {
+                if (!warnings.some(w => w.message === message)) warnings.push({ message, severity: 'warning' });
+            };
+
+            if (toolRelation === 'undersized' && diff >= minMillingMargin - EPSILON) {
+                if (settings.millHoles) {
+                    return { type: 'route', primitiveToOffset: primitive, toolRelation, widen: true };
+                }
+                warnOnce(`Routed slot ⌀${routeWidth.toFixed(3)}mm is wider than the tool, enable hole milling to clear its full width`);
+            } else if (toolRelation === 'oversized') {
+                warnOnce(`Tool is wider than routed slot ⌀${routeWidth.toFixed(3)}mm`);
+            }
+
+            return { type: 'route', primitiveToOffset: primitive, toolRelation, widen: false };
+        }
+
+        /**
+         * Milling paths for a routed slot: the centerline first, then widening passes
+         * (closed boundaries of the route stroke narrowed by the tool width).
+         */
+        async generateRoutePaths(action, actionIdx, operation, settings) {
+            const source = action.primitiveToOffset;
+            const toolDiameter = parseFloat(settings.toolDiameter);
+            const routeWidth = source.properties.diameter;
+            const contour = source.contours[0];
+            const paths = [];
+
+            const baseProperties = {
+                role: 'drill_milling_path',
+                holeIndex: actionIdx,
+                isDrillMilling: true,
+                toolRelation: action.toolRelation,
+                originalDiameter: routeWidth,
+                toolDiameter: toolDiameter,
+                operationId: operation.id
+            };
+
+            paths.push(new PathPrimitive([{
+                points: contour.points.map(p => ({ ...p })),
+                isHole: false,
+                nestingLevel: 0,
+                parentId: null,
+                arcSegments: (contour.arcSegments || []).map(a => ({ ...a })),
+                curveIds: [...(contour.curveIds || [])]
+            }], {
+                ...baseProperties,
+                isRouteCenterline: true,
+                closed: !!source.properties.closed
+            }));
+
+            if (action.widen) {
+                const stepDist = toolDiameter * (1.0 - (settings.stepOver / 100.0));
+                const passWidths = [];
+                for (let width = routeWidth - toolDiameter; width > PRECISION; width -= 2 * stepDist) {
+                    passWidths.unshift(width);
+                    if (stepDist <= 0) break;
+                }
+
+                let pass = 2;
+                for (const width of passWidths) {
+                    const strokes = this.core.geometryOffsetter.expandStroke(source, width);
+                    if (!strokes || strokes.length === 0) continue;
+
+                    const boundary = await this.core.geometryProcessor.unionGeometry(Array.isArray(strokes) ? strokes : [strokes]);
+                    for (const prim of boundary) {
+                        for (const boundaryContour of (prim.contours || [])) {
+                            paths.push(new PathPrimitive([{ ...boundaryContour, isHole: false, nestingLevel: 0, parentId: null }], {
+                                ...baseProperties,
+                                isOffset: true,
+                                offsetType: 'internal',
+                                pass: pass
+                            }));
+                        }
+                    }
+                    pass++;
+                }
+            }
+
+            return paths;
+        }
+
         async generateGeometryFromPlan(plan, operation, settings) {
             const strategyPrimitives = [];
             const toolDiameter = parseFloat(settings.toolDiameter);
@@ -638,7 +746,10 @@
             for (let actionIdx = 0; actionIdx < plan.length; actionIdx++) {
                 const action = plan[actionIdx];
 
-                if (action.type === 'peck') {
+                if (action.type === 'route') {
+                    strategyPrimitives.push(...await this.generateRoutePaths(action, actionIdx, operation, settings));
+
+                } else if (action.type === 'peck') {
                     strategyPrimitives.push(new CirclePrimitive(
                         action.position,
                         toolDiameter / 2,
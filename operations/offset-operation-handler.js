@@ -46,7 +46,8 @@
         shouldSkipPrimitive(primitive, settings) {
             if (settings.clearStrategy !== undefined) return false;
             return primitive.properties?.role === 'drill_hole' ||
-                   primitive.properties?.role === 'drill_slot';
+                   primitive.properties?.role === 'drill_slot' ||
+                   primitive.properties?.role === 'drill_route';
         }
 
         /**
@@ -12,6 +12,8 @@
 (function() {
     'use strict';
 
+    const SWEEP_TOLERANCE = window.CAMConfig.constants.geometry.restMachining.sweepTolerance;
+
     class TraceClearingHandler extends OffsetOperationHandler {
 
         isCopperOperation() { return true; }
@@ -47,7 +49,103 @@
                 operation.primitives, { mergeNesting: true }
             );
 
-            return super.orchestrateGeneration(operation, params, core, options);
+            const isLaser = core.pipelineType === 'laser' || core.pipelineType === 'hybrid';
+            if (!params.restMachiningFrom || isLaser) {
+                return super.orchestrateGeneration(operation, params, core, options);
+            }
+
+            // Rest machining: offset the leftovers instead of the source, then
+            // put the source back so the canvas and later stages still see it.
+            const rest = await this.computeRestRegion(operation, params);
+            if (rest.error) return { success: false, message: rest.error, status: 'warning' };
+
+            const sourcePrimitives = operation.primitives;
+            try {
+                operation.primitives = rest.region;
+                const result = await super.orchestrateGeneration(operation, params, core, options);
+                if (result.success) {
+                    result.message += ` (rest machining after ${rest.referenceName})`;
+                }
+                return result;
+            } finally {
+                operation.primitives = sourcePrimitives;
+            }
+        }
+
+        /**
+         * Area left uncut by a previous, larger-tool clearing operation, grown
+         * so the smaller tool can actually reach it.
+         *
+         * Swept area: every generated pass of the reference operation stroked
+         * by its tool diameter. Leftovers: source copper minus swept area. The
+         * work region is the leftovers grown by one smaller-tool diameter and
+         * clipped back to the source - any tool position that touches a
+         * leftover fits inside it, so clearing the region covers every sliver
+         * without re-cutting the whole pour.
+         *
+         * @returns {Promise<{region?: Array, referenceName?: string, error?: string}>}
+         */
+        async computeRestRegion(operation, params) {
+            const reference = this.core.getOperation(params.restMachiningFrom);
+            if (!reference || reference.type !== 'clearing') {
+                return { error: 'Rest machining reference operation no longer exists' };
+            }
+
+            const referenceName = reference.file?.name || reference.id;
+            const referenceOffsets = (reference.offsets || []).filter(o => o.primitives?.length > 0);
+            if (referenceOffsets.length === 0) {
+                return { error: `Generate ${referenceName} before its rest machining operation` };
+            }
+
+            const referenceDiameter = referenceOffsets[0].metadata?.toolDiameter || referenceOffsets[0].settings?.toolDiameter;
+            if (!(referenceDiameter > params.toolDiameter)) {
+                return { error: `Rest machining needs a tool smaller than ${referenceName}'s (${referenceDiameter}mm)` };
+            }
+
+            await this.core.ensureProcessorReady();
+            const processor = this.core.geometryProcessor;
+
+            const target = await processor.fuseGeometry(operation.primitives);
+            if (target.length === 0) return { error: 'No copper to clear' };
+
+            // Widened by the tolerance so tessellation slivers along the pour
+            // boundary, where swept edge and source edge coincide, drop out.
+            const sweepWidth = referenceDiameter + SWEEP_TOLERANCE * 2;
+            const sweptBands = [];
+            for (const offset of referenceOffsets) {
+                for (const prim of offset.primitives) {
+                    sweptBands.push(...this.core.geometryOffsetter.sweepToolpath(prim, sweepWidth));
+                }
+            }
+
+            const swept = await processor.unionGeometry(sweptBands);
+            const leftovers = await processor.difference(target, swept);
+
+            this.debug(`Rest machining: ${sweptBands.length} swept band(s) of ${referenceName}, ${leftovers.length} leftover region(s)`);
+
+            if (leftovers.length === 0) {
+                return { error: `${referenceName} leaves no copper for a smaller tool` };
+            }
+
+            // Grow by one tool diameter: each leftover plus a band reaching
+            // one diameter either side of each of its contours.
+            const grown = [...leftovers];
+            for (const leftover of leftovers) {
+                grown.push(...this.core.geometryOffsetter.sweepToolpath(leftover, params.toolDiameter * 2));
+            }
+
+            const reach = await processor.unionGeometry(grown);
+            const region = await processor.intersection(target, reach);
+
+            return {
+                region: region.map(p => new PathPrimitive(p.contours, {
+                    fill: true,
+                    closed: true,
+                    polarity: 'dark',
+                    isRestRegion: true
+                })),
+                referenceName
+            };
         }
 
         /**
@@ -22,7 +22,7 @@
          */
         classifyPrimitives(operation, rawPrimitives) {
             const warnings = [];
-            let primitives = rawPrimitives;
+            let primitives = this.routesToOutlineStrokes(rawPrimitives, warnings);
 
             if (primitives.length > 1) {
                 const { loops, orphans, orphanGaps } = GeometryUtils.extractClosedLoops(primitives);
@@ -73,6 +73,58 @@
             return { primitives, warnings };
         }
 
+        /**
+         * Excellon rout files (board outline milled by the fab's router) arrive as drill_route / drill_slot
+         * primitives. Their centerlines become plain outline strokes so loop extraction treats them like a
+         * Gerber profile layer. Drill hits carry no outline information and are dropped.
+         */
+        routesToOutlineStrokes(rawPrimitives, warnings) {
+            let droppedHoles = 0;
+            const primitives = [];
+
+            for (const prim of rawPrimitives) {
+                const role = prim.properties?.role;
+
+                if (role === 'drill_hole') {
+                    droppedHoles++;
+                    continue;
+                }
+
+                if (role !== 'drill_route' && role !== 'drill_slot') {
+                    primitives.push(prim);
+                    continue;
+                }
+
+                const contour = role === 'drill_route'
+                    ? prim.contours[0]
+                    : { points: [prim.properties.originalSlot.start, prim.properties.originalSlot.end], arcSegments: [], curveIds: [] };
+
+                const { role: _role, originalSlot, ...props } = prim.properties;
+                primitives.push(new PathPrimitive([{
+                    ...contour,
+                    isHole: false,
+                    nestingLevel: 0,
+                    parentId: null
+                }], {
+                    ...props,
+                    isTrace: true,
+                    fill: false,
+                    stroke: true,
+                    strokeWidth: prim.properties.diameter,
+                    closed: role === 'drill_route' && !!prim.properties.closed
+                }));
+            }
+
+            if (droppedHoles > 0) {
+                warnings.push({
+                    message: `${droppedHoles} drill hit(s) ignored, only routed paths are used for the cutout`,
+                    severity: 'warning'
+                });
+            }
+
+            return primitives;
+        }
+
         async orchestrateGeneration(operation, params, core, options = {}) {
             // Tier 1 only - cutout's classifyPrimitives already handles
             // inter-primitive topology (loop extraction + stitching).
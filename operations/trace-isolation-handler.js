@@ -12,6 +12,8 @@
 (function() {
     'use strict';
 
+    const C = window.CAMConfig.constants;
+
     class TraceIsolationHandler extends OffsetOperationHandler {
 
         isCopperOperation() { return true; }
@@ -31,7 +33,504 @@
             // so skip the O(n²) inter-primitive merge.
             operation.primitives = this.resolveContourTopology(operation.primitives);
 
-            return super.orchestrateGeneration(operation, params, core, options);
+            const result = await this.generateIsolation(operation, params, core, options);
+
+            // The clearance check ran before generation (core.checkIsolationClearance), repeat its outcome
+            const check = operation.clearanceCheck;
+            if (result.success && check?.violations.length > 0) {
+                result.message += ` - ${check.summary}`;
+                result.status = 'warning';
+            }
+
+            return result;
+        }
+
+        /**
+         * Runs the offset pipeline (or the midline strategy), on net regions
+         * when net-aware isolation is on. The source primitives are put back
+         * afterwards so the canvas and later stages still see the real copper.
+         */
+        async generateIsolation(operation, params, core, options) {
+            const isLaser = core.pipelineType === 'laser' || core.pipelineType === 'hybrid';
+            const netAware = params.netAwareIsolation && !isLaser;
+            const midline = params.isolationStrategy === 'midline' && !isLaser;
+            if (!netAware && !midline) {
+                return super.orchestrateGeneration(operation, params, core, options);
+            }
+
+            let merged = null;
+            if (netAware) {
+                // Midline already cuts only between nets, it needs the fused copper alone
+                merged = await this.mergeNetCopper(operation, params.toolDiameter, params.netGapFill || 0,
+                    midline ? 0 : this.getIsolationWidth(params));
+                if (merged.error) return { success: false, message: merged.error, status: merged.status || 'warning' };
+            }
+
+            const sourcePrimitives = operation.primitives;
+            try {
+                if (merged) operation.primitives = merged.primitives;
+                const result = midline
+                    ? await this.generateMidline(operation, params)
+                    : await super.orchestrateGeneration(operation, params, core, options);
+                if (result.success && merged) {
+                    result.message += ` (net-aware, ${merged.netCount} net${merged.netCount === 1 ? '' : 's'})`;
+                    // The passes leave copper around the nets on purpose, the uncut copper check skips them
+                    for (const offset of operation.offsets || []) {
+                        offset.metadata = { ...offset.metadata, netAware: true };
+                    }
+                }
+                return result;
+            } finally {
+                operation.primitives = sourcePrimitives;
+            }
+        }
+
+        /**
+         * Midline ("Voronoi") isolation: one path halfway between neighbouring
+         * copper islands, so as much copper as possible stays on the board.
+         * Islands of the same X2 net are not separated from each other. A frame
+         * around the copper closes the paths of the islands on the board edge.
+         * Output is a single 'on' offset so translate/optimize treat it as usual.
+         */
+        async generateMidline(operation, settings) {
+            if (typeof VoronoiGenerator === 'undefined') {
+                return { success: false, message: 'Midline isolation unavailable - Voronoi module not loaded', status: 'error' };
+            }
+
+            const config = C.geometry.midlineIsolation;
+            await this.core.ensureProcessorReady();
+
+            const fused = await this.core.geometryProcessor.fuseGeometry(operation.primitives);
+            const islands = this.splitIslands(fused).map(primitive => ({ primitive, nets: new Set() }));
+            if (islands.length === 0) {
+                return { success: false, message: 'No copper to isolate', status: 'warning' };
+            }
+            this.assignNets(islands, operation.primitives);
+
+            const b = this.mergeBounds(islands.map(isl => isl.primitive.getBounds()));
+            const margin = settings.toolDiameter * config.boundaryMargin;
+            const boundaries = islands.map((isl, index) => ({
+                label: isl.nets.size === 1 ? `net:${[...isl.nets][0]}` : `island:${index}`,
+                contours: isl.primitive.contours.map(c => c.points)
+            }));
+            boundaries.push({
+                label: 'frame',
+                contours: [[
+                    { x: b.minX - margin, y: b.minY - margin },
+                    { x: b.maxX + margin, y: b.minY - margin },
+                    { x: b.maxX + margin, y: b.maxY + margin },
+                    { x: b.minX - margin, y: b.maxY + margin }
+                ]]
+            });
+
+            const { primitives, spacing } = await VoronoiGenerator.generateMidlinePaths(boundaries, {
+                spacing: config.sampleSpacing,
+                maxSamples: config.maxSamples,
+                simplifyTolerance: config.simplifyTolerance
+            });
+            if (primitives.length === 0) {
+                return { success: false, message: 'No midline generated', status: 'warning' };
+            }
+
+            for (const prim of primitives) {
+                Object.assign(prim.properties, {
+                    isOffset: true,
+                    pass: 1,
+                    offsetDistance: 0,
+                    offsetType: 'on',
+                    thermalGroup: 'external'
+                });
+            }
+
+            operation.offsets = [{
+                id: `offset_${operation.id}_0`,
+                distance: 0,
+                actualDistance: 0,
+                pass: 1,
+                offsetType: 'on',
+                thermalGroup: 'external',
+                primitives: primitives,
+                metadata: {
+                    sourceCount: operation.primitives.length,
+                    finalCount: primitives.length,
+                    generatedAt: Date.now(),
+                    toolDiameter: settings.toolDiameter,
+                    targetWidth: null,
+                    actualWidth: settings.toolDiameter / 2,
+                    strategy: 'midline',
+                    thermalGroup: 'external'
+                },
+                settings: { ...settings }
+            }];
+
+            this.debug(`Midline: ${primitives.length} path(s) around ${islands.length} island(s)`);
+            const message = `Generated ${primitives.length} midline path(s) around ${islands.length} island(s)`;
+            if (spacing > config.sampleSpacing) {
+                return { success: true, message: `${message} - large board, outlines sampled every ${spacing.toFixed(3)}mm instead of ${config.sampleSpacing}mm`, status: 'warning' };
+            }
+            return { success: true, message, status: 'success' };
+        }
+
+        /**
+         * Fuses the copper of each net (X2 TO.N) into one region. Gaps up to
+         * gapFill inside a net (thermal reliefs, split pour pieces) are closed:
+         * grow by half the gap, shrink back. The filled part is kept one tool
+         * diameter away from all other copper so it never pushes a pass into
+         * another net. Copper without a net name is a net of its own per island.
+         *
+         * With an isolation width the regions are then grown into their share
+         * of the board (claimNetCells), so the passes only run where two nets
+         * meet instead of around every outline.
+         *
+         * @returns {Promise<{primitives?: Array, netCount?: number, error?: string, status?: string}>}
+         */
+        async mergeNetCopper(operation, toolDiameter, gapFill, isolationWidth = 0) {
+            const byNet = new Map();
+            const unnamed = [];
+            for (const prim of operation.primitives) {
+                const net = prim.properties?.netName;
+                if (!net) {
+                    unnamed.push(prim);
+                    continue;
+                }
+                if (!byNet.has(net)) byNet.set(net, []);
+                byNet.get(net).push(prim);
+            }
+
+            if (byNet.size === 0) {
+                return { error: 'Net-aware isolation needs net names (Gerber X2 %TO.N attributes), none found in this file' };
+            }
+
+            await this.core.ensureProcessorReady();
+            const processor = this.core.geometryProcessor;
+            const offsetter = this.core.geometryOffsetter;
+
+            // Stroke every contour of a region to grow (union) or shrink (difference) it by width / 2
+            const bands = (regions, width) => regions.flatMap(r => offsetter.sweepToolpath(r, width));
+
+            const nets = [];
+            for (const [name, prims] of byNet) {
+                const copper = await processor.fuseGeometry(prims);
+                const keepOut = await processor.unionGeometry([...copper, ...bands(copper, toolDiameter * 2)]);
+                nets.push({ name, copper, keepOut });
+            }
+            const unnamedCopper = unnamed.length > 0 ? await processor.fuseGeometry(unnamed) : [];
+            const unnamedKeepOut = unnamedCopper.length > 0
+                ? await processor.unionGeometry([...unnamedCopper, ...bands(unnamedCopper, toolDiameter * 2)])
+                : [];
+
+            const regions = [];
+            for (const net of nets) {
+                let region = net.copper;
+
+                if (gapFill > 0) {
+                    const grown = await processor.unionGeometry([...net.copper, ...bands(net.copper, gapFill)]);
+                    const closed = await processor.difference(grown, await processor.unionGeometry(bands(grown, gapFill)));
+                    const others = [...unnamedKeepOut, ...nets.filter(n => n !== net).flatMap(n => n.keepOut)];
+                    const fill = others.length > 0 ? await processor.difference(closed, others) : closed;
+                    region = await processor.unionGeometry([...net.copper, ...fill]);
+                }
+
+                regions.push({ label: `net:${net.name}`, netName: net.name, primitives: region });
+            }
+            this.splitIslands(unnamedCopper).forEach((island, index) => {
+                regions.push({ label: `island:${index}`, netName: null, primitives: [island] });
+            });
+
+            if (isolationWidth > 0) {
+                if (typeof VoronoiGenerator === 'undefined') {
+                    return { error: 'Net-aware isolation unavailable - Voronoi module not loaded', status: 'error' };
+                }
+                await this.claimNetCells(regions, isolationWidth);
+            }
+
+            const merged = [];
+            for (const region of regions) {
+                for (const prim of region.primitives) {
+                    prim.properties = { ...prim.properties, fill: true, polarity: 'dark' };
+                    if (region.netName) prim.properties.netName = region.netName;
+                    merged.push(prim);
+                }
+            }
+
+            this.debug(`Net-aware isolation: ${nets.length} net(s), ${regions.length - nets.length} unnamed island(s) → ${merged.length} region(s)`);
+            return { primitives: merged, netCount: nets.length };
+        }
+
+        /**
+         * Grows each net region into the part of the board closer to it than
+         * to any other net, its Voronoi cell. A region keeps 1.5 isolation
+         * widths from other copper and from the neighbouring cells, so the
+         * rings of two facing regions overlap by half a width and no pass
+         * touches copper. Where nets are closer than that the region stays the
+         * copper and the passes follow its edge as usual; elsewhere they run
+         * along the midline between the cells. Cell pieces cut off from the
+         * copper are dropped, they would only get a ring of their own.
+         */
+        async claimNetCells(regions, width) {
+            const config = C.geometry.midlineIsolation;
+            const processor = this.core.geometryProcessor;
+            const offsetter = this.core.geometryOffsetter;
+            const clearance = width * 1.5;
+            // Cell edges only have to stay inside the cut lines; fewer vertices keep the offsets fast
+            const tolerance = width / 10;
+
+            for (const region of regions) {
+                region.bounds = this.mergeBounds(region.primitives.map(p => p.getBounds()));
+            }
+            const b = this.mergeBounds(regions.map(r => r.bounds));
+            const margin = width * config.boundaryMargin;
+            const frame = [
+                { x: b.minX - margin, y: b.minY - margin },
+                { x: b.maxX + margin, y: b.minY - margin },
+                { x: b.maxX + margin, y: b.maxY + margin },
+                { x: b.minX - margin, y: b.maxY + margin }
+            ];
+
+            const boundaries = regions.map(r => ({
+                label: r.label,
+                contours: r.primitives.flatMap(p => p.contours.map(c => c.points))
+            }));
+            boundaries.push({ label: 'frame', contours: [frame] });
+
+            const { primitives: midlines } = await VoronoiGenerator.generateMidlinePaths(boundaries, {
+                spacing: Math.max(config.sampleSpacing, tolerance),
+                maxSamples: config.maxSamples,
+                simplifyTolerance: tolerance
+            });
+            if (midlines.length === 0) return;
+
+            const board = new PathPrimitive([{
+                points: frame, isHole: false, nestingLevel: 0, parentId: null, arcSegments: [], curveIds: []
+            }], { fill: true, polarity: 'dark' });
+            const cutLines = await processor.unionGeometry(midlines.flatMap(m => offsetter.sweepToolpath(m, clearance)));
+            const cells = this.splitIslands(await processor.difference([board], cutLines))
+                .map(primitive => ({ primitive, bounds: primitive.getBounds() }));
+
+            // Everything within the clearance of a region belongs to no other region
+            for (const region of regions) {
+                const strokes = region.primitives.flatMap(p => offsetter.sweepToolpath(p, clearance * 2));
+                region.keepOut = await processor.unionGeometry([...region.primitives, ...strokes]);
+                region.keepOutBounds = this.mergeBounds(region.keepOut.map(p => p.getBounds()));
+            }
+
+            const overlaps = (p, q) => p.minX <= q.maxX && p.maxX >= q.minX && p.minY <= q.maxY && p.maxY >= q.minY;
+            let claimed = 0;
+
+            for (const region of regions) {
+                const near = cells
+                    .filter(cell => overlaps(cell.bounds, region.bounds) && this.cellHoldsCopper(cell.primitive, region.primitives))
+                    .map(cell => cell.primitive);
+                if (near.length === 0) continue;
+
+                const nearBounds = this.mergeBounds(near.map(p => p.getBounds()));
+                const others = regions
+                    .filter(r => r !== region && overlaps(r.keepOutBounds, nearBounds))
+                    .flatMap(r => r.keepOut);
+                const free = others.length > 0 ? await processor.difference(near, others) : near;
+                if (free.length === 0) continue;
+                for (const contour of free.flatMap(p => p.contours || [])) {
+                    const { points } = GeometryUtils.simplifyDouglasPeucker(contour.points, tolerance * tolerance);
+                    if (points.length >= 3) Object.assign(contour, { points, arcSegments: [], curveIds: [] });
+                }
+
+                const grown = [];
+                for (const island of this.splitIslands(await processor.unionGeometry([...region.primitives, ...free]))) {
+                    if (!overlaps(island.getBounds(), region.bounds)) continue;
+                    const touching = await processor.intersection([island], region.primitives);
+                    if (touching.length > 0) grown.push(island);
+                }
+                if (grown.length === 0) continue;
+
+                region.primitives = grown;
+                claimed++;
+            }
+
+            this.debug(`Net cells: ${midlines.length} midline(s), ${cells.length} cell(s), ${claimed} of ${regions.length} region(s) grown`);
+        }
+
+        /**
+         * True when a copper vertex lies in the cell. Vertices under the cut
+         * lines miss every cell; the region then keeps less, never more.
+         */
+        cellHoldsCopper(cell, copper) {
+            const contours = cell.contours || [];
+            const b = cell.getBounds();
+            for (const prim of copper) {
+                for (const contour of prim.contours || []) {
+                    for (const p of contour.points) {
+                        if (p.x < b.minX || p.x > b.maxX || p.y < b.minY || p.y > b.maxY) continue;
+                        if (contours.some(c => !c.isHole && GeometryUtils.pointInPolygon(p, c.points)) &&
+                            !contours.some(c => c.isHole && GeometryUtils.pointInPolygon(p, c.points))) return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Isolation width the passes clear from the copper edge, as the offset
+         * pipeline lays them out: first pass at the tool radius, then one step each.
+         */
+        getIsolationWidth(params) {
+            const passes = Math.max(1, params.passes || 1);
+            const stepOver = params.stepOver !== undefined ? params.stepOver : 100;
+            const step = params.stepDistance > 0 ? params.stepDistance : params.toolDiameter * (stepOver / 100);
+            return params.toolDiameter + (passes - 1) * step;
+        }
+
+        /**
+         * Copper islands closer than the cut width merge once the offsets are
+         * milled. Each island is grown by half the width, every overlap between
+         * two grown islands is a gap the cutter cannot fit through. Islands that
+         * share a net are skipped, joining them shorts nothing.
+         *
+         * @param {Object} operation
+         * @param {number} cutWidth - Cutter width at cut depth
+         * @returns {Promise<{islands: number, violations: Array}>} violations carry
+         *          { primitive, bounds, gap, nets: [netsA, netsB] }
+         */
+        async findClearanceViolations(operation, cutWidth) {
+            await this.core.ensureProcessorReady();
+            const processor = this.core.geometryProcessor;
+
+            const fused = await processor.fuseGeometry(operation.primitives);
+            const islands = [];
+            for (const prim of this.splitIslands(fused)) {
+                // Band union instead of offsetBoundary, which would fill the holes
+                const bands = this.core.geometryOffsetter.sweepToolpath(prim, cutWidth);
+                const pieces = await processor.unionGeometry([prim, ...bands]);
+                if (pieces.length === 0) continue;
+                islands.push({
+                    primitive: prim,
+                    grown: pieces,
+                    bounds: this.mergeBounds(pieces.map(p => p.getBounds())),
+                    nets: new Set()
+                });
+            }
+
+            this.assignNets(islands, operation.primitives);
+
+            // Sweep along X so only islands whose grown bounds meet get a boolean
+            islands.sort((a, b) => a.bounds.minX - b.bounds.minX);
+            const violations = [];
+
+            for (let i = 0; i < islands.length; i++) {
+                const a = islands[i];
+                for (let j = i + 1; j < islands.length; j++) {
+                    const b = islands[j];
+                    if (b.bounds.minX > a.bounds.maxX) break;
+                    if (b.bounds.minY > a.bounds.maxY || b.bounds.maxY < a.bounds.minY) continue;
+                    if ([...a.nets].some(net => b.nets.has(net))) continue;
+
+                    const overlaps = await processor.intersection(a.grown, b.grown);
+                    for (const region of overlaps) {
+                        const bounds = region.getBounds();
+                        violations.push({
+                            primitive: region,
+                            bounds,
+                            gap: this.measureGap(a.primitive, b.primitive, bounds, cutWidth / 2),
+                            nets: [[...a.nets], [...b.nets]]
+                        });
+                    }
+                }
+            }
+
+            this.debug(`Clearance check at ${cutWidth.toFixed(3)}mm: ${violations.length} violation(s) among ${islands.length} island(s)`);
+            return { islands: islands.length, violations };
+        }
+
+        /**
+         * One primitive per copper island. A fused region keeps copper nested in
+         * its holes (a pad inside a pour cut-out) as further outer contours.
+         */
+        splitIslands(fused) {
+            const islands = [];
+            for (const prim of fused) {
+                const contours = prim.contours || [];
+                contours.forEach((outer, index) => {
+                    if (outer.isHole) return;
+                    const holes = contours.filter(c => c.isHole && c.parentId === index);
+                    if (holes.length === 0 && contours.length === 1) {
+                        islands.push(prim);
+                        return;
+                    }
+                    islands.push(new PathPrimitive([
+                        { ...outer, nestingLevel: 0, parentId: null },
+                        ...holes.map(h => ({ ...h, nestingLevel: 1, parentId: 0 }))
+                    ], { ...prim.properties }));
+                });
+            }
+            return islands;
+        }
+
+        /**
+         * Tags islands with the X2 net names (TO.N) of the source objects they contain.
+         */
+        assignNets(islands, primitives) {
+            for (const prim of primitives) {
+                const net = prim.properties?.netName;
+                if (!net) continue;
+
+                const point = GeometryUtils.getRepresentativePoint(prim);
+                if (!point) continue;
+
+                const island = islands.find(isl => {
+                    const b = isl.primitive.getBounds();
+                    if (point.x < b.minX || point.x > b.maxX || point.y < b.minY || point.y > b.maxY) return false;
+                    const contours = isl.primitive.contours || [];
+                    return contours.some(c => !c.isHole && GeometryUtils.pointInPolygon(point, c.points)) &&
+                        !contours.some(c => c.isHole && GeometryUtils.pointInPolygon(point, c.points));
+                });
+                if (island) island.nets.add(net);
+            }
+        }
+
+        /**
+         * Smallest copper-to-copper distance around one overlap. Only edges within
+         * reach of the overlap can be the closest pair, so the rest is skipped.
+         */
+        measureGap(primA, primB, overlapBounds, reach) {
+            const near = {
+                minX: overlapBounds.minX - reach, minY: overlapBounds.minY - reach,
+                maxX: overlapBounds.maxX + reach, maxY: overlapBounds.maxY + reach
+            };
+            const edgesOf = (prim) => {
+                const edges = [];
+                for (const contour of prim.contours || []) {
+                    const pts = contour.points;
+                    for (let k = 0; k < pts.length; k++) {
+                        const p1 = pts[k];
+                        const p2 = pts[(k + 1) % pts.length];
+                        if (Math.max(p1.x, p2.x) < near.minX || Math.min(p1.x, p2.x) > near.maxX ||
+                            Math.max(p1.y, p2.y) < near.minY || Math.min(p1.y, p2.y) > near.maxY) continue;
+                        edges.push([p1, p2]);
+                    }
+                }
+                return edges;
+            };
+
+            const edgesA = edgesOf(primA);
+            const edgesB = edgesOf(primB);
+            let minSq = Infinity;
+
+            // Closest points of two polylines always include a vertex of one of them
+            for (const [a1, a2] of edgesA) {
+                for (const [b1, b2] of edgesB) {
+                    minSq = Math.min(minSq,
+                        GeometryUtils.getSqDistToSegment(a1, b1, b2),
+                        GeometryUtils.getSqDistToSegment(b1, a1, a2));
+                }
+            }
+
+            return isFinite(minSq) ? Math.sqrt(minSq) : 0;
+        }
+
+        mergeBounds(boundsList) {
+            return boundsList.reduce((acc, b) => ({
+                minX: Math.min(acc.minX, b.minX), minY: Math.min(acc.minY, b.minY),
+                maxX: Math.max(acc.maxX, b.maxX), maxY: Math.max(acc.maxY, b.maxY)
+            }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
         }
 
         /**
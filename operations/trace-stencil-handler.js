@@ -61,8 +61,11 @@
 
             // Filter out non-pad geometry (traces, solid pours)
             if (settings.stencilIgnoreRegions) {
+                const padFunctions = window.CAMConfig.constants.formats.gerber.padApertureFunctions;
                 primitivesToProcess = operation.primitives.filter(prim => {
                     const props = prim.properties || {};
+                    // X2 files say exactly what each aperture is, no need to guess from geometry
+                    if (props.aperFunction) return padFunctions.includes(props.aperFunction);
                     if (props.isFlash || props.isPad) return true;
                     if (prim.type === 'circle' || prim.type === 'rectangle' || prim.type === 'obround') return true;
                     if (props.isTrace || props.stroke) return false;
@@ -0,0 +1,993 @@
+/*!
+ * @file        parsers/parser-dxf.js
+ * @description DXF (ASCII) parser for EasyShape5000. Converts 2D CAD entities into the
+ *              same region/stroke objects the SVG parser emits, so ParserPlotter and the
+ *              scene tree handle them unchanged. Loose LINE/ARC outlines are chained into
+ *              closed loops, closed loops on a layer form one compound region (holes resolve
+ *              in the plotter), open chains become centerline strokes. Layers become groups.
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const PRECISION = C.precision.coordinate;
+    const dxfConfig = C.formats.dxf;
+
+    const TWO_PI = Math.PI * 2;
+
+    class DXFParser extends ParserCore {
+        constructor(options = {}) {
+            super(options);
+            this.reset();
+        }
+
+        parse(content) {
+            try {
+                this.debug('Starting DXF parse');
+                this.reset();
+
+                if (typeof content !== 'string') throw new Error('DXF content must be text');
+                if (content.startsWith('AutoCAD Binary DXF')) {
+                    throw new Error('Binary DXF is not supported, save the drawing as ASCII DXF');
+                }
+
+                const pairs = this.readPairs(content);
+                const sections = this.splitSections(pairs);
+                if (!sections.ENTITIES) throw new Error('No ENTITIES section found');
+
+                this.parseHeader(sections.HEADER || []);
+                this.parseLayerTable(sections.TABLES || []);
+                this.parseBlocks(sections.BLOCKS || []);
+
+                const entities = this.readEntities(sections.ENTITIES);
+                const rootTransform = [this.unitScale, 0, 0, this.unitScale, 0, 0];
+                this.emitEntities(entities, rootTransform, { layer: null, blockStack: [] });
+
+                this.buildObjects();
+
+                if (this.layers.objects.length === 0) {
+                    this.warnings.push('No supported 2D geometry found in DXF.');
+                }
+                this.reportSkipped();
+
+                this.layers.bounds = this.bounds.minX <= this.bounds.maxX
+                    ? { ...this.bounds }
+                    : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+                this.logStatistics();
+
+                return {
+                    success: true,
+                    layers: this.layers,
+                    errors: this.errors,
+                    warnings: this.warnings
+                };
+            } catch (error) {
+                this.errors.push(`DXF Parse error: ${error.message}`);
+                console.error('DXF Parse error:', error);
+                return { success: false, layers: null, errors: this.errors, warnings: this.warnings };
+            }
+        }
+
+        reset() {
+            this.errors = [];
+            this.warnings = [];
+            this.layers = { polarity: 'positive', units: 'mm', bounds: null, apertures: [], objects: [] };
+            this.stats = { objectsCreated: 0, entitiesRead: 0, loopsClosed: 0, openChains: 0 };
+            this.unitScale = 1;
+            this.layerTable = new Map();
+            this.blocks = new Map();
+            this.buckets = new Map();     // layer name → { groupPath, pieces }
+            this.skipped = new Map();     // entity type → count
+            this.hiddenLayers = new Set();
+            this.bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            this.docUidPrefix = `dxf_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+        }
+
+        // ========================================================================
+        // Tokenizing
+        // ========================================================================
+
+        /**
+         * Splits the file into {code, value} group pairs
+         */
+        readPairs(content) {
+            const lines = content.split(/\r\n|\r|\n/);
+            const pairs = [];
+            for (let i = 0; i + 1 < lines.length; i += 2) {
+                const code = parseInt(lines[i].trim(), 10);
+                if (isNaN(code)) throw new Error(`Invalid group code "${lines[i].trim()}" on line ${i + 1}`);
+                pairs.push({ code, value: lines[i + 1].trim() });
+            }
+            return pairs;
+        }
+
+        splitSections(pairs) {
+            const sections = {};
+            let current = null;
+            for (let i = 0; i < pairs.length; i++) {
+                const { code, value } = pairs[i];
+                if (code === 0 && value === 'SECTION') {
+                    const name = pairs[i + 1]?.code === 2 ? pairs[i + 1].value : null;
+                    current = name ? (sections[name] = []) : null;
+                    i++;
+                } else if (code === 0 && value === 'ENDSEC') {
+                    current = null;
+                } else if (code === 0 && value === 'EOF') {
+                    break;
+                } else if (current) {
+                    current.push(pairs[i]);
+                }
+            }
+            return sections;
+        }
+
+        /**
+         * Groups pairs into entity records. POLYLINE collects its VERTEX records up to SEQEND.
+         * @returns {Array<{type: string, pairs: Array}>}
+         */
+        readEntities(pairs) {
+            const entities = [];
+            let current = null;
+            let polyline = null;
+
+            for (const pair of pairs) {
+                if (pair.code !== 0) {
+                    if (current) current.pairs.push(pair);
+                    continue;
+                }
+
+                if (pair.value === 'VERTEX' && polyline) {
+                    current = { type: 'VERTEX', pairs: [] };
+                    polyline.vertices.push(current);
+                } else if (pair.value === 'SEQEND') {
+                    polyline = null;
+                    current = null;
+                } else {
+                    polyline = null;
+                    current = { type: pair.value, pairs: [] };
+                    if (pair.value === 'POLYLINE') {
+                        current.vertices = [];
+                        polyline = current;
+                    }
+                    entities.push(current);
+                }
+            }
+            return entities;
+        }
+
+        /**
+         * First value of a group code in an entity
+         */
+        getValue(entity, code, fallback = null) {
+            const pair = entity.pairs.find(p => p.code === code);
+            return pair ? pair.value : fallback;
+        }
+
+        getNumber(entity, code, fallback = 0) {
+            const pair = entity.pairs.find(p => p.code === code);
+            if (!pair) return fallback;
+            const value = parseFloat(pair.value);
+            return isNaN(value) ? fallback : value;
+        }
+
+        getAll(entity, code) {
+            return entity.pairs.filter(p => p.code === code).map(p => parseFloat(p.value));
+        }
+
+        // ========================================================================
+        // Header, tables, blocks
+        // ========================================================================
+
+        parseHeader(pairs) {
+            const variables = {};
+            let name = null;
+            for (const { code, value } of pairs) {
+                if (code === 9) name = value;
+                else if (name && variables[name] === undefined) variables[name] = value;
+            }
+
+            const insUnits = parseInt(variables.$INSUNITS, 10) || 0;
+            if (dxfConfig.unitScales[insUnits]) {
+                this.unitScale = dxfConfig.unitScales[insUnits];
+            } else {
+                // Unitless drawing: the measurement system is the only hint
+                const metric = variables.$MEASUREMENT === undefined || parseInt(variables.$MEASUREMENT, 10) === 1;
+                this.unitScale = metric ? 1 : 25.4;
+                this.warnings.push(`DXF has no drawing units ($INSUNITS), assuming ${metric ? 'millimeters' : 'inches'}.`);
+            }
+            this.debug(`Units: $INSUNITS=${insUnits}, scale to mm: ${this.unitScale}`);
+        }
+
+        parseLayerTable(pairs) {
+            const entries = this.readEntities(pairs).filter(e => e.type === 'LAYER');
+            for (const entry of entries) {
+                const name = this.getValue(entry, 2);
+                if (!name) continue;
+                const color = this.getNumber(entry, 62, 7);
+                const flags = this.getNumber(entry, 70, 0);
+                // Negative color = layer off, flag bit 1 = frozen
+                this.layerTable.set(name, { visible: color >= 0 && !(flags & 1) });
+            }
+        }
+
+        parseBlocks(pairs) {
+            let block = null;
+            const entities = this.readEntities(pairs);
+            for (const entity of entities) {
+                if (entity.type === 'BLOCK') {
+                    block = {
+                        name: this.getValue(entity, 2),
+                        base: { x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) },
+                        layer: this.getValue(entity, 8, '0'),
+                        entities: []
+                    };
+                    if (block.name) this.blocks.set(block.name, block);
+                } else if (entity.type === 'ENDBLK') {
+                    block = null;
+                } else if (block) {
+                    block.entities.push(entity);
+                }
+            }
+            this.debug(`Blocks: ${this.blocks.size}`);
+        }
+
+        // ========================================================================
+        // Entities → pieces
+        // ========================================================================
+
+        /**
+         * @param {Array} entities
+         * @param {Array<number>} transform - [a,b,c,d,e,f] block/unit transform into mm
+         * @param {Object} context - { layer: inherited layer for '0' entities, blockStack: block names being expanded }
+         */
+        emitEntities(entities, transform, context) {
+            for (const entity of entities) {
+                this.stats.entitiesRead++;
+
+                // Entities on layer 0 inside a block take the layer of the INSERT
+                let layer = this.getValue(entity, 8, '0');
+                if (layer === '0' && context.layer) layer = context.layer;
+
+                const layerInfo = this.layerTable.get(layer);
+                if (layerInfo && !layerInfo.visible) {
+                    this.hiddenLayers.add(layer);
+                    continue;
+                }
+
+                // Object coordinate system: an extrusion of (0,0,-1) mirrors X (typical for mirrored arcs)
+                const mirrored = this.getNumber(entity, 230, 1) < 0;
+                const ocs = mirrored ? this.multiplyMatrix(transform, [-1, 0, 0, 1, 0, 0]) : transform;
+
+                let pieces;
+                switch (entity.type) {
+                    case 'LINE':
+                        pieces = this.parseLine(entity, transform);
+                        break;
+                    case 'ARC':
+                        pieces = this.parseArc(entity, ocs);
+                        break;
+                    case 'CIRCLE':
+                        pieces = this.parseCircle(entity, ocs);
+                        break;
+                    case 'LWPOLYLINE':
+                        pieces = this.parseLwPolyline(entity, ocs);
+                        break;
+                    case 'POLYLINE':
+                        pieces = this.parsePolyline(entity, ocs);
+                        break;
+                    case 'SPLINE':
+                        pieces = this.parseSpline(entity, transform);
+                        break;
+                    case 'ELLIPSE':
+                        pieces = this.parseEllipse(entity, transform);
+                        break;
+                    case 'INSERT':
+                        this.expandInsert(entity, ocs, layer, context);
+                        continue;
+                    case 'POINT': case 'ATTDEF': case 'ATTRIB': case 'VIEWPORT':
+                        continue;
+                    default:
+                        this.skipped.set(entity.type, (this.skipped.get(entity.type) || 0) + 1);
+                        continue;
+                }
+
+                if (pieces.length > 0) this.addPieces(layer, pieces);
+            }
+        }
+
+        expandInsert(entity, transform, layer, context) {
+            const name = this.getValue(entity, 2);
+            const block = this.blocks.get(name);
+            if (!block) {
+                this.warnings.push(`INSERT references missing block "${name}".`);
+                return;
+            }
+            if (context.blockStack.includes(name)) {
+                this.warnings.push(`Block "${name}" references itself, nested copy skipped.`);
+                return;
+            }
+            if (context.blockStack.length >= dxfConfig.maxInsertDepth) {
+                this.warnings.push(`Block "${name}" is nested deeper than ${dxfConfig.maxInsertDepth} levels, nested copy skipped.`);
+                return;
+            }
+
+            const position = { x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) };
+            const sx = this.getNumber(entity, 41, 1);
+            const sy = this.getNumber(entity, 42, 1);
+            const rotation = this.getNumber(entity, 50, 0) * Math.PI / 180;
+            const columns = Math.max(1, this.getNumber(entity, 70, 1));
+            const rows = Math.max(1, this.getNumber(entity, 71, 1));
+            const columnSpacing = this.getNumber(entity, 44, 0);
+            const rowSpacing = this.getNumber(entity, 45, 0);
+
+            const cos = Math.cos(rotation), sin = Math.sin(rotation);
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    // Array spacing runs along the rotated block axes
+                    const ox = column * columnSpacing, oy = row * rowSpacing;
+                    const tx = position.x + ox * cos - oy * sin;
+                    const ty = position.y + ox * sin + oy * cos;
+
+                    // insert = translate(position) · rotate · scale · translate(-base)
+                    const local = [
+                        cos * sx, sin * sx,
+                        -sin * sy, cos * sy,
+                        tx - (cos * sx * block.base.x - sin * sy * block.base.y),
+                        ty - (sin * sx * block.base.x + cos * sy * block.base.y)
+                    ];
+
+                    // Block geometry joins its layer so e.g. a hole block cuts the outline it sits in
+                    this.emitEntities(block.entities, this.multiplyMatrix(transform, local), {
+                        layer,
+                        blockStack: [...context.blockStack, name]
+                    });
+                }
+            }
+        }
+
+        parseLine(entity, m) {
+            const p0 = this.applyTransform({ x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) }, m);
+            const p1 = this.applyTransform({ x: this.getNumber(entity, 11), y: this.getNumber(entity, 21) }, m);
+            if (this.distance(p0, p1) < PRECISION) return [];
+            return [{ start: p0, segments: [{ type: 'line', p1 }], closed: false }];
+        }
+
+        parseArc(entity, m) {
+            const center = { x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) };
+            const radius = this.getNumber(entity, 40);
+            const start = this.getNumber(entity, 50) * Math.PI / 180;
+            let end = this.getNumber(entity, 51) * Math.PI / 180;
+            if (radius <= 0) return [];
+
+            // DXF arcs always run counter-clockwise from start to end angle
+            while (end <= start) end += TWO_PI;
+            return [this.arcPiece(center, radius, start, end - start, m, false)];
+        }
+
+        parseCircle(entity, m) {
+            const center = { x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) };
+            const radius = this.getNumber(entity, 40);
+            if (radius <= 0) return [];
+            return [this.arcPiece(center, radius, 0, TWO_PI, m, true)];
+        }
+
+        parseLwPolyline(entity, m) {
+            const vertices = [];
+            let vertex = null;
+            for (const { code, value } of entity.pairs) {
+                if (code === 10) {
+                    vertex = { x: parseFloat(value), y: 0, bulge: 0 };
+                    vertices.push(vertex);
+                } else if (vertex && code === 20) {
+                    vertex.y = parseFloat(value);
+                } else if (vertex && code === 42) {
+                    vertex.bulge = parseFloat(value);
+                }
+            }
+            const closed = (this.getNumber(entity, 70, 0) & 1) !== 0;
+            return this.bulgePolylinePiece(vertices, closed, m);
+        }
+
+        parsePolyline(entity, m) {
+            const flags = this.getNumber(entity, 70, 0);
+            // 16 = polygon mesh, 64 = polyface mesh: 3D surfaces, not outlines
+            if (flags & (16 | 64)) {
+                this.skipped.set('POLYLINE mesh', (this.skipped.get('POLYLINE mesh') || 0) + 1);
+                return [];
+            }
+
+            const vertices = entity.vertices
+                // Spline frame control points (flag 16) are not on the curve, the fitted vertices (8) are
+                .filter(v => !(this.getNumber(v, 70, 0) & 16))
+                .map(v => ({
+                    x: this.getNumber(v, 10),
+                    y: this.getNumber(v, 20),
+                    bulge: this.getNumber(v, 42, 0)
+                }));
+            return this.bulgePolylinePiece(vertices, (flags & 1) !== 0, m);
+        }
+
+        /**
+         * Polyline with per-vertex bulge (tan of a quarter of the arc's included angle, positive = CCW)
+         */
+        bulgePolylinePiece(vertices, closed, m) {
+            if (vertices.length < 2) return [];
+
+            // A closing vertex repeated at the end is dropped so the closing segment isn't doubled
+            if (closed && this.distance(vertices[0], vertices[vertices.length - 1]) < PRECISION) vertices.pop();
+
+            const piece = { start: this.applyTransform(vertices[0], m), segments: [], closed };
+            const count = closed ? vertices.length : vertices.length - 1;
+
+            for (let i = 0; i < count; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+                if (this.distance(a, b) < PRECISION) continue;
+
+                if (Math.abs(a.bulge) < 1e-9) {
+                    piece.segments.push({ type: 'line', p1: this.applyTransform(b, m) });
+                    continue;
+                }
+
+                const sweep = 4 * Math.atan(a.bulge);
+                const chord = this.distance(a, b);
+                const radius = chord / (2 * Math.sin(Math.abs(sweep) / 2));
+                // Center sits on the chord's perpendicular bisector, left of the chord for CCW bulges
+                const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                const apothem = Math.sqrt(Math.max(0, radius * radius - (chord / 2) * (chord / 2)));
+                const side = (Math.abs(sweep) < Math.PI ? 1 : -1) * Math.sign(sweep);
+                const nx = -(b.y - a.y) / chord, ny = (b.x - a.x) / chord;
+                const center = { x: mid.x + nx * apothem * side, y: mid.y + ny * apothem * side };
+                const startAngle = Math.atan2(a.y - center.y, a.x - center.x);
+
+                piece.segments.push(...this.arcSegments(center, radius, startAngle, sweep, m));
+                // Snap to the exact vertex so the next segment starts where this one ends
+                piece.segments[piece.segments.length - 1].p1 = this.applyTransform(b, m);
+            }
+
+            return piece.segments.length > 0 ? [piece] : [];
+        }
+
+        parseEllipse(entity, m) {
+            const center = { x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) };
+            const major = { x: this.getNumber(entity, 11), y: this.getNumber(entity, 21) };
+            const ratio = this.getNumber(entity, 40, 1);
+            const startParam = this.getNumber(entity, 41, 0);
+            let endParam = this.getNumber(entity, 42, TWO_PI);
+
+            const a = Math.hypot(major.x, major.y);
+            if (a <= 0) return [];
+            while (endParam <= startParam) endParam += TWO_PI;
+            const full = Math.abs(endParam - startParam - TWO_PI) < 1e-9;
+
+            // Center and axis are in world coordinates, a (0,0,-1) extrusion only flips the minor axis
+            const minorSign = this.getNumber(entity, 230, 1) < 0 ? -1 : 1;
+
+            // Circular ellipse: keep it analytic
+            if (Math.abs(ratio - 1) < 1e-9) {
+                const rotation = Math.atan2(major.y, major.x);
+                return [this.arcPiece(center, a, rotation + minorSign * startParam, minorSign * (endParam - startParam), m, full)];
+            }
+
+            // Unit-circle arc mapped through the ellipse axes, then into drawing space
+            const ellipseMatrix = [major.x, major.y, -major.y * ratio * minorSign, major.x * ratio * minorSign, center.x, center.y];
+            const world = this.multiplyMatrix(m, ellipseMatrix);
+
+            const start = this.applyTransform({ x: Math.cos(startParam), y: Math.sin(startParam) }, world);
+            return [{ start, segments: this.arcToCubics({ x: 0, y: 0 }, 1, startParam, endParam - startParam, world), closed: full }];
+        }
+
+        /**
+         * SPLINE → Bézier segments. Non-rational splines are split into exact Bézier spans
+         * (cubic/quadratic) so ParserPlotter can recover true arcs with tryBezierToArc.
+         * Rational splines are sampled; fit-point-only splines go through Catmull-Rom.
+         */
+        parseSpline(entity, m) {
+            const flags = this.getNumber(entity, 70, 0);
+            const closed = (flags & 1) !== 0;
+            const degree = this.getNumber(entity, 71, 3);
+            const knots = this.getAll(entity, 40);
+            const weights = this.getAll(entity, 41);
+            const xs = this.getAll(entity, 10), ys = this.getAll(entity, 20);
+            const control = xs.map((x, i) => ({ x, y: ys[i] ?? 0 }));
+            const fx = this.getAll(entity, 11), fy = this.getAll(entity, 21);
+            const fit = fx.map((x, i) => ({ x, y: fy[i] ?? 0 }));
+
+            let curve;
+            if (control.length > degree && knots.length === control.length + degree + 1) {
+                const rational = weights.length === control.length && weights.some(w => Math.abs(w - 1) > 1e-9);
+                curve = rational
+                    ? this.sampleRationalSpline(control, weights, knots, degree)
+                    : this.splineToBeziers(control, knots, degree);
+            } else if (fit.length >= 2) {
+                curve = this.fitPointsToCubics(fit, closed);
+            } else {
+                this.skipped.set('SPLINE (invalid)', (this.skipped.get('SPLINE (invalid)') || 0) + 1);
+                return [];
+            }
+            if (curve.segments.length === 0) return [];
+
+            const start = this.applyTransform(curve.start, m);
+            const transformed = curve.segments.map(seg => this.transformSegment(seg, m));
+
+            // A spline flagged closed, or one whose ends meet, is a loop
+            const end = transformed[transformed.length - 1].p1;
+            const isClosed = closed || this.distance(start, end) < dxfConfig.chainTolerance;
+            return [{ start, segments: transformed, closed: isClosed }];
+        }
+
+        /**
+         * Bézier extraction by blossoming: for each non-empty knot span [a, b],
+         * control point k is the polar form f(a, .., a, b, .., b) with k copies of b.
+         * @returns {{start: {x, y}, segments: Array}}
+         */
+        splineToBeziers(control, knots, degree) {
+            const segments = [];
+            let start = null;
+            const p = degree;
+            const first = p, last = control.length; // valid spans [knots[p], knots[n]]
+
+            const blossom = (span, args) => {
+                const d = [];
+                for (let j = 0; j <= p; j++) d[j] = { ...control[span - p + j] };
+                for (let r = 1; r <= p; r++) {
+                    for (let j = p; j >= r; j--) {
+                        const i = span - p + j;
+                        const denominator = knots[i + p - r + 1] - knots[i];
+                        const alpha = denominator === 0 ? 0 : (args[r - 1] - knots[i]) / denominator;
+                        d[j] = {
+                            x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                            y: (1 - alpha) * d[j - 1].y + alpha * d[j].y
+                        };
+                    }
+                }
+                return d[p];
+            };
+
+            for (let span = first; span < last; span++) {
+                const a = knots[span], b = knots[span + 1];
+                if (b - a < 1e-12) continue;
+
+                const points = [];
+                for (let k = 0; k <= p; k++) {
+                    points.push(blossom(span, [...Array(p - k).fill(a), ...Array(k).fill(b)]));
+                }
+
+                if (!start) start = points[0];
+                if (p === 1) segments.push({ type: 'line', p1: points[1] });
+                else if (p === 2) segments.push({ type: 'quad', p1: points[1], p2: points[2] });
+                else if (p === 3) segments.push({ type: 'cubic', p1: points[1], p2: points[2], p3: points[3] });
+                else return this.sampleRationalSpline(control, control.map(() => 1), knots, degree);
+            }
+            return { start, segments };
+        }
+
+        /**
+         * Samples a (rational) B-spline into line segments with de Boor evaluation
+         */
+        sampleRationalSpline(control, weights, knots, degree) {
+            const p = degree;
+            const n = control.length;
+            const u0 = knots[p], u1 = knots[n];
+            const steps = Math.max(16, (n - p) * 16);
+
+            const evaluate = (u) => {
+                let span = p;
+                while (span < n - 1 && u >= knots[span + 1]) span++;
+                const d = [];
+                for (let j = 0; j <= p; j++) {
+                    const i = span - p + j, w = weights[i];
+                    d[j] = { x: control[i].x * w, y: control[i].y * w, w };
+                }
+                for (let r = 1; r <= p; r++) {
+                    for (let j = p; j >= r; j--) {
+                        const i = span - p + j;
+                        const denominator = knots[i + p - r + 1] - knots[i];
+                        const alpha = denominator === 0 ? 0 : (u - knots[i]) / denominator;
+                        d[j] = {
+                            x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                            y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                            w: (1 - alpha) * d[j - 1].w + alpha * d[j].w
+                        };
+                    }
+                }
+                return { x: d[p].x / d[p].w, y: d[p].y / d[p].w };
+            };
+
+            const segments = [];
+            for (let i = 1; i <= steps; i++) {
+                segments.push({ type: 'line', p1: evaluate(u0 + (u1 - u0) * i / steps) });
+            }
+            return { start: evaluate(u0), segments };
+        }
+
+        /**
+         * Interpolating cubic through fit points (uniform Catmull-Rom)
+         */
+        fitPointsToCubics(fit, closed) {
+            const points = closed && this.distance(fit[0], fit[fit.length - 1]) < PRECISION ? fit.slice(0, -1) : fit;
+            const n = points.length;
+            const at = (i) => closed ? points[(i + n) % n] : points[Math.max(0, Math.min(n - 1, i))];
+
+            const segments = [];
+            const count = closed ? n : n - 1;
+            for (let i = 0; i < count; i++) {
+                const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+                segments.push({
+                    type: 'cubic',
+                    p1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+                    p2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+                    p3: { x: p2.x, y: p2.y }
+                });
+            }
+            return { start: points[0], segments };
+        }
+
+        // ========================================================================
+        // Arc helpers
+        // ========================================================================
+
+        arcPiece(center, radius, startAngle, sweep, m, closed) {
+            const start = this.applyTransform({
+                x: center.x + radius * Math.cos(startAngle),
+                y: center.y + radius * Math.sin(startAngle)
+            }, m);
+            return { start, segments: this.arcSegments(center, radius, startAngle, sweep, m), closed };
+        }
+
+        /**
+         * Circular arc in local space → segments in drawing space. Arcs stay analytic under
+         * similarity transforms; non-uniform INSERT scales turn them into elliptical Béziers.
+         */
+        arcSegments(center, radius, startAngle, sweep, m) {
+            const sx = Math.hypot(m[0], m[1]);
+            const sy = Math.hypot(m[2], m[3]);
+            const orthogonal = Math.abs(m[0] * m[2] + m[1] * m[3]) < 1e-9 * sx * sy;
+            if (Math.abs(sx - sy) > 1e-9 * sx || !orthogonal) {
+                return this.arcToCubics(center, radius, startAngle, sweep, m);
+            }
+
+            const det = m[0] * m[3] - m[1] * m[2];
+            const rotation = Math.atan2(m[1], m[0]);
+            const c = this.applyTransform(center, m);
+            const r = radius * sx;
+            // Reflection reverses angular direction
+            const start = det < 0 ? rotation - startAngle : rotation + startAngle;
+            const signedSweep = det < 0 ? -sweep : sweep;
+
+            // Full circles are split in halves so every segment has distinct endpoints
+            const parts = Math.abs(sweep) > TWO_PI - 1e-9 ? 2 : 1;
+            const segments = [];
+            for (let i = 0; i < parts; i++) {
+                const a0 = start + signedSweep * i / parts;
+                const a1 = start + signedSweep * (i + 1) / parts;
+                segments.push({
+                    type: 'arc',
+                    center: c,
+                    radius: r,
+                    startAngle: a0,
+                    sweep: signedSweep / parts,
+                    p1: { x: c.x + r * Math.cos(a1), y: c.y + r * Math.sin(a1) }
+                });
+            }
+            return segments;
+        }
+
+        /**
+         * Arc as cubic Béziers (≤ 90° each), transformed by m
+         */
+        arcToCubics(center, radius, startAngle, sweep, m) {
+            const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+            const step = sweep / count;
+            const k = 4 / 3 * Math.tan(step / 4);
+            const segments = [];
+
+            for (let i = 0; i < count; i++) {
+                const a0 = startAngle + step * i, a1 = a0 + step;
+                const cos0 = Math.cos(a0), sin0 = Math.sin(a0), cos1 = Math.cos(a1), sin1 = Math.sin(a1);
+                const local = (x, y) => this.applyTransform({ x: center.x + radius * x, y: center.y + radius * y }, m);
+                segments.push({
+                    type: 'cubic',
+                    p1: local(cos0 - k * sin0, sin0 + k * cos0),
+                    p2: local(cos1 + k * sin1, sin1 - k * cos1),
+                    p3: local(cos1, sin1)
+                });
+            }
+            return segments;
+        }
+
+        // ========================================================================
+        // Chaining and output
+        // ========================================================================
+
+        addPieces(layer, pieces) {
+            let bucket = this.buckets.get(layer);
+            if (!bucket) {
+                bucket = {
+                    groupPath: [{ uid: `${this.docUidPrefix}_layer_${this.buckets.size}`, id: null, label: layer }],
+                    pieces: []
+                };
+                this.buckets.set(layer, bucket);
+            }
+            bucket.pieces.push(...pieces);
+        }
+
+        buildObjects() {
+            for (const bucket of this.buckets.values()) {
+                const { loops, chains } = this.chainPieces(bucket.pieces);
+
+                if (loops.length > 0) {
+                    // One compound region per layer/instance: nested loops become holes in the plotter
+                    this.pushObject({
+                        type: 'region',
+                        polarity: 'dark',
+                        analyticSubpaths: loops.map(piece => this.toAnalyticSubpath(piece)),
+                        groupPath: bucket.groupPath
+                    });
+                    this.stats.loopsClosed += loops.length;
+                }
+
+                for (const chain of chains) {
+                    this.pushObject({
+                        type: 'region',
+                        polarity: 'dark',
+                        analyticSubpaths: [this.toAnalyticSubpath(chain)],
+                        stroke: true,
+                        strokeWidth: 0,
+                        fill: false,
+                        closed: false,
+                        groupPath: bucket.groupPath
+                    });
+                    this.stats.openChains++;
+                }
+            }
+
+            if (this.stats.openChains > 0) {
+                this.warnings.push(`${this.stats.openChains} open contour(s) imported as centerlines (usable for engraving only).`);
+            }
+        }
+
+        pushObject(obj) {
+            this.layers.objects.push(obj);
+            this.stats.objectsCreated++;
+            for (const subpath of obj.analyticSubpaths) {
+                for (const seg of subpath) this.extendBounds(seg);
+            }
+        }
+
+        /**
+         * Joins open pieces end to end (reversing where needed) into loops and open chains
+         */
+        chainPieces(pieces) {
+            const tolerance = dxfConfig.chainTolerance;
+            const loops = [];
+            const chains = [];
+            const open = [];
+
+            for (const piece of pieces) {
+                if (piece.closed) {
+                    loops.push(piece);
+                } else if (this.distance(piece.start, this.pieceEnd(piece)) < tolerance) {
+                    loops.push({ ...piece, closed: true });
+                } else {
+                    open.push(piece);
+                }
+            }
+
+            // Spatial hash on endpoints
+            const cellKey = (p, dx = 0, dy = 0) => `${Math.round(p.x / tolerance) + dx},${Math.round(p.y / tolerance) + dy}`;
+            const index = new Map();
+            const addEndpoint = (p, piece) => {
+                const key = cellKey(p);
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(piece);
+            };
+            open.forEach(piece => {
+                addEndpoint(piece.start, piece);
+                addEndpoint(this.pieceEnd(piece), piece);
+            });
+
+            const used = new Set();
+            const findNext = (point) => {
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (const candidate of index.get(cellKey(point, dx, dy)) || []) {
+                            if (used.has(candidate)) continue;
+                            if (this.distance(candidate.start, point) < tolerance) return candidate;
+                            if (this.distance(this.pieceEnd(candidate), point) < tolerance) return this.reversePiece(candidate, true);
+                        }
+                    }
+                }
+                return null;
+            };
+
+            for (const seed of open) {
+                if (used.has(seed)) continue;
+                used.add(seed);
+                let chain = { start: seed.start, segments: [...seed.segments], closed: false };
+
+                // Grow forward, then backward from the start
+                for (let direction = 0; direction < 2; direction++) {
+                    let next;
+                    while ((next = findNext(this.pieceEnd(chain)))) {
+                        used.add(next.original || next);
+                        // Segments are emitted from the previous end point, which snaps the join
+                        chain.segments.push(...next.segments);
+                        if (this.distance(chain.start, this.pieceEnd(chain)) < tolerance) break;
+                    }
+                    if (this.distance(chain.start, this.pieceEnd(chain)) < tolerance) {
+                        chain.closed = true;
+                        break;
+                    }
+                    if (direction === 0) chain = this.reversePiece(chain, false);
+                }
+
+                if (chain.closed) loops.push(chain);
+                else chains.push(chain);
+            }
+
+            return { loops, chains };
+        }
+
+        pieceEnd(piece) {
+            return this.segmentEnd(piece.segments[piece.segments.length - 1]);
+        }
+
+        segmentEnd(seg) {
+            return seg.type === 'cubic' ? seg.p3 : (seg.type === 'quad' ? seg.p2 : seg.p1);
+        }
+
+        /**
+         * @param {boolean} tagOriginal - Keep a link to the source piece for the used-set
+         */
+        reversePiece(piece, tagOriginal) {
+            const points = [piece.start, ...piece.segments.map(seg => this.segmentEnd(seg))];
+            const segments = [];
+            for (let i = piece.segments.length - 1; i >= 0; i--) {
+                const seg = piece.segments[i];
+                const p1 = points[i];
+                switch (seg.type) {
+                    case 'line':
+                        segments.push({ type: 'line', p1 });
+                        break;
+                    case 'arc':
+                        segments.push({ ...seg, startAngle: seg.startAngle + seg.sweep, sweep: -seg.sweep, p1 });
+                        break;
+                    case 'quad':
+                        segments.push({ type: 'quad', p1: seg.p1, p2: p1 });
+                        break;
+                    case 'cubic':
+                        segments.push({ type: 'cubic', p1: seg.p2, p2: seg.p1, p3: p1 });
+                        break;
+                }
+            }
+            const reversed = { start: this.pieceEnd(piece), segments, closed: piece.closed };
+            if (tagOriginal) reversed.original = piece;
+            return reversed;
+        }
+
+        /**
+         * Internal piece → SVG-style analytic segments consumed by ParserPlotter.plotRegion
+         */
+        toAnalyticSubpath(piece) {
+            const subpath = [{ type: 'move', p: piece.start }];
+            let p0 = piece.start;
+
+            piece.segments.forEach((seg, i) => {
+                // Loops end exactly on their start point
+                const last = i === piece.segments.length - 1;
+                const end = last && piece.closed ? piece.start : this.segmentEnd(seg);
+
+                switch (seg.type) {
+                    case 'line':
+                        subpath.push({ type: 'line', p0, p1: end });
+                        p0 = end;
+                        break;
+                    case 'arc': {
+                        const endAngle = seg.startAngle + seg.sweep;
+                        subpath.push({
+                            type: 'arc',
+                            p0,
+                            p1: end,
+                            center: seg.center,
+                            rx: seg.radius,
+                            ry: seg.radius,
+                            phi: 0,
+                            fA: Math.abs(seg.sweep) > Math.PI ? 1 : 0,
+                            fS: seg.sweep > 0 ? 1 : 0,
+                            startAngle: seg.startAngle,
+                            endAngle,
+                            sweepAngle: seg.sweep,
+                            clockwise: seg.sweep < 0
+                        });
+                        p0 = end;
+                        break;
+                    }
+                    case 'quad': {
+                        const p2 = last && piece.closed ? piece.start : seg.p2;
+                        subpath.push({ type: 'quad', p0, p1: seg.p1, p2 });
+                        p0 = p2;
+                        break;
+                    }
+                    case 'cubic': {
+                        const p3 = last && piece.closed ? piece.start : seg.p3;
+                        subpath.push({ type: 'cubic', p0, p1: seg.p1, p2: seg.p2, p3 });
+                        p0 = p3;
+                        break;
+                    }
+                }
+            });
+            return subpath;
+        }
+
+        extendBounds(seg) {
+            const points = [seg.p, seg.p0, seg.p1, seg.p2, seg.p3].filter(Boolean);
+            if (seg.type === 'arc') {
+                // Axis extremes crossed by the sweep
+                for (let q = 0; q < 4; q++) {
+                    const angle = q * Math.PI / 2;
+                    const from = Math.min(seg.startAngle, seg.endAngle), to = Math.max(seg.startAngle, seg.endAngle);
+                    const k = Math.ceil((from - angle) / TWO_PI);
+                    if (angle + k * TWO_PI <= to) {
+                        points.push({ x: seg.center.x + seg.rx * Math.cos(angle), y: seg.center.y + seg.rx * Math.sin(angle) });
+                    }
+                }
+            }
+            for (const p of points) {
+                this.bounds.minX = Math.min(this.bounds.minX, p.x);
+                this.bounds.minY = Math.min(this.bounds.minY, p.y);
+                this.bounds.maxX = Math.max(this.bounds.maxX, p.x);
+                this.bounds.maxY = Math.max(this.bounds.maxY, p.y);
+            }
+        }
+
+        reportSkipped() {
+            if (this.hiddenLayers.size > 0) {
+                this.warnings.push(`Skipped entities on hidden or frozen layer(s): ${[...this.hiddenLayers].join(', ')}.`);
+            }
+            for (const [type, count] of this.skipped) {
+                this.warnings.push(`${count} ${type} entit${count === 1 ? 'y' : 'ies'} not supported, skipped.`);
+            }
+        }
+
+        // ========================================================================
+        // Math
+        // ========================================================================
+
+        transformSegment(seg, m) {
+            const out = { type: seg.type };
+            for (const key of ['p1', 'p2', 'p3']) {
+                if (seg[key]) out[key] = this.applyTransform(seg[key], m);
+            }
+            return out;
+        }
+
+        applyTransform(p, m) {
+            return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+        }
+
+        multiplyMatrix(m1, m2) {
+            return [
+                m1[0] * m2[0] + m1[2] * m2[1],
+                m1[1] * m2[0] + m1[3] * m2[1],
+                m1[0] * m2[2] + m1[2] * m2[3],
+                m1[1] * m2[2] + m1[3] * m2[3],
+                m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+                m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+            ];
+        }
+
+        distance(a, b) {
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+    }
+
+    window.DXFParser = DXFParser;
+})();
@@ -15,6 +15,8 @@
     const C = window.CAMConfig.constants;
     const D = window.CAMConfig.defaults;
     const formatConfig = C.formats.excellon;
+    const PRECISION = C.precision.coordinate;
+    const EPSILON = C.precision.epsilon;
 
     class ExcellonParser extends ParserCore {
         constructor(options = {}) {
@@ -31,14 +33,18 @@
 
             // Core coordinate state: tracks the tool's absolute position
             this.state = {
-                position: { x: 0, y: 0 }
+                position: { x: 0, y: 0 },
+                incremental: false
             };
 
-            // Modal state for M15/M16 slot processing
-            this.slotState = {
-                inSlot: false,
-                startPos: null
-            };
+            // Modal state for route mode (G00-G03, M15/M16, G40-G42)
+            this.routeState = this.createRouteState();
+
+            // M25/M01/M02 pattern recording
+            this.patternState = this.createPatternState();
+
+            // Diameters from a companion tool list, used for tools the file does not define
+            this.toolTable = null;
 
             this.drillData = {
                 units: 'mm',
@@ -50,10 +56,16 @@
             };
         }
 
-        parse(content) {
+        /**
+         * @param {string} content
+         * @param {Object} [parseOptions]
+         * @param {Object} [parseOptions.toolTable] - Result of ExcellonParser.parseToolTable() for a companion tool list.
+         */
+        parse(content, parseOptions = {}) {
             try {
                 this.debug('Excellon parse (strict)');
                 this.reset();
+                this.toolTable = parseOptions.toolTable || null;
 
                 const lines = content
                     .replace(/\r\n/g, '\n')
@@ -114,13 +126,13 @@
             this.warnings = [];
 
             this.state = {
-                position: { x: 0, y: 0 }
+                position: { x: 0, y: 0 },
+                incremental: false
             };
 
-            this.slotState = {
-                inSlot: false,
-                startPos: null
-            };
+            this.routeState = this.createRouteState();
+            this.patternState = this.createPatternState();
+            this.toolTable = null;
 
             this.stats = {
                 linesProcessed: 0,
@@ -140,7 +152,8 @@
                 tools: [],
                 holes: [],
                 bounds: null,
-                stats: {}
+                stats: {},
+                undefinedTools: []
             };
         }
 
@@ -204,6 +217,11 @@
             } else if (line.startsWith('FMAT')) {
                 this.parseFormat(line, lineNumber);
                 return;
+            } else if (line.startsWith('ICI')) {
+                // Incremental input of program coordinates (ICI, ICI,ON / ICI,OFF)
+                this.state.incremental = !line.includes('OFF');
+                this.debug(`Incremental coordinates: ${this.state.incremental}`);
+                return;
             } else if (line.match(/^T\d+.*C/i)) {
                 this.parseToolDefinition(line, lineNumber);
                 return;
@@ -221,16 +239,49 @@
                     return;
                 }
 
-                if (line === 'M16') {
+                if (line === 'M16' || line === 'M17') {
                     this.handleM16(lineNumber);
                     return;
                 }
 
+                // Pattern blocks: M25 start, M01 end, M02 repeat at offset, M08 end of step and repeat
+                if (line === 'M25') {
+                    this.patternState = { ...this.createPatternState(), recording: true, startIndex: this.drillData.holes.length, origin: { ...this.state.position } };
+                    this.debug('Pattern start (M25)');
+                    return;
+                }
+
+                if (line === 'M01') {
+                    this.endPattern();
+                    return;
+                }
+
+                if (line.startsWith('M02')) {
+                    this.repeatPattern(line, lineNumber);
+                    return;
+                }
+
+                if (line === 'M08') {
+                    this.patternState = this.createPatternState();
+                    return;
+                }
+
+                // Repeat hole: RnnXdxYdy drills nn more holes spaced by the (always incremental) step
+                if (line.match(/^R\d+/)) {
+                    this.repeatHole(line, lineNumber);
+                    return;
+                }
+
+                this.processRouteModes(line, lineNumber);
+
                 // Coordinate Handling (G-codes, Drills, Slots)
                 const coordinates = this.extractCoordinatesFromLine(line, lineNumber);
 
                 // If coordinates found, update the core position
                 if (coordinates) {
+                    if (this.routeState.inRoute && !line.includes('G85')) {
+                        this.appendRouteSegment(this.state.position, coordinates, line, lineNumber);
+                    }
                     this.state.position = coordinates;
                 }
 
@@ -239,6 +290,48 @@
             }
         }
 
+        /**
+         * Tracks modal G-codes: G00-G03 motion, G05 drill mode, G40/G41/G42 cutter compensation, G90/G91 absolute/incremental.
+         */
+        processRouteModes(line, lineNumber) {
+            const codes = (line.match(/G\d+/g) || []).map(g => parseInt(g.slice(1)));
+
+            for (const code of codes) {
+                switch (code) {
+                    case 90:
+                        this.state.incremental = false;
+                        break;
+                    case 91:
+                        this.state.incremental = true;
+                        break;
+                    case 0:
+                    case 1:
+                    case 2:
+                    case 3:
+                        this.routeState.routeMode = true;
+                        this.routeState.motion = code;
+                        break;
+                    case 5:
+                        if (this.routeState.inRoute) {
+                            this.warnings.push(`Line ${lineNumber}: G05 inside an open route, route closed.`);
+                            this.handleM16(lineNumber);
+                        }
+                        this.routeState.routeMode = false;
+                        this.routeState.motion = null;
+                        break;
+                    case 40:
+                        this.routeState.compensation = null;
+                        break;
+                    case 41:
+                        this.routeState.compensation = 'left';
+                        break;
+                    case 42:
+                        this.routeState.compensation = 'right';
+                        break;
+                }
+            }
+        }
+
         // Header Parsing Helpers
 
         parseFileFormat(line) {
@@ -294,7 +387,8 @@
                 key: toolKey,
                 diameter: diameter,
                 originalDiameter: diameter,
-                originalUnits: this.options.units
+                originalUnits: this.options.units,
+                source: 'header'
             };
 
             this.tools.set(toolKey, tool);
@@ -318,9 +412,7 @@
             const toolKey = `T${number.toString().padStart(toolKeyPadding, '0')}`;
 
             if (!this.tools.has(toolKey)) {
-                this.errors.push(`Line ${lineNumber}: Tool ${toolKey} undefined`);
-                this.currentTool = null;
-                return;
+                this.defineToolFromTable(number, toolKey, lineNumber);
             }
 
             this.currentTool = toolKey;
@@ -328,29 +420,531 @@
             this.debug(`Select ${toolKey}: ⌀${tool.diameter.toFixed(3)}mm`);
         }
 
+        /**
+         * Defines a tool the file selects without a T..C.. definition. The diameter comes from the
+         * imported tool table, otherwise a placeholder is used and the tool is reported in drillData.undefinedTools.
+         */
+        defineToolFromTable(number, toolKey, lineNumber) {
+            const entry = this.toolTable?.tools.find(t => t.number === number);
+            let diameter;
+            let source;
+
+            if (entry) {
+                diameter = entry.diameter;
+                const tableUnits = entry.units || this.toolTable.units || this.options.units;
+                if (tableUnits === 'mm' && this.options.units === 'inch') diameter /= 25.4;
+                if (tableUnits === 'inch' && this.options.units === 'mm') diameter *= 25.4;
+                source = 'table';
+                this.debug(`Tool ${toolKey}: ⌀${diameter.toFixed(4)} from tool table`);
+            } else {
+                diameter = formatConfig.defaultToolDiameter;
+                if (this.options.units === 'inch') diameter /= 25.4;
+                source = 'placeholder';
+                this.drillData.undefinedTools.push(toolKey);
+                this.warnings.push(`Line ${lineNumber}: Tool ${toolKey} has no diameter, using a ${formatConfig.defaultToolDiameter}mm placeholder. Import the tool table that came with the drill file.`);
+            }
+
+            const tool = {
+                number: number,
+                key: toolKey,
+                diameter: diameter,
+                originalDiameter: diameter,
+                originalUnits: this.options.units,
+                source: source
+            };
+
+            this.tools.set(toolKey, tool);
+            this.drillData.tools.push(tool);
+        }
+
+        /**
+         * Reads a companion tool list (Eagle .dri, Protel/Altium .drr report, rack files, plain "T01 0.8mm" lists).
+         * @param {string} text
+         * @returns {{tools: Array<{number: number, diameter: number, units: string|null}>, units: string|null}|null}
+         */
+        static parseToolTable(text) {
+            const tools = [];
+            const seen = new Set();
+
+            // Table-wide units when the rows carry none ("Drill sizes in inch", "Units: mm")
+            let units = null;
+            if (/\b(inch|inches|mils?)\b/i.test(text) && !/\bmm\b/i.test(text)) units = 'inch';
+            else if (/\b(mm|millimet(er|re)s?|metric)\b/i.test(text)) units = 'mm';
+
+            for (const line of text.split(/\r?\n/)) {
+                const match = line.match(/^\s*T(\d+)\s*[:=,]?\s+C?([0-9]*\.?[0-9]+)\s*(mm|mils?|in|inch|")?/i);
+                if (!match) continue;
+
+                const number = parseInt(match[1]);
+                if (seen.has(number)) continue;
+
+                let diameter = parseFloat(match[2]);
+                let rowUnits = null;
+                const unit = (match[3] || '').toLowerCase();
+                if (unit === 'mm') rowUnits = 'mm';
+                else if (unit.startsWith('mil')) { rowUnits = 'inch'; diameter /= 1000; }
+                else if (unit) rowUnits = 'inch';
+
+                if (!isFinite(diameter) || diameter <= 0) continue;
+
+                seen.add(number);
+                tools.push({ number, diameter, units: rowUnits });
+            }
+
+            return tools.length > 0 ? { tools, units } : null;
+        }
+
+        /**
+         * A tool list has tool rows but no drill coordinates, which tells it apart from an Excellon file.
+         */
+        static isToolTable(text) {
+            if (/^\s*M48\b/m.test(text) || /^[^;\n]*X[+-]?[\d.]+\s*Y[+-]?[\d.]+/m.test(text)) return false;
+            return ExcellonParser.parseToolTable(text) !== null;
+        }
+
         // Modal & Action Handlers
 
+        createRouteState() {
+            return {
+                routeMode: false,   // G00-G03 seen since the last G05
+                inRoute: false,     // Tool plunged (M15) and cutting
+                motion: null,       // Active motion G-code (0-3)
+                compensation: null, // 'left' (G41), 'right' (G42) or null (G40)
+                startPos: null,
+                segments: []
+            };
+        }
+
+        createPatternState() {
+            return {
+                recording: false,
+                startIndex: 0,
+                origin: null,     // Position at M25, then the first recorded feature
+                items: null,      // Holes recorded between M25 and M01
+                lastOrigin: null  // Origin of the latest M02 repetition
+            };
+        }
+
+        endPattern() {
+            const pattern = this.patternState;
+            if (!pattern.recording) return;
+
+            pattern.recording = false;
+            pattern.items = this.drillData.holes.slice(pattern.startIndex);
+
+            // Repeats are placed, swapped and mirrored relative to the first feature of the pattern
+            const first = pattern.items[0];
+            if (first) pattern.origin = { ...(first.position || first.start) };
+            pattern.lastOrigin = { ...pattern.origin };
+            this.debug(`Pattern end (M01): ${pattern.items.length} items`);
+        }
+
+        /**
+         * M02XnYn repeats the last pattern with its origin moved by X/Y from the previous repetition.
+         * M70 (swap axes), M80 (mirror X) and M90 (mirror Y) on the same line apply about the pattern origin.
+         * The offset is always relative, regardless of G90/G91.
+         */
+        repeatPattern(line, lineNumber) {
+            const pattern = this.patternState;
+            if (pattern.recording) this.endPattern();
+
+            if (!pattern.items) {
+                if (line.match(/[XY]/)) this.warnings.push(`Line ${lineNumber}: M02 pattern repeat without an M25/M01 pattern, ignored.`);
+                return;
+            }
+
+            let offset;
+            try {
+                offset = this.parseIncrement(line);
+            } catch (error) {
+                this.errors.push(`Line ${lineNumber}: ${error.message}`);
+                return;
+            }
+
+            const swap = line.includes('M70');
+            const mirrorX = line.includes('M80');
+            const mirrorY = line.includes('M90');
+            const origin = pattern.origin;
+            const target = { x: pattern.lastOrigin.x + offset.x, y: pattern.lastOrigin.y + offset.y };
+
+            const map = (p) => {
+                let dx = p.x - origin.x;
+                let dy = p.y - origin.y;
+                if (swap) [dx, dy] = [dy, dx];
+                if (mirrorX) dx = -dx;
+                if (mirrorY) dy = -dy;
+                return { x: target.x + dx, y: target.y + dy };
+            };
+            // An odd number of reflections reverses arc direction
+            const flipsArcs = [swap, mirrorX, mirrorY].filter(Boolean).length % 2 === 1;
+
+            for (const item of pattern.items) {
+                const copy = { ...item };
+                if (item.position) copy.position = map(item.position);
+                if (item.start) copy.start = map(item.start);
+                if (item.end) copy.end = map(item.end);
+                if (item.segments) {
+                    copy.segments = item.segments.map(seg => ({
+                        ...seg,
+                        start: map(seg.start),
+                        end: map(seg.end),
+                        ...(seg.center ? { center: map(seg.center), clockwise: flipsArcs ? !seg.clockwise : seg.clockwise } : {})
+                    }));
+                }
+                this.drillData.holes.push(copy);
+                this.stats.objectsCreated++;
+                this.updateCoordinateRange(copy.position || copy.start);
+            }
+
+            pattern.lastOrigin = target;
+            this.state.position = { ...target };
+            this.debug(`Pattern repeat (M02) at (${target.x.toFixed(3)}, ${target.y.toFixed(3)}): ${pattern.items.length} items`);
+        }
+
+        /**
+         * RnnXdxYdy: repeats the last hole nn times, each step offset by X/Y.
+         */
+        repeatHole(line, lineNumber) {
+            if (!this.currentTool) {
+                this.warnings.push(`Line ${lineNumber}: Repeat code without selected tool, ignoring.`);
+                return;
+            }
+
+            const count = parseInt(line.match(/^R(\d+)/)[1]);
+            let step;
+            try {
+                step = this.parseIncrement(line.replace(/^R\d+/, ''));
+            } catch (error) {
+                this.errors.push(`Line ${lineNumber}: ${error.message}`);
+                return;
+            }
+
+            for (let i = 0; i < count; i++) {
+                const position = {
+                    x: this.state.position.x + step.x,
+                    y: this.state.position.y + step.y
+                };
+                this.updateCoordinateRange(position);
+                this.createDrillOperation(position);
+                this.state.position = position;
+            }
+
+            this.debug(`Repeat ${count}× step (${step.x.toFixed(3)}, ${step.y.toFixed(3)})`);
+        }
+
+        /**
+         * Parses X/Y of a line as a relative offset (missing axes are 0).
+         */
+        parseIncrement(line) {
+            const xMatch = line.match(/X([+-]?(?:\d+\.?\d*|\.\d+))/i);
+            const yMatch = line.match(/Y([+-]?(?:\d+\.?\d*|\.\d+))/i);
+            return {
+                x: xMatch ? this.parseCoordinateValue(xMatch[1], this.options.format) : 0,
+                y: yMatch ? this.parseCoordinateValue(yMatch[1], this.options.format) : 0
+            };
+        }
+
         handleM15() {
             this.debug('Start Slot/Route (M15)');
-            this.slotState.inSlot = true;
+            this.routeState.inRoute = true;
+            this.routeState.segments = [];
 
-            // Capture the current position (set by a preceding G00/G01) as the slot start
-            this.slotState.startPos = { ...this.state.position }; 
-            this.debug(`M15: Captured StartPos: (${this.slotState.startPos.x.toFixed(3)}, ${this.slotState.startPos.y.toFixed(3)})`);
+            // Capture the current position (set by a preceding G00/G01) as the route start
+            this.routeState.startPos = { ...this.state.position };
+            this.debug(`M15: Captured StartPos: (${this.routeState.startPos.x.toFixed(3)}, ${this.routeState.startPos.y.toFixed(3)})`);
         }
 
         handleM16(lineNumber) {
             this.debug('End Slot/Route (M16)');
-            if (this.slotState.inSlot && this.slotState.startPos && this.currentTool) {
-                // The current position (set by a preceding G01 move) is the slot end
-                const endPos = { ...this.state.position };
-                this.debug(`M16: Final EndPos: (${endPos.x.toFixed(3)}, ${endPos.y.toFixed(3)})`);
-                this.createSlotOperation(this.slotState.startPos, endPos, lineNumber);
+            const route = this.routeState;
+
+            if (route.inRoute && route.startPos && this.currentTool) {
+                if (route.segments.length === 0) {
+                    // Plunge without motion, the plotter turns a zero-length slot into a hole
+                    this.createSlotOperation(route.startPos, { ...this.state.position }, lineNumber);
+                } else {
+                    this.finishRoute(lineNumber);
+                }
             } else {
                 this.warnings.push(`Line ${lineNumber}: M16 found without active slot or tool.`);
             }
-            this.slotState.inSlot = false;
-            this.slotState.startPos = null;
+
+            route.inRoute = false;
+            route.routeMode = false;
+            route.startPos = null;
+            route.segments = [];
+        }
+
+        /**
+         * Adds one G01/G02/G03 move of an open route. G00 while plunged is treated as a linear cut.
+         */
+        appendRouteSegment(from, to, line, lineNumber) {
+            const start = { ...from };
+            const end = { ...to };
+            const motion = this.routeState.motion;
+            const compensation = this.routeState.compensation;
+
+            if (motion !== 2 && motion !== 3) {
+                if (Math.hypot(end.x - start.x, end.y - start.y) < PRECISION) return;
+                this.routeState.segments.push({ type: 'line', start, end, compensation });
+                return;
+            }
+
+            const clockwise = motion === 2;
+            const radiusMatch = line.match(/A([+-]?(?:\d+\.?\d*|\.\d+))/);
+            const iMatch = line.match(/I([+-]?(?:\d+\.?\d*|\.\d+))/);
+            const jMatch = line.match(/J([+-]?(?:\d+\.?\d*|\.\d+))/);
+            let center;
+
+            try {
+                if (radiusMatch) {
+                    const radius = Math.abs(this.parseCoordinateValue(radiusMatch[1], this.options.format));
+                    center = this.arcCenterFromRadius(start, end, radius, clockwise);
+                } else if (iMatch || jMatch) {
+                    // I/J are offsets from the arc start point
+                    center = {
+                        x: start.x + (iMatch ? this.parseCoordinateValue(iMatch[1], this.options.format) : 0),
+                        y: start.y + (jMatch ? this.parseCoordinateValue(jMatch[1], this.options.format) : 0)
+                    };
+                }
+            } catch (error) {
+                this.errors.push(`Line ${lineNumber}: Error parsing arc parameters - ${error.message}`);
+                return;
+            }
+
+            if (!center) {
+                this.warnings.push(`Line ${lineNumber}: G0${motion} without A or I/J, routed as a straight line.`);
+                this.routeState.segments.push({ type: 'line', start, end, compensation });
+                return;
+            }
+
+            const radius = Math.hypot(start.x - center.x, start.y - center.y);
+            const endRadius = Math.hypot(end.x - center.x, end.y - center.y);
+            if (Math.abs(radius - endRadius) > Math.max(PRECISION, radius * 0.01)) {
+                this.warnings.push(`Line ${lineNumber}: Arc end point is not on the arc (r=${radius.toFixed(4)} vs ${endRadius.toFixed(4)}).`);
+            }
+
+            if (Math.hypot(end.x - start.x, end.y - start.y) < PRECISION) {
+                // Full circle, split in two halves so every segment has a well-defined sweep
+                const opposite = { x: 2 * center.x - start.x, y: 2 * center.y - start.y };
+                this.routeState.segments.push(
+                    { type: 'arc', start, end: opposite, center, radius, clockwise, compensation },
+                    { type: 'arc', start: { ...opposite }, end, center, radius, clockwise, compensation }
+                );
+                return;
+            }
+
+            this.routeState.segments.push({ type: 'arc', start, end, center, radius, clockwise, compensation });
+            this.stats.coordinatesParsed++;
+        }
+
+        /**
+         * Resolves the center of an arc given by radius (A word). The shorter arc is used, like G-code R.
+         */
+        arcCenterFromRadius(start, end, radius, clockwise) {
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const chord = Math.hypot(dx, dy);
+            if (chord < PRECISION) return null;
+
+            const half = chord / 2;
+            const dist = Math.sqrt(Math.max(0, radius * radius - half * half));
+
+            // CCW arcs have their center on the left of the chord, CW arcs on the right
+            const side = clockwise ? -1 : 1;
+            return {
+                x: (start.x + end.x) / 2 - side * dy / chord * dist,
+                y: (start.y + end.y) / 2 + side * dx / chord * dist
+            };
+        }
+
+        finishRoute(lineNumber) {
+            const route = this.routeState;
+            let segments = route.segments;
+            const first = segments[0];
+            const last = segments[segments.length - 1];
+            const closed = Math.hypot(last.end.x - first.start.x, last.end.y - first.start.y) < PRECISION;
+
+            const compensation = first.compensation;
+            if (segments.some(seg => seg.compensation !== compensation)) {
+                this.warnings.push(`Line ${lineNumber}: Cutter compensation changes inside a route, using the mode active at its start.`);
+            }
+
+            if (compensation) {
+                const tool = this.tools.get(this.currentTool);
+                segments = this.applyCutterCompensation(segments, compensation, tool.diameter / 2, closed, lineNumber);
+                if (segments.length === 0) return;
+            }
+
+            if (segments.length === 1 && segments[0].type === 'line') {
+                this.createSlotOperation(segments[0].start, segments[0].end, lineNumber);
+                return;
+            }
+
+            this.createRouteOperation(segments, closed, compensation, lineNumber);
+        }
+
+        /**
+         * Converts a programmed G41/G42 route into the tool center path.
+         * Lines shift along their normal, arcs change radius. Outside corners get a
+         * rounding arc around the programmed vertex, inside corners are trimmed at the
+         * intersection of the neighbouring offset segments.
+         */
+        applyCutterCompensation(segments, side, toolRadius, closed, lineNumber) {
+            // Offset direction relative to the left normal of travel
+            const sign = side === 'left' ? 1 : -1;
+            const offset = [];
+
+            for (const seg of segments) {
+                if (seg.type === 'line') {
+                    const len = Math.hypot(seg.end.x - seg.start.x, seg.end.y - seg.start.y);
+                    const nx = -(seg.end.y - seg.start.y) / len * toolRadius * sign;
+                    const ny = (seg.end.x - seg.start.x) / len * toolRadius * sign;
+                    offset.push({
+                        type: 'line',
+                        start: { x: seg.start.x + nx, y: seg.start.y + ny },
+                        end: { x: seg.end.x + nx, y: seg.end.y + ny },
+                        vertex: seg.start
+                    });
+                } else {
+                    // The left side of a CCW arc faces its center
+                    const inward = seg.clockwise ? -sign : sign;
+                    const radius = seg.radius - inward * toolRadius;
+                    if (radius < PRECISION) {
+                        this.warnings.push(`Line ${lineNumber}: Arc radius ${seg.radius.toFixed(4)} is smaller than the tool radius, segment dropped.`);
+                        continue;
+                    }
+                    const scale = radius / seg.radius;
+                    const project = (p) => ({
+                        x: seg.center.x + (p.x - seg.center.x) * scale,
+                        y: seg.center.y + (p.y - seg.center.y) * scale
+                    });
+                    offset.push({
+                        type: 'arc',
+                        start: project(seg.start),
+                        end: project(seg.end),
+                        center: seg.center,
+                        radius,
+                        clockwise: seg.clockwise,
+                        vertex: seg.start
+                    });
+                }
+            }
+
+            if (offset.length === 0) return [];
+
+            const result = [];
+            const joinCount = closed ? offset.length : offset.length - 1;
+            const joins = new Map();
+
+            for (let i = 0; i < joinCount; i++) {
+                const a = offset[i];
+                const b = offset[(i + 1) % offset.length];
+                const gap = Math.hypot(b.start.x - a.end.x, b.start.y - a.end.y);
+                if (gap < PRECISION) {
+                    b.start = { ...a.end };
+                    continue;
+                }
+
+                const ta = this.segmentTangent(a, a.end);
+                const tb = this.segmentTangent(b, b.start);
+                const turn = ta.x * tb.y - ta.y * tb.x;
+                const vertex = b.vertex;
+
+                // Turning away from the compensation side opens a gap (outside corner)
+                if (turn * sign < 0) {
+                    joins.set(i, {
+                        type: 'arc',
+                        start: { ...a.end },
+                        end: { ...b.start },
+                        center: { ...vertex },
+                        radius: toolRadius,
+                        clockwise: side === 'left'
+                    });
+                } else {
+                    const hit = this.intersectSegments(a, b, vertex);
+                    if (hit) {
+                        a.end = { ...hit };
+                        b.start = { ...hit };
+                    } else {
+                        joins.set(i, { type: 'line', start: { ...a.end }, end: { ...b.start } });
+                    }
+                }
+            }
+
+            offset.forEach((seg, i) => {
+                const { vertex, ...clean } = seg;
+                result.push(clean);
+                if (joins.has(i)) result.push(joins.get(i));
+            });
+
+            return result;
+        }
+
+        segmentTangent(seg, point) {
+            if (seg.type === 'line') {
+                const len = Math.hypot(seg.end.x - seg.start.x, seg.end.y - seg.start.y);
+                return { x: (seg.end.x - seg.start.x) / len, y: (seg.end.y - seg.start.y) / len };
+            }
+            const rx = (point.x - seg.center.x) / seg.radius;
+            const ry = (point.y - seg.center.y) / seg.radius;
+            return seg.clockwise ? { x: ry, y: -rx } : { x: -ry, y: rx };
+        }
+
+        /**
+         * Intersects two offset segments as infinite lines / full circles and
+         * returns the candidate closest to the programmed vertex.
+         */
+        intersectSegments(a, b, vertex) {
+            let candidates = [];
+
+            if (a.type === 'line' && b.type === 'line') {
+                const d1 = { x: a.end.x - a.start.x, y: a.end.y - a.start.y };
+                const d2 = { x: b.end.x - b.start.x, y: b.end.y - b.start.y };
+                const denom = d1.x * d2.y - d1.y * d2.x;
+                if (Math.abs(denom) < EPSILON) return null;
+                const t = ((b.start.x - a.start.x) * d2.y - (b.start.y - a.start.y) * d2.x) / denom;
+                candidates = [{ x: a.start.x + d1.x * t, y: a.start.y + d1.y * t }];
+            } else if (a.type === 'arc' && b.type === 'arc') {
+                const dx = b.center.x - a.center.x;
+                const dy = b.center.y - a.center.y;
+                const d = Math.hypot(dx, dy);
+                if (d < EPSILON || d > a.radius + b.radius || d < Math.abs(a.radius - b.radius)) return null;
+                const along = (a.radius * a.radius - b.radius * b.radius + d * d) / (2 * d);
+                const h = Math.sqrt(Math.max(0, a.radius * a.radius - along * along));
+                const mx = a.center.x + dx * along / d;
+                const my = a.center.y + dy * along / d;
+                candidates = [
+                    { x: mx - dy * h / d, y: my + dx * h / d },
+                    { x: mx + dy * h / d, y: my - dx * h / d }
+                ];
+            } else {
+                const line = a.type === 'line' ? a : b;
+                const arc = a.type === 'arc' ? a : b;
+                const dx = line.end.x - line.start.x;
+                const dy = line.end.y - line.start.y;
+                const fx = line.start.x - arc.center.x;
+                const fy = line.start.y - arc.center.y;
+                const qa = dx * dx + dy * dy;
+                const qb = 2 * (fx * dx + fy * dy);
+                const qc = fx * fx + fy * fy - arc.radius * arc.radius;
+                const disc = qb * qb - 4 * qa * qc;
+                if (disc < 0) return null;
+                const root = Math.sqrt(disc);
+                candidates = [(-qb - root) / (2 * qa), (-qb + root) / (2 * qa)]
+                    .map(t => ({ x: line.start.x + dx * t, y: line.start.y + dy * t }));
+            }
+
+            let best = null;
+            let bestDist = Infinity;
+            for (const p of candidates) {
+                const dist = Math.hypot(p.x - vertex.x, p.y - vertex.y);
+                if (dist < bestDist) {
+                    best = p;
+                    bestDist = dist;
+                }
+            }
+            return best;
         }
 
         processDrillOrSlotCommand(line, lineNumber) {
@@ -367,9 +961,9 @@
                 return;
             }
 
-            // Standard drill operation (Txx + X/Y) or implicit G01/G00 move
+            // Standard drill operation (Txx + X/Y). Moves in route mode never drill.
             if (line.match(/[XY]/)) {
-                if (!this.slotState.inSlot && !line.match(/^G\d+/)) {
+                if (!this.routeState.routeMode && !this.routeState.inRoute && !line.match(/^G\d+/)) {
                     // Standard drill hit. Position is already updated by extractCoordinatesFromLine.
                     this.createDrillOperation(this.state.position);
                 }
@@ -457,6 +1051,32 @@
             this.debug(`Created M15/M16 slot data: {type: 'slot', start: (${start.x.toFixed(3)}, ${start.y.toFixed(3)}), end: (${end.x.toFixed(3)}, ${end.y.toFixed(3)}), diameter: ${tool.diameter.toFixed(3)}, length: ${length.toFixed(3)}}`);
         }
 
+        createRouteOperation(segments, closed, compensation, lineNumber) {
+            if (!this.currentTool) {
+                this.errors.push(`Line ${lineNumber}: No tool selected for route operation.`);
+                return;
+            }
+
+            const tool = this.tools.get(this.currentTool);
+
+            this.drillData.holes.push({
+                type: 'route',
+                segments: segments,
+                start: segments[0].start,
+                end: segments[segments.length - 1].end,
+                closed: closed,
+                compensation: compensation,
+                tool: this.currentTool,
+                diameter: tool.diameter,
+                plated: true
+            });
+
+            this.stats.objectsCreated++;
+
+            const arcCount = segments.filter(seg => seg.type === 'arc').length;
+            this.debug(`Created route data: {type: 'route', segments: ${segments.length} (${arcCount} arcs), closed: ${closed}, compensation: ${compensation || 'none'}, diameter: ${tool.diameter.toFixed(3)}}`);
+        }
+
         // Coordinate Parsing
 
         extractCoordinatesFromLine(line, lineNumber) {
@@ -470,14 +1090,15 @@
             try {
                 // Start with the last known position, only update if coordinate is present
                 const coordinates = { ...this.state.position };
+                const base = this.state.incremental ? this.state.position : { x: 0, y: 0 };
 
                 if (xMatch) {
-                    coordinates.x = this.parseCoordinateValue(xMatch[1], this.options.format);
+                    coordinates.x = base.x + this.parseCoordinateValue(xMatch[1], this.options.format);
                     this.stats.coordinatesParsed++;
                 }
 
                 if (yMatch) {
-                    coordinates.y = this.parseCoordinateValue(yMatch[1], this.options.format);
+                    coordinates.y = base.y + this.parseCoordinateValue(yMatch[1], this.options.format);
                     this.stats.coordinatesParsed++;
                 }
 
@@ -536,6 +1157,22 @@
                             maxY = Math.max(maxY, item.start.y + radius, item.end.y + radius);
                         }
                         break;
+
+                    case 'route':
+                        // Arcs contribute their full circle, slightly generous but cheap
+                        item.segments.forEach(seg => {
+                            const points = seg.type === 'arc'
+                                ? [{ x: seg.center.x - seg.radius, y: seg.center.y - seg.radius },
+                                   { x: seg.center.x + seg.radius, y: seg.center.y + seg.radius }]
+                                : [seg.start, seg.end];
+                            points.forEach(p => {
+                                minX = Math.min(minX, p.x - radius);
+                                minY = Math.min(minY, p.y - radius);
+                                maxX = Math.max(maxX, p.x + radius);
+                                maxY = Math.max(maxY, p.y + radius);
+                            });
+                        });
+                        break;
                 }
             });
 
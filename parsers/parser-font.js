@@ -0,0 +1,1149 @@
+/*!
+ * @file        parsers/parser-font.js
+ * @description TrueType/OpenType outline reader and font library for SVG text import.
+ *              Reads glyph outlines (glyf quadratic and CFF cubic), the character map,
+ *              horizontal metrics and pair kerning (GPOS 'kern' feature or legacy kern table).
+ *              Hinting, shaping and variable fonts are out of scope.
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const fontConfig = C.formats.font;
+
+    class FontParser extends ParserCore {
+        constructor(options = {}) {
+            super(options);
+        }
+
+        /**
+         * @param {ArrayBuffer|Uint8Array} content - Raw .ttf/.otf file (read with readFileAsArrayBuffer)
+         * @returns {{success: boolean, font: OutlineFont|null, errors: Array, warnings: Array}}
+         */
+        parse(content) {
+            this.errors = [];
+            this.warnings = [];
+
+            try {
+                const buffer = content instanceof ArrayBuffer
+                    ? content
+                    : content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+                const view = new DataView(buffer);
+
+                let offset = 0;
+                const signature = this.readTag(view, 0);
+                if (signature === 'wOFF' || signature === 'wOF2') {
+                    throw new Error('WOFF web fonts are compressed, use the .ttf or .otf file');
+                }
+                // Collections: take the first font
+                if (signature === 'ttcf') {
+                    offset = view.getUint32(12);
+                    this.warnings.push('Font collection, only the first font is used.');
+                }
+
+                const version = view.getUint32(offset);
+                if (version !== 0x00010000 && this.readTag(view, offset) !== 'OTTO' && this.readTag(view, offset) !== 'true') {
+                    throw new Error('Not a TrueType or OpenType font');
+                }
+
+                const tables = {};
+                const numTables = view.getUint16(offset + 4);
+                for (let i = 0; i < numTables; i++) {
+                    const rec = offset + 12 + i * 16;
+                    tables[this.readTag(view, rec)] = { offset: view.getUint32(rec + 8), length: view.getUint32(rec + 12) };
+                }
+
+                for (const required of ['head', 'hhea', 'hmtx', 'maxp', 'cmap']) {
+                    if (!tables[required]) throw new Error(`Missing required '${required}' table`);
+                }
+                if (!tables.glyf && !tables['CFF ']) {
+                    throw new Error(tables.CFF2 ? 'CFF2 (variable) outlines are not supported' : 'Font has no glyph outlines');
+                }
+
+                const font = new OutlineFont(view, tables);
+                if (font.kerningSource === null) this.warnings.push(`${font.fullName}: no kerning data.`);
+                this.debug(`Font ${font.fullName}: ${font.numGlyphs} glyphs, ${font.outlineFormat} outlines, kerning: ${font.kerningSource || 'none'}`);
+
+                return { success: true, font, errors: this.errors, warnings: this.warnings };
+            } catch (error) {
+                this.errors.push(`Font parse error: ${error.message}`);
+                return { success: false, font: null, errors: this.errors, warnings: this.warnings };
+            }
+        }
+
+        readTag(view, offset) {
+            return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+        }
+    }
+
+    /**
+     * A parsed font. Outlines are returned in font units (y up) as
+     * {type: 'M'|'L'|'Q'|'C'|'Z', x, y, x1, y1, x2, y2} commands.
+     */
+    class OutlineFont {
+        constructor(view, tables) {
+            this.view = view;
+            this.tables = tables;
+            this.outlineCache = new Map();
+            this.kerningCache = new Map();
+
+            const head = tables.head.offset;
+            this.unitsPerEm = view.getUint16(head + 18);
+            this.indexToLocFormat = view.getInt16(head + 50);
+
+            this.numGlyphs = view.getUint16(tables.maxp.offset + 4);
+
+            const hhea = tables.hhea.offset;
+            this.ascender = view.getInt16(hhea + 4);
+            this.descender = view.getInt16(hhea + 6);
+            this.numberOfHMetrics = view.getUint16(hhea + 34);
+
+            this.readNames();
+            this.readStyle();
+            this.readCmap();
+
+            if (tables.glyf && tables.loca) {
+                this.outlineFormat = 'truetype';
+            } else {
+                this.outlineFormat = 'cff';
+                this.cff = this.readCFF(tables['CFF '].offset);
+            }
+
+            this.kerningSource = null;
+            this.readGposKerning();
+            if (!this.kerningSource) this.readKernTable();
+        }
+
+        // ========================================================================
+        // Metadata
+        // ========================================================================
+
+        readNames() {
+            const names = {};
+            const table = this.tables.name;
+            if (table) {
+                const v = this.view;
+                const count = v.getUint16(table.offset + 2);
+                const stringOffset = table.offset + v.getUint16(table.offset + 4);
+
+                for (let i = 0; i < count; i++) {
+                    const rec = table.offset + 6 + i * 12;
+                    const platformId = v.getUint16(rec);
+                    const languageId = v.getUint16(rec + 4);
+                    const nameId = v.getUint16(rec + 6);
+                    const length = v.getUint16(rec + 8);
+                    const start = stringOffset + v.getUint16(rec + 10);
+
+                    let text = '';
+                    if (platformId === 0 || platformId === 3) {
+                        // Windows/Unicode: prefer US English when several languages exist
+                        if (platformId === 3 && languageId !== 0x409 && names[nameId]) continue;
+                        for (let j = 0; j + 1 < length; j += 2) text += String.fromCharCode(v.getUint16(start + j));
+                    } else if (platformId === 1) {
+                        if (names[nameId]) continue;
+                        for (let j = 0; j < length; j++) text += String.fromCharCode(v.getUint8(start + j));
+                    } else {
+                        continue;
+                    }
+                    names[nameId] = text;
+                }
+            }
+
+            this.names = names;
+            // Typographic family (16) groups weights under one name, legacy family (1) may include the weight
+            this.family = names[16] || names[1] || 'Unknown';
+            this.subfamily = names[17] || names[2] || 'Regular';
+            this.fullName = names[4] || `${this.family} ${this.subfamily}`;
+            this.postScriptName = names[6] || null;
+        }
+
+        readStyle() {
+            const os2 = this.tables['OS/2'];
+            if (os2) {
+                this.weight = this.view.getUint16(os2.offset + 4);
+                this.italic = (this.view.getUint16(os2.offset + 62) & 0x01) !== 0;
+            } else {
+                const macStyle = this.view.getUint16(this.tables.head.offset + 44);
+                this.weight = (macStyle & 0x01) ? 700 : 400;
+                this.italic = (macStyle & 0x02) !== 0;
+            }
+        }
+
+        // ========================================================================
+        // Character Map
+        // ========================================================================
+
+        readCmap() {
+            const v = this.view;
+            const base = this.tables.cmap.offset;
+            const count = v.getUint16(base + 2);
+
+            // Full Unicode (format 12) first, then BMP (format 4)
+            let best = null;
+            let bestRank = -1;
+            for (let i = 0; i < count; i++) {
+                const rec = base + 4 + i * 8;
+                const platformId = v.getUint16(rec);
+                const encodingId = v.getUint16(rec + 2);
+                const subtable = base + v.getUint32(rec + 4);
+                const format = v.getUint16(subtable);
+
+                let rank = -1;
+                if (format === 12 && (platformId === 0 || (platformId === 3 && encodingId === 10))) rank = 3;
+                else if (format === 4 && (platformId === 0 || (platformId === 3 && encodingId === 1))) rank = 2;
+                else if (format === 4 && platformId === 3 && encodingId === 0) rank = 1; // Symbol fonts
+
+                if (rank > bestRank) {
+                    best = { offset: subtable, format, symbol: encodingId === 0 && platformId === 3 };
+                    bestRank = rank;
+                }
+            }
+
+            if (!best) throw new Error('No Unicode character map');
+            this.cmap = best;
+            this.cmapCache = new Map();
+        }
+
+        /**
+         * @param {number} codePoint
+         * @returns {number} Glyph index, 0 (.notdef) when the font has no glyph for the character
+         */
+        glyphIndex(codePoint) {
+            if (this.cmapCache.has(codePoint)) return this.cmapCache.get(codePoint);
+
+            let gid = this.lookupCmap(codePoint);
+            // Symbol fonts map their glyphs into the private use area
+            if (gid === 0 && this.cmap.symbol && codePoint < 0x100) gid = this.lookupCmap(0xF000 + codePoint);
+
+            this.cmapCache.set(codePoint, gid);
+            return gid;
+        }
+
+        lookupCmap(codePoint) {
+            const v = this.view;
+            const table = this.cmap.offset;
+
+            if (this.cmap.format === 12) {
+                const groups = v.getUint32(table + 12);
+                let lo = 0, hi = groups - 1;
+                while (lo <= hi) {
+                    const mid = (lo + hi) >> 1;
+                    const group = table + 16 + mid * 12;
+                    const start = v.getUint32(group);
+                    const end = v.getUint32(group + 4);
+                    if (codePoint < start) hi = mid - 1;
+                    else if (codePoint > end) lo = mid + 1;
+                    else return v.getUint32(group + 8) + (codePoint - start);
+                }
+                return 0;
+            }
+
+            // Format 4: segmented BMP mapping
+            if (codePoint > 0xFFFF) return 0;
+            const segCount = v.getUint16(table + 6) >> 1;
+            const endCodes = table + 14;
+            const startCodes = endCodes + segCount * 2 + 2;
+            const idDeltas = startCodes + segCount * 2;
+            const idRangeOffsets = idDeltas + segCount * 2;
+
+            let lo = 0, hi = segCount - 1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                const end = v.getUint16(endCodes + mid * 2);
+                const start = v.getUint16(startCodes + mid * 2);
+                if (codePoint > end) { lo = mid + 1; continue; }
+                if (codePoint < start) { hi = mid - 1; continue; }
+
+                const delta = v.getInt16(idDeltas + mid * 2);
+                const rangeOffset = v.getUint16(idRangeOffsets + mid * 2);
+                if (rangeOffset === 0) return (codePoint + delta) & 0xFFFF;
+
+                const glyphAddress = idRangeOffsets + mid * 2 + rangeOffset + (codePoint - start) * 2;
+                const gid = v.getUint16(glyphAddress);
+                return gid === 0 ? 0 : (gid + delta) & 0xFFFF;
+            }
+            return 0;
+        }
+
+        // ========================================================================
+        // Metrics
+        // ========================================================================
+
+        /**
+         * @returns {number} Advance width in font units
+         */
+        advanceWidth(gid) {
+            const hmtx = this.tables.hmtx.offset;
+            const index = Math.min(gid, this.numberOfHMetrics - 1);
+            return this.view.getUint16(hmtx + index * 4);
+        }
+
+        /**
+         * Horizontal pair adjustment in font units (negative = tighter).
+         */
+        kerning(leftGid, rightGid) {
+            if (!this.kerningSource) return 0;
+
+            const key = leftGid * 65536 + rightGid;
+            if (this.kerningCache.has(key)) return this.kerningCache.get(key);
+
+            const value = this.kerningSource === 'GPOS'
+                ? this.lookupGposKerning(leftGid, rightGid)
+                : (this.kernPairs.get(key) || 0);
+
+            this.kerningCache.set(key, value);
+            return value;
+        }
+
+        // ========================================================================
+        // Kerning: GPOS Pair Adjustment
+        // ========================================================================
+
+        readGposKerning() {
+            const table = this.tables.GPOS;
+            if (!table) return;
+
+            const v = this.view;
+            const base = table.offset;
+            const featureList = base + v.getUint16(base + 6);
+            const lookupList = base + v.getUint16(base + 8);
+
+            const lookupIndices = new Set();
+            const featureCount = v.getUint16(featureList);
+            for (let i = 0; i < featureCount; i++) {
+                const rec = featureList + 2 + i * 6;
+                if (this.readTag(rec) !== 'kern') continue;
+                const feature = featureList + v.getUint16(rec + 4);
+                const count = v.getUint16(feature + 2);
+                for (let j = 0; j < count; j++) lookupIndices.add(v.getUint16(feature + 4 + j * 2));
+            }
+
+            const subtables = [];
+            for (const index of [...lookupIndices].sort((a, b) => a - b)) {
+                const lookup = lookupList + v.getUint16(lookupList + 2 + index * 2);
+                const lookupType = v.getUint16(lookup);
+                const subtableCount = v.getUint16(lookup + 4);
+
+                for (let j = 0; j < subtableCount; j++) {
+                    let subtable = lookup + v.getUint16(lookup + 6 + j * 2);
+                    let type = lookupType;
+                    // Extension positioning wraps the real subtable
+                    if (type === 9) {
+                        type = v.getUint16(subtable + 2);
+                        subtable = subtable + v.getUint32(subtable + 4);
+                    }
+                    if (type === 2) subtables.push(subtable);
+                }
+            }
+
+            if (subtables.length > 0) {
+                this.gposPairSubtables = subtables;
+                this.kerningSource = 'GPOS';
+            }
+        }
+
+        lookupGposKerning(left, right) {
+            const v = this.view;
+
+            for (const subtable of this.gposPairSubtables) {
+                const format = v.getUint16(subtable);
+                const coverageIndex = this.coverageIndex(subtable + v.getUint16(subtable + 2), left);
+                if (coverageIndex < 0) continue;
+
+                const valueFormat1 = v.getUint16(subtable + 4);
+                const valueFormat2 = v.getUint16(subtable + 6);
+                const size1 = this.valueRecordSize(valueFormat1);
+                const size2 = this.valueRecordSize(valueFormat2);
+
+                if (format === 1) {
+                    const pairSet = subtable + v.getUint16(subtable + 10 + coverageIndex * 2);
+                    const pairCount = v.getUint16(pairSet);
+                    const recordSize = 2 + size1 + size2;
+                    let lo = 0, hi = pairCount - 1;
+                    while (lo <= hi) {
+                        const mid = (lo + hi) >> 1;
+                        const record = pairSet + 2 + mid * recordSize;
+                        const second = v.getUint16(record);
+                        if (second < right) lo = mid + 1;
+                        else if (second > right) hi = mid - 1;
+                        else return this.xAdvance(record + 2, valueFormat1);
+                    }
+                    // Not in this subtable, later subtables may still cover the pair
+                } else if (format === 2) {
+                    const class1 = this.classOf(subtable + v.getUint16(subtable + 8), left);
+                    const class2 = this.classOf(subtable + v.getUint16(subtable + 10), right);
+                    const class1Count = v.getUint16(subtable + 12);
+                    const class2Count = v.getUint16(subtable + 14);
+                    if (class1 >= class1Count || class2 >= class2Count) continue;
+
+                    const record = subtable + 16 + (class1 * class2Count + class2) * (size1 + size2);
+                    // Class pair subtables cover the whole first-glyph coverage, their answer is final
+                    return this.xAdvance(record, valueFormat1);
+                }
+            }
+            return 0;
+        }
+
+        valueRecordSize(format) {
+            let bits = 0;
+            for (let f = format; f; f >>= 1) bits += f & 1;
+            return bits * 2;
+        }
+
+        xAdvance(record, valueFormat) {
+            if (!(valueFormat & 0x0004)) return 0;
+            // XAdvance follows XPlacement and YPlacement when present
+            const skip = ((valueFormat & 0x0001) ? 2 : 0) + ((valueFormat & 0x0002) ? 2 : 0);
+            return this.view.getInt16(record + skip);
+        }
+
+        coverageIndex(coverage, gid) {
+            const v = this.view;
+            const format = v.getUint16(coverage);
+            const count = v.getUint16(coverage + 2);
+            let lo = 0, hi = count - 1;
+
+            if (format === 1) {
+                while (lo <= hi) {
+                    const mid = (lo + hi) >> 1;
+                    const glyph = v.getUint16(coverage + 4 + mid * 2);
+                    if (glyph < gid) lo = mid + 1;
+                    else if (glyph > gid) hi = mid - 1;
+                    else return mid;
+                }
+            } else if (format === 2) {
+                while (lo <= hi) {
+                    const mid = (lo + hi) >> 1;
+                    const range = coverage + 4 + mid * 6;
+                    const start = v.getUint16(range);
+                    const end = v.getUint16(range + 2);
+                    if (gid < start) hi = mid - 1;
+                    else if (gid > end) lo = mid + 1;
+                    else return v.getUint16(range + 4) + (gid - start);
+                }
+            }
+            return -1;
+        }
+
+        classOf(classDef, gid) {
+            const v = this.view;
+            const format = v.getUint16(classDef);
+
+            if (format === 1) {
+                const start = v.getUint16(classDef + 2);
+                const count = v.getUint16(classDef + 4);
+                return (gid >= start && gid < start + count) ? v.getUint16(classDef + 6 + (gid - start) * 2) : 0;
+            }
+            if (format === 2) {
+                const count = v.getUint16(classDef + 2);
+                let lo = 0, hi = count - 1;
+                while (lo <= hi) {
+                    const mid = (lo + hi) >> 1;
+                    const range = classDef + 4 + mid * 6;
+                    const start = v.getUint16(range);
+                    const end = v.getUint16(range + 2);
+                    if (gid < start) hi = mid - 1;
+                    else if (gid > end) lo = mid + 1;
+                    else return v.getUint16(range + 4);
+                }
+            }
+            return 0;
+        }
+
+        // ========================================================================
+        // Kerning: Legacy kern Table
+        // ========================================================================
+
+        readKernTable() {
+            const table = this.tables.kern;
+            if (!table) return;
+
+            const v = this.view;
+            // Only the Windows/OpenType layout (version 0); Apple's version 1 tables are skipped
+            if (v.getUint16(table.offset) !== 0) return;
+
+            const pairs = new Map();
+            const count = v.getUint16(table.offset + 2);
+            let subtable = table.offset + 4;
+
+            for (let i = 0; i < count; i++) {
+                const length = v.getUint16(subtable + 2);
+                const coverage = v.getUint16(subtable + 4);
+                const format = coverage >> 8;
+                const horizontal = (coverage & 0x01) !== 0;
+                const crossStream = (coverage & 0x04) !== 0;
+
+                if (format === 0 && horizontal && !crossStream) {
+                    const nPairs = v.getUint16(subtable + 6);
+                    for (let j = 0; j < nPairs; j++) {
+                        const pair = subtable + 14 + j * 6;
+                        const key = v.getUint16(pair) * 65536 + v.getUint16(pair + 2);
+                        pairs.set(key, (pairs.get(key) || 0) + v.getInt16(pair + 4));
+                    }
+                }
+                subtable += length;
+            }
+
+            if (pairs.size > 0) {
+                this.kernPairs = pairs;
+                this.kerningSource = 'kern';
+            }
+        }
+
+        // ========================================================================
+        // Outlines
+        // ========================================================================
+
+        /**
+         * @returns {Array<Object>} Outline commands in font units (y up)
+         */
+        glyphOutline(gid) {
+            if (gid < 0 || gid >= this.numGlyphs) gid = 0;
+            if (this.outlineCache.has(gid)) return this.outlineCache.get(gid);
+
+            const commands = this.outlineFormat === 'truetype'
+                ? this.readTrueTypeGlyph(gid, 0)
+                : this.readCFFGlyph(gid);
+
+            this.outlineCache.set(gid, commands);
+            return commands;
+        }
+
+        glyphLocation(gid) {
+            const v = this.view;
+            const loca = this.tables.loca.offset;
+            let start, end;
+            if (this.indexToLocFormat === 0) {
+                start = v.getUint16(loca + gid * 2) * 2;
+                end = v.getUint16(loca + gid * 2 + 2) * 2;
+            } else {
+                start = v.getUint32(loca + gid * 4);
+                end = v.getUint32(loca + gid * 4 + 4);
+            }
+            return { offset: this.tables.glyf.offset + start, length: end - start };
+        }
+
+        readTrueTypeGlyph(gid, depth) {
+            const { offset, length } = this.glyphLocation(gid);
+            if (length === 0 || depth > 8) return [];
+
+            const v = this.view;
+            const numberOfContours = v.getInt16(offset);
+            return numberOfContours >= 0
+                ? this.readSimpleGlyph(offset, numberOfContours)
+                : this.readCompositeGlyph(offset, depth);
+        }
+
+        readSimpleGlyph(offset, numberOfContours) {
+            const v = this.view;
+            const endPoints = [];
+            for (let i = 0; i < numberOfContours; i++) endPoints.push(v.getUint16(offset + 10 + i * 2));
+            const numPoints = numberOfContours > 0 ? endPoints[numberOfContours - 1] + 1 : 0;
+
+            const instructionLength = v.getUint16(offset + 10 + numberOfContours * 2);
+            let p = offset + 12 + numberOfContours * 2 + instructionLength;
+
+            const flags = new Uint8Array(numPoints);
+            for (let i = 0; i < numPoints; i++) {
+                const flag = v.getUint8(p++);
+                flags[i] = flag;
+                if (flag & 0x08) {
+                    const repeat = v.getUint8(p++);
+                    for (let r = 0; r < repeat && i + 1 < numPoints; r++) flags[++i] = flag;
+                }
+            }
+
+            const readCoordinates = (shortBit, sameBit) => {
+                const values = new Array(numPoints);
+                let value = 0;
+                for (let i = 0; i < numPoints; i++) {
+                    const flag = flags[i];
+                    if (flag & shortBit) {
+                        const delta = v.getUint8(p++);
+                        value += (flag & sameBit) ? delta : -delta;
+                    } else if (!(flag & sameBit)) {
+                        value += v.getInt16(p);
+                        p += 2;
+                    }
+                    values[i] = value;
+                }
+                return values;
+            };
+
+            const xs = readCoordinates(0x02, 0x10);
+            const ys = readCoordinates(0x04, 0x20);
+
+            const commands = [];
+            let start = 0;
+            for (const end of endPoints) {
+                const points = [];
+                for (let i = start; i <= end; i++) points.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 0x01) !== 0 });
+                this.appendQuadraticContour(commands, points);
+                start = end + 1;
+            }
+            return commands;
+        }
+
+        /**
+         * Converts a TrueType contour (on/off-curve points, implied on-curve midpoints) into M/L/Q/Z commands.
+         */
+        appendQuadraticContour(commands, points) {
+            if (points.length === 0) return;
+
+            const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, onCurve: true });
+
+            // Start at an on-curve point, or the implied midpoint when every point is off-curve
+            let startIndex = points.findIndex(pt => pt.onCurve);
+            let startPoint;
+            if (startIndex < 0) {
+                startPoint = mid(points[0], points[1 % points.length]);
+                startIndex = 0;
+            } else {
+                startPoint = points[startIndex];
+                startIndex++;
+            }
+
+            commands.push({ type: 'M', x: startPoint.x, y: startPoint.y });
+
+            let control = null;
+            for (let k = 0; k < points.length; k++) {
+                const pt = points[(startIndex + k) % points.length];
+                if (pt === startPoint) continue;
+
+                if (pt.onCurve) {
+                    if (control) commands.push({ type: 'Q', x1: control.x, y1: control.y, x: pt.x, y: pt.y });
+                    else commands.push({ type: 'L', x: pt.x, y: pt.y });
+                    control = null;
+                } else {
+                    if (control) {
+                        const implied = mid(control, pt);
+                        commands.push({ type: 'Q', x1: control.x, y1: control.y, x: implied.x, y: implied.y });
+                    }
+                    control = pt;
+                }
+            }
+
+            if (control) commands.push({ type: 'Q', x1: control.x, y1: control.y, x: startPoint.x, y: startPoint.y });
+            commands.push({ type: 'Z' });
+        }
+
+        readCompositeGlyph(offset, depth) {
+            const v = this.view;
+            const commands = [];
+            let p = offset + 10;
+            let flags;
+
+            do {
+                flags = v.getUint16(p);
+                const glyphIndex = v.getUint16(p + 2);
+                p += 4;
+
+                let dx = 0, dy = 0;
+                if (flags & 0x0001) {
+                    if (flags & 0x0002) { dx = v.getInt16(p); dy = v.getInt16(p + 2); }
+                    p += 4;
+                } else {
+                    if (flags & 0x0002) { dx = v.getInt8(p); dy = v.getInt8(p + 1); }
+                    p += 2;
+                }
+                // Point-matched anchoring (ARGS_ARE_XY_VALUES unset) is rare in text fonts and placed unshifted
+
+                let a = 1, b = 0, c = 0, d = 1;
+                const f2dot14 = (at) => v.getInt16(at) / 16384;
+                if (flags & 0x0008) {
+                    a = d = f2dot14(p); p += 2;
+                } else if (flags & 0x0040) {
+                    a = f2dot14(p); d = f2dot14(p + 2); p += 4;
+                } else if (flags & 0x0080) {
+                    a = f2dot14(p); b = f2dot14(p + 2); c = f2dot14(p + 4); d = f2dot14(p + 6); p += 8;
+                }
+
+                const transform = (x, y) => ({ x: a * x + c * y + dx, y: b * x + d * y + dy });
+                for (const cmd of this.readTrueTypeGlyph(glyphIndex, depth + 1)) {
+                    const out = { type: cmd.type };
+                    if (cmd.x1 !== undefined) { const pt = transform(cmd.x1, cmd.y1); out.x1 = pt.x; out.y1 = pt.y; }
+                    if (cmd.x !== undefined) { const pt = transform(cmd.x, cmd.y); out.x = pt.x; out.y = pt.y; }
+                    commands.push(out);
+                }
+            } while (flags & 0x0020);
+
+            return commands;
+        }
+
+        // ========================================================================
+        // CFF (PostScript Outlines)
+        // ========================================================================
+
+        readCFF(base) {
+            const v = this.view;
+            const headerSize = v.getUint8(base + 2);
+
+            const nameIndex = this.readIndex(base + headerSize);
+            const topDictIndex = this.readIndex(nameIndex.end);
+            const stringIndex = this.readIndex(topDictIndex.end);
+            const globalSubrs = this.readIndex(stringIndex.end);
+
+            const topDict = this.readDict(topDictIndex.items[0].start, topDictIndex.items[0].end);
+            if (topDict[17] === undefined) throw new Error('CFF font has no CharStrings');
+
+            const cff = {
+                charStrings: this.readIndex(base + topDict[17][0]),
+                globalSubrs,
+                privateDicts: [],
+                fdSelect: null
+            };
+
+            const readPrivate = (dict) => {
+                if (!dict[18]) return { subrs: null, defaultWidthX: 0, nominalWidthX: 0 };
+                const [size, offset] = dict[18];
+                const privateStart = base + offset;
+                const privateDict = this.readDict(privateStart, privateStart + size);
+                return {
+                    subrs: privateDict[19] ? this.readIndex(privateStart + privateDict[19][0]) : null,
+                    defaultWidthX: privateDict[20] ? privateDict[20][0] : 0,
+                    nominalWidthX: privateDict[21] ? privateDict[21][0] : 0
+                };
+            };
+
+            // CID-keyed fonts carry one private dict per font dict (FDArray 12 36, FDSelect 12 37)
+            if (topDict[1236] && topDict[1237]) {
+                const fdArray = this.readIndex(base + topDict[1236][0]);
+                cff.privateDicts = fdArray.items.map(item => readPrivate(this.readDict(item.start, item.end)));
+                cff.fdSelect = this.readFDSelect(base + topDict[1237][0]);
+            } else {
+                cff.privateDicts = [readPrivate(topDict)];
+            }
+
+            return cff;
+        }
+
+        readIndex(offset) {
+            const v = this.view;
+            const count = v.getUint16(offset);
+            if (count === 0) return { items: [], end: offset + 2 };
+
+            const offSize = v.getUint8(offset + 2);
+            const readOffset = (i) => {
+                let value = 0;
+                for (let k = 0; k < offSize; k++) value = value * 256 + v.getUint8(offset + 3 + i * offSize + k);
+                return value;
+            };
+
+            const dataStart = offset + 3 + (count + 1) * offSize - 1;
+            const items = [];
+            for (let i = 0; i < count; i++) {
+                items.push({ start: dataStart + readOffset(i), end: dataStart + readOffset(i + 1) });
+            }
+            return { items, end: dataStart + readOffset(count) };
+        }
+
+        /**
+         * Reads a CFF DICT into operator → operands. Two-byte operators are keyed 1200 + second byte.
+         */
+        readDict(start, end) {
+            const v = this.view;
+            const dict = {};
+            let operands = [];
+            let p = start;
+
+            while (p < end) {
+                const b0 = v.getUint8(p++);
+                if (b0 <= 21) {
+                    const op = b0 === 12 ? 1200 + v.getUint8(p++) : b0;
+                    dict[op] = operands;
+                    operands = [];
+                } else if (b0 === 28) {
+                    operands.push(v.getInt16(p)); p += 2;
+                } else if (b0 === 29) {
+                    operands.push(v.getInt32(p)); p += 4;
+                } else if (b0 === 30) {
+                    // Real number, packed BCD nibbles
+                    let text = '';
+                    const nibbles = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'];
+                    let done = false;
+                    while (!done) {
+                        const byte = v.getUint8(p++);
+                        for (const nibble of [byte >> 4, byte & 0x0F]) {
+                            if (nibble === 0x0F) { done = true; break; }
+                            text += nibbles[nibble];
+                        }
+                    }
+                    operands.push(parseFloat(text));
+                } else if (b0 >= 32 && b0 <= 246) {
+                    operands.push(b0 - 139);
+                } else if (b0 >= 247 && b0 <= 250) {
+                    operands.push((b0 - 247) * 256 + v.getUint8(p++) + 108);
+                } else if (b0 >= 251 && b0 <= 254) {
+                    operands.push(-(b0 - 251) * 256 - v.getUint8(p++) - 108);
+                }
+            }
+            return dict;
+        }
+
+        readFDSelect(offset) {
+            const v = this.view;
+            const format = v.getUint8(offset);
+            const select = new Uint8Array(this.numGlyphs);
+
+            if (format === 0) {
+                for (let i = 0; i < this.numGlyphs; i++) select[i] = v.getUint8(offset + 1 + i);
+            } else if (format === 3) {
+                const ranges = v.getUint16(offset + 1);
+                for (let i = 0; i < ranges; i++) {
+                    const range = offset + 3 + i * 3;
+                    const first = v.getUint16(range);
+                    const fd = v.getUint8(range + 2);
+                    const next = v.getUint16(range + 3);
+                    for (let g = first; g < next && g < this.numGlyphs; g++) select[g] = fd;
+                }
+            }
+            return select;
+        }
+
+        /**
+         * Type 2 charstring interpreter. Hints are counted (hintmask length) and otherwise ignored.
+         */
+        readCFFGlyph(gid) {
+            const cff = this.cff;
+            const item = cff.charStrings.items[gid];
+            if (!item) return [];
+
+            const v = this.view;
+            const privateDict = cff.privateDicts[cff.fdSelect ? cff.fdSelect[gid] : 0] || cff.privateDicts[0];
+            const bias = (index) => {
+                const count = index ? index.items.length : 0;
+                return count < 1240 ? 107 : (count < 33900 ? 1131 : 32768);
+            };
+            const localBias = bias(privateDict.subrs);
+            const globalBias = bias(cff.globalSubrs);
+
+            const commands = [];
+            let stack = [];
+            let nStems = 0;
+            let x = 0, y = 0;
+            let open = false;
+            let widthParsed = false;
+            let ended = false;
+
+            const moveTo = (dx, dy) => {
+                if (open) commands.push({ type: 'Z' });
+                x += dx; y += dy;
+                commands.push({ type: 'M', x, y });
+                open = true;
+            };
+            const lineTo = (dx, dy) => {
+                x += dx; y += dy;
+                commands.push({ type: 'L', x, y });
+            };
+            const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+                const x1 = x + dx1, y1 = y + dy1;
+                const x2 = x1 + dx2, y2 = y1 + dy2;
+                x = x2 + dx3; y = y2 + dy3;
+                commands.push({ type: 'C', x1, y1, x2, y2, x, y });
+            };
+            // The first stack-clearing operator may carry the advance width as an extra leading operand
+            const takeWidth = (expectedEven) => {
+                if (!widthParsed) {
+                    if ((stack.length % 2 !== 0) === expectedEven) stack.shift();
+                    widthParsed = true;
+                }
+            };
+            const stems = () => {
+                takeWidth(true);
+                nStems += stack.length >> 1;
+                stack = [];
+            };
+
+            const run = (start, end, depth) => {
+                let p = start;
+                while (p < end && !ended) {
+                    const b0 = v.getUint8(p++);
+
+                    if (b0 >= 32 || b0 === 28) {
+                        if (b0 === 28) { stack.push(v.getInt16(p)); p += 2; }
+                        else if (b0 <= 246) stack.push(b0 - 139);
+                        else if (b0 <= 250) stack.push((b0 - 247) * 256 + v.getUint8(p++) + 108);
+                        else if (b0 <= 254) stack.push(-(b0 - 251) * 256 - v.getUint8(p++) - 108);
+                        else { stack.push(v.getInt32(p) / 65536); p += 4; }
+                        continue;
+                    }
+
+                    switch (b0) {
+                        case 1: case 3: case 18: case 23: // hstem, vstem, hstemhm, vstemhm
+                            stems();
+                            break;
+                        case 19: case 20: // hintmask, cntrmask (implicit vstem operands allowed)
+                            stems();
+                            p += (nStems + 7) >> 3;
+                            break;
+                        case 21: // rmoveto
+                            takeWidth(true);
+                            moveTo(stack[0], stack[1]);
+                            stack = [];
+                            break;
+                        case 22: // hmoveto
+                            takeWidth(false);
+                            moveTo(stack[0], 0);
+                            stack = [];
+                            break;
+                        case 4: // vmoveto
+                            takeWidth(false);
+                            moveTo(0, stack[0]);
+                            stack = [];
+                            break;
+                        case 5: // rlineto
+                            for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                            stack = [];
+                            break;
+                        case 6: case 7: { // hlineto, vlineto (alternating)
+                            let horizontal = b0 === 6;
+                            for (const value of stack) {
+                                if (horizontal) lineTo(value, 0); else lineTo(0, value);
+                                horizontal = !horizontal;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 8: // rrcurveto
+                            for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                            stack = [];
+                            break;
+                        case 24: { // rcurveline
+                            let i = 0;
+                            for (; i + 5 < stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+                            lineTo(stack[i], stack[i + 1]);
+                            stack = [];
+                            break;
+                        }
+                        case 25: { // rlinecurve
+                            let i = 0;
+                            for (; i + 1 < stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+                            curveTo(...stack.slice(i, i + 6));
+                            stack = [];
+                            break;
+                        }
+                        case 26: { // vvcurveto
+                            let i = 0;
+                            let dx1 = 0;
+                            if (stack.length % 2) dx1 = stack[i++];
+                            for (; i + 3 < stack.length; i += 4) {
+                                curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                                dx1 = 0;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 27: { // hhcurveto
+                            let i = 0;
+                            let dy1 = 0;
+                            if (stack.length % 2) dy1 = stack[i++];
+                            for (; i + 3 < stack.length; i += 4) {
+                                curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                                dy1 = 0;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 30: case 31: { // vhcurveto, hvcurveto (alternating start tangent)
+                            let horizontal = b0 === 31;
+                            let i = 0;
+                            while (i + 3 < stack.length) {
+                                const last = stack.length - i === 5;
+                                const extra = last ? stack[i + 4] : 0;
+                                if (horizontal) curveTo(stack[i], 0, stack[i + 1], stack[i + 2], extra, stack[i + 3]);
+                                else curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], extra);
+                                horizontal = !horizontal;
+                                i += last ? 5 : 4;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 10: { // callsubr
+                            const index = stack.pop() + localBias;
+                            const subr = privateDict.subrs?.items[index];
+                            if (subr && depth < 10) run(subr.start, subr.end, depth + 1);
+                            break;
+                        }
+                        case 29: { // callgsubr
+                            const index = stack.pop() + globalBias;
+                            const subr = cff.globalSubrs.items[index];
+                            if (subr && depth < 10) run(subr.start, subr.end, depth + 1);
+                            break;
+                        }
+                        case 11: // return
+                            return;
+                        case 14: // endchar
+                            takeWidth(false);
+                            if (open) commands.push({ type: 'Z' });
+                            open = false;
+                            ended = true;
+                            return;
+                        case 12: {
+                            const b1 = v.getUint8(p++);
+                            const s = stack;
+                            if (b1 === 35) { // flex
+                                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                                curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                            } else if (b1 === 34) { // hflex
+                                const startY = y;
+                                curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                                curveTo(s[4], 0, s[5], startY - y, s[6], 0);
+                            } else if (b1 === 36) { // hflex1
+                                const startY = y;
+                                curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                                curveTo(s[5], 0, s[6], s[7], s[8], startY - y);
+                            } else if (b1 === 37) { // flex1: last delta runs along the dominant axis
+                                const startX = x, startY = y;
+                                const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                                const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                                if (Math.abs(dx) > Math.abs(dy)) curveTo(s[6], s[7], s[8], s[9], s[10], startY - y);
+                                else curveTo(s[6], s[7], s[8], s[9], startX - x, s[10]);
+                            }
+                            // Arithmetic and storage operators are deprecated and not used by outline data
+                            stack = [];
+                            break;
+                        }
+                        default:
+                            stack = [];
+                            break;
+                    }
+                }
+            };
+
+            run(item.start, item.end, 0);
+            if (open) commands.push({ type: 'Z' });
+            return commands;
+        }
+
+        readTag(offset) {
+            const v = this.view;
+            return String.fromCharCode(v.getUint8(offset), v.getUint8(offset + 1), v.getUint8(offset + 2), v.getUint8(offset + 3));
+        }
+
+        /**
+         * SVG path data for a glyph placed with its origin at (x, y) in a y-down user space.
+         * @param {number} scale - User units per font unit (fontSize / unitsPerEm)
+         */
+        glyphPathData(gid, x, y, scale) {
+            const px = (value) => +(x + value * scale).toFixed(4);
+            const py = (value) => +(y - value * scale).toFixed(4);
+            const parts = [];
+
+            for (const cmd of this.glyphOutline(gid)) {
+                switch (cmd.type) {
+                    case 'M': parts.push(`M${px(cmd.x)} ${py(cmd.y)}`); break;
+                    case 'L': parts.push(`L${px(cmd.x)} ${py(cmd.y)}`); break;
+                    case 'Q': parts.push(`Q${px(cmd.x1)} ${py(cmd.y1)} ${px(cmd.x)} ${py(cmd.y)}`); break;
+                    case 'C': parts.push(`C${px(cmd.x1)} ${py(cmd.y1)} ${px(cmd.x2)} ${py(cmd.y2)} ${px(cmd.x)} ${py(cmd.y)}`); break;
+                    case 'Z': parts.push('Z'); break;
+                }
+            }
+            return parts.join('');
+        }
+    }
+
+    /**
+     * Fonts available to SVG text import: files the user loaded plus the bundled font,
+     * which also stands in for families that are not loaded.
+     */
+    class FontLibrary {
+        constructor() {
+            this.fonts = [];
+            this.bundled = null;
+            this.bundledPromise = null;
+        }
+
+        /**
+         * @param {ArrayBuffer} buffer - .ttf/.otf file contents
+         * @returns {{success: boolean, font: OutlineFont|null, errors: Array, warnings: Array}}
+         */
+        addFont(buffer) {
+            const result = new FontParser().parse(buffer);
+            if (result.success) this.register(result.font);
+            return result;
+        }
+
+        /**
+         * Fetches the bundled font once. Resolves to null when it cannot be loaded (e.g. opened from file://).
+         */
+        loadBundled() {
+            if (!this.bundledPromise) {
+                this.bundledPromise = fetch(fontConfig.bundledFont)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.arrayBuffer();
+                    })
+                    .then(buffer => {
+                        const result = new FontParser().parse(buffer);
+                        if (!result.success) throw new Error(result.errors.join('; '));
+                        this.bundled = result.font;
+                        return this.bundled;
+                    })
+                    .catch(error => {
+                        console.warn(`[FontLibrary] Bundled font unavailable: ${error.message}`);
+                        return null;
+                    });
+            }
+            return this.bundledPromise;
+        }
+
+        register(font) {
+            // A reloaded face replaces the previous one
+            this.fonts = this.fonts.filter(f => !(this.sameFamily(f.family, font.family) && f.weight === font.weight && f.italic === font.italic));
+            this.fonts.push(font);
+        }
+
+        sameFamily(a, b) {
+            return a.toLowerCase() === b.toLowerCase();
+        }
+
+        /**
+         * Picks the face for a CSS font-family list. Closest weight wins, italic faces are preferred for italic text.
+         * @param {string} familyList - e.g. "'Open Sans', Arial, sans-serif"
+         * @param {number} weight - 100..900
+         * @param {boolean} italic
+         * @returns {{font: OutlineFont, substituted: boolean}|null}
+         */
+        resolve(familyList, weight = 400, italic = false) {
+            const families = (familyList || '')
+                .split(',')
+                .map(name => name.trim().replace(/^['"]|['"]$/g, ''))
+                .filter(Boolean);
+
+            for (const family of families) {
+                const faces = this.fonts.filter(f => this.sameFamily(f.family, family)
+                    || this.sameFamily(f.fullName, family)
+                    || (f.postScriptName && this.sameFamily(f.postScriptName, family)));
+                if (faces.length === 0) continue;
+
+                const score = (f) => Math.abs(f.weight - weight) + (f.italic === italic ? 0 : 1000);
+                faces.sort((a, b) => score(a) - score(b));
+                return { font: faces[0], substituted: false };
+            }
+
+            // Generic or unknown families fall back to the bundled face, then to any loaded font
+            const fallback = this.bundled || this.fonts[0];
+            if (!fallback) return null;
+            const generic = families.length > 0 && families.every(name => ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'].includes(name.toLowerCase()));
+            return { font: fallback, substituted: families.length > 0 && !generic && !families.some(name => this.sameFamily(name, fallback.family)) };
+        }
+
+        getStats() {
+            return {
+                fonts: this.fonts.map(f => f.fullName),
+                bundled: this.bundled?.fullName || null
+            };
+        }
+    }
+
+    window.FontParser = FontParser;
+    window.fontLibrary = new FontLibrary();
+})();
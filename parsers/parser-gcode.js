@@ -0,0 +1,828 @@
+/*!
+ * @file        parsers/parser-gcode.js
+ * @description G-code reader for the toolpath backplot. Interprets G0-G3 (IJ and R arcs),
+ *              G17-G19, G20/G21, G90/G91, G73/G81-G83 canned cycles and tool changes into
+ *              ToolpathPlan/MotionCommand objects, one plan per tool, and builds the
+ *              backplot primitives (rapids, cuts, drill hits) drawn over the board.
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const C = window.CAMConfig.constants;
+    const PRECISION = C.precision.coordinate;
+    const gcodeConfig = C.formats.gcode;
+
+    const TWO_PI = Math.PI * 2;
+    const INCH = 25.4;
+    const AXES = ['x', 'y', 'z'];
+
+    // Arc planes: in-plane axes (right-handed, so G2 is clockwise seen from the third axis), center offset words
+    const PLANES = {
+        17: { axes: ['x', 'y', 'z'], offsets: ['I', 'J'] },
+        18: { axes: ['z', 'x', 'y'], offsets: ['K', 'I'] },
+        19: { axes: ['y', 'z', 'x'], offsets: ['J', 'K'] }
+    };
+
+    const CANNED_CYCLES = { 73: 'G73', 81: 'G81', 82: 'G82', 83: 'G83' };
+
+    // Modal codes with no effect on the plotted path
+    const IGNORED_CODES = new Set([40, 43, 49, 54, 61, 61.1, 64, 80.1, 94]);
+
+    class GcodeParser extends ParserCore {
+        constructor(options = {}) {
+            super(options);
+            this.reset();
+        }
+
+        /**
+         * Content sniffing for files with ambiguous extensions (.tap, .nc).
+         * Excellon headers and Gerber extended commands are rejected.
+         */
+        static isGcode(content) {
+            if (typeof content !== 'string') return false;
+            const head = content.slice(0, 20000);
+            if (/^\s*M48\b/m.test(head) || /%[A-Z]{2}[^%]*\*%/.test(head)) return false;
+            return /^\s*(?:N\d+\s*)?G0*[0-3](?![\d.])[^\n]*[XYZ]\s*[-+.\d]/im.test(head);
+        }
+
+        parse(content) {
+            try {
+                this.debug('Starting G-code parse');
+                this.reset();
+
+                if (typeof content !== 'string') throw new Error('G-code content must be text');
+
+                const lines = content.split(/\r\n|\r|\n/);
+                for (let i = 0; i < lines.length && !this.ended; i++) {
+                    this.lineNumber = i + 1;
+                    this.parseLine(lines[i]);
+                    this.stats.linesProcessed++;
+                }
+
+                const plans = this.plans.filter(plan => plan.commands.length > 0);
+                if (!plans.some(plan => plan.commands.some(cmd => cmd.type !== 'DWELL'))) {
+                    throw new Error('No motion commands found');
+                }
+                plans.forEach(plan => this.finalizePlan(plan));
+
+                const primitives = this.buildBackplot(plans);
+                const bounds = this.boundsOf(primitives);
+                this.logStatistics();
+
+                return {
+                    success: true,
+                    plans,
+                    primitives,
+                    bounds,
+                    units: 'mm',
+                    sourceUnits: this.sourceUnits,
+                    stats: { ...this.stats, plans: plans.length, primitives: primitives.length },
+                    errors: this.errors,
+                    warnings: this.warnings
+                };
+            } catch (error) {
+                this.errors.push(`G-code Parse error: ${error.message}`);
+                console.error('G-code Parse error:', error);
+                return { success: false, plans: [], primitives: [], bounds: null, errors: this.errors, warnings: this.warnings };
+            }
+        }
+
+        reset() {
+            this.errors = [];
+            this.warnings = [];
+            this.warnedKeys = new Set();
+            this.stats = { linesProcessed: 0, commandsProcessed: 0, motionCommands: 0, arcs: 0, cannedCycles: 0, toolChanges: 0 };
+
+            this.plans = [];
+            this.plan = null;
+            this.planHasCuts = false;
+
+            // Positions are in mm, in the program frame shifted by the G92 offset
+            this.position = { x: null, y: null, z: null };
+            this.offset = { x: 0, y: 0, z: 0 };
+            this.state = {
+                motion: null,
+                plane: 17,
+                unitScale: 1,
+                absolute: true,
+                arcAbsolute: false,
+                retractMode: 'G98',
+                inverseTime: false,
+                feed: null,
+                spindle: null,
+                tool: null
+            };
+            this.cycle = { r: null, z: null, q: null, p: null };
+            this.pendingTool = null;
+            this.toolDiameters = new Map();
+            this.sourceUnits = 'mm';
+            this.ended = false;
+            this.lineNumber = 0;
+        }
+
+        // ========================================================================
+        // Tokenizing
+        // ========================================================================
+
+        parseLine(raw) {
+            let text = raw.trim();
+            if (!text || text === '%') return;
+            if (text.startsWith('/')) text = text.slice(1);
+
+            // Marlin line checksum
+            text = text.replace(/\*\d+\s*$/, '');
+
+            const comments = [];
+            text = text.replace(/\(([^)]*)\)/g, (match, comment) => {
+                comments.push(comment.trim());
+                return ' ';
+            });
+            const semicolon = text.indexOf(';');
+            if (semicolon >= 0) {
+                comments.push(text.slice(semicolon + 1).trim());
+                text = text.slice(0, semicolon);
+            }
+            for (const comment of comments) this.readComment(comment);
+
+            text = text.trim();
+            if (!text) return;
+
+            if (/[#[]/.test(text) || /^O/i.test(text)) {
+                this.warnOnce('macro', `Line ${this.lineNumber}: parameters, expressions and subroutines are not evaluated, such blocks are skipped`);
+                return;
+            }
+
+            const block = this.readWords(text);
+            if (block) this.executeBlock(block);
+        }
+
+        /**
+         * Splits a block into G codes, M codes and the remaining letter values
+         */
+        readWords(text) {
+            const block = { g: [], m: [], values: {} };
+            const wordPattern = /([A-Za-z])\s*([+-]?(?:\d+\.?\d*|\.\d+))/g;
+            let consumed = '';
+            let match;
+
+            while ((match = wordPattern.exec(text)) !== null) {
+                consumed += match[0];
+                const letter = match[1].toUpperCase();
+                const value = parseFloat(match[2]);
+                if (letter === 'G') block.g.push(value);
+                else if (letter === 'M') block.m.push(value);
+                else block.values[letter] = value;
+            }
+
+            if (consumed.replace(/\s/g, '').length !== text.replace(/\s/g, '').length) {
+                this.warnOnce('syntax', `Line ${this.lineNumber}: unreadable block "${text}" skipped`);
+                return null;
+            }
+            return block;
+        }
+
+        /**
+         * Tool hints in comments: header tool tables ("T1 D=0.8"), our own
+         * exports ("Tool change: name", "Diameter: 0.2mm") and similar.
+         */
+        readComment(comment) {
+            if (!comment) return;
+
+            const table = comment.match(/^T(\d+)\b.*?\bD\s*[=:]?\s*(\d*\.?\d+)\s*(mm|in|")?/i);
+            if (table) {
+                this.toolDiameters.set(parseInt(table[1], 10), parseFloat(table[2]) * this.commentScale(table[3]));
+                return;
+            }
+
+            const change = comment.match(/^tool\s*change\s*:\s*(.+)$/i);
+            if (change) {
+                if (this.planHasCuts) {
+                    this.state.tool = this.makeTool(null);
+                    this.startPlan();
+                }
+                this.setTool({ ...(this.state.tool || this.makeTool(null)), name: change[1].trim() });
+                return;
+            }
+
+            const diameter = comment.match(/\b(?:diameter|dia)\b\s*[=:]?\s*(\d*\.?\d+)\s*(mm|in|")?/i);
+            if (diameter) this.applyDiameter(parseFloat(diameter[1]) * this.commentScale(diameter[2]));
+        }
+
+        commentScale(unit) {
+            if (!unit) return this.state.unitScale;
+            return unit.toLowerCase() === 'mm' ? 1 : INCH;
+        }
+
+        // ========================================================================
+        // Block Execution
+        // ========================================================================
+
+        executeBlock(block) {
+            const { g, m, values } = block;
+            const state = this.state;
+            this.stats.commandsProcessed++;
+
+            // Units first, every other word of the block is read in them
+            if (g.includes(20)) { state.unitScale = INCH; this.sourceUnits = 'inch'; }
+            if (g.includes(21)) state.unitScale = 1;
+
+            let nonModal = null;
+            for (const code of g) {
+                switch (code) {
+                    case 0: case 1: case 2: case 3:
+                    case 73: case 81: case 82: case 83:
+                        state.motion = code; break;
+                    case 80: state.motion = null; break;
+                    case 17: case 18: case 19: state.plane = code; break;
+                    case 20: case 21: break;
+                    case 90: state.absolute = true; break;
+                    case 91: state.absolute = false; break;
+                    case 90.1: state.arcAbsolute = true; break;
+                    case 91.1: state.arcAbsolute = false; break;
+                    case 93:
+                        state.inverseTime = true;
+                        this.warnOnce('g93', 'Inverse time feed (G93) is plotted but its F values are not feed rates');
+                        break;
+                    case 94: state.inverseTime = false; break;
+                    case 98: state.retractMode = 'G98'; break;
+                    case 99: state.retractMode = 'G99'; break;
+                    case 4: case 10: case 28: case 30: case 53: case 92: case 92.1:
+                        nonModal = code; break;
+                    case 41: case 42:
+                        this.warnOnce('g41', 'Cutter compensation (G41/G42) is not applied, the backplot shows the programmed path');
+                        break;
+                    case 55: case 56: case 57: case 58: case 59:
+                        this.warnOnce('wcs', `Work offset G${code} is not known here, coordinates are plotted as written`);
+                        break;
+                    default:
+                        if (!IGNORED_CODES.has(code)) this.warnOnce(`g${code}`, `G${code} is not interpreted and was ignored`);
+                }
+            }
+
+            if (values.F !== undefined && !state.inverseTime) state.feed = values.F * state.unitScale;
+            if (values.S !== undefined) {
+                state.spindle = values.S;
+                if (this.plan && this.plan.metadata.spindleSpeed === undefined) this.plan.metadata.spindleSpeed = values.S;
+            }
+            if (values.T !== undefined) this.pendingTool = Math.round(values.T);
+
+            let endOfProgram = false;
+            for (const code of m) {
+                if (code === 6) this.changeTool(this.pendingTool);
+                else if (code === 2 || code === 30) endOfProgram = true;
+            }
+
+            if (nonModal !== null) {
+                this.executeNonModal(nonModal, values);
+            } else {
+                const hasAxisWords = AXES.some(axis => values[axis.toUpperCase()] !== undefined);
+                const isArc = state.motion === 2 || state.motion === 3;
+                const hasArcWords = isArc && ['I', 'J', 'K', 'R'].some(letter => values[letter] !== undefined);
+
+                if (hasAxisWords || hasArcWords) {
+                    if (state.motion === null) {
+                        this.warnOnce('noMotion', `Line ${this.lineNumber}: coordinates without an active motion mode were ignored`);
+                    } else if (state.motion <= 1) {
+                        this.linearMove(state.motion, this.resolveTarget(values));
+                    } else if (isArc) {
+                        this.arcMove(state.motion === 2, values, this.resolveTarget(values));
+                    } else if (hasAxisWords) {
+                        this.cannedCycle(state.motion, values);
+                    }
+                }
+            }
+
+            if (endOfProgram) this.ended = true;
+        }
+
+        executeNonModal(code, values) {
+            const scale = this.state.unitScale;
+
+            switch (code) {
+                case 4: {
+                    const seconds = values.P ?? values.S ?? 0;
+                    if (seconds > 0) this.ensurePlan().addDwell(seconds);
+                    break;
+                }
+                case 28:
+                case 30:
+                    // The optional intermediate point is reached at rapid, the home position itself is machine specific
+                    if (AXES.some(axis => values[axis.toUpperCase()] !== undefined)) {
+                        this.linearMove(0, this.resolveTarget(values));
+                    }
+                    this.position = { x: null, y: null, z: null };
+                    this.warnOnce('home', `G${code} moves to a machine position the backplot cannot know, the next move is not drawn`);
+                    break;
+                case 53:
+                    for (const axis of AXES) {
+                        if (values[axis.toUpperCase()] !== undefined) this.position[axis] = null;
+                    }
+                    this.warnOnce('g53', 'G53 machine coordinate moves are not drawn');
+                    break;
+                case 92:
+                    for (const axis of AXES) {
+                        const word = values[axis.toUpperCase()];
+                        if (word === undefined) continue;
+                        if (this.position[axis] === null) {
+                            this.warnOnce('g92', `Line ${this.lineNumber}: G92 at an unknown position, offset assumed from 0`);
+                        }
+                        this.offset[axis] = (this.position[axis] ?? 0) - word * scale;
+                    }
+                    break;
+                case 92.1:
+                    this.offset = { x: 0, y: 0, z: 0 };
+                    break;
+                case 10:
+                    this.warnOnce('g10', 'G10 offset tables are not applied');
+                    break;
+            }
+        }
+
+        /**
+         * Absolute target of a block. Missing axes keep the current (possibly unknown) value.
+         */
+        resolveTarget(values) {
+            const target = {};
+            for (const axis of AXES) {
+                const word = values[axis.toUpperCase()];
+                if (word === undefined) {
+                    target[axis] = this.position[axis];
+                } else if (this.state.absolute) {
+                    target[axis] = word * this.state.unitScale + this.offset[axis];
+                } else {
+                    if (this.position[axis] === null) {
+                        this.warnOnce('incrementalUnknown', `Line ${this.lineNumber}: incremental move from an unknown position, program zero assumed`);
+                    }
+                    target[axis] = (this.position[axis] ?? this.offset[axis]) + word * this.state.unitScale;
+                }
+            }
+            return target;
+        }
+
+        linearMove(code, target) {
+            const from = this.position;
+            const moved = AXES.filter(axis => target[axis] !== null &&
+                (from[axis] === null || Math.abs(target[axis] - from[axis]) > PRECISION));
+            if (moved.length === 0) return;
+
+            const zOnly = moved.length === 1 && moved[0] === 'z' && from.z !== null;
+            let type;
+            if (code === 0) {
+                type = zOnly && target.z > from.z ? 'RETRACT' : 'RAPID';
+            } else {
+                type = zOnly && target.z < from.z ? 'PLUNGE' : 'LINEAR';
+                this.planHasCuts = true;
+            }
+
+            this.addMotion(new MotionCommand(type, target, code === 0 ? {} : { feed: this.state.feed }));
+        }
+
+        /**
+         * G2/G3 in the active plane. G17 arcs stay analytic (ARC_CW/ARC_CCW with IJ
+         * relative to the start), G18/G19 arcs are linearized since plans are XY.
+         */
+        arcMove(clockwise, values, target) {
+            const plane = PLANES[this.state.plane];
+            const [u, v, w] = plane.axes;
+            const start = this.position;
+            const scale = this.state.unitScale;
+
+            if (start[u] === null || start[v] === null || target[u] === null || target[v] === null) {
+                this.warnOnce('arcUnknown', `Line ${this.lineNumber}: arc from an unknown position drawn as a straight move`);
+                this.linearMove(1, target);
+                return;
+            }
+
+            const su = start[u], sv = start[v];
+            const eu = target[u], ev = target[v];
+            let cu, cv;
+
+            if (values.R !== undefined) {
+                const radius = values.R * scale;
+                const du = eu - su, dv = ev - sv;
+                const chord = Math.hypot(du, dv);
+                if (chord < PRECISION) {
+                    this.warnOnce('arcRFull', `Line ${this.lineNumber}: R-form arc with coincident end points skipped`);
+                    return;
+                }
+                const half = chord / 2;
+                if (Math.abs(radius) < half - gcodeConfig.arcTolerance) {
+                    this.warnOnce('arcRSmall', `Line ${this.lineNumber}: arc radius ${Math.abs(radius).toFixed(3)}mm is shorter than half the chord`);
+                }
+                const h = Math.sqrt(Math.max(0, radius * radius - half * half));
+                // Short arc: center right of the chord for G2, left for G3. Negative R picks the long arc.
+                let side = clockwise ? -1 : 1;
+                if (radius < 0) side = -side;
+                cu = su + du / 2 + side * h * (-dv / chord);
+                cv = sv + dv / 2 + side * h * (du / chord);
+            } else {
+                const [ou, ov] = plane.offsets;
+                if (values[ou] === undefined && values[ov] === undefined) {
+                    this.warnOnce('arcNoCenter', `Line ${this.lineNumber}: arc without center or radius drawn as a straight move`);
+                    this.linearMove(1, target);
+                    return;
+                }
+                if (this.state.arcAbsolute) {
+                    cu = values[ou] !== undefined ? values[ou] * scale + this.offset[u] : su;
+                    cv = values[ov] !== undefined ? values[ov] * scale + this.offset[v] : sv;
+                } else {
+                    cu = su + (values[ou] ?? 0) * scale;
+                    cv = sv + (values[ov] ?? 0) * scale;
+                }
+
+                const startRadius = Math.hypot(su - cu, sv - cv);
+                const endRadius = Math.hypot(eu - cu, ev - cv);
+                if (Math.abs(startRadius - endRadius) > gcodeConfig.arcTolerance) {
+                    this.warnOnce('arcRadius', `Line ${this.lineNumber}: arc end point is ${Math.abs(startRadius - endRadius).toFixed(3)}mm off the arc radius`);
+                }
+            }
+
+            if (values.P !== undefined && values.P > 1) {
+                this.warnOnce('arcTurns', 'Multi-turn arcs (P word) are plotted as a single turn');
+            }
+
+            this.planHasCuts = true;
+            this.stats.arcs++;
+
+            if (this.state.plane === 17) {
+                this.addMotion(new MotionCommand(clockwise ? 'ARC_CW' : 'ARC_CCW', target, {
+                    i: cu - su,
+                    j: cv - sv,
+                    feed: this.state.feed
+                }));
+                this.plan.metadata.hasArcs = true;
+                return;
+            }
+
+            const startAngle = Math.atan2(sv - cv, su - cu);
+            const sweep = arcSweep(startAngle, Math.atan2(ev - cv, eu - cu), clockwise, Math.hypot(eu - su, ev - sv) < PRECISION);
+            const radius = Math.hypot(su - cu, sv - cv);
+            const steps = arcSteps(radius, sweep);
+            const sw = start[w];
+
+            for (let k = 1; k <= steps; k++) {
+                const t = k / steps;
+                const angle = startAngle + sweep * t;
+                const point = {};
+                point[u] = k === steps ? eu : cu + radius * Math.cos(angle);
+                point[v] = k === steps ? ev : cv + radius * Math.sin(angle);
+                point[w] = sw === null || target[w] === null ? target[w] : sw + (target[w] - sw) * t;
+                this.addMotion(new MotionCommand('LINEAR', point, { feed: this.state.feed }));
+            }
+        }
+
+        /**
+         * G73/G81/G82/G83 in the XY plane. R, Z, Q and P are sticky until G80.
+         * G91 reads R from the start Z and Z from R, and repeats L times.
+         */
+        cannedCycle(code, values) {
+            if (this.state.plane !== 17) {
+                this.warnOnce('cyclePlane', `Line ${this.lineNumber}: canned cycles outside the XY plane are not plotted`);
+                return;
+            }
+
+            const state = this.state;
+            const scale = state.unitScale;
+            const cycle = this.cycle;
+
+            if (values.R !== undefined) cycle.r = values.R * scale;
+            if (values.Z !== undefined) cycle.z = values.Z * scale;
+            if (values.Q !== undefined) cycle.q = Math.abs(values.Q) * scale;
+            if (values.P !== undefined) cycle.p = values.P;
+
+            if (cycle.r === null || cycle.z === null) {
+                this.warnOnce('cycleParams', `Line ${this.lineNumber}: canned cycle without R or Z skipped`);
+                return;
+            }
+            if ((code === 73 || code === 83) && !cycle.q) {
+                this.warnOnce('cyclePeck', `Line ${this.lineNumber}: G${code} without Q is plotted as a single plunge`);
+            }
+
+            const clearZ = this.position.z;
+            const retract = state.absolute ? cycle.r + this.offset.z : (clearZ ?? this.offset.z) + cycle.r;
+            const bottom = state.absolute ? cycle.z + this.offset.z : retract + cycle.z;
+            const returnZ = state.retractMode === 'G98' && clearZ !== null ? Math.max(clearZ, retract) : retract;
+            const repeats = state.absolute ? 1 : Math.max(1, Math.round(values.L ?? 1));
+
+            let { x, y } = this.position;
+            for (let k = 0; k < repeats; k++) {
+                if (state.absolute) {
+                    if (values.X !== undefined) x = values.X * scale + this.offset.x;
+                    if (values.Y !== undefined) y = values.Y * scale + this.offset.y;
+                } else {
+                    if (values.X !== undefined) x = (x ?? this.offset.x) + values.X * scale;
+                    if (values.Y !== undefined) y = (y ?? this.offset.y) + values.Y * scale;
+                }
+
+                const coords = { x, y, z: bottom };
+                // returnZ: where the cycle leaves the tool (G98 initial level or G99 R plane)
+                const cmd = (code === 81 || code === 82)
+                    ? new MotionCommand('CANNED_SIMPLE', coords, { retract, returnZ, feed: state.feed, dwell: code === 82 ? cycle.p : undefined })
+                    : new MotionCommand('CANNED_PECK', coords, { retract, returnZ, peckDepth: cycle.q || undefined, feed: state.feed, cycleType: CANNED_CYCLES[code] });
+
+                this.planHasCuts = true;
+                this.stats.cannedCycles++;
+                this.addMotion(cmd);
+                this.position.z = returnZ;
+            }
+        }
+
+        addMotion(cmd) {
+            this.ensurePlan().addCommand(cmd);
+            this.stats.motionCommands++;
+            this.position = {
+                x: cmd.x !== null ? cmd.x : this.position.x,
+                y: cmd.y !== null ? cmd.y : this.position.y,
+                z: cmd.z !== null ? cmd.z : this.position.z
+            };
+        }
+
+        // ========================================================================
+        // Tools and Plans
+        // ========================================================================
+
+        changeTool(number) {
+            this.stats.toolChanges++;
+            this.state.tool = this.makeTool(number);
+            this.startPlan();
+        }
+
+        makeTool(number, diameter = null) {
+            const known = number !== null ? this.toolDiameters.get(number) : undefined;
+            return {
+                id: number !== null ? `T${number}` : 'unknown',
+                number,
+                name: number !== null ? `T${number}` : null,
+                diameter: diameter ?? known ?? null
+            };
+        }
+
+        setTool(tool) {
+            this.state.tool = tool;
+            if (this.plan && !this.planHasCuts) this.plan.metadata.tool = tool;
+        }
+
+        /**
+         * A diameter comment after cutting moves with another diameter means a tool
+         * change without M6 (manual changes behind M0, as our own GRBL posts do).
+         */
+        applyDiameter(diameter) {
+            const tool = this.state.tool || this.makeTool(this.pendingTool);
+            if (this.planHasCuts && (tool.diameter === null || Math.abs(tool.diameter - diameter) > PRECISION)) {
+                this.state.tool = this.makeTool(null, diameter);
+                this.startPlan();
+                return;
+            }
+            this.setTool({ ...tool, diameter });
+        }
+
+        startPlan() {
+            if (this.plan && this.plan.commands.length === 0) {
+                this.plan.metadata.tool = this.state.tool;
+                return this.plan;
+            }
+            const plan = new ToolpathPlan('gcode');
+            plan.metadata.tool = this.state.tool;
+            plan.metadata.feedRate = null;
+            if (this.state.spindle !== null) plan.metadata.spindleSpeed = this.state.spindle;
+            this.plans.push(plan);
+            this.plan = plan;
+            this.planHasCuts = false;
+            return plan;
+        }
+
+        ensurePlan() {
+            return this.plan || this.startPlan();
+        }
+
+        /**
+         * Fills in the plan metadata the generated plans carry: entry/exit, deepest Z,
+         * first feed, cutting distance and XY bounds.
+         */
+        finalizePlan(plan) {
+            const meta = plan.metadata;
+            let pos = null;
+            let distance = 0;
+            let minZ = Infinity;
+
+            for (const cmd of plan.commands) {
+                if (cmd.type === 'DWELL') continue;
+                const next = {
+                    x: cmd.x ?? pos?.x ?? null,
+                    y: cmd.y ?? pos?.y ?? null,
+                    z: cmd.z ?? pos?.z ?? null
+                };
+                const cutting = cmd.type !== 'RAPID' && cmd.type !== 'RETRACT';
+
+                if (cutting) {
+                    if (meta.feedRate === null && cmd.f != null) meta.feedRate = cmd.f;
+                    if (next.z !== null) minZ = Math.min(minZ, next.z);
+                    if (!meta.entryPoint && next.x !== null && next.y !== null) meta.entryPoint = { x: next.x, y: next.y };
+                    if (pos && pos.x !== null && next.x !== null) distance += this.commandLength(cmd, pos, next);
+                }
+                if (cmd.returnZ !== undefined) next.z = cmd.returnZ;
+                pos = next;
+            }
+
+            if (pos && pos.x !== null && pos.y !== null) meta.exitPoint = { x: pos.x, y: pos.y };
+            meta.cutDepth = Number.isFinite(minZ) ? minZ : 0;
+            meta.totalDistance = distance;
+            meta.primitiveType = 'gcode';
+            meta.isImported = true;
+            plan.computeBounds();
+        }
+
+        commandLength(cmd, from, to) {
+            const dz = (to.z ?? 0) - (from.z ?? 0);
+            if (cmd.type === 'ARC_CW' || cmd.type === 'ARC_CCW') {
+                const cx = from.x + cmd.i, cy = from.y + cmd.j;
+                const radius = Math.hypot(cmd.i, cmd.j);
+                const sweep = arcSweep(Math.atan2(-cmd.j, -cmd.i), Math.atan2(to.y - cy, to.x - cx),
+                    cmd.type === 'ARC_CW', Math.hypot(to.x - from.x, to.y - from.y) < PRECISION);
+                return Math.hypot(Math.abs(sweep) * radius, dz);
+            }
+            if (cmd.type === 'CANNED_SIMPLE' || cmd.type === 'CANNED_PECK') {
+                return Math.abs((cmd.retract ?? 0) - cmd.z);
+            }
+            return Math.hypot(to.x - from.x, (to.y ?? 0) - (from.y ?? 0), dz);
+        }
+
+        // ========================================================================
+        // Backplot
+        // ========================================================================
+
+        /**
+         * Turns plans into display primitives in program coordinates: open paths for
+         * rapid and cutting runs (G17 arcs kept as arcSegments) and a circle per drill hit.
+         * Canned cycles and plunge/retract pairs without XY travel count as hits.
+         */
+        buildBackplot(plans) {
+            const primitives = [];
+            let pos = { x: null, y: null, z: null };
+
+            plans.forEach((plan, planIndex) => {
+                const diameter = plan.metadata.tool?.diameter || 0;
+                let run = null;
+                let plungePoint = null;
+
+                const flush = () => {
+                    if (run && run.points.length > 1) {
+                        primitives.push(new PathPrimitive([{
+                            points: run.points,
+                            arcSegments: run.arcSegments,
+                            isHole: false,
+                            nestingLevel: 0,
+                            parentId: null
+                        }], {
+                            closed: false,
+                            backplotMotion: run.motion,
+                            toolDiameter: diameter,
+                            planIndex
+                        }));
+                    }
+                    run = null;
+                };
+
+                const extend = (motion, from) => {
+                    if (!run || run.motion !== motion || run.points.length >= gcodeConfig.maxRunPoints) {
+                        flush();
+                        run = { motion, points: [{ x: from.x, y: from.y }], arcSegments: [] };
+                    }
+                    return run;
+                };
+
+                const addHit = (point) => {
+                    primitives.push(new CirclePrimitive({ x: point.x, y: point.y }, diameter > 0 ? diameter / 2 : gcodeConfig.hitMarkRadius, {
+                        role: 'backplot_hit',
+                        toolDiameter: diameter,
+                        planIndex
+                    }));
+                };
+
+                for (const cmd of plan.commands) {
+                    if (cmd.type === 'DWELL') continue;
+
+                    const next = {
+                        x: cmd.x ?? pos.x,
+                        y: cmd.y ?? pos.y,
+                        z: cmd.z ?? pos.z
+                    };
+                    const known = pos.x !== null && pos.y !== null && next.x !== null && next.y !== null;
+                    const movesXY = known && Math.hypot(next.x - pos.x, next.y - pos.y) > PRECISION;
+
+                    switch (cmd.type) {
+                        case 'CANNED_SIMPLE':
+                        case 'CANNED_PECK':
+                            if (movesXY) extend('rapid', pos).points.push({ x: next.x, y: next.y });
+                            if (next.x !== null && next.y !== null) addHit(next);
+                            next.z = cmd.returnZ ?? cmd.retract ?? next.z;
+                            break;
+
+                        case 'ARC_CW':
+                        case 'ARC_CCW': {
+                            if (!known) break;
+                            plungePoint = null;
+                            const clockwise = cmd.type === 'ARC_CW';
+                            const center = { x: pos.x + cmd.i, y: pos.y + cmd.j };
+                            const radius = Math.hypot(cmd.i, cmd.j);
+                            const startAngle = Math.atan2(-cmd.j, -cmd.i);
+                            const sweep = arcSweep(startAngle, Math.atan2(next.y - center.y, next.x - center.x), clockwise, !movesXY);
+                            const current = extend('cut', pos);
+                            const startIndex = current.points.length - 1;
+
+                            // Intermediate samples only feed the bounds, the arc itself is drawn analytically
+                            const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 18)));
+                            for (let k = 1; k < steps; k++) {
+                                const angle = startAngle + sweep * k / steps;
+                                current.points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+                            }
+                            current.points.push({ x: next.x, y: next.y });
+                            current.arcSegments.push({
+                                startIndex,
+                                endIndex: current.points.length - 1,
+                                center,
+                                radius,
+                                startAngle,
+                                endAngle: startAngle + sweep,
+                                sweepAngle: sweep,
+                                clockwise
+                            });
+                            break;
+                        }
+
+                        case 'RAPID':
+                        case 'RETRACT':
+                        case 'LINEAR':
+                        case 'PLUNGE': {
+                            const cutting = cmd.type === 'LINEAR' || cmd.type === 'PLUNGE';
+                            if (movesXY) {
+                                extend(cutting ? 'cut' : 'rapid', pos).points.push({ x: next.x, y: next.y });
+                                if (cutting) plungePoint = null;
+                            } else if (pos.z !== null && next.z !== null && known) {
+                                if (cutting && next.z < pos.z) {
+                                    plungePoint = plungePoint || { x: next.x, y: next.y };
+                                } else if (next.z > pos.z && plungePoint) {
+                                    addHit(plungePoint);
+                                    plungePoint = null;
+                                }
+                            }
+                            break;
+                        }
+                    }
+
+                    pos = next;
+                }
+
+                flush();
+            });
+
+            return primitives;
+        }
+
+        boundsOf(primitives) {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const prim of primitives) {
+                const b = prim.getBounds();
+                if (!b || !Number.isFinite(b.minX)) continue;
+                minX = Math.min(minX, b.minX);
+                minY = Math.min(minY, b.minY);
+                maxX = Math.max(maxX, b.maxX);
+                maxY = Math.max(maxY, b.maxY);
+            }
+            return Number.isFinite(minX) ? { minX, minY, maxX, maxY } : null;
+        }
+
+        warnOnce(key, message) {
+            if (this.warnedKeys.has(key)) return;
+            this.warnedKeys.add(key);
+            this.warnings.push(message);
+        }
+    }
+
+    /**
+     * Signed sweep from a0 to a1, negative for clockwise. Coincident end points are a full turn.
+     */
+    function arcSweep(a0, a1, clockwise, fullCircle) {
+        if (fullCircle) return clockwise ? -TWO_PI : TWO_PI;
+        let sweep = a1 - a0;
+        if (clockwise) {
+            while (sweep >= 0) sweep -= TWO_PI;
+        } else {
+            while (sweep <= 0) sweep += TWO_PI;
+        }
+        return sweep;
+    }
+
+    function arcSteps(radius, sweep) {
+        return Math.min(720, Math.max(2, Math.ceil(Math.abs(sweep) * radius / gcodeConfig.arcSegmentLength)));
+    }
+
+    window.GcodeParser = GcodeParser;
+})();
@@ -36,8 +36,19 @@
                 inRegion: false,
                 regionPoints: [],
                 currentNetName: null,
+                // X2 attribute dictionaries
+                fileAttributes: {},
+                apertureAttributes: {},
+                objectAttributes: {},
                 units: this.options.units,
-                format: { ...this.options.format }
+                format: { ...this.options.format },
+                // Step-and-repeat / block aperture state
+                captureStack: [],
+                blockOffset: { x: 0, y: 0 },
+                blockDepth: 0,
+                polarityInverted: false,
+                // Load transforms (%LM, %LR, %LS) applied to the aperture image
+                loadTransform: { mirror: 'N', rotation: 0, scale: 1 }
             };
 
             // Results
@@ -46,6 +57,7 @@
                 units: this.options.units,
                 bounds: null,
                 apertures: [],
+                fileAttributes: {},
                 objects: []
             };
         }
@@ -98,8 +110,19 @@
                 inRegion: false,
                 regionPoints: [],
                 currentNetName: null,
+                // X2 attribute dictionaries
+                fileAttributes: {},
+                apertureAttributes: {},
+                objectAttributes: {},
                 units: this.options.units,
-                format: { ...this.options.format }
+                format: { ...this.options.format },
+                // Step-and-repeat / block aperture state
+                captureStack: [],
+                blockOffset: { x: 0, y: 0 },
+                blockDepth: 0,
+                polarityInverted: false,
+                // Load transforms (%LM, %LR, %LS) applied to the aperture image
+                loadTransform: { mirror: 'N', rotation: 0, scale: 1 }
             };
 
             this.layers = {
@@ -107,6 +130,7 @@
                 units: this.options.units,
                 bounds: null,
                 apertures: [],
+                fileAttributes: {},
                 objects: []
             };
 
@@ -270,47 +294,95 @@
                 return { type: 'SET_POLARITY', params: { polarity: block.includes('D') ? 'dark' : 'clear' }, line: lineNumber };
             }
 
-            // Gerber X2 object attributes — %TO.field,value*%
-            // TO.N = net name, TO.C = component refdes, TO.P = pin
-            // Track TO.N (net name) to annotate subsequent primitives.
-            // This gives free net identification for copper pour detection
-            // (e.g., %TO.N,GND*% before a pour region means it's a ground pour).
-            if (block.startsWith('TO')) {
-                const toMatch = block.match(/^TO\.([A-Za-z]+),?(.*?)$/);
-                if (toMatch) {
-                    const field = toMatch[1];
-                    const value = toMatch[2] ? toMatch[2].replace(/\*$/, '') : '';
-
-                    if (field === 'N') {
-                        // Net name attribute — applies to all subsequent objects until cleared by %TO*% or changed by another %TO.N,...*%
-                        this.state.currentNetName = value || null;
-                        this.debug(`Net attribute set: ${value || '(cleared)'}`);
-                    }
+            // Load Mirroring — %LMN*%, %LMX*%, %LMY*%, %LMXY*%
+            if (block.startsWith('LM')) {
+                const lmMatch = block.match(/^LM(XY|N|X|Y)\*?$/);
+                if (lmMatch) {
+                    return { type: 'SET_MIRROR', params: { mirror: lmMatch[1] }, line: lineNumber };
+                }
+                this.warnings.push(`Line ${lineNumber}: Invalid load mirroring: ${block}`);
+            }
 
-                    return {
-                        type: 'SET_ATTRIBUTE',
-                        params: { attributeType: 'object', field: field, value: value },
-                        line: lineNumber
-                    };
+            // Load Rotation — %LR45.0*%, degrees counterclockwise
+            if (block.startsWith('LR')) {
+                const lrMatch = block.match(/^LR([+-]?\d*\.?\d+)\*?$/);
+                if (lrMatch) {
+                    return { type: 'SET_ROTATION', params: { rotation: parseFloat(lrMatch[1]) }, line: lineNumber };
                 }
+                this.warnings.push(`Line ${lineNumber}: Invalid load rotation: ${block}`);
+            }
+
+            // Load Scaling — %LS0.8*%
+            if (block.startsWith('LS')) {
+                const lsMatch = block.match(/^LS([+-]?\d*\.?\d+)\*?$/);
+                if (lsMatch && parseFloat(lsMatch[1]) > 0) {
+                    return { type: 'SET_SCALE', params: { scale: parseFloat(lsMatch[1]) }, line: lineNumber };
+                }
+                this.warnings.push(`Line ${lineNumber}: Invalid load scaling: ${block}`);
+            }
 
-                // %TO*% with no field clears all object attributes
-                if (block === 'TO' || block === 'TO*') {
-                    this.state.currentNetName = null;
+            // Step and Repeat — %SRX3Y2I5.0J4.0*% opens a block, %SR*% closes it.
+            // Step distances I/J are plain decimals in the current unit, not format-coded.
+            if (block.startsWith('SR')) {
+                const srMatch = block.match(/^SR(?:X(\d+))?(?:Y(\d+))?(?:I([+-]?\d*\.?\d+))?(?:J([+-]?\d*\.?\d+))?\*?$/);
+                if (srMatch && (srMatch[1] || srMatch[2])) {
                     return {
-                        type: 'SET_ATTRIBUTE',
-                        params: { attributeType: 'object', field: null, value: null },
+                        type: 'STEP_REPEAT_OPEN',
+                        params: {
+                            repeatX: Math.max(1, parseInt(srMatch[1] || '1', 10)),
+                            repeatY: Math.max(1, parseInt(srMatch[2] || '1', 10)),
+                            stepX: parseFloat(srMatch[3] || '0'),
+                            stepY: parseFloat(srMatch[4] || '0')
+                        },
                         line: lineNumber
                     };
                 }
+                if (srMatch) {
+                    return { type: 'STEP_REPEAT_CLOSE', params: {}, line: lineNumber };
+                }
+                this.warnings.push(`Line ${lineNumber}: Could not parse step and repeat: ${block}`);
+            }
+
+            // Block Aperture — %ABD12*% opens a block definition, %AB*% closes it.
+            if (block.startsWith('AB')) {
+                const abMatch = block.match(/^ABD(\d+)\*?$/);
+                if (abMatch) {
+                    return { type: 'BLOCK_APERTURE_OPEN', params: { code: `D${abMatch[1]}` }, line: lineNumber };
+                }
+                if (block === 'AB' || block === 'AB*') {
+                    return { type: 'BLOCK_APERTURE_CLOSE', params: {}, line: lineNumber };
+                }
+                this.warnings.push(`Line ${lineNumber}: Could not parse block aperture: ${block}`);
+            }
+
+            // Gerber X2 attributes — %TF.name,values*% (file), %TA.name,values*% (aperture), %TO.name,values*% (object)
+            // Standard names carry a leading '.', which is dropped (TO.N → 'N', TF.FileFunction → 'FileFunction').
+            // Attributes are applied at execution time so each object picks up the dictionary active when it was created.
+            const attrMatch = block.match(/^T([FAO])\.?([^,*]+)(?:,(.*?))?\*?$/);
+            if (attrMatch) {
+                const scope = { F: 'file', A: 'aperture', O: 'object' }[attrMatch[1]];
+                return {
+                    type: 'SET_ATTRIBUTE',
+                    params: {
+                        attributeType: scope,
+                        name: attrMatch[2],
+                        values: attrMatch[3] !== undefined ? attrMatch[3].split(',') : []
+                    },
+                    line: lineNumber
+                };
+            }
+
+            // %TO*% with no field clears all object attributes
+            if (block === 'TO' || block === 'TO*') {
+                return { type: 'DELETE_ATTRIBUTE', params: { attributeType: 'object', name: null }, line: lineNumber };
             }
 
-            // Also handle TD (delete attribute) which KiCad emits between objects
+            // %TD.name*% deletes one aperture/object attribute, %TD*% deletes all of them (KiCad emits this between objects)
             if (block.startsWith('TD')) {
-                this.state.currentNetName = null;
+                const tdMatch = block.match(/^TD\.?([^,*]+)?\*?$/);
                 return {
-                    type: 'CLEAR_ATTRIBUTE',
-                    params: {},
+                    type: 'DELETE_ATTRIBUTE',
+                    params: { attributeType: null, name: tdMatch && tdMatch[1] ? tdMatch[1] : null },
                     line: lineNumber
                 };
             }
@@ -881,6 +953,17 @@
                 this.stats.commandsProcessed++;
             }
 
+            // Flush blocks left open at end of file (missing %SR*% is common in older panelizers)
+            while (this.state.captureStack.length > 0) {
+                const frame = this.state.captureStack.pop();
+                if (frame.kind === 'SR') {
+                    this.debug('File ended with open step and repeat block, closing implicitly');
+                    this.replayStepRepeat(frame);
+                } else {
+                    this.warnings.push(`File ended inside block aperture ${frame.code}, definition discarded`);
+                }
+            }
+
             // Handle unclosed region
             if (this.state.inRegion && this.state.regionPoints.length > 0) {
                 this.warnings.push('File ended with unclosed region');
@@ -889,6 +972,11 @@
         }
 
         executeCommand(command) {
+            // Commands inside an open SR or AB block are recorded and replayed later
+            if (this.state.captureStack.length > 0 && this.captureCommand(command)) {
+                return;
+            }
+
             switch (command.type) {
                 case 'SET_FORMAT':
                     this.state.format.integer = command.params.xInteger;
@@ -907,16 +995,74 @@
                     break;
 
                 case 'SET_POLARITY':
-                    this.state.polarity = command.params.polarity;
+                    // Inside a block flashed with clear polarity, all block polarities are toggled
+                    this.state.polarity = this.state.polarityInverted
+                        ? this.invertPolarity(command.params.polarity)
+                        : command.params.polarity;
                     this.debug(`Polarity set to ${this.state.polarity}`);
                     break;
 
+                case 'SET_MIRROR':
+                    this.state.loadTransform = { ...this.state.loadTransform, mirror: command.params.mirror };
+                    this.debug(`Load mirroring set to ${command.params.mirror}`);
+                    break;
+
+                case 'SET_ROTATION':
+                    this.state.loadTransform = { ...this.state.loadTransform, rotation: command.params.rotation };
+                    this.debug(`Load rotation set to ${command.params.rotation}°`);
+                    break;
+
+                case 'SET_SCALE':
+                    this.state.loadTransform = { ...this.state.loadTransform, scale: command.params.scale };
+                    this.debug(`Load scaling set to ${command.params.scale}`);
+                    break;
+
+                case 'STEP_REPEAT_OPEN':
+                    this.state.captureStack.push({
+                        kind: 'SR',
+                        params: command.params,
+                        commands: [],
+                        entryState: this.snapshotGraphicsState()
+                    });
+                    this.debug(`Step and repeat opened: ${command.params.repeatX}x${command.params.repeatY} @ (${command.params.stepX}, ${command.params.stepY})`);
+                    break;
+
+                case 'STEP_REPEAT_CLOSE':
+                    // %SR*% without an open block is a harmless reset some exporters emit
+                    break;
+
+                case 'BLOCK_APERTURE_OPEN':
+                    this.state.captureStack.push({
+                        kind: 'AB',
+                        code: command.params.code,
+                        commands: [],
+                        depth: 0
+                    });
+                    this.debug(`Block aperture ${command.params.code} definition started`);
+                    break;
+
+                case 'BLOCK_APERTURE_CLOSE':
+                    this.warnings.push(`Line ${command.line}: Block aperture close without matching open`);
+                    break;
+
                 case 'SET_INTERPOLATION':
                     this.state.interpolation = command.params.mode;
                     break;
 
                 case 'DEFINE_APERTURE':
-                    this.state.apertures.set(command.params.code, command.params);
+                    // Aperture attributes are bound to the aperture when it is defined
+                    this.state.apertures.set(command.params.code, {
+                        ...command.params,
+                        attributes: { ...this.state.apertureAttributes }
+                    });
+                    break;
+
+                case 'SET_ATTRIBUTE':
+                    this.setAttribute(command.params);
+                    break;
+
+                case 'DELETE_ATTRIBUTE':
+                    this.deleteAttribute(command.params);
                     break;
 
                 case 'SELECT_APERTURE':
@@ -1049,20 +1195,416 @@
 
         parsePosition(params) {
             const newPos = { ...this.state.position };
+            const offset = this.state.blockOffset;
 
+            // Explicit coordinates are shifted by the active SR/AB offset, modal ones already carry it
             if (params.x !== undefined) {
-                newPos.x = this.parseCoordinateValue(params.x, this.state.format);
+                newPos.x = this.parseCoordinateValue(params.x, this.state.format) + offset.x;
                 this.stats.coordinatesParsed++;
             }
 
             if (params.y !== undefined) {
-                newPos.y = this.parseCoordinateValue(params.y, this.state.format);
+                newPos.y = this.parseCoordinateValue(params.y, this.state.format) + offset.y;
                 this.stats.coordinatesParsed++;
             }
 
             return newPos;
         }
 
+        /**
+         * Records a command into the innermost open SR/AB block.
+         * Returns false when the command must still be executed normally (e.g. a new %SR% implicitly closing the previous one).
+         */
+        captureCommand(command) {
+            const stack = this.state.captureStack;
+            const frame = stack[stack.length - 1];
+
+            if (frame.kind === 'SR') {
+                if (command.type === 'STEP_REPEAT_CLOSE') {
+                    stack.pop();
+                    this.replayStepRepeat(frame);
+                    return true;
+                }
+                if (command.type === 'STEP_REPEAT_OPEN' || command.type === 'EOF') {
+                    stack.pop();
+                    this.replayStepRepeat(frame);
+                    return false;
+                }
+                frame.commands.push(command);
+                return true;
+            }
+
+            // Block apertures may nest, only the matching %AB*% closes this frame
+            if (command.type === 'BLOCK_APERTURE_OPEN') {
+                frame.depth++;
+            } else if (command.type === 'BLOCK_APERTURE_CLOSE') {
+                if (frame.depth === 0) {
+                    stack.pop();
+                    this.state.apertures.set(frame.code, {
+                        code: frame.code,
+                        shape: 'block',
+                        commands: frame.commands
+                    });
+                    this.debug(`Block aperture ${frame.code} defined with ${frame.commands.length} commands`);
+                    return true;
+                }
+                frame.depth--;
+            } else if (command.type === 'EOF') {
+                return false;
+            }
+
+            frame.commands.push(command);
+            return true;
+        }
+
+        /**
+         * Replays a closed step and repeat block once per grid cell.
+         * Every copy starts from the graphics state at %SR% open so the copies are identical.
+         */
+        replayStepRepeat(frame) {
+            const { repeatX, repeatY, stepX, stepY } = frame.params;
+            const baseOffset = { ...this.state.blockOffset };
+            const entry = frame.entryState;
+
+            for (let iy = 0; iy < repeatY; iy++) {
+                for (let ix = 0; ix < repeatX; ix++) {
+                    const dx = ix * stepX;
+                    const dy = iy * stepY;
+
+                    this.restoreGraphicsState(entry);
+                    this.state.position = { x: entry.position.x + dx, y: entry.position.y + dy };
+                    this.state.blockOffset = { x: baseOffset.x + dx, y: baseOffset.y + dy };
+
+                    this.replayCommands(frame.commands);
+                }
+            }
+
+            this.state.blockOffset = baseOffset;
+            this.debug(`Step and repeat expanded: ${repeatX * repeatY} copies of ${frame.commands.length} commands`);
+        }
+
+        /**
+         * Flashes a block aperture by replaying its commands with the block origin at the flash point.
+         * A clear-polarity flash toggles the polarity of every object in the block.
+         */
+        flashBlockAperture(aperture, position) {
+            const maxDepth = 16;
+            if (this.state.blockDepth >= maxDepth) {
+                this.warnings.push(`Block aperture ${aperture.code} nested deeper than ${maxDepth} levels, flash skipped`);
+                return;
+            }
+
+            const saved = this.snapshotGraphicsState();
+            const savedOffset = this.state.blockOffset;
+            const savedInverted = this.state.polarityInverted;
+            const firstObject = this.layers.objects.length;
+
+            // Block content is built in its own frame, the outer load transform is applied to the result as a whole
+            this.state.blockDepth = (this.state.blockDepth || 0) + 1;
+            this.state.blockOffset = { x: position.x, y: position.y };
+            this.state.polarityInverted = saved.polarity === 'clear';
+            this.state.polarity = this.state.polarityInverted ? 'clear' : 'dark';
+            this.state.position = { x: position.x, y: position.y };
+            this.state.loadTransform = { mirror: 'N', rotation: 0, scale: 1 };
+
+            this.replayCommands(aperture.commands);
+
+            this.state.blockDepth--;
+            this.state.blockOffset = savedOffset;
+            this.state.polarityInverted = savedInverted;
+            this.restoreGraphicsState(saved);
+
+            if (!this.isIdentityTransform(saved.loadTransform)) {
+                const objects = this.layers.objects;
+                for (let i = firstObject; i < objects.length; i++) {
+                    this.transformObject(objects[i], position, saved.loadTransform);
+                }
+            }
+        }
+
+        replayCommands(commands) {
+            for (const command of commands) {
+                this.executeCommand(command);
+            }
+
+            if (this.state.inRegion && this.state.regionPoints.length > 0) {
+                this.warnings.push('Block ended with unclosed region');
+                this.finalizeRegion();
+                this.state.inRegion = false;
+                this.state.regionPoints = [];
+            }
+        }
+
+        snapshotGraphicsState() {
+            return {
+                position: { ...this.state.position },
+                aperture: this.state.aperture,
+                interpolation: this.state.interpolation,
+                polarity: this.state.polarity,
+                operationMode: this.state.operationMode,
+                loadTransform: { ...this.state.loadTransform }
+            };
+        }
+
+        restoreGraphicsState(snapshot) {
+            this.state.position = { ...snapshot.position };
+            this.state.aperture = snapshot.aperture;
+            this.state.interpolation = snapshot.interpolation;
+            this.state.polarity = snapshot.polarity;
+            this.state.operationMode = snapshot.operationMode;
+            this.state.loadTransform = { ...snapshot.loadTransform };
+        }
+
+        setAttribute({ attributeType, name, values }) {
+            switch (attributeType) {
+                case 'file':
+                    this.state.fileAttributes[name] = values;
+                    this.layers.fileAttributes[name] = values;
+                    this.debug(`File attribute ${name}: ${values.join(',')}`);
+                    break;
+
+                case 'aperture':
+                    this.state.apertureAttributes[name] = values;
+                    break;
+
+                case 'object':
+                    this.state.objectAttributes[name] = values;
+                    // Net name — applies to all subsequent objects until deleted or replaced.
+                    // This gives free net identification for copper pour detection (e.g. %TO.N,GND*% before a pour region).
+                    if (name === 'N') {
+                        this.state.currentNetName = values[0] || null;
+                        this.debug(`Net attribute set: ${values[0] || '(cleared)'}`);
+                    }
+                    break;
+            }
+        }
+
+        deleteAttribute({ attributeType, name }) {
+            if (name === null) {
+                if (attributeType !== 'object') this.state.apertureAttributes = {};
+                this.state.objectAttributes = {};
+                this.state.currentNetName = null;
+                return;
+            }
+
+            delete this.state.apertureAttributes[name];
+            delete this.state.objectAttributes[name];
+            if (name === 'N') this.state.currentNetName = null;
+        }
+
+        /**
+         * Snapshot of the attributes that apply to an object created now.
+         * Flashes and draws take the attributes of their aperture, regions the current aperture dictionary.
+         */
+        captureAttributes(apertureAttributes) {
+            return {
+                aperture: { ...(apertureAttributes || this.state.apertureAttributes) },
+                object: { ...this.state.objectAttributes }
+            };
+        }
+
+        isIdentityTransform(transform) {
+            return transform.mirror === 'N' &&
+                   Math.abs(transform.rotation % 360) < 1e-9 &&
+                   Math.abs(transform.scale - 1) < 1e-12;
+        }
+
+        /**
+         * Builds the linear part of a load transform.
+         * Spec order: mirroring first, then scaling, then rotation (CCW degrees).
+         */
+        buildLinearTransform(transform) {
+            const mx = transform.mirror === 'X' || transform.mirror === 'XY' ? -1 : 1;
+            const my = transform.mirror === 'Y' || transform.mirror === 'XY' ? -1 : 1;
+            const s = transform.scale;
+            const rad = transform.rotation * Math.PI / 180;
+            const cos = Math.cos(rad);
+            const sin = Math.sin(rad);
+
+            return {
+                apply: (x, y) => {
+                    const sx = x * mx * s;
+                    const sy = y * my * s;
+                    return { x: sx * cos - sy * sin, y: sx * sin + sy * cos };
+                },
+                scale: s,
+                flipsWinding: mx * my < 0
+            };
+        }
+
+        /**
+         * Applies a load transform to an already created object, about the given origin.
+         * For a plain flash the origin is its own position, for block flashes it is the block origin.
+         * Draw coordinates of traces and regions are only moved when the origin differs from them (blocks),
+         * the aperture image (width, pad shape) always follows the transform.
+         */
+        transformObject(obj, origin, transform) {
+            const lin = this.buildLinearTransform(transform);
+            const mapPoint = (p) => {
+                const v = lin.apply(p.x - origin.x, p.y - origin.y);
+                return { x: origin.x + v.x, y: origin.y + v.y };
+            };
+            const curveMap = new Map();
+
+            switch (obj.type) {
+                case 'trace':
+                    obj.start = mapPoint(obj.start);
+                    obj.end = mapPoint(obj.end);
+                    obj.width *= lin.scale;
+                    if (obj.arc) {
+                        const v = lin.apply(obj.arc.i || 0, obj.arc.j || 0);
+                        obj.arc = { i: v.x, j: v.y };
+                    }
+                    if (lin.flipsWinding && (obj.interpolation === 'cw_arc' || obj.interpolation === 'ccw_arc')) {
+                        obj.interpolation = obj.interpolation === 'cw_arc' ? 'ccw_arc' : 'cw_arc';
+                        obj.clockwise = obj.interpolation === 'cw_arc';
+                    }
+                    break;
+
+                case 'flash':
+                    this.transformFlash(obj, mapPoint, lin, curveMap);
+                    break;
+
+                case 'region': {
+                    // Region outline and its first contour share the same point array
+                    const original = obj.points;
+                    const points = this.transformPoints(original, mapPoint, lin, curveMap);
+                    obj.points = points;
+                    if (obj.contours) {
+                        obj.contours = obj.contours.map(contour => ({
+                            ...contour,
+                            points: contour.points === original
+                                ? points
+                                : this.transformPoints(contour.points, mapPoint, lin, curveMap),
+                            arcSegments: (contour.arcSegments || []).map(seg => this.transformArcSegment(seg, mapPoint, lin, curveMap)),
+                            curveIds: (contour.curveIds || []).map(id => this.transformCurveId(id, mapPoint, lin, curveMap))
+                        }));
+                    }
+                    break;
+                }
+            }
+
+            return obj;
+        }
+
+        transformFlash(flash, mapPoint, lin, curveMap) {
+            const center = flash.position;
+            flash.position = mapPoint(center);
+
+            switch (flash.shape) {
+                case 'circle':
+                    flash.radius *= lin.scale;
+                    break;
+
+                case 'rectangle':
+                case 'obround': {
+                    const hw = flash.width / 2;
+                    const hh = flash.height / 2;
+                    // Pad axes after the transform; mirroring never changes these symmetric shapes
+                    const ax = lin.apply(1, 0);
+                    const turned = Math.abs(ax.y) > Math.abs(ax.x);
+                    const axisAligned = Math.abs(ax.x * ax.y) < 1e-9;
+
+                    if (axisAligned) {
+                        flash.width = (turned ? hh : hw) * 2 * lin.scale;
+                        flash.height = (turned ? hw : hh) * 2 * lin.scale;
+                        break;
+                    }
+
+                    const p = flash.position;
+                    const local = (x, y) => {
+                        const v = lin.apply(x, y);
+                        return { x: p.x + v.x, y: p.y + v.y };
+                    };
+
+                    if (flash.shape === 'rectangle') {
+                        const points = [local(-hw, -hh), local(hw, -hh), local(hw, hh), local(-hw, hh)];
+                        if (lin.flipsWinding) points.reverse();
+                        points.push({ ...points[0] });
+                        flash.shape = 'polygon';
+                        flash.points = points;
+                        break;
+                    }
+
+                    // Obround: rebuild from its two cap circles along the long axis
+                    const r = Math.min(hw, hh);
+                    const half = Math.max(hw, hh) - r;
+                    const c1 = hw >= hh ? local(-half, 0) : local(0, -half);
+                    const c2 = hw >= hh ? local(half, 0) : local(0, half);
+                    const polyData = this.macroShapesToPolygon([
+                        { type: 'circle', x: c1.x, y: c1.y, radius: r * lin.scale },
+                        { type: 'circle', x: c2.x, y: c2.y, radius: r * lin.scale },
+                        { type: 'line', start: c1, end: c2, width: r * 2 * lin.scale }
+                    ], p);
+                    flash.shape = 'polygon';
+                    flash.points = polyData.points;
+                    flash.arcSegments = polyData.arcSegments;
+                    break;
+                }
+
+                case 'polygon':
+                    flash.points = this.transformPoints(flash.points, mapPoint, lin, curveMap);
+                    if (flash.arcSegments) {
+                        flash.arcSegments = flash.arcSegments.map(seg => this.transformArcSegment(seg, mapPoint, lin, curveMap));
+                    }
+                    break;
+            }
+        }
+
+        transformPoints(points, mapPoint, lin, curveMap) {
+            return points.map(pt => {
+                const mapped = mapPoint(pt);
+                if (pt.curveId) {
+                    mapped.curveId = this.transformCurveId(pt.curveId, mapPoint, lin, curveMap);
+                }
+                return mapped;
+            });
+        }
+
+        transformArcSegment(seg, mapPoint, lin, curveMap) {
+            return {
+                ...seg,
+                center: mapPoint(seg.center),
+                radius: seg.radius * lin.scale,
+                startAngle: this.transformAngle(seg.startAngle, lin),
+                endAngle: this.transformAngle(seg.endAngle, lin),
+                clockwise: lin.flipsWinding ? !seg.clockwise : seg.clockwise,
+                curveId: seg.curveId ? this.transformCurveId(seg.curveId, mapPoint, lin, curveMap) : seg.curveId
+            };
+        }
+
+        transformAngle(angle, lin) {
+            const v = lin.apply(Math.cos(angle), Math.sin(angle));
+            return Math.atan2(v.y, v.x);
+        }
+
+        /**
+         * Registers the transformed copy of a curve so arc reconstruction keeps working on transformed pads.
+         */
+        transformCurveId(curveId, mapPoint, lin, curveMap) {
+            if (!curveId || !window.globalCurveRegistry) return curveId;
+            if (curveMap.has(curveId)) return curveMap.get(curveId);
+
+            const curve = window.globalCurveRegistry.getCurve(curveId);
+            if (!curve) return curveId;
+
+            const newId = window.globalCurveRegistry.register({
+                ...curve,
+                center: mapPoint(curve.center),
+                radius: curve.radius * lin.scale,
+                startAngle: this.transformAngle(curve.startAngle || 0, lin),
+                endAngle: this.transformAngle(curve.endAngle !== undefined ? curve.endAngle : Math.PI * 2, lin),
+                clockwise: lin.flipsWinding ? !curve.clockwise : curve.clockwise
+            });
+
+            curveMap.set(curveId, newId);
+            return newId;
+        }
+
+        invertPolarity(polarity) {
+            return polarity === 'clear' ? 'dark' : 'clear';
+        }
+
         finalizeRegion() {
             if (this.state.regionPoints.length < 3) {
                 this.warnings.push(`Region with only ${this.state.regionPoints.length} points discarded`);
@@ -1176,6 +1718,7 @@
                 points: finalPoints,
                 polarity: this.state.polarity,
                 netName: this.state.currentNetName || null,
+                attributes: this.captureAttributes(),
                 contours: contours
             };
 
@@ -1370,11 +1913,19 @@
                 return;
             }
 
+            if (aperture.shape === 'block') {
+                this.warnings.push(`Block aperture ${this.state.aperture} can only be flashed, draw ignored`);
+                return;
+            }
+
             let traceWidth = formatConfig.defaultAperture;
             if (aperture.parameters && aperture.parameters.length > 0) {
                 traceWidth = aperture.parameters[0];
             }
 
+            // Draw coordinates are never transformed, only the aperture image; for a circular aperture that is its size
+            traceWidth *= this.state.loadTransform.scale;
+
             const trace = {
                 type: 'trace',
                 start: { ...start },
@@ -1383,6 +1934,7 @@
                 aperture: this.state.aperture,
                 polarity: this.state.polarity,
                 netName: this.state.currentNetName || null,
+                attributes: this.captureAttributes(aperture.attributes),
                 interpolation: this.state.interpolation
             };
 
@@ -1409,12 +1961,18 @@
                 return;
             }
 
+            if (aperture.shape === 'block') {
+                this.flashBlockAperture(aperture, position);
+                return;
+            }
+
             const flash = {
                 type: 'flash',
                 position: { ...position },
                 aperture: this.state.aperture,
                 polarity: this.state.polarity,
                 netName: this.state.currentNetName || null,
+                attributes: this.captureAttributes(aperture.attributes),
                 shape: aperture.shape
             };
 
@@ -1479,6 +2037,12 @@
                      return;
             }
 
+            // Orient and size the aperture image about the flash point; the macro
+            // circle fallback has already moved flash.position off it
+            if (!this.isIdentityTransform(this.state.loadTransform)) {
+                this.transformObject(flash, position, this.state.loadTransform);
+            }
+
             this.layers.objects.push(flash);
             this.stats.objectsCreated++;
         }
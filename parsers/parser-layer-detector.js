@@ -0,0 +1,187 @@
+/*!
+ * @file        parsers/parser-layer-detector.js
+ * @description Fabrication file role detection (content, X2 attributes, ECAD naming conventions)
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const D = window.CAMConfig.defaults;
+    const debugState = D.debug;
+
+    // Only the head of a file is inspected, X2 file attributes and Excellon headers live there
+    const SNIFF_LENGTH = 16384;
+
+    /**
+     * KiCad / Altium (Protel) / Eagle naming conventions.
+     * Evaluated in order, the first match wins. operationType null means a recognized layer that is not machined (mask, silk...).
+     */
+    const NAME_RULES = [
+        // KiCad layer suffixes: board-F_Cu.gbr, board-Edge_Cuts.gm1, board-F_Paste.gtp
+        { pattern: /[-_.]F[._]Cu\b/i, operationType: 'isolation', side: 'top', source: 'KiCad' },
+        { pattern: /[-_.]B[._]Cu\b/i, operationType: 'isolation', side: 'bottom', source: 'KiCad' },
+        { pattern: /[-_.]In\d+[._]Cu\b/i, operationType: 'isolation', side: 'inner', source: 'KiCad' },
+        { pattern: /[-_.]Edge[._]Cuts\b/i, operationType: 'cutout', side: null, source: 'KiCad' },
+        { pattern: /[-_.]F[._]Paste\b/i, operationType: 'stencil', side: 'top', source: 'KiCad' },
+        { pattern: /[-_.]B[._]Paste\b/i, operationType: 'stencil', side: 'bottom', source: 'KiCad' },
+        { pattern: /[-_.][FB][._](Mask|SilkS|Silkscreen|Fab|CrtYd|Courtyard)\b/i, operationType: null, side: null, source: 'KiCad' },
+        { pattern: /[-_](N?PTH)(\.drl|\.txt|\.xln)?$/i, operationType: 'drill', side: null, source: 'KiCad' },
+
+        // Protel / Altium extensions
+        { pattern: /\.gtl$/i, operationType: 'isolation', side: 'top', source: 'Protel' },
+        { pattern: /\.gbl$/i, operationType: 'isolation', side: 'bottom', source: 'Protel' },
+        { pattern: /\.g\d+$/i, operationType: 'isolation', side: 'inner', source: 'Protel' },
+        { pattern: /\.(gko|gm\d*|gml)$/i, operationType: 'cutout', side: null, source: 'Protel' },
+        { pattern: /\.gtp$/i, operationType: 'stencil', side: 'top', source: 'Protel' },
+        { pattern: /\.gbp$/i, operationType: 'stencil', side: 'bottom', source: 'Protel' },
+        { pattern: /\.(gto|gbo|gts|gbs|gta|gba|gd\d*|gg\d*|gpt|gpb)$/i, operationType: null, side: null, source: 'Protel' },
+
+        // Eagle CAM processor extensions
+        { pattern: /\.(cmp|top)$/i, operationType: 'isolation', side: 'top', source: 'Eagle' },
+        { pattern: /\.(sol|bot)$/i, operationType: 'isolation', side: 'bottom', source: 'Eagle' },
+        { pattern: /\.(dim|mil)$/i, operationType: 'cutout', side: null, source: 'Eagle' },
+        { pattern: /\.crc$/i, operationType: 'stencil', side: 'top', source: 'Eagle' },
+        { pattern: /\.crs$/i, operationType: 'stencil', side: 'bottom', source: 'Eagle' },
+        { pattern: /\.(plc|pls|stc|sts|dri|gpi)$/i, operationType: null, side: null, source: 'Eagle' },
+        { pattern: /\.drd$/i, operationType: 'drill', side: null, source: 'Eagle' },
+
+        // Generic descriptive names (JLC/EasyEDA style "Gerber_TopLayer.GTL", "Drill_PTH_Through.DRL", "outline.gbr")
+        { pattern: /(top[-_ ]?layer|top[-_ ]?copper)/i, operationType: 'isolation', side: 'top', source: 'name' },
+        { pattern: /(bottom[-_ ]?layer|bottom[-_ ]?copper)/i, operationType: 'isolation', side: 'bottom', source: 'name' },
+        { pattern: /(board[-_ ]?outline|outline|profile|edge)/i, operationType: 'cutout', side: null, source: 'name' },
+        { pattern: /(paste|cream)/i, operationType: 'stencil', side: null, source: 'name' },
+        { pattern: /(drill|holes?)\b/i, operationType: 'drill', side: null, source: 'name' }
+    ];
+
+    class LayerDetector {
+        /**
+         * Proposes an operation type for a fabrication file.
+         * @param {string} fileName
+         * @param {string} content - File text (only the head is inspected).
+         * @returns {{operationType: string|null, format: string|null, side: string|null, confidence: string, reason: string}}
+         * format is the canonical extension of the parser to use ('.gbr', '.drl', '.svg'), so files with
+         * unusual extensions (.cmp, .sol) can still be routed through CAMCore.getParser.
+         */
+        detect(fileName, content) {
+            const head = (content || '').slice(0, SNIFF_LENGTH);
+            const format = this.sniffFormat(head);
+
+            // X2 file function is authoritative
+            const fileFunction = this.extractFileFunction(head);
+            if (fileFunction) {
+                const fromX2 = this.mapFileFunction(fileFunction, format);
+                if (fromX2) {
+                    this.debug(`${fileName}: FileFunction ${fileFunction.join(',')} → ${fromX2.operationType}`);
+                    return { ...fromX2, format, confidence: 'high', reason: `X2 FileFunction ${fileFunction.join(',')}` };
+                }
+            }
+
+            // ECAD naming conventions
+            for (const rule of NAME_RULES) {
+                if (!rule.pattern.test(fileName)) continue;
+
+                // A drill name on a Gerber (drill map) or a copper name on an Excellon file is not trusted
+                let operationType = rule.operationType;
+                if (operationType === 'drill' && format !== '.drl') continue;
+                if (operationType && operationType !== 'drill' && format === '.drl') continue;
+
+                this.debug(`${fileName}: ${rule.source} naming → ${operationType}`);
+                return {
+                    operationType,
+                    format,
+                    side: rule.side,
+                    confidence: 'medium',
+                    reason: operationType ? `${rule.source} file name` : `${rule.source} file name (not machined)`
+                };
+            }
+
+            // Content only
+            if (format === '.drl') {
+                return { operationType: 'drill', format, side: null, confidence: 'medium', reason: 'Excellon header' };
+            }
+            if (format === '.gbr') {
+                return { operationType: 'isolation', format, side: null, confidence: 'low', reason: 'Gerber without layer information' };
+            }
+
+            return { operationType: null, format, side: null, confidence: 'low', reason: format ? 'No layer information' : 'Unknown format' };
+        }
+
+        /**
+         * Identifies the file format from its content.
+         * @returns {string|null} '.gbr', '.drl', '.svg' or null
+         */
+        sniffFormat(head) {
+            if (/<svg[\s>]/i.test(head)) return '.svg';
+
+            // Excellon: M48 header, or tool definitions with diameters plus a unit line
+            if (/^\s*M48\b/m.test(head)) return '.drl';
+            if (/^\s*(METRIC|INCH)\b/m.test(head) && /^\s*T\d+.*C[\d.]+/m.test(head)) return '.drl';
+
+            // Gerber: extended format/unit commands or typical D-code blocks
+            if (/%FS[LT][AI]X\d\dY\d\d/.test(head) || /%MO(MM|IN)\*%/.test(head)) return '.gbr';
+            if (/^G04\b/m.test(head) && /D0?[123]\*/.test(head)) return '.gbr';
+
+            return null;
+        }
+
+        /**
+         * Reads TF.FileFunction from a Gerber attribute (%TF.FileFunction,...*%),
+         * its X1-compatible comment form (G04 #@! TF.FileFunction,...*), or the KiCad Excellon comment (; #@! TF.FileFunction,...).
+         * @returns {string[]|null}
+         */
+        extractFileFunction(head) {
+            const match = head.match(/TF\.FileFunction,([^*%\r\n]+)/);
+            if (!match) return null;
+            return match[1].split(',').map(s => s.trim()).filter(Boolean);
+        }
+
+        mapFileFunction(fields, format) {
+            const type = fields[0];
+            const sideField = fields.find(f => /^(Top|Bot|Inr)$/i.test(f));
+            const side = sideField ? { top: 'top', bot: 'bottom', inr: 'inner' }[sideField.toLowerCase()] : null;
+
+            switch (type) {
+                case 'Copper':
+                    return { operationType: 'isolation', side };
+                case 'Profile':
+                    return { operationType: 'cutout', side: null };
+                case 'Paste':
+                    return { operationType: 'stencil', side };
+                case 'Plated':
+                case 'NonPlated':
+                    // Gerber drill files (Plated,1,2,PTH,Drill) cannot feed the drill operation, only Excellon can
+                    return format === '.drl' ? { operationType: 'drill', side: null } : { operationType: null, side: null };
+                case 'Soldermask':
+                case 'Legend':
+                case 'Glue':
+                case 'Carbonmask':
+                case 'Peelablemask':
+                case 'Component':
+                case 'AssemblyDrawing':
+                case 'FabricationDrawing':
+                case 'Drillmap':
+                case 'ArrayDrawing':
+                case 'Keep-out':
+                case 'Pads':
+                case 'Other':
+                    return { operationType: null, side };
+                default:
+                    return null;
+            }
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[LayerDetector] ${message}`, data)
+                 : console.log(`[LayerDetector] ${message}`);
+        }
+    }
+
+    window.LayerDetector = LayerDetector;
+})();
@@ -77,6 +77,9 @@
 
                                 if (!prim.properties) prim.properties = {};
 
+                                // Gerber X2 attributes (file function, pad type, component/pin)
+                                this.applyGerberAttributes(prim.properties, obj, gerberData.layers.fileAttributes);
+
                                 // EasyShape5000 groupPath propagation with implicit group injection
                                 let currentGroupPath = obj.groupPath ? [...obj.groupPath] : [];
 
@@ -88,6 +91,11 @@
                                     prim.properties.groupPath = currentGroupPath;
                                 }
 
+                                // SVG clip-path regions, resolved after plotting by GeometryProcessor.applyClipPaths
+                                if (obj.clipIds) {
+                                    prim.properties.clipIds = obj.clipIds;
+                                }
+
                                 this.primitives.push(prim);
                                 this.creationStats.primitivesCreated++;
                             }
@@ -104,15 +112,81 @@
             this.calculateBounds();
             this.logStatistics();
 
+            const clipRegions = this.plotClipRegions(gerberData.layers.clipPaths);
+
             return {
                 success: true,
                 primitives: this.primitives,
                 bounds: this.bounds,
                 units: 'mm',
-                creationStats: this.creationStats
+                creationStats: this.creationStats,
+                ...(clipRegions ? { clipRegions } : {})
             };
         }
 
+        /**
+         * Plots the SVG clip regions (clip key → parser objects) into filled primitives.
+         * @returns {Object|null} clip key → primitives, null when the document has no clip paths
+         */
+        plotClipRegions(clipPaths) {
+            if (!clipPaths || Object.keys(clipPaths).length === 0) return null;
+
+            const clipRegions = {};
+            for (const [clipId, objects] of Object.entries(clipPaths)) {
+                clipRegions[clipId] = [];
+                for (const obj of objects) {
+                    try {
+                        const plotted = this.plotObject(obj);
+                        if (!plotted) continue;
+                        for (const prim of (Array.isArray(plotted) ? plotted : [plotted])) {
+                            if (this.validatePrimitive(prim)) clipRegions[clipId].push(prim);
+                        }
+                    } catch (error) {
+                        console.error(`Error plotting clip region ${clipId} (${obj.type}):`, error);
+                    }
+                }
+            }
+
+            this.debug(`Plotted ${Object.keys(clipRegions).length} clip region(s)`);
+            return clipRegions;
+        }
+
+        /**
+         * Copies the X2 attribute model of a parser object onto primitive properties.
+         * Common fields are flattened for handlers (aperFunction, componentRef, pinNumber, fileFunction),
+         * the raw dictionaries are kept under gerberAttributes.
+         */
+        applyGerberAttributes(properties, obj, fileAttributes) {
+            const aperture = obj.attributes?.aperture || {};
+            const object = obj.attributes?.object || {};
+            const file = fileAttributes || {};
+
+            if (aperture.AperFunction?.length > 0) {
+                properties.aperFunction = aperture.AperFunction[0];
+                if (aperture.AperFunction.length > 1) {
+                    properties.aperFunctionDetail = aperture.AperFunction.slice(1).join(',');
+                }
+            }
+
+            if (object.C?.length > 0) {
+                properties.componentRef = object.C[0];
+            }
+
+            if (object.P?.length > 1) {
+                properties.componentRef = properties.componentRef || object.P[0];
+                properties.pinNumber = object.P[1];
+                if (object.P[2]) properties.pinFunction = object.P[2];
+            }
+
+            if (file.FileFunction?.length > 0) {
+                properties.fileFunction = file.FileFunction.join(',');
+            }
+
+            if (Object.keys(aperture).length > 0 || Object.keys(object).length > 0 || Object.keys(file).length > 0) {
+                properties.gerberAttributes = { file, aperture, object };
+            }
+        }
+
         plotExcellonData(excellonData) {
             this.debug('Starting Excellon plotting');
             this.reset();
@@ -122,13 +196,23 @@
             if (drillData.holes) {
                 drillData.holes.forEach((item, index) => {
                     let primitive = null;
-                    const properties = { 
-                        tool: item.tool, 
-                        plated: item.plated, 
+                    const properties = {
+                        tool: item.tool,
+                        plated: item.plated,
                         polarity: 'dark',
                         diameter: item.diameter
                     };
 
+                    if (item.type === 'route') {
+                        // Routes are built in mm directly, their arcs go to the curve registry
+                        const scale = drillData.units === 'inch' ? 25.4 : 1;
+                        this.primitives.push(this.plotExcellonRoute(item, properties, scale));
+                        this.creationStats.primitivesCreated++;
+                        this.creationStats.drillsCreated++;
+                        this.debug(`Plotter Output [${index}]: Creating drill_route (${item.segments.length} segments)`);
+                        return;
+                    }
+
                     if (!item.start || !item.end) {
                         item.start = { ...(item.position || { x: 0, y: 0 }) };
                         item.end = { ...(item.position || { x: 0, y: 0 }) };
@@ -183,7 +267,8 @@
                 });
             }
 
-            // If an excellon with arcs ever shows up, this is where a connection to mergeContinuousArcs should be included.
+            // Route arcs split at program boundaries (e.g. I/J full circles) are rejoined here
+            this.primitives = this.mergeContinuousArcs(this.primitives);
 
             this.calculateBounds();
             return {
@@ -195,6 +280,59 @@
             };
         }
 
+        /**
+         * Builds an open or closed centerline path for an Excellon route (M15/M16 with G01/G02/G03).
+         * The routed width lives in properties.diameter / strokeWidth.
+         */
+        plotExcellonRoute(route, baseProperties, scale) {
+            const toMM = (p) => ({ x: p.x * scale, y: p.y * scale });
+            const points = [toMM(route.segments[0].start)];
+            const arcSegments = [];
+
+            route.segments.forEach(seg => {
+                if (seg.type !== 'arc') {
+                    points.push(toMM(seg.end));
+                    return;
+                }
+
+                const center = toMM(seg.center);
+                const radius = seg.radius * scale;
+                const startAngle = Math.atan2(seg.start.y - seg.center.y, seg.start.x - seg.center.x);
+                const endAngle = Math.atan2(seg.end.y - seg.center.y, seg.end.x - seg.center.x);
+
+                let sweepAngle = endAngle - startAngle;
+                if (seg.clockwise && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+                if (!seg.clockwise && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+                this.registerDetectedArc(points, arcSegments, toMM(seg.end), {
+                    center, radius, startAngle, endAngle, sweepAngle, clockwise: seg.clockwise
+                }, 'excellon_route');
+            });
+
+            const diameter = route.diameter * scale;
+            const properties = {
+                ...baseProperties,
+                role: 'drill_route',
+                diameter: diameter,
+                fill: false,
+                stroke: true,
+                strokeWidth: diameter,
+                closed: route.closed,
+                compensation: route.compensation
+            };
+
+            const contour = {
+                points: points,
+                isHole: false,
+                nestingLevel: 0,
+                parentId: null,
+                arcSegments: arcSegments,
+                curveIds: arcSegments.map(a => a.curveId).filter(Boolean)
+            };
+
+            return new PathPrimitive([contour], properties);
+        }
+
         plotObject(obj) {
             switch (obj.type) {
                 case 'region':
@@ -15,6 +15,10 @@
     const C = window.CAMConfig.constants;
     const D = window.CAMConfig.defaults;
     const PRECISION = C.precision.coordinate;
+    const svgConfig = C.formats.svg;
+
+    // Inheritable text properties read from attributes, class rules and inline style
+    const FONT_PROPERTIES = ['font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'letter-spacing'];
 
     class SVGParser extends ParserCore {
         constructor(options = {}) {
@@ -70,7 +74,7 @@
         reset() {
             this.errors = [];
             this.warnings = [];
-            this.layers = { polarity: 'positive', units: 'mm', bounds: null, apertures: [], objects: [] };
+            this.layers = { polarity: 'positive', units: 'mm', bounds: null, apertures: [], objects: [], clipPaths: {} };
             this.stats = { objectsCreated: 0 };
             this.documentWidth = 0;
             this.documentHeight = 0;
@@ -79,6 +83,10 @@
             this.cssRules = {};
             this.currentGroupPath = [];   // EasyShape5000 group hierarchy tracking
             this.nextGroupUid = 0;        // stable per-document group UIDs
+            this.useStack = new Set();    // <use> targets being expanded, guards against reference cycles
+            this.clipMode = false;        // Traversing a <clipPath>: shapes contribute their fill area only
+            this.nextClipUid = 0;
+            this.warnedKeys = new Set();  // One-time warnings (missing fonts, glyphs)
             this.docUidPrefix = `svg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
         }
 
@@ -161,12 +169,6 @@
          * Check for unsupported SVG features and warn user
          */
         checkUnsupportedFeatures(svgNode) {
-            // Check for text elements
-            const textElements = svgNode.querySelectorAll('text, tspan, textPath');
-            if (textElements.length > 0) {
-                this.warnings.push(`Found ${textElements.length} text element(s). Convert text to paths in your editor for proper rendering.`);
-            }
-
             // Check for fill-rule usage
             const fillRuleElements = svgNode.querySelectorAll('[fill-rule]');
             const styleWithFillRule = svgNode.querySelectorAll('[style*="fill-rule"]');
@@ -182,16 +184,10 @@
                 this.warnings.push('SVG contains embedded stylesheets. Class-based styles are not fully supported.');
             }
 
-            // Check for use/symbol (cloning)
-            const useElements = svgNode.querySelectorAll('use');
-            if (useElements.length > 0) {
-                this.warnings.push(`Found ${useElements.length} <use> element(s). Symbol cloning is not yet supported.`);
-            }
-
-            // Check for clipPath/mask
-            const clipMask = svgNode.querySelectorAll('clipPath, mask');
-            if (clipMask.length > 0) {
-                this.warnings.push('SVG contains clip paths or masks which are not supported.');
+            // Check for masks (clip paths are applied, masks have no geometric equivalent)
+            const masks = svgNode.querySelectorAll('mask');
+            if (masks.length > 0) {
+                this.warnings.push(`Found ${masks.length} mask(s). Masks are not supported, masked artwork is imported unmasked.`);
             }
         }
 
@@ -235,17 +231,22 @@
             // Previous path is saved and restored on exit so sibling subtrees don't
             // inherit this <g>'s descriptor.
             const prevGroupPath = this.currentGroupPath;
-            if (tagName === 'g') {
+            if (tagName === 'g' || tagName === 'use') {
                 this.currentGroupPath = [...prevGroupPath, {
                     uid: `${this.docUidPrefix}_g_${this.nextGroupUid++}`,
                     id: node.getAttribute('id') || null,
                     label: node.getAttribute('inkscape:label')
                         || node.getAttribute('data-name')
                         || node.getAttribute('aria-label')
+                        || (tagName === 'use' ? this.getHrefId(node) : null)
                         || null
                 }];
             }
 
+            // Objects emitted by this subtree get the element's clip region attached after traversal
+            const clipId = this.clipMode ? null : this.resolveClipPath(node, currentTransform);
+            const firstObject = this.layers.objects.length;
+
             try {
                 switch (tagName) {
                     case 'g': case 'svg': case 'defs': case 'symbol':
@@ -254,30 +255,346 @@
                             Array.from(node.children).forEach(child => this.traverseNode(child, currentTransform, styles));
                         }
                         break;
-                    case 'text': case 'tspan': case 'textPath':
-                    // Already warned, skip silently
+                    case 'use':
+                        this.traverseUse(node, currentTransform, styles);
+                        break;
+                    case 'text':
+                        this.processText(node, currentTransform, styles);
                         break;
                     case 'path': case 'rect': case 'circle': case 'ellipse': case 'polygon': case 'polyline': case 'line':
                         const geometry = this.parseShape(node);
-                        if (!geometry) break;
-
-                        if (styles.fill && styles.fill !== 'none' && styles.fillOpacity > 0) {
-                            this.processFilledShape(geometry, currentTransform);
-                        }
-
-                        if (styles.stroke && styles.stroke !== 'none' && styles.strokeWidth > 0 && styles.strokeOpacity > 0) {
-                            // Scale stroke width by transform scale factor (viewBox units → mm)
-                            const det = currentTransform[0] * currentTransform[3] - currentTransform[1] * currentTransform[2];
-                            const scale = Math.sqrt(Math.abs(det));
-                            this.processStrokedShape(geometry, currentTransform, styles.strokeWidth * scale);
-                        }
+                        if (geometry) this.paintGeometry(geometry, currentTransform, styles);
                         break;
                 }
+
+                if (clipId) {
+                    for (let i = firstObject; i < this.layers.objects.length; i++) {
+                        const obj = this.layers.objects[i];
+                        obj.clipIds = obj.clipIds ? [...obj.clipIds, clipId] : [clipId];
+                    }
+                }
             } finally {
                 this.currentGroupPath = prevGroupPath;
             }
         }
 
+        getHrefId(node) {
+            const href = node.getAttribute('href') || node.getAttribute('xlink:href') || '';
+            return href.startsWith('#') ? href.slice(1) : null;
+        }
+
+        /**
+         * Expands a <use> reference in place. The clone is placed by the use's transform followed by
+         * translate(x, y); a referenced <symbol> is additionally fitted from its viewBox into width/height.
+         * Styles set on the <use> are inherited by the clone.
+         */
+        traverseUse(node, transform, styles) {
+            const refId = this.getHrefId(node);
+            const target = refId ? node.ownerDocument.getElementById(refId) : null;
+
+            if (!target) {
+                this.warnings.push(`<use> references missing element "${refId || node.getAttribute('href') || ''}", skipped.`);
+                return;
+            }
+
+            if (this.useStack.has(target) || target.contains(node)) {
+                this.warnings.push(`<use> of "#${refId}" references itself, skipped.`);
+                return;
+            }
+
+            const x = parseFloat(node.getAttribute('x')) || 0;
+            const y = parseFloat(node.getAttribute('y')) || 0;
+            let cloneTransform = this.multiplyMatrix(transform, [1, 0, 0, 1, x, y]);
+
+            this.useStack.add(target);
+            try {
+                if (target.tagName.toLowerCase() === 'symbol') {
+                    cloneTransform = this.multiplyMatrix(cloneTransform, this.getSymbolTransform(target, node));
+                    const symbolStyles = this.getStyles(target, styles);
+                    Array.from(target.children).forEach(child => this.traverseNode(child, cloneTransform, symbolStyles));
+                } else {
+                    this.traverseNode(target, cloneTransform, styles);
+                }
+            } finally {
+                this.useStack.delete(target);
+            }
+        }
+
+        /**
+         * viewBox → viewport mapping of a <symbol> (preserveAspectRatio xMidYMid meet, or none).
+         * Without a viewBox or a known viewport size the symbol's user space is used unscaled.
+         */
+        getSymbolTransform(symbol, useNode) {
+            const parts = (symbol.getAttribute('viewBox') || '').match(/-?(?:\d*\.\d+|\d+)(?:[eE][+-]?\d+)?/g);
+            if (!parts || parts.length !== 4) return this.identityMatrix();
+
+            const [vbX, vbY, vbW, vbH] = parts.map(parseFloat);
+            const width = parseFloat(useNode.getAttribute('width') || symbol.getAttribute('width'));
+            const height = parseFloat(useNode.getAttribute('height') || symbol.getAttribute('height'));
+
+            if (!(vbW > 0 && vbH > 0 && width > 0 && height > 0)) {
+                return [1, 0, 0, 1, -vbX, -vbY];
+            }
+
+            let sx = width / vbW;
+            let sy = height / vbH;
+            let tx = 0, ty = 0;
+
+            if (!/^\s*none/.test(symbol.getAttribute('preserveAspectRatio') || '')) {
+                const scale = Math.min(sx, sy);
+                tx = (width - vbW * scale) / 2;
+                ty = (height - vbH * scale) / 2;
+                sx = sy = scale;
+            }
+
+            return [sx, 0, 0, sy, tx - vbX * sx, ty - vbY * sy];
+        }
+
+        /**
+         * Builds the clip region referenced by a node's clip-path (attribute or inline style).
+         * The region is evaluated in the node's user space and stored in layers.clipPaths;
+         * the plotted primitives are intersected with it later by GeometryProcessor.applyClipPaths.
+         * @returns {string|null} Clip region key, or null when the node is not clipped.
+         */
+        resolveClipPath(node, transform) {
+            const styleMatch = (node.getAttribute('style') || '').match(/clip-path\s*:\s*([^;]+)/);
+            const value = styleMatch ? styleMatch[1] : node.getAttribute('clip-path');
+            const refMatch = value?.match(/url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/);
+            if (!refMatch) return null;
+
+            const clipNode = node.ownerDocument.getElementById(refMatch[1]);
+            if (!clipNode || clipNode.tagName.toLowerCase() !== 'clippath') {
+                this.warnings.push(`clip-path references missing clipPath "#${refMatch[1]}", artwork imported unclipped.`);
+                return null;
+            }
+
+            if (clipNode.getAttribute('clipPathUnits') === 'objectBoundingBox') {
+                this.warnings.push(`clipPath "#${refMatch[1]}" uses objectBoundingBox units, which are not supported. Artwork imported unclipped.`);
+                return null;
+            }
+
+            const clipTransform = this.multiplyMatrix(transform, this.parseTransform(clipNode.getAttribute('transform') || ''));
+
+            // Clip children are collected on their own object list
+            const savedObjects = this.layers.objects;
+            const savedCount = this.stats.objectsCreated;
+            const savedGroupPath = this.currentGroupPath;
+            this.layers.objects = [];
+            this.currentGroupPath = [];
+            this.clipMode = true;
+            let clipObjects;
+            try {
+                Array.from(clipNode.children).forEach(child => this.traverseNode(child, clipTransform, null));
+                clipObjects = this.layers.objects;
+            } finally {
+                this.layers.objects = savedObjects;
+                this.stats.objectsCreated = savedCount;
+                this.currentGroupPath = savedGroupPath;
+                this.clipMode = false;
+            }
+
+            const clipId = `clip_${this.nextClipUid++}`;
+            this.layers.clipPaths[clipId] = clipObjects;
+            this.debug(`Clip region ${clipId} from #${refMatch[1]}: ${clipObjects.length} object(s)`);
+            return clipId;
+        }
+
+        /**
+         * Emits fill and/or stroke objects for a parsed shape according to its paint styles
+         */
+        paintGeometry(geometry, transform, styles) {
+            // Clip geometry is the shape's interior, regardless of its paint
+            if (this.clipMode) {
+                this.processFilledShape(geometry, transform);
+                return;
+            }
+
+            if (styles.fill && styles.fill !== 'none' && styles.fillOpacity > 0) {
+                this.processFilledShape(geometry, transform);
+            }
+
+            if (styles.stroke && styles.stroke !== 'none' && styles.strokeWidth > 0 && styles.strokeOpacity > 0) {
+                // Scale stroke width by transform scale factor (viewBox units → mm)
+                const det = transform[0] * transform[3] - transform[1] * transform[2];
+                const scale = Math.sqrt(Math.abs(det));
+                this.processStrokedShape(geometry, transform, styles.strokeWidth * scale);
+            }
+        }
+
+        /**
+         * Outlines a <text> element (with nested <tspan>s) through the font library.
+         * Supports x/y/dx/dy lists, whitespace collapsing, pair kerning, letter-spacing and text-anchor per chunk.
+         * Each glyph becomes its own path shape painted with the styles of the element that holds the character.
+         */
+        processText(node, transform, styles) {
+            const fontLibrary = window.fontLibrary;
+            if (!fontLibrary || !fontLibrary.resolve(styles.fontFamily)) {
+                this.warnOnce('text:nofont', 'Text found but no font is loaded. Load a .ttf/.otf font or convert text to paths in your editor.');
+                return;
+            }
+
+            const characters = this.collectTextCharacters(node, styles);
+            if (characters.length === 0) return;
+
+            const glyphs = [];
+            let chunk = null;
+            let penX = 0, penY = 0;
+            let previous = null;
+
+            const closeChunk = () => {
+                if (!chunk) return;
+                const width = penX - chunk.startX;
+                const shift = chunk.anchor === 'middle' ? -width / 2 : (chunk.anchor === 'end' ? -width : 0);
+                if (shift !== 0) chunk.glyphs.forEach(g => { g.x += shift; });
+                chunk = null;
+            };
+
+            for (let i = 0; i < characters.length; i++) {
+                const { char, styles: charStyles, lists } = characters[i];
+                const position = (attr) => {
+                    // Innermost element with a value at this character's index wins
+                    for (let k = lists.length - 1; k >= 0; k--) {
+                        const values = lists[k][attr];
+                        const index = i - lists[k].start;
+                        if (index < values.length) return values[index];
+                    }
+                    return null;
+                };
+
+                const x = position('x');
+                const y = position('y');
+                if (x !== null || y !== null) {
+                    // Absolute positioning starts a new text chunk, anchored independently
+                    closeChunk();
+                    if (x !== null) penX = x;
+                    if (y !== null) penY = y;
+                    previous = null;
+                }
+                penX += position('dx') ?? 0;
+                penY += position('dy') ?? 0;
+
+                if (!chunk) chunk = { startX: penX, anchor: charStyles.textAnchor, glyphs: [] };
+
+                const resolved = fontLibrary.resolve(charStyles.fontFamily, charStyles.fontWeight, charStyles.fontStyle !== 'normal');
+                const font = resolved.font;
+                if (resolved.substituted) {
+                    this.warnOnce(`text:font:${charStyles.fontFamily}`, `Font "${charStyles.fontFamily}" is not loaded, text is outlined with ${font.family}. Load the font file for exact shapes.`);
+                }
+
+                const codePoint = char.codePointAt(0);
+                const gid = font.glyphIndex(codePoint);
+                if (gid === 0 && char !== ' ') {
+                    this.warnOnce(`text:glyph:${font.fullName}`, `${font.fullName} has no glyph for some characters (e.g. "${char}"). They are left out.`);
+                }
+
+                const scale = charStyles.fontSize / font.unitsPerEm;
+                if (previous && previous.font === font && previous.scale === scale) {
+                    penX += font.kerning(previous.gid, gid) * scale;
+                }
+
+                const glyph = { font, gid, x: penX, y: penY, scale, styles: charStyles };
+                glyphs.push(glyph);
+                chunk.glyphs.push(glyph);
+
+                penX += font.advanceWidth(gid) * scale + charStyles.letterSpacing;
+                previous = glyph;
+            }
+            closeChunk();
+
+            for (const glyph of glyphs) {
+                // Hidden spans still take up their advance
+                if (glyph.gid === 0 || glyph.styles.visibility === 'hidden') continue;
+                const d = glyph.font.glyphPathData(glyph.gid, glyph.x, glyph.y, glyph.scale);
+                if (!d) continue; // Blank glyphs (spaces)
+
+                const subpathResults = new PathDataParser(d).getSubPaths();
+                this.paintGeometry({
+                    type: 'path',
+                    subpaths: subpathResults.map(r => r.segments),
+                    subpathClosed: subpathResults.map(r => r.closed)
+                }, transform, glyph.styles);
+            }
+        }
+
+        /**
+         * Flattens a text element into addressable characters, applying xml:space whitespace handling.
+         * Each character keeps its element styles and the stack of x/y/dx/dy lists in scope.
+         */
+        collectTextCharacters(textNode, textStyles) {
+            const characters = [];
+            const preserve = textNode.getAttribute('xml:space') === 'preserve';
+            let lastWasSpace = true; // Drops leading whitespace
+
+            const parseList = (node, name) => (node.getAttribute(name) || '')
+                .split(/[\s,]+/)
+                .filter(Boolean)
+                .map(value => this.parseTextLength(value, textStyles.fontSize));
+
+            const walk = (node, styles, lists) => {
+                const scope = [...lists, {
+                    start: characters.length,
+                    x: parseList(node, 'x'),
+                    y: parseList(node, 'y'),
+                    dx: parseList(node, 'dx'),
+                    dy: parseList(node, 'dy')
+                }];
+
+                for (const child of Array.from(node.childNodes)) {
+                    if (child.nodeType === 3) {
+                        let text = child.nodeValue || '';
+                        text = preserve ? text.replace(/[\n\r\t]/g, ' ') : text.replace(/[\n\r]/g, '').replace(/\t/g, ' ');
+                        for (const char of text) {
+                            if (!preserve && char === ' ') {
+                                if (lastWasSpace) continue;
+                                lastWasSpace = true;
+                            } else {
+                                lastWasSpace = false;
+                            }
+                            characters.push({ char, styles, lists: scope });
+                        }
+                    } else if (child.nodeType === 1) {
+                        const tag = child.tagName.toLowerCase();
+                        if (tag !== 'tspan' && tag !== 'textpath' && tag !== 'a') continue;
+                        if (tag === 'textpath') {
+                            this.warnOnce('text:textpath', 'Text on a path (textPath) is laid out on a straight baseline.');
+                        }
+                        const childStyles = this.getStyles(child, styles);
+                        if (childStyles.display === 'none') continue;
+                        walk(child, childStyles, scope);
+                    }
+                }
+            };
+
+            walk(textNode, textStyles, []);
+
+            if (!preserve) {
+                while (characters.length > 0 && characters[characters.length - 1].char === ' ') characters.pop();
+            }
+            return characters;
+        }
+
+        /**
+         * Font-relative and absolute CSS lengths in user units
+         */
+        parseTextLength(value, fontSize) {
+            const match = String(value).trim().match(/^(-?(?:\d*\.\d+|\d+)(?:[eE][+-]?\d+)?)\s*(px|pt|pc|mm|cm|in|em|ex|%)?$/);
+            if (!match) return 0;
+            const number = parseFloat(match[1]);
+            const factors = { px: 1, pt: 96 / 72, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+            switch (match[2]) {
+                case 'em': return number * fontSize;
+                case 'ex': return number * fontSize / 2;
+                case '%': return number * fontSize / 100;
+                default: return number * (factors[match[2]] || 1);
+            }
+        }
+
+        warnOnce(key, message) {
+            if (this.warnedKeys.has(key)) return;
+            this.warnedKeys.add(key);
+            this.warnings.push(message);
+        }
+
         /**
          * EasyShape5000-only: attach the active group path to an emitted layer object.
          * EasyTrace5000 never reads obj.groupPath, so this is a no-op for its pipeline.
@@ -968,6 +1285,12 @@
                 strokeWidth: inheritedStyles?.strokeWidth ?? 1.0,
                 strokeOpacity: inheritedStyles?.strokeOpacity ?? 1.0,
                 visibility: inheritedStyles?.visibility ?? 'visible',
+                fontFamily: inheritedStyles?.fontFamily ?? svgConfig.defaultFontFamily,
+                fontSize: inheritedStyles?.fontSize ?? svgConfig.defaultFontSize,
+                fontWeight: inheritedStyles?.fontWeight ?? 400,
+                fontStyle: inheritedStyles?.fontStyle ?? 'normal',
+                textAnchor: inheritedStyles?.textAnchor ?? 'start',
+                letterSpacing: inheritedStyles?.letterSpacing ?? 0,
                 // Non-inheritable - always reset to defaults
                 display: 'inline'
             };
@@ -987,6 +1310,9 @@
                     if (rules['stroke-opacity']) styles.strokeOpacity = parseFloat(rules['stroke-opacity']);
                     if (rules.display) styles.display = rules.display;
                     if (rules.visibility) styles.visibility = rules.visibility;
+                    for (const key of FONT_PROPERTIES) {
+                        if (rules[key]) this.applyFontProperty(styles, key, rules[key], inheritedStyles);
+                    }
                 }
             }
 
@@ -998,6 +1324,9 @@
             if (node.getAttribute('stroke-opacity')) styles.strokeOpacity = parseFloat(node.getAttribute('stroke-opacity'));
             if (node.getAttribute('display')) styles.display = node.getAttribute('display');
             if (node.getAttribute('visibility')) styles.visibility = node.getAttribute('visibility');
+            for (const key of FONT_PROPERTIES) {
+                if (node.getAttribute(key)) this.applyFontProperty(styles, key, node.getAttribute(key), inheritedStyles);
+            }
 
             // Inline style attribute (highest priority)
             const styleAttr = node.getAttribute('style');
@@ -1011,12 +1340,42 @@
                     else if (key === 'stroke-opacity') styles.strokeOpacity = parseFloat(value);
                     else if (key === 'display') styles.display = value;
                     else if (key === 'visibility') styles.visibility = value;
+                    else if (FONT_PROPERTIES.includes(key) && value) this.applyFontProperty(styles, key, value, inheritedStyles);
                 });
             }
 
             return styles;
         }
 
+        applyFontProperty(styles, key, value, inheritedStyles) {
+            // Relative sizes resolve against the parent's font size
+            const parentSize = inheritedStyles?.fontSize ?? svgConfig.defaultFontSize;
+            switch (key) {
+                case 'font-family':
+                    styles.fontFamily = value;
+                    break;
+                case 'font-size': {
+                    const size = this.parseTextLength(value, parentSize);
+                    if (size > 0) styles.fontSize = size;
+                    break;
+                }
+                case 'font-weight': {
+                    const keywords = { normal: 400, bold: 700, bolder: Math.min(900, (inheritedStyles?.fontWeight ?? 400) + 300), lighter: Math.max(100, (inheritedStyles?.fontWeight ?? 400) - 300) };
+                    styles.fontWeight = keywords[value] ?? (parseInt(value, 10) || 400);
+                    break;
+                }
+                case 'font-style':
+                    styles.fontStyle = value;
+                    break;
+                case 'text-anchor':
+                    styles.textAnchor = value;
+                    break;
+                case 'letter-spacing':
+                    styles.letterSpacing = value === 'normal' ? 0 : this.parseTextLength(value, styles.fontSize);
+                    break;
+            }
+        }
+
         applyTransformToPoint(p, m) {
             return {
                 x: m[0] * p.x + m[2] * p.y + m[4],
@@ -25,7 +25,10 @@
         preprocessed: (opId) => `preprocessed_${opId}`,
         offsetCombined: (opId) => `offset_${opId}_combined`,
         offsetPass: (opId, passNumber) => `offset_${opId}_pass_${passNumber}`,
-        preview: (opId) => `preview_${opId}`
+        preview: (opId) => `preview_${opId}`,
+        backplot: (backplotId) => `backplot_${backplotId}`,
+        residual: () => 'uncut_copper',
+        clearance: (opId) => `clearance_${opId}`
     };
 
     class RendererCore {
@@ -240,6 +243,7 @@
                 // Peck Marks & Centerline Slots (Critical Operational Data)
                 // These contain crosshairs or drill hits that must remain visible even if the geometry itself is a tiny dot.
                 if (props.role === 'peck_mark' || 
+                    props.role === 'backplot_hit' ||
                     props.isToolPeckMark || 
                     props.isCenterlinePath || 
                     props.role === 'drill_milling_path') {
@@ -507,11 +511,6 @@
                 }
             }
 
-            // Shift the effective canvas area inward by the ruler size so geometry isn't hidden behind them
-            const rulerSize = this.options.showRulers
-                ? (D.rendering.canvas.rulerSize || 20) * (this.devicePixelRatio || 1)
-                : 0;
-
             if (includeOrigin) {
                 const origin = this.originPosition || { x: 0, y: 0 };
                 bounds = {
@@ -531,6 +530,40 @@
                 this.originIncludedInFit = false;
             }
 
+            this.fitViewToVisualBounds(bounds, fitPadding);
+        }
+
+        /**
+         * Frames a world-space region (e.g. one uncut copper sliver). Regions
+         * smaller than minSize are framed as minSize so the surroundings
+         * stay readable.
+         */
+        zoomToBounds(worldBounds, minSize = 0) {
+            this.resizeCanvas();
+
+            let bounds = { ...worldBounds };
+            if (this.scene) {
+                const wm = this.scene.getWorkspaceMatrix();
+                if (!TransformMath.isIdentity(wm)) {
+                    bounds = TransformMath.transformBounds(wm, bounds);
+                }
+            }
+
+            const cx = (bounds.minX + bounds.maxX) / 2;
+            const cy = (bounds.minY + bounds.maxY) / 2;
+            const halfW = Math.max(bounds.maxX - bounds.minX, minSize) / 2;
+            const halfH = Math.max(bounds.maxY - bounds.minY, minSize) / 2;
+
+            this.fitViewToVisualBounds({
+                minX: cx - halfW, minY: cy - halfH, maxX: cx + halfW, maxY: cy + halfH
+            }, C.renderer.zoom.fitPadding);
+        }
+
+        /**
+         * Sets scale and offset so visual-space bounds fill the canvas area
+         * not covered by the rulers.
+         */
+        fitViewToVisualBounds(bounds, fitPadding) {
             // Recalculate derived values if not already set
             if (bounds.width === undefined) {
                 bounds.width = bounds.maxX - bounds.minX;
@@ -539,6 +572,11 @@
                 bounds.centerY = (bounds.minY + bounds.maxY) / 2;
             }
 
+            // Shift the effective canvas area inward by the ruler size so geometry isn't hidden behind them
+            const rulerSize = this.options.showRulers
+                ? (D.rendering.canvas.rulerSize || 20) * (this.devicePixelRatio || 1)
+                : 0;
+
             // Account for rulers
             const availableWidth = this.canvas.width - rulerSize;
             const availableHeight = this.canvas.height - rulerSize;
@@ -552,7 +590,7 @@
                 scale = availableHeight / (bounds.height * fitPadding);
             }
 
-            this.viewScale = Math.max(0.1, scale);
+            this.viewScale = Math.max(0.1, Math.min(C.renderer.zoom.max, scale));
             this.viewOffset = {
                 x: rulerSize + availableWidth / 2 - bounds.centerX * this.viewScale,
                 y: rulerSize + availableHeight / 2 + bounds.centerY * this.viewScale
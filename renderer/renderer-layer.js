@@ -259,7 +259,11 @@
                 }
 
                 // Dispatch to renderer
-                if (layer.isHatch) {
+                if (layer.type === 'backplot') {
+                    this.renderBackplotLayerImmediate(layer);
+                } else if (layer.type === 'residual' || layer.type === 'clearance') {
+                    this.renderFindingLayerImmediate(layer);
+                } else if (layer.isHatch) {
                     this.renderHatchLayerBatched(layer);
                 } else if (isStencilSource) {
                     this.renderStencilSourceImmediate(layer);
@@ -727,6 +731,159 @@
             }
         }
 
+        // ========================================================================
+        // BACKPLOT: Imported G-code
+        // ========================================================================
+
+        /**
+         * Draws an imported program: tool swath under the cutting centerlines,
+         * dashed rapids on top, drill hits as circles with center marks.
+         */
+        renderBackplotLayerImmediate(layer) {
+            const viewBounds = this.core.frameCache.viewBounds;
+            const color = this.options.resolveLayerColor ? this.options.resolveLayerColor(layer) : (layer.color);
+            const cfg = this.primitiveRenderer.cfg.backplot;
+            const fc = this.core.frameCache;
+            const lineWidth = Math.max(cfg.stroke * fc.invScale, fc.minWorldWidth);
+
+            const cuts = [];
+            const rapids = [];
+            const hits = [];
+
+            for (const entry of layer.renderCache.entries) {
+                this.core.renderStats.primitives++;
+
+                if (!this.core.boundsIntersect(entry.bounds, viewBounds)) {
+                    this.core.renderStats.skippedPrimitives++;
+                    this.core.renderStats.culledViewport++;
+                    continue;
+                }
+
+                if (!this.core.passesLODCull(entry.screenSize, this.core.viewScale, this.core.lodThreshold)) {
+                    this.core.renderStats.skippedPrimitives++;
+                    this.core.renderStats.culledLOD++;
+                    continue;
+                }
+
+                const prim = entry.primitive;
+                this.core.renderStats.renderedPrimitives++;
+
+                if (this.shouldCollectDebug(prim)) {
+                    this.debugPrimitives.push(prim);
+                }
+
+                if (prim.properties?.role === 'backplot_hit') hits.push(prim);
+                else if (prim.properties?.backplotMotion === 'rapid') rapids.push(prim);
+                else cuts.push(prim);
+            }
+
+            this.ctx.save();
+            this.ctx.strokeStyle = color;
+            this.ctx.lineCap = 'round';
+            this.ctx.lineJoin = 'round';
+            this.ctx.setLineDash([]);
+
+            // Swath at true tool width shows what the program clears against the copper
+            this.ctx.globalAlpha = cfg.swathAlpha;
+            for (const prim of cuts) {
+                const toolDiameter = prim.properties.toolDiameter;
+                if (!(toolDiameter > 0)) continue;
+                this.ctx.lineWidth = Math.max(toolDiameter, fc.minWorldWidth);
+                this.primitiveRenderer.drawPrimitivePath(prim);
+                this.ctx.stroke();
+                this.core.renderStats.drawCalls++;
+            }
+
+            this.ctx.globalAlpha = 1;
+            this.ctx.lineWidth = lineWidth;
+            for (const prim of cuts) {
+                this.primitiveRenderer.drawPrimitivePath(prim);
+                this.ctx.stroke();
+                this.core.renderStats.drawCalls++;
+            }
+
+            for (const prim of hits) {
+                this.ctx.beginPath();
+                this.ctx.arc(prim.center.x, prim.center.y, prim.radius, 0, Math.PI * 2);
+                this.ctx.stroke();
+                this.primitiveRenderer.renderCenterMarks(prim.center, prim.radius * this.primitiveRenderer.cfg.mark.peckRatio, color);
+                this.core.renderStats.drawCalls += 2;
+            }
+
+            this.ctx.globalAlpha = cfg.rapidAlpha;
+            this.ctx.setLineDash([cfg.rapidDash[0] * fc.invScale, cfg.rapidDash[1] * fc.invScale]);
+            for (const prim of rapids) {
+                this.primitiveRenderer.drawPrimitivePath(prim);
+                this.ctx.stroke();
+                this.core.renderStats.drawCalls++;
+            }
+
+            this.ctx.restore();
+        }
+
+        // ========================================================================
+        // FINDINGS: Uncut copper and clearance checks
+        // ========================================================================
+
+        /**
+         * Draws check findings (uncut copper, too-narrow clearances) filled, each
+         * with a fixed-size screen ring so a sliver a few microns wide is still
+         * found at board zoom. No LOD cull - the whole point is showing what is
+         * too small to notice. layer.metadata.highlightIndex marks the region
+         * picked in the list.
+         */
+        renderFindingLayerImmediate(layer) {
+            const viewBounds = this.core.frameCache.viewBounds;
+            const color = this.options.resolveLayerColor ? this.options.resolveLayerColor(layer) : (layer.color);
+            const cfg = this.primitiveRenderer.cfg.finding;
+            const fc = this.core.frameCache;
+            const highlightIndex = layer.metadata?.highlightIndex;
+            const markerRadius = cfg.markerRadius * fc.invScale;
+
+            this.ctx.save();
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.setLineDash([]);
+
+            for (const entry of layer.renderCache.entries) {
+                this.core.renderStats.primitives++;
+
+                const b = entry.bounds;
+                const marked = {
+                    minX: b.minX - markerRadius, minY: b.minY - markerRadius,
+                    maxX: b.maxX + markerRadius, maxY: b.maxY + markerRadius
+                };
+                if (!this.core.boundsIntersect(marked, viewBounds)) {
+                    this.core.renderStats.skippedPrimitives++;
+                    this.core.renderStats.culledViewport++;
+                    continue;
+                }
+
+                const prim = entry.primitive;
+                const isHighlighted = prim.properties?.findingIndex === highlightIndex;
+                this.core.renderStats.renderedPrimitives++;
+
+                this.primitiveRenderer.drawPrimitivePath(prim);
+                this.ctx.globalAlpha = cfg.fillAlpha;
+                this.ctx.fill('evenodd');
+                this.ctx.globalAlpha = 1;
+                this.ctx.lineWidth = Math.max(cfg.stroke * fc.invScale, fc.minWorldWidth);
+                this.ctx.stroke();
+
+                const cx = (b.minX + b.maxX) / 2;
+                const cy = (b.minY + b.maxY) / 2;
+                const ringRadius = Math.max(markerRadius, Math.hypot(b.maxX - b.minX, b.maxY - b.minY) / 2);
+                this.ctx.lineWidth = (isHighlighted ? cfg.highlightStroke : cfg.stroke) * fc.invScale;
+                this.ctx.beginPath();
+                this.ctx.arc(cx, cy, ringRadius * (isHighlighted ? 1.5 : 1), 0, Math.PI * 2);
+                this.ctx.stroke();
+
+                this.core.renderStats.drawCalls += 3;
+            }
+
+            this.ctx.restore();
+        }
+
         // ========================================================================
         // SOURCE: Immediate Mode
         // ========================================================================
@@ -794,7 +951,7 @@
 
                 // Special case: Complex shapes that need specific winding (Drills/Slots/Complex Paths)
                 const role = prim.properties?.role;
-                if (role === 'drill_hole' || role === 'drill_slot' || role === 'peck_mark') {
+                if (role === 'drill_hole' || role === 'drill_slot' || role === 'drill_route' || role === 'peck_mark') {
                     this.primitiveRenderer.renderPrimitive(prim, layerColor, layerColor, layer.isPreprocessed, { layer });
                     // Reset state after external call
                     this.ctx.fillStyle = layerColor;
@@ -1083,6 +1240,37 @@
             return null;
         }
 
+        // ========================================================================
+        // Snapshot
+        // ========================================================================
+
+        /**
+         * Renders a fit-to-board frame synchronously, copies it into a downscaled
+         * PNG data URL and restores the user's view. Used for the setup sheet.
+         */
+        captureThumbnail(maxSize = 640) {
+            if (!this.canvas || this.canvas.width === 0 || this.canvas.height === 0) return null;
+
+            const viewState = this.core.getViewState();
+            try {
+                this.core.zoomFit(true);
+                this.actualRender();
+
+                const scale = Math.min(1, maxSize / Math.max(this.canvas.width, this.canvas.height));
+                const thumb = document.createElement('canvas');
+                thumb.width = Math.round(this.canvas.width * scale);
+                thumb.height = Math.round(this.canvas.height * scale);
+                thumb.getContext('2d').drawImage(this.canvas, 0, 0, thumb.width, thumb.height);
+                return thumb.toDataURL('image/png');
+            } catch (error) {
+                console.warn('[LayerRenderer] Thumbnail capture failed:', error);
+                return null;
+            } finally {
+                this.core.setViewState(viewState);
+                this.actualRender();
+            }
+        }
+
         destroy() {
             if (this.renderHandle) {
                 cancelAnimationFrame(this.renderHandle);
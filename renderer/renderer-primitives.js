@@ -54,6 +54,18 @@
                     font: pc.debugFont,
                     arcCenterSize: pc.debugArcCenterSize,
                     contourDash: pc.debugContourDash
+                },
+                backplot: {
+                    stroke: pc.backplotStrokeWidth,
+                    rapidDash: pc.backplotRapidDash,
+                    rapidAlpha: pc.backplotRapidAlpha,
+                    swathAlpha: pc.backplotSwathAlpha
+                },
+                finding: {
+                    stroke: pc.findingStrokeWidth,
+                    fillAlpha: pc.findingFillAlpha,
+                    markerRadius: pc.findingMarkerRadius,
+                    highlightStroke: pc.findingHighlightWidth
                 }
             };
 
@@ -75,6 +87,7 @@
                 switch (role) {
                     case 'drill_hole':
                     case 'drill_slot':
+                    case 'drill_route':
                         this.renderSourceDrill(primitive, strokeColor);
                         return;
                     case 'peck_mark':
@@ -297,6 +310,31 @@
                 const markSize = Math.min(maxMarkSize, radius * markRatio);
                 this.renderCenterMarks(slot.start, markSize, color);
                 this.renderCenterMarks(slot.end, markSize, color);
+
+            } else if (primitive.properties.role === 'drill_route') {
+                const radius = primitive.properties.diameter / 2;
+                const points = primitive.contours[0].points;
+
+                // Routed width as a translucent band, centerline on top
+                this.ctx.save();
+                this.ctx.globalAlpha *= 0.3;
+                this.ctx.lineWidth = primitive.properties.diameter;
+                this.ctx.lineCap = 'round';
+                this.ctx.lineJoin = 'round';
+                this.drawPrimitivePath(primitive);
+                this.ctx.stroke();
+                this.ctx.restore();
+
+                this.drawPrimitivePath(primitive);
+                this.ctx.stroke();
+
+                const markRatio = this.cfg.mark.drillRatio;
+                const maxMarkSize = this.cfg.mark.drillSize;
+                const markSize = Math.min(maxMarkSize, radius * markRatio);
+                this.renderCenterMarks(points[0], markSize, color);
+                if (!primitive.properties.closed) {
+                    this.renderCenterMarks(points[points.length - 1], markSize, color);
+                }
             }
         }
 
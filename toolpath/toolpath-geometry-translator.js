@@ -343,8 +343,9 @@
          */
         translateDrillMill(primitive, ctx) {
             const plans = [];
+            // Open route centerlines (Excellon M15/M16) carry closed: false
             const isClosed = primitive.type === 'circle' || primitive.type === 'obround' ||
-                             (primitive.contours?.[0]?.points?.length >= 3);
+                             (primitive.contours?.[0]?.points?.length >= 3 && primitive.properties?.closed !== false);
 
             const drillMillCtx = { ...ctx, isDrillMilling: true };
             const geometryEntity = (primitive.type === 'path' && primitive.contours?.length > 0)
@@ -474,9 +474,24 @@
             const cutting = planContext.cutting;
 
             // Check if current post-processor supports canned cycles
-            const postProcessorName = planContext.gcode.postProcessor;
             const supportsCanned = planContext.gcode.supportsCannedCycles;
 
+            if (supportsCanned && strategy.cannedCycle && strategy.cannedCycle !== 'none') {
+                // The cycle word carries the XY move, so consecutive holes collapse into one modal block.
+                // Start the block at travel Z: G98 brings the tool back to it between holes.
+                if (Math.abs(this.currentPosition.z - machine.travelZ) > 1e-6) {
+                    machinePlan.addRapid(null, null, machine.travelZ);
+                }
+                const retractPlane = Math.min(strategy.retractHeight + (machine.surfaceZ || 0), machine.travelZ);
+                if (strategy.cannedCycle === 'G83' || strategy.cannedCycle === 'G73') {
+                    machinePlan.addCannedPeck(position.x, position.y, finalDepth, retractPlane, strategy.peckDepth, cutting.plungeRate, strategy.cannedCycle, machine.travelZ);
+                } else {
+                    const dwell = strategy.cannedCycle === 'G82' ? strategy.dwellTime : 0;
+                    machinePlan.addCannedSimple(position.x, position.y, finalDepth, retractPlane, cutting.plungeRate, dwell, machine.travelZ);
+                }
+                return machinePlan;
+            }
+
             if (this.currentPosition.z < machine.travelZ) {
                 machinePlan.addRapid(null, null, machine.travelZ);
                 this.currentPosition.z = machine.travelZ;
@@ -490,17 +505,7 @@
             machinePlan.addRapid(null, null, this.FEED_HEIGHT);
 
             // Single plunge
-            if (supportsCanned && strategy.cannedCycle !== 'none') {
-                const retractPlane = strategy.retractHeight + (this.context.machine.surfaceZ || 0);
-                // Dispatch to Canned Cycle Primitive, passing the specific cycle type
-                if (strategy.cannedCycle === 'G83' || strategy.cannedCycle === 'G73') {
-                    machinePlan.addCannedPeck(position.x, position.y, finalDepth, retractPlane, strategy.peckDepth, cutting.plungeRate, strategy.cannedCycle);
-                } else {
-                    machinePlan.addCannedSimple(position.x, position.y, finalDepth, retractPlane, cutting.plungeRate, strategy.dwellTime);
-                }
-                this.currentPosition.z = retractPlane;
-
-            } else if (strategy.cannedCycle === 'none' || strategy.peckDepth === 0 || strategy.peckDepth >= Math.abs(finalDepth)) {
+            if (strategy.cannedCycle === 'none' || strategy.peckDepth === 0 || strategy.peckDepth >= Math.abs(finalDepth)) {
                 // Standard manual single plunge
                 machinePlan.addPlunge(finalDepth, cutting.plungeRate);
                 if (strategy.dwellTime > 0) {
@@ -921,48 +926,6 @@
             return isClimb; // Climb milling an internal pocket translates to CW (true)
         }
 
-        calculatePathMetrics(plans, context) {
-            let totalTime = 0;
-            let totalDistance = 0;
-            const machineContext = context?.machine || { safeZ: 5.0, rapidFeedRate: 1000 }; 
-            let lastPos = { x: 0, y: 0, z: machineContext.safeZ }; 
-            const rapidFeed = machineContext.rapidFeedRate;
-
-            for (const plan of plans) {
-                for (const cmd of plan.commands) {
-                    let nextPos = { ...lastPos };
-                    if (cmd.x !== null) nextPos.x = cmd.x;
-                    if (cmd.y !== null) nextPos.y = cmd.y;
-                    if (cmd.z !== null) nextPos.z = cmd.z;
-
-                    const dx = nextPos.x - lastPos.x;
-                    const dy = nextPos.y - lastPos.y;
-                    const dz = nextPos.z - lastPos.z;
-                    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                    let feed = 100;
-
-                    if (cmd.type === 'RAPID' || cmd.type === 'RETRACT') {
-                        feed = rapidFeed;
-                    } else if (cmd.f) {
-                        feed = cmd.f;
-                    }
-
-                    if (dist > 0) {
-                        totalDistance += dist; 
-                        if (feed > 0) {
-                            totalTime += (dist / feed) * 60; 
-                        }
-                    }
-
-                    if (cmd.type === 'DWELL') {
-                        totalTime += cmd.dwell || 0;
-                    }
-                    lastPos = nextPos;
-                }
-            }
-            return { estimatedTime: totalTime, totalDistance: totalDistance };
-        }
-
         debug(message, data = null) {
             if (!debugState.enabled) return;
             data ? console.log(`[MachineProcessor] ${message}`, data)
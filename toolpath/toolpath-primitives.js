@@ -36,6 +36,7 @@
             if (params.cycleType) this.cycleType = params.cycleType;
             if (params.retract !== undefined) this.retract = params.retract;
             if (params.peckDepth !== undefined) this.peckDepth = params.peckDepth;
+            if (params.returnZ !== undefined) this.returnZ = params.returnZ; // Canned cycles: Z left at after the hole
             if (params.comment) this.comment = params.comment;
         }
     }
@@ -102,12 +103,12 @@
             this.commands.push(new MotionCommand('DWELL', {x: null, y: null, z: null}, {dwell: duration}));
         }
 
-        addCannedSimple(x, y, z, retract, feed, dwell) {
-            this.commands.push(new MotionCommand('CANNED_SIMPLE', {x, y, z}, {retract, feed, dwell}));
+        addCannedSimple(x, y, z, retract, feed, dwell, returnZ) {
+            this.commands.push(new MotionCommand('CANNED_SIMPLE', {x, y, z}, {retract, feed, dwell, returnZ}));
         }
 
-        addCannedPeck(x, y, z, retract, peckDepth, feed, cycleType = 'G83') {
-            this.commands.push(new MotionCommand('CANNED_PECK', {x, y, z}, {retract, peckDepth, feed, cycleType}));
+        addCannedPeck(x, y, z, retract, peckDepth, feed, cycleType = 'G83', returnZ) {
+            this.commands.push(new MotionCommand('CANNED_PECK', {x, y, z}, {retract, peckDepth, feed, cycleType, returnZ}));
         }
 
         /**
@@ -164,6 +164,10 @@
                 this.machineSettings = new MachineSettingsUI(this);
                 this.machineSettings.setup();
             }
+            if (typeof PostProcessorEditorUI !== 'undefined') {
+                this.postProcessorEditor = new PostProcessorEditorUI(this);
+                this.postProcessorEditor.setup();
+            }
         }
 
         // REVIEW - This name is outdated? Rename to something more descriptive?
@@ -254,6 +258,12 @@
                     return '#FF0000';
                 case 'preview':
                     return this.readCSSVar('--color-geometry-preview', '#0060dd');
+                case 'backplot':
+                    return this.readCSSVar('--color-geometry-backplot', '#ff44cc');
+                case 'residual':
+                    return this.readCSSVar('--color-geometry-residual', '#ffd000');
+                case 'clearance':
+                    return this.readCSSVar('--color-geometry-clearance', '#ff3b3b');
                 case 'unassigned':
                     return layer.color || this.readCSSVar('--color-text-secondary', '#a0a0a0');
             }
@@ -272,6 +282,9 @@
                     if (opts.isHatch || opts.strategy === 'filled') return 500;
                     return isDrill ? 650 : 600;
                 case 'preview':    return isDrill ? 850 : 800;
+                case 'backplot':   return 900;
+                case 'residual':
+                case 'clearance':  return 950;
             }
             return null; // signal subclass to handle
         }
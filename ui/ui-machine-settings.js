@@ -44,16 +44,7 @@
             const initialProfile = ROLAND_PROFILES[initialRolandModel] || ROLAND_PROFILES['custom'];
 
             if (postProcessorSelect) {
-                postProcessorSelect.innerHTML = '';
-                const generator = this.ui.ctrl.gcodeGenerator;
-                const options = generator ? generator.getAllProcessorDescriptors() : [{ value: 'grbl', label: 'Grbl (Default)' }];
-                options.forEach(opt => {
-                    const optionEl = document.createElement('option');
-                    optionEl.value = opt.value;
-                    optionEl.textContent = opt.label;
-                    postProcessorSelect.appendChild(optionEl);
-                });
-                postProcessorSelect.value = loadedSettings.gcode.postProcessor;
+                this.refreshProcessorOptions();
 
                 postProcessorSelect.addEventListener('change', (e) => {
                     const newProcessor = e.target.value;
@@ -62,7 +53,8 @@
                     this.ui.core.updateSettings('gcode', {
                         postProcessor: newProcessor,
                         userStartCode: undefined,
-                        userEndCode: undefined
+                        userEndCode: undefined,
+                        lineNumbers: undefined
                     });
 
                     const generator = this.ui.ctrl.gcodeGenerator;
@@ -70,6 +62,7 @@
                         startCodeTA.value = generator.resolveStartCode(newProcessor, undefined);
                         endCodeTA.value = generator.resolveEndCode(newProcessor, undefined);
                     }
+                    this.updateLineNumberFields(newProcessor);
 
                     this.updateProcessorFieldVisibility(newProcessor);
 
@@ -94,6 +87,10 @@
                 });
             }
 
+            document.getElementById('edit-post-processors-btn')?.addEventListener('click', () => {
+                this.ui.ctrl.modalManager?.showModal('postProcessorEditor');
+            });
+
             // --- Start/End Code ---
             if (startCodeTA) {
                 const processor = loadedSettings.gcode.postProcessor;
@@ -126,6 +123,29 @@
                 });
             }
 
+            // --- Line numbering (N words / Marlin checksums) ---
+            const updateLineNumbers = (patch) => {
+                const gcode = this.ui.core.settings.gcode;
+                const current = this.resolveLineNumberSettings(gcode.postProcessor);
+                this.ui.core.updateSettings('gcode', { lineNumbers: { ...current, ...patch } });
+                this.updateLineNumberFields(gcode.postProcessor);
+            };
+
+            [['line-numbers-toggle', 'enabled'], ['line-numbers-skip-comments', 'skipComments'], ['line-numbers-checksum', 'checksum']].forEach(([id, key]) => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                input.addEventListener('change', (e) => updateLineNumbers({ [key]: e.target.checked }));
+            });
+
+            [['line-numbers-start', 'start', 0], ['line-numbers-increment', 'increment', 1]].forEach(([id, key, min]) => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                input.addEventListener('change', (e) => {
+                    const value = parseInt(e.target.value, 10);
+                    if (Number.isFinite(value) && value >= min) updateLineNumbers({ [key]: value });
+                });
+            });
+
             // --- Roland-specific fields ---
             const rolandModelSelect = document.getElementById('roland-machine-model');
             const rolandStepsInput = document.getElementById('roland-steps-per-mm');
@@ -457,12 +477,93 @@
                 });
             }
 
+            // --- Manual tool change (processors without M6) ---
+            const toolChangeSettings = () => this.ui.core.settings.machine.toolChange || {};
+            const updateToolChange = (patch) => {
+                this.ui.core.updateSettings('machine', { toolChange: { ...toolChangeSettings(), ...patch } });
+            };
+
+            [['tool-change-x', 'x'], ['tool-change-y', 'y'], ['tool-change-z', 'z'], ['tool-change-plate', 'plateThickness']].forEach(([id, key]) => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                input.value = toolChangeSettings()[key] ?? 0;
+                input.addEventListener('change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (Number.isFinite(value)) updateToolChange({ [key]: value });
+                });
+            });
+
+            const machineCoordsToggle = document.getElementById('tool-change-machine-coords');
+            if (machineCoordsToggle) {
+                machineCoordsToggle.checked = toolChangeSettings().machineCoords === true;
+                machineCoordsToggle.addEventListener('change', (e) => {
+                    updateToolChange({ machineCoords: e.target.checked });
+                });
+            }
+
+            const probeToggle = document.getElementById('tool-change-probe');
+            const plateField = document.getElementById('tool-change-plate-field');
+            if (probeToggle) {
+                probeToggle.checked = toolChangeSettings().probe === true;
+                if (plateField) plateField.style.display = probeToggle.checked ? '' : 'none';
+                probeToggle.addEventListener('change', (e) => {
+                    updateToolChange({ probe: e.target.checked });
+                    if (plateField) plateField.style.display = e.target.checked ? '' : 'none';
+                });
+            }
+
             // Apply initial visibility
             this.updateProcessorFieldVisibility(loadedSettings.gcode.postProcessor);
             this.updatePipelineFieldVisibility();
             if (initialProfile) this.updateRolandProfileFields(initialProfile);
         }
 
+        /**
+         * Rebuilds the post-processor dropdown from the registry (built-in plus custom templates).
+         */
+        refreshProcessorOptions() {
+            const postProcessorSelect = document.getElementById('post-processor');
+            if (!postProcessorSelect) return;
+
+            postProcessorSelect.innerHTML = '';
+            const generator = this.ui.ctrl.gcodeGenerator;
+            const options = generator ? generator.getAllProcessorDescriptors() : [{ value: 'grbl', label: 'Grbl (Default)' }];
+            options.forEach(opt => {
+                const optionEl = document.createElement('option');
+                optionEl.value = opt.value;
+                optionEl.textContent = opt.label;
+                postProcessorSelect.appendChild(optionEl);
+            });
+            postProcessorSelect.value = this.ui.core.settings.gcode.postProcessor;
+        }
+
+        /**
+         * Re-reads the active processor's defaults after its definition changed (custom template saved or deleted).
+         */
+        reloadActiveProcessor() {
+            const postProcessorSelect = document.getElementById('post-processor');
+            const generator = this.ui.ctrl.gcodeGenerator;
+            const current = this.ui.core.settings.gcode.postProcessor;
+
+            this.refreshProcessorOptions();
+
+            if (!generator?.getProcessor(current)) {
+                // The selected processor is gone - fall back to the default through the normal change path
+                if (postProcessorSelect) {
+                    postProcessorSelect.value = 'grbl';
+                    postProcessorSelect.dispatchEvent(new Event('change'));
+                }
+                return;
+            }
+
+            const startCodeTA = document.getElementById('start-code-ta');
+            const endCodeTA = document.getElementById('end-code-ta');
+            const gcode = this.ui.core.settings.gcode;
+            if (startCodeTA) startCodeTA.value = generator.resolveStartCode(current, gcode.userStartCode);
+            if (endCodeTA) endCodeTA.value = generator.resolveEndCode(current, gcode.userEndCode);
+            this.updateProcessorFieldVisibility(current);
+        }
+
         // ═══════════════════════════════════════════════════════════════
         // Processor / Pipeline / Roland Visibility
         // ═══════════════════════════════════════════════════════════════
@@ -478,6 +579,57 @@
             machineControls.querySelectorAll('[data-processor-group="roland"]').forEach(el => {
                 el.style.display = isRoland ? '' : 'none';
             });
+
+            // Processors without M6 get the manual park/pause/probe sequence
+            const descriptor = this.ui.ctrl?.gcodeGenerator?.getProcessorInfo(processorName);
+            const needsManualChange = descriptor ? !descriptor.capabilities?.supportsToolChange : false;
+            machineControls.querySelectorAll('[data-processor-group="manual-tool-change"]').forEach(el => {
+                el.style.display = needsManualChange ? '' : 'none';
+            });
+
+            this.updateLineNumberFields(processorName);
+        }
+
+        resolveLineNumberSettings(processorName) {
+            const generator = this.ui.ctrl?.gcodeGenerator;
+            const override = this.ui.core.settings.gcode.lineNumbers;
+            return generator ? generator.resolveLineNumbers(processorName, override) : { enabled: false, ...override };
+        }
+
+        /**
+         * Syncs the line numbering inputs with the resolved settings and hides what the processor can't emit.
+         */
+        updateLineNumberFields(processorName) {
+            const machineControls = document.getElementById('machine-controls');
+            if (!machineControls) return;
+
+            const descriptor = this.ui.ctrl?.gcodeGenerator?.getProcessorInfo(processorName);
+            const supported = descriptor?.capabilities?.supportsLineNumbers === true;
+            const supportsChecksums = supported && descriptor.capabilities.supportsChecksums === true;
+            const lineNumbers = this.resolveLineNumberSettings(processorName);
+            const checksum = supportsChecksums && lineNumbers.checksum === true;
+
+            const setValue = (id, prop, value) => {
+                const el = document.getElementById(id);
+                if (el) el[prop] = value;
+            };
+            setValue('line-numbers-toggle', 'checked', lineNumbers.enabled === true);
+            setValue('line-numbers-start', 'value', lineNumbers.start ?? 10);
+            setValue('line-numbers-increment', 'value', lineNumbers.increment ?? 10);
+            setValue('line-numbers-skip-comments', 'checked', lineNumbers.skipComments !== false);
+            setValue('line-numbers-checksum', 'checked', checksum);
+            ['line-numbers-start', 'line-numbers-increment', 'line-numbers-skip-comments'].forEach(id => {
+                setValue(id, 'disabled', checksum);
+            });
+
+            machineControls.querySelectorAll('[data-processor-group="line-numbers"]').forEach(el => {
+                el.style.display = supported ? '' : 'none';
+            });
+            machineControls.querySelectorAll('[data-line-numbers-option]').forEach(el => {
+                const visible = supported && lineNumbers.enabled === true &&
+                    (supportsChecksums || !el.hasAttribute('data-line-numbers-checksum'));
+                el.style.display = visible ? '' : 'none';
+            });
         }
 
         updatePipelineFieldVisibility() {
@@ -501,6 +653,9 @@
             machineControls.querySelectorAll('[data-pipeline-group="laser"]').forEach(el => {
                 el.style.display = isLaser ? '' : 'none';
             });
+
+            // Re-apply processor groups the CNC reveal above may have un-hidden
+            if (isCNC) this.updateProcessorFieldVisibility(this.ui.core.settings.gcode.postProcessor);
         }
 
         updateRolandProfileFields(profile) {
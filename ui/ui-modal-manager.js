@@ -17,6 +17,9 @@
     const textConfig = C.ui.text;
     const storageKeys = C.storageKeys;
 
+    // File extension of the main laser output per export format
+    const LASER_EXTENSIONS = { svg: '.svg', png: '.png', lbrn2: '.lbrn2', ezcad: '.dxf' };
+
     class ModalManager {
         constructor(ctrl) {
             this.ctrl = ctrl;
@@ -33,6 +36,7 @@
                 exportManager: document.getElementById('exporter-manager-modal'),
                 support: document.getElementById('support-modal'),
                 help: document.getElementById('help-modal'),
+                postProcessorEditor: document.getElementById('post-processor-editor-modal'),
                 warning: document.getElementById('warning-modal')
             };
 
@@ -158,19 +162,56 @@
             const planCount = document.getElementById('exporter-op-count');
             if (planCount) planCount.textContent = result.planCount;
 
+            const timing = result.timing;
+
             const estTime = document.getElementById('exporter-est-time');
             if (estTime) {
-                const minutes = Math.floor(result.estimatedTime / 60);
-                const seconds = Math.floor(result.estimatedTime % 60);
-                estTime.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+                estTime.textContent = this.formatDuration(result.estimatedTime);
+                estTime.title = timing ? this.describeOperationTimes(timing) : '';
             }
 
             const distance = document.getElementById('exporter-distance');
             if (distance) distance.textContent = `${result.totalDistance.toFixed(1)}mm`;
 
+            const split = document.getElementById('exporter-time-split');
+            if (split) {
+                split.textContent = timing
+                    ? `${this.formatDuration(timing.rapidTime)} / ${this.formatDuration(timing.cutTime)}`
+                    : '--:-- / --:--';
+            }
+
+            const longest = document.getElementById('exporter-longest-cut');
+            if (longest) {
+                const cut = timing?.longestCut;
+                longest.textContent = cut?.length > 0
+                    ? `${cut.length.toFixed(1)}mm (${this.formatDuration(cut.time)})`
+                    : '--';
+            }
+
             this.updateCopyButtonScrollbar();
         }
 
+        formatDuration(totalSeconds) {
+            const s = Math.round(totalSeconds || 0);
+            const hours = Math.floor(s / 3600);
+            const minutes = Math.floor((s % 3600) / 60);
+            const seconds = (s % 60).toString().padStart(2, '0');
+            return hours > 0
+                ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}`
+                : `${minutes}:${seconds}`;
+        }
+
+        /**
+         * Per-operation runtime breakdown, shown as the Est. Time tooltip.
+         */
+        describeOperationTimes(timing) {
+            return Object.entries(timing.operations).map(([opId, t]) => {
+                const op = this.selectedOperations.find(o => o.id === opId);
+                const name = op ? `${op.type}: ${op.file.name}` : opId;
+                return `${name} - ${this.formatDuration(t.time)} (rapid ${this.formatDuration(t.rapidTime)}, cut ${this.formatDuration(t.cutTime)})`;
+            }).join('\n');
+        }
+
         updateSplitDrillVisibility() {
             const checkbox = document.getElementById('exporter-split-drills');
             const hint = document.getElementById('exporter-split-drills-hint');
@@ -220,11 +261,20 @@
             if (opCount) opCount.textContent = '0';
 
             const estTime = document.getElementById('exporter-est-time');
-            if (estTime) estTime.textContent = '--:--';
+            if (estTime) {
+                estTime.textContent = '--:--';
+                estTime.title = '';
+            }
 
             const distance = document.getElementById('exporter-distance');
             if (distance) distance.textContent = '0mm';
 
+            const split = document.getElementById('exporter-time-split');
+            if (split) split.textContent = '--:-- / --:--';
+
+            const longest = document.getElementById('exporter-longest-cut');
+            if (longest) longest.textContent = '--';
+
             this.updateCopyButtonScrollbar();
         }
 
@@ -240,6 +290,8 @@
             if(opCountEl) opCountEl.textContent = this.selectedOperations.length;
             document.getElementById('exporter-est-time').textContent = '--:--';
             document.getElementById('exporter-distance').textContent = '0mm';
+            document.getElementById('exporter-time-split').textContent = '--:-- / --:--';
+            document.getElementById('exporter-longest-cut').textContent = '--';
 
             this.updateCopyButtonScrollbar();
         }
@@ -580,6 +632,10 @@
             }
         }
 
+        showPostProcessorEditorHandler(options) {
+            this.ui.postProcessorEditor?.open(options);
+        }
+
         showWelcomeHandler(options) {
             const modal = this.modals.welcome;
 
@@ -956,6 +1012,18 @@
             this.updateSplitDrillVisibility();
             this.setupExportHandlers();
 
+            const dxfSettings = this.ctrl.core.settings.export.dxf;
+            const dxfToggle = document.getElementById('exporter-dxf');
+            const dxfToolpathsToggle = document.getElementById('exporter-dxf-toolpaths');
+            if (dxfToggle) dxfToggle.checked = dxfSettings.enabled;
+            if (dxfToolpathsToggle) {
+                dxfToolpathsToggle.checked = dxfSettings.includeToolpaths;
+                dxfToolpathsToggle.disabled = !dxfSettings.enabled || !this.jobHasCNC;
+            }
+
+            const setupSheetToggle = document.getElementById('exporter-setup-sheet');
+            if (setupSheetToggle) setupSheetToggle.checked = this.ctrl.core.settings.export.setupSheet === true;
+
             // Laser specific init (only if laser ops present)
             if (this.jobHasLaser) {
                 const laserSettings = this.ctrl.core.settings.laser;
@@ -981,6 +1049,18 @@
                     const laserSettings = this.ctrl.core.settings.laser;
                     stencilPaddingInput.value = laserSettings.exportPadding ?? D.laser.exportPadding;
                 }
+
+                const exportSettings = this.ctrl.core.settings.export;
+                const hpglSettings = exportSettings.hpgl;
+                const setValue = (id, prop, value) => {
+                    const el = document.getElementById(id);
+                    if (el) el[prop] = value;
+                };
+                setValue('stencil-exporter-format', 'value', exportSettings.stencilFormat);
+                setValue('stencil-exporter-knife-offset', 'value', hpglSettings.knifeOffset);
+                setValue('stencil-exporter-overcut', 'value', hpglSettings.overcut);
+                setValue('stencil-exporter-include-outline', 'checked', hpglSettings.includeOutline);
+                this.updateStencilFormatFields();
             }
 
             // Update filename input with the correct extension for immediate visual feedback
@@ -989,9 +1069,9 @@
                 let ext = '.nc';
 
                 if (this.jobHasLaser && !this.jobHasCNC) {
-                    ext = this.ctrl.core.settings.laser.exportFormat === 'png' ? '.png' : '.svg';
+                    ext = LASER_EXTENSIONS[this.ctrl.core.settings.laser.exportFormat] || '.svg';
                 } else if (this.jobHasStencil && !this.jobHasCNC && !this.jobHasLaser) {
-                    ext = '.svg';
+                    ext = this.ctrl.core.settings.export.stencilFormat === 'hpgl' ? '.plt' : '.svg';
                 } else if (this.jobHasCNC) {
                     const postProcessor = this.ctrl.core.settings.gcode.postProcessor;
                     const processorInfo = this.ctrl.gcodeGenerator.getProcessorInfo(postProcessor);
@@ -1020,7 +1100,8 @@
                 // Three-way route badge with format indicator
                 let routeBadge;
                 if (op.type === 'stencil') {
-                    routeBadge = '<span class="exporter-route-badge exporter-route-badge--stencil">SVG</span>';
+                    const stencilFormat = this.ctrl.core.settings.export.stencilFormat === 'hpgl' ? 'PLT' : 'SVG';
+                    routeBadge = `<span class="exporter-route-badge exporter-route-badge--stencil">${stencilFormat}</span>`;
                 } else if (this.ctrl.isLaserExportForOperation(op.type)) {
                     const laserFormat = (this.ctrl.core.settings.laser.exportFormat).toUpperCase();
                     routeBadge = `<span class="exporter-route-badge exporter-route-badge--laser">${laserFormat}</span>`;
@@ -1101,6 +1182,29 @@
             }
         }
 
+        /**
+         * Shows the HPGL cutter fields only when the stencil export format is HPGL,
+         * and keeps the stencil route badge and the stencil-only filename extension in step.
+         */
+        updateStencilFormatFields() {
+            const format = document.getElementById('stencil-exporter-format')?.value || 'svg';
+            const isHPGL = format === 'hpgl';
+
+            document.querySelectorAll('[data-stencil-format="hpgl"]').forEach(el => {
+                el.classList.toggle('is-hidden', !isHPGL);
+            });
+
+            document.querySelectorAll('.exporter-route-badge--stencil').forEach(badge => {
+                badge.textContent = isHPGL ? 'PLT' : 'SVG';
+            });
+
+            const filenameInput = document.getElementById('exporter-filename');
+            if (filenameInput && this.jobHasStencil && !this.jobHasCNC && !this.jobHasLaser) {
+                const baseName = filenameInput.value.replace(/\.[^/.]+$/, '');
+                filenameInput.value = `${baseName}${isHPGL ? '.plt' : '.svg'}`;
+            }
+        }
+
         setupExportHandlers() {
             const cancelBtn = document.getElementById('exporter-cancel-btn');
             const executeBtn = document.getElementById('exporter-execute-btn');
@@ -1131,6 +1235,19 @@
                 };
             }
 
+            const stencilFormatSelect = document.getElementById('stencil-exporter-format');
+            if (stencilFormatSelect) {
+                stencilFormatSelect.onchange = () => this.updateStencilFormatFields();
+            }
+
+            const dxfToggle = document.getElementById('exporter-dxf');
+            if (dxfToggle) {
+                dxfToggle.onchange = (e) => {
+                    const dxfToolpathsToggle = document.getElementById('exporter-dxf-toolpaths');
+                    if (dxfToolpathsToggle) dxfToolpathsToggle.disabled = !e.target.checked || !this.jobHasCNC;
+                };
+            }
+
             // Preview selector: switch displayed G-code when user picks a different operation
             const previewSelect = document.getElementById('exporter-preview-select');
             if (previewSelect) {
@@ -1213,6 +1330,44 @@
                     this.ctrl.core?.updateSettings('laser', { exportPadding: parseFloat(laserPaddingInput.value) });
                 }
 
+                const stencilFormatSelect = document.getElementById('stencil-exporter-format');
+                const knifeOffsetInput = document.getElementById('stencil-exporter-knife-offset');
+                const overcutInput = document.getElementById('stencil-exporter-overcut');
+                const includeOutlineInput = document.getElementById('stencil-exporter-include-outline');
+                const exportSettings = this.ctrl.core?.settings.export;
+
+                if (this.jobHasStencil && stencilFormatSelect && exportSettings) {
+                    const knifeOffset = parseFloat(knifeOffsetInput?.value);
+                    const overcut = parseFloat(overcutInput?.value);
+                    this.ctrl.core.updateSettings('export', {
+                        stencilFormat: stencilFormatSelect.value,
+                        hpgl: {
+                            ...exportSettings.hpgl,
+                            knifeOffset: isNaN(knifeOffset) ? exportSettings.hpgl.knifeOffset : knifeOffset,
+                            overcut: isNaN(overcut) ? exportSettings.hpgl.overcut : overcut,
+                            includeOutline: includeOutlineInput?.checked === true
+                        }
+                    });
+                }
+
+                const dxfToggle = document.getElementById('exporter-dxf');
+                const dxfToolpathsToggle = document.getElementById('exporter-dxf-toolpaths');
+                if (dxfToggle) {
+                    this.ctrl.core?.updateSettings('export', {
+                        dxf: {
+                            ...this.ctrl.core.settings.export.dxf,
+                            enabled: dxfToggle.checked,
+                            includeToolpaths: dxfToolpathsToggle?.checked === true
+                        }
+                    });
+                }
+
+                const setupSheetToggle = document.getElementById('exporter-setup-sheet');
+                const setupSheet = this.jobHasCNC && setupSheetToggle?.checked === true;
+                if (this.jobHasCNC && setupSheetToggle) {
+                    this.ctrl.core?.updateSettings('export', { setupSheet: setupSheetToggle.checked });
+                }
+
                 const result = await this.ctrl.executeExports({
                     operationIds: activeOpIds,
                     singleFile: document.getElementById('exporter-single-file')?.checked === true,
@@ -1223,6 +1378,14 @@
                     toolChanges: document.getElementById('exporter-tool-changes')?.checked,
                     laserPadding: laserPaddingInput ? parseFloat(laserPaddingInput.value) : undefined,
                     stencilPadding: stencilPaddingInput ? parseFloat(stencilPaddingInput.value) : undefined,
+                    stencilFormat: this.ctrl.core?.settings.export.stencilFormat,
+                    hpglKnifeOffset: this.ctrl.core?.settings.export.hpgl.knifeOffset,
+                    hpglOvercut: this.ctrl.core?.settings.export.hpgl.overcut,
+                    hpglIncludeOutline: this.ctrl.core?.settings.export.hpgl.includeOutline,
+                    dxf: dxfToggle?.checked === true,
+                    dxfToolpaths: dxfToolpathsToggle?.checked === true && !dxfToolpathsToggle.disabled,
+                    setupSheet,
+                    thumbnail: setupSheet ? this.ui.renderer?.captureThumbnail?.() : null,
                     gcodeResults: this.gcodeResults.size > 0 ? Object.fromEntries(this.gcodeResults) : null
                 });
 
@@ -1295,9 +1458,15 @@
             attachTo('exporter-single-file', 'tooltips.modals.exporter.singleFile');
             attachTo('exporter-split-drills', 'tooltips.modals.exporter.splitDrills');
             attachTo('exporter-filename', 'tooltips.modals.exporter.filename');
+            attachTo('exporter-dxf', 'tooltips.modals.exporter.dxf');
+            attachTo('exporter-setup-sheet', 'tooltips.modals.exporter.setupSheet');
             attachTo('laser-exporter-padding', 'tooltips.machineSettings.laserExportPadding');
             attachTo('laser-exporter-dpi', 'tooltips.machineSettings.laserExportDPI');
             attachTo('stencil-exporter-padding', 'tooltips.machineSettings.stencilExportPadding');
+            attachTo('stencil-exporter-format', 'tooltips.machineSettings.stencilExportFormat');
+            attachTo('stencil-exporter-knife-offset', 'tooltips.machineSettings.hpglKnifeOffset');
+            attachTo('stencil-exporter-overcut', 'tooltips.machineSettings.hpglOvercut');
+            attachTo('stencil-exporter-include-outline', 'tooltips.machineSettings.hpglIncludeOutline');
 
             // Attach to calculate button
             const calcBtn = document.getElementById('exporter-calculate-btn');
@@ -1741,6 +1910,45 @@
             this.showModal('warning');
         }
 
+        /**
+         * Confirmation dialog for a batch of dropped fabrication files.
+         * Each row shows the detected role and lets the user reassign or skip the file.
+         * @param {Array<{file: File, operationType: string|null, format: string|null, confidence: string, reason: string}>} proposals
+         * @param {Function} onConfirm - Receives the confirmed proposals (operationType null = skipped).
+         */
+        showLayerAssignment(proposals, onConfirm) {
+            const escape = (str) => String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+            const opTypes = Object.keys(this.ctrl.core.fileTypes);
+            const label = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+            const rows = proposals.map((p, i) => {
+                const options = [`<option value="">Skip</option>`]
+                    .concat(opTypes.map(type => `<option value="${type}"${type === p.operationType ? ' selected' : ''}>${label(type)}</option>`))
+                    .join('');
+                const side = p.side ? ` · ${p.side}` : '';
+                return `<div class="layer-assign-row"><span class="layer-assign-name" title="${escape(p.file.name)}">${escape(p.file.name)}</span><span class="layer-assign-reason layer-assign-reason--${p.confidence}">${escape(p.reason)}${side}</span><select id="layer-assign-${i}" aria-label="Operation for ${escape(p.file.name)}">${options}</select></div>`;
+            }).join('');
+
+            const detected = proposals.filter(p => p.operationType).length;
+            const bodyHTML = `<p>Detected a role for <strong>${detected}</strong> of <strong>${proposals.length}</strong> file(s). Review the assignments before loading.</p><div class="layer-assign-list">${rows}</div>`;
+
+            this.showWarning('Assign Fabrication Files', null, {
+                bodyHTML,
+                confirmText: 'Load files',
+                cancelText: 'Cancel',
+                onConfirm: () => {
+                    const assignments = proposals.map((p, i) => {
+                        const select = document.getElementById(`layer-assign-${i}`);
+                        return { ...p, operationType: select ? (select.value || null) : p.operationType };
+                    });
+                    onConfirm(assignments);
+                },
+                onCancel: () => {
+                    this.ui.setStatus?.('File import cancelled', 'info');
+                }
+            });
+        }
+
         debug(message, data = null) {
             if (this.ui.debug) {
                 this.ui.debug(`[UI-ModalManager] ${message}`, data);
@@ -0,0 +1,305 @@
+/*!
+ * @file        ui/ui-post-processor-editor.js
+ * @description Modal editor for user-defined template post-processors —
+ *              create, edit, delete, import and export.
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    // Form fields that map 1:1 onto template text values
+    const TEXT_FIELDS = [
+        ['pp-label', 'label'],
+        ['pp-extension', 'fileExtension'],
+        ['pp-comment-style', 'commentStyle'],
+        ['pp-arc-format', 'arcFormat'],
+        ['pp-start-code', 'startCode'],
+        ['pp-end-code', 'endCode']
+    ];
+
+    const TEMPLATE_FIELDS = [
+        ['pp-template-header', 'header'],
+        ['pp-template-footer', 'footer'],
+        ['pp-template-tool-change', 'toolChange'],
+        ['pp-template-spindle-on', 'spindleOn'],
+        ['pp-template-spindle-off', 'spindleOff']
+    ];
+
+    class PostProcessorEditorUI {
+        constructor(ui) {
+            this.ui = ui;
+            this.modal = document.getElementById('post-processor-editor-modal');
+            // Template shown in the form; its id is kept so renaming the label doesn't fork a copy
+            this.current = null;
+            this.isNew = true;
+        }
+
+        get generator() {
+            return this.ui.ctrl.gcodeGenerator;
+        }
+
+        setup() {
+            if (!this.modal) return;
+
+            const bind = (id, handler) => document.getElementById(id)?.addEventListener('click', handler);
+            bind('pp-editor-new', () => this.loadNewTemplate());
+            bind('pp-editor-import', () => document.getElementById('pp-editor-file')?.click());
+            bind('pp-editor-export', () => this.exportTemplate());
+            bind('pp-editor-delete', () => this.confirmDelete());
+            bind('pp-editor-save', () => this.save());
+            bind('pp-editor-cancel', () => this.ui.ctrl.modalManager?.closeModal());
+
+            const closeBtn = this.modal.querySelector('.modal-close');
+            if (closeBtn) closeBtn.onclick = () => this.ui.ctrl.modalManager?.closeModal();
+
+            document.getElementById('pp-editor-select')?.addEventListener('change', (e) => {
+                const template = this.findTemplate(e.target.value);
+                if (template) this.loadTemplate(template, false);
+            });
+
+            const fileInput = document.getElementById('pp-editor-file');
+            fileInput?.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) await this.importTemplate(file);
+            });
+        }
+
+        /**
+         * Called by the modal manager when the editor opens. Starts on the active
+         * processor if it is a custom one, otherwise on the first saved template.
+         */
+        open() {
+            const activeKey = this.ui.core.settings.gcode.postProcessor;
+            const active = this.generator.getProcessor(activeKey);
+            const templates = this.generator.getUserProcessorTemplates();
+
+            const initial = active?.descriptor?.isUserDefined
+                ? active.template
+                : templates[0];
+
+            if (initial) {
+                this.loadTemplate(initial, false);
+            } else {
+                this.loadNewTemplate();
+            }
+        }
+
+        /**
+         * Starter template; its id is derived from the name on save.
+         */
+        loadNewTemplate() {
+            const template = TemplatePostProcessor.createDefaultTemplate();
+            this.loadTemplate(template, true);
+            delete this.current.id;
+        }
+
+        findTemplate(id) {
+            return this.generator.getUserProcessorTemplates().find(t => t?.id === id) || null;
+        }
+
+        populateSelect(selectedId, isNew) {
+            const select = document.getElementById('pp-editor-select');
+            if (!select) return;
+
+            select.innerHTML = '';
+            if (isNew) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'Unsaved post-processor';
+                select.appendChild(option);
+            }
+            for (const template of this.generator.getUserProcessorTemplates()) {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.label;
+                select.appendChild(option);
+            }
+            select.value = isNew ? '' : selectedId;
+
+            const deleteBtn = document.getElementById('pp-editor-delete');
+            if (deleteBtn) deleteBtn.disabled = isNew;
+        }
+
+        loadTemplate(template, isNew) {
+            let doc;
+            try {
+                doc = TemplatePostProcessor.normalize(template);
+            } catch (error) {
+                this.ui.setStatus(error.message, 'error');
+                return;
+            }
+
+            this.current = doc;
+            this.isNew = isNew;
+            this.writeForm(doc);
+            this.populateSelect(doc.id, isNew);
+        }
+
+        // ═══════════════════════════════════════════════════════════════
+        // Form <-> Template
+        // ═══════════════════════════════════════════════════════════════
+
+        writeForm(doc) {
+            const set = (id, prop, value) => {
+                const el = document.getElementById(id);
+                if (el) el[prop] = value;
+            };
+
+            TEXT_FIELDS.forEach(([id, key]) => set(id, 'value', doc[key]));
+            TEMPLATE_FIELDS.forEach(([id, key]) => set(id, 'value', doc.templates[key]));
+
+            set('pp-decimals-coordinate', 'value', doc.decimals.coordinate);
+            set('pp-decimals-feed', 'value', doc.decimals.feed);
+            set('pp-decimals-spindle', 'value', doc.decimals.spindle);
+            set('pp-max-spindle', 'value', doc.limits.maxSpindleSpeed);
+            set('pp-max-rapid', 'value', doc.limits.maxRapidRate);
+
+            set('pp-trailing-zeros', 'checked', doc.numberFormat.trailingZeros);
+            set('pp-leading-zero', 'checked', doc.numberFormat.leadingZero);
+            set('pp-decimal-point', 'checked', doc.numberFormat.decimalPoint);
+            set('pp-modal', 'checked', doc.modalCommands);
+            set('pp-canned', 'checked', doc.cannedCycles);
+            set('pp-checksums', 'checked', doc.checksums);
+        }
+
+        /**
+         * Builds a template document from the form. Fields the form doesn't show
+         * (line number defaults, future additions) carry over from the loaded template.
+         */
+        readForm() {
+            const value = (id) => document.getElementById(id)?.value ?? '';
+            const checked = (id) => document.getElementById(id)?.checked === true;
+
+            const base = this.current || TemplatePostProcessor.createDefaultTemplate();
+            const doc = {
+                ...base,
+                templates: { ...base.templates },
+                decimals: {
+                    coordinate: parseInt(value('pp-decimals-coordinate'), 10),
+                    feed: parseInt(value('pp-decimals-feed'), 10),
+                    spindle: parseInt(value('pp-decimals-spindle'), 10)
+                },
+                numberFormat: {
+                    trailingZeros: checked('pp-trailing-zeros'),
+                    leadingZero: checked('pp-leading-zero'),
+                    decimalPoint: checked('pp-decimal-point')
+                },
+                limits: {
+                    maxSpindleSpeed: parseFloat(value('pp-max-spindle')),
+                    maxRapidRate: parseFloat(value('pp-max-rapid'))
+                },
+                modalCommands: checked('pp-modal'),
+                cannedCycles: checked('pp-canned'),
+                checksums: checked('pp-checksums')
+            };
+
+            TEXT_FIELDS.forEach(([id, key]) => { doc[key] = value(id); });
+            TEMPLATE_FIELDS.forEach(([id, key]) => { doc.templates[key] = value(id); });
+            return doc;
+        }
+
+        // ═══════════════════════════════════════════════════════════════
+        // Actions
+        // ═══════════════════════════════════════════════════════════════
+
+        save() {
+            const doc = this.readForm();
+
+            // A new template must not silently overwrite a saved one with the same name
+            if (this.isNew) {
+                try {
+                    const id = TemplatePostProcessor.normalize(doc).id;
+                    if (this.findTemplate(id)) {
+                        this.ui.setStatus(`A custom post-processor named '${doc.label}' already exists`, 'error');
+                        return;
+                    }
+                } catch (error) {
+                    this.ui.setStatus(error.message, 'error');
+                    return;
+                }
+            }
+
+            let key;
+            try {
+                key = this.generator.saveUserProcessor(doc);
+            } catch (error) {
+                this.ui.setStatus(error.message, 'error');
+                return;
+            }
+
+            const processor = this.generator.getProcessor(key);
+            this.loadTemplate(processor.template, false);
+            this.ui.machineSettings?.reloadActiveProcessor();
+            this.ui.setStatus(`Saved post-processor '${processor.template.label}'`, 'success');
+        }
+
+        confirmDelete() {
+            if (this.isNew || !this.current) return;
+            const { id, label } = this.current;
+
+            this.ui.ctrl.modalManager.showWarning(
+                'Delete Post-Processor',
+                `Delete '${label}'? Exported files are not affected. Export it first if you may need it again.`,
+                {
+                    confirmText: 'Delete',
+                    onConfirm: () => this.deleteTemplate(id),
+                    onCancel: () => {}
+                }
+            );
+        }
+
+        deleteTemplate(id) {
+            const key = TemplatePostProcessor.registryKey(id);
+            if (!this.generator.removeUserProcessor(key)) return;
+
+            const label = this.current?.label || id;
+            this.ui.machineSettings?.reloadActiveProcessor();
+
+            const next = this.generator.getUserProcessorTemplates()[0];
+            if (next) {
+                this.loadTemplate(next, false);
+            } else {
+                this.loadNewTemplate();
+            }
+            this.ui.setStatus(`Deleted post-processor '${label}'`, 'info');
+        }
+
+        /**
+         * Loads a template file into the form. It is only stored once the user saves it.
+         */
+        async importTemplate(file) {
+            try {
+                const doc = TemplatePostProcessor.normalize(await file.text());
+                const existing = this.findTemplate(doc.id);
+                this.loadTemplate(doc, !existing);
+                this.ui.setStatus(existing
+                    ? `Loaded '${doc.label}' from ${file.name} - Save to replace the stored version`
+                    : `Loaded '${doc.label}' from ${file.name} - review and Save to add it`, 'info');
+            } catch (error) {
+                this.ui.setStatus(`Import failed: ${error.message}`, 'error');
+            }
+        }
+
+        exportTemplate() {
+            let doc;
+            try {
+                doc = TemplatePostProcessor.normalize(this.readForm());
+            } catch (error) {
+                this.ui.setStatus(error.message, 'error');
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(doc, null, 2) + '\n'], { type: 'application/json' });
+            this.ui.core.triggerDownload(blob, `${doc.id}.post.json`);
+        }
+    }
+
+    window.PostProcessorEditorUI = PostProcessorEditorUI;
+})();
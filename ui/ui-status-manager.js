@@ -34,6 +34,7 @@
             this.statusBar = document.getElementById('status-bar'); // The clickable center part
             this.logPanel = document.getElementById('status-log-panel');
             this.logHistoryContainer = document.getElementById('status-log-history');
+            this.findingsContainer = document.getElementById('status-findings'); // Optional, EasyTrace only
 
             this.init();
         }
@@ -208,6 +209,55 @@
             }
         }
 
+        /**
+         * Shows a clickable list above the log, e.g. uncut copper regions to
+         * jump to. Opens the panel. Empty items hide the list again.
+         * @param {string} title
+         * @param {Array<{label: string}>} items
+         * @param {Function} onSelect - Called with (item, index)
+         */
+        showFindings(title, items, onSelect) {
+            if (!this.findingsContainer) return;
+            this.findingsContainer.innerHTML = '';
+
+            if (!items || items.length === 0) {
+                this.findingsContainer.classList.add('hidden');
+                return;
+            }
+
+            const heading = document.createElement('div');
+            heading.className = 'status-findings-title';
+            heading.textContent = title;
+
+            const list = document.createElement('ol');
+            list.className = 'status-findings-list';
+
+            items.forEach((item, index) => {
+                const li = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'status-finding';
+                button.textContent = item.label;
+                button.addEventListener('click', () => {
+                    list.querySelector('.status-finding.active')?.classList.remove('active');
+                    button.classList.add('active');
+                    onSelect(item, index);
+                });
+                li.appendChild(button);
+                list.appendChild(li);
+            });
+
+            this.findingsContainer.appendChild(heading);
+            this.findingsContainer.appendChild(list);
+            this.findingsContainer.classList.remove('hidden');
+
+            if (!this.isExpanded) this.toggleLog();
+        }
+
+        clearFindings() {
+            this.showFindings(null, []);
+        }
+
         debugLog(message) {
             this.addLogEntry(message, 'debug');
         }
@@ -0,0 +1,344 @@
+/*!
+ * @file        utils/zip-reader.js
+ * @description In-browser ZIP archive reader (stored + deflate), no dependencies
+ * @author      Eltryus - Ricardo Marques
+ * @copyright   2025-2026 Eltryus - Ricardo Marques
+ * @see         {@link https://github.com/RicardoJCMarques/EasyTrace5000}
+ *
+ * SPDX-FileCopyrightText: 2025-2026 Eltryus - Ricardo Marques
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+(function() {
+    'use strict';
+
+    const D = window.CAMConfig.defaults;
+    const debugState = D.debug;
+
+    const SIG_LOCAL = 0x04034b50;
+    const SIG_CENTRAL = 0x02014b50;
+    const SIG_EOCD = 0x06054b50;
+
+    // DEFLATE (RFC 1951) tables
+    const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Canonical Huffman table: symbol counts per code length and symbols ordered by code.
+     */
+    function buildHuffman(lengths, offset, count) {
+        const counts = new Uint16Array(16);
+        const symbols = new Uint16Array(count);
+        for (let i = 0; i < count; i++) counts[lengths[offset + i]]++;
+        counts[0] = 0;
+
+        const offs = new Uint16Array(16);
+        for (let len = 1; len < 16; len++) offs[len] = offs[len - 1] + counts[len - 1];
+        for (let i = 0; i < count; i++) {
+            const len = lengths[offset + i];
+            if (len !== 0) symbols[offs[len]++] = i;
+        }
+        return { counts, symbols };
+    }
+
+    let fixedTables = null;
+
+    function getFixedTables() {
+        if (!fixedTables) {
+            const lengths = new Uint8Array(288 + 30);
+            for (let i = 0; i < 144; i++) lengths[i] = 8;
+            for (let i = 144; i < 256; i++) lengths[i] = 9;
+            for (let i = 256; i < 280; i++) lengths[i] = 7;
+            for (let i = 280; i < 288; i++) lengths[i] = 8;
+            for (let i = 288; i < 318; i++) lengths[i] = 5;
+            fixedTables = {
+                lit: buildHuffman(lengths, 0, 288),
+                dist: buildHuffman(lengths, 288, 30)
+            };
+        }
+        return fixedTables;
+    }
+
+    /**
+     * Raw DEFLATE decoder.
+     */
+    class Inflater {
+        constructor(input, expectedSize = 0) {
+            this.input = input;
+            this.pos = 0;
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+            this.output = new Uint8Array(Math.max(expectedSize, 1024));
+            this.outLength = 0;
+        }
+
+        bits(n) {
+            while (this.bitCount < n) {
+                if (this.pos >= this.input.length) throw new Error('Unexpected end of compressed data');
+                this.bitBuffer |= this.input[this.pos++] << this.bitCount;
+                this.bitCount += 8;
+            }
+            const value = this.bitBuffer & ((1 << n) - 1);
+            this.bitBuffer >>>= n;
+            this.bitCount -= n;
+            return value;
+        }
+
+        decodeSymbol(table) {
+            let code = 0, first = 0, index = 0;
+            for (let len = 1; len < 16; len++) {
+                code |= this.bits(1);
+                const count = table.counts[len];
+                if (code - first < count) return table.symbols[index + code - first];
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Invalid Huffman code');
+        }
+
+        ensureCapacity(extra) {
+            const needed = this.outLength + extra;
+            if (needed <= this.output.length) return;
+            let size = this.output.length * 2;
+            while (size < needed) size *= 2;
+            const grown = new Uint8Array(size);
+            grown.set(this.output.subarray(0, this.outLength));
+            this.output = grown;
+        }
+
+        inflate() {
+            let final = 0;
+            while (!final) {
+                final = this.bits(1);
+                const type = this.bits(2);
+                if (type === 0) this.storedBlock();
+                else if (type === 1) this.huffmanBlock(getFixedTables());
+                else if (type === 2) this.huffmanBlock(this.readDynamicTables());
+                else throw new Error('Invalid deflate block type');
+            }
+            return this.output.subarray(0, this.outLength);
+        }
+
+        storedBlock() {
+            // Stored blocks start on a byte boundary
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+            if (this.pos + 4 > this.input.length) throw new Error('Unexpected end of stored block');
+            const len = this.input[this.pos] | (this.input[this.pos + 1] << 8);
+            const nlen = this.input[this.pos + 2] | (this.input[this.pos + 3] << 8);
+            if (len !== (~nlen & 0xFFFF)) throw new Error('Corrupt stored block length');
+            this.pos += 4;
+            if (this.pos + len > this.input.length) throw new Error('Unexpected end of stored block');
+            this.ensureCapacity(len);
+            this.output.set(this.input.subarray(this.pos, this.pos + len), this.outLength);
+            this.outLength += len;
+            this.pos += len;
+        }
+
+        readDynamicTables() {
+            const hlit = this.bits(5) + 257;
+            const hdist = this.bits(5) + 1;
+            const hclen = this.bits(4) + 4;
+
+            const codeLengths = new Uint8Array(19);
+            for (let i = 0; i < hclen; i++) codeLengths[CODE_LENGTH_ORDER[i]] = this.bits(3);
+            const codeTable = buildHuffman(codeLengths, 0, 19);
+
+            const lengths = new Uint8Array(hlit + hdist);
+            let i = 0;
+            while (i < hlit + hdist) {
+                const sym = this.decodeSymbol(codeTable);
+                if (sym < 16) {
+                    lengths[i++] = sym;
+                    continue;
+                }
+
+                let repeat, value = 0;
+                if (sym === 16) {
+                    if (i === 0) throw new Error('Repeat with no previous code length');
+                    value = lengths[i - 1];
+                    repeat = 3 + this.bits(2);
+                } else if (sym === 17) {
+                    repeat = 3 + this.bits(3);
+                } else {
+                    repeat = 11 + this.bits(7);
+                }
+                if (i + repeat > hlit + hdist) throw new Error('Too many code lengths');
+                while (repeat--) lengths[i++] = value;
+            }
+
+            return {
+                lit: buildHuffman(lengths, 0, hlit),
+                dist: buildHuffman(lengths, hlit, hdist)
+            };
+        }
+
+        huffmanBlock(tables) {
+            for (;;) {
+                const sym = this.decodeSymbol(tables.lit);
+                if (sym < 256) {
+                    this.ensureCapacity(1);
+                    this.output[this.outLength++] = sym;
+                    continue;
+                }
+                if (sym === 256) return;
+
+                const lenIndex = sym - 257;
+                if (lenIndex >= 29) throw new Error('Invalid length symbol');
+                const length = LENGTH_BASE[lenIndex] + this.bits(LENGTH_EXTRA[lenIndex]);
+
+                const distSym = this.decodeSymbol(tables.dist);
+                if (distSym >= 30) throw new Error('Invalid distance symbol');
+                const distance = DIST_BASE[distSym] + this.bits(DIST_EXTRA[distSym]);
+                if (distance > this.outLength) throw new Error('Distance too far back');
+
+                // Byte-by-byte copy, source and destination may overlap
+                this.ensureCapacity(length);
+                let from = this.outLength - distance;
+                for (let k = 0; k < length; k++) this.output[this.outLength++] = this.output[from++];
+            }
+        }
+    }
+
+    class ZipReader {
+        /**
+         * @param {ArrayBuffer|Uint8Array} data - Complete archive contents.
+         */
+        constructor(data) {
+            this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+            this.entries = null;
+        }
+
+        static async fromFile(file) {
+            return new ZipReader(await file.arrayBuffer());
+        }
+
+        /**
+         * Quick magic-number check (local file header or empty archive).
+         */
+        static isZip(bytes) {
+            if (!bytes || bytes.length < 4) return false;
+            const sig = bytes[0] | (bytes[1] << 8) | (bytes[2] << 16) | (bytes[3] << 24);
+            return (sig >>> 0) === SIG_LOCAL || (sig >>> 0) === SIG_EOCD;
+        }
+
+        /**
+         * Lists archive entries from the central directory.
+         * @returns {Array<{name: string, directory: boolean, encrypted: boolean, method: number, size: number, compressedSize: number, crc: number, localOffset: number}>}
+         */
+        getEntries() {
+            if (this.entries) return this.entries;
+
+            const eocd = this.findEndOfCentralDirectory();
+            const count = this.view.getUint16(eocd + 10, true);
+            let offset = this.view.getUint32(eocd + 16, true);
+
+            if (offset === 0xFFFFFFFF || count === 0xFFFF) {
+                throw new Error('ZIP64 archives are not supported');
+            }
+
+            const decoder = new TextDecoder('utf-8');
+            const entries = [];
+
+            for (let i = 0; i < count; i++) {
+                if (offset + 46 > this.bytes.length || this.view.getUint32(offset, true) !== SIG_CENTRAL) {
+                    throw new Error('Corrupt ZIP central directory');
+                }
+
+                const flags = this.view.getUint16(offset + 8, true);
+                const nameLength = this.view.getUint16(offset + 28, true);
+                const extraLength = this.view.getUint16(offset + 30, true);
+                const commentLength = this.view.getUint16(offset + 32, true);
+                const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+                entries.push({
+                    name,
+                    directory: name.endsWith('/'),
+                    encrypted: (flags & 0x1) !== 0,
+                    method: this.view.getUint16(offset + 10, true),
+                    crc: this.view.getUint32(offset + 16, true),
+                    compressedSize: this.view.getUint32(offset + 20, true),
+                    size: this.view.getUint32(offset + 24, true),
+                    localOffset: this.view.getUint32(offset + 42, true)
+                });
+
+                offset += 46 + nameLength + extraLength + commentLength;
+            }
+
+            this.entries = entries;
+            this.debug(`Read ${entries.length} entries`);
+            return entries;
+        }
+
+        /**
+         * Decompresses one entry.
+         * @returns {Uint8Array}
+         */
+        extract(entry) {
+            if (entry.directory) return new Uint8Array(0);
+            if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+
+            const local = entry.localOffset;
+            if (this.view.getUint32(local, true) !== SIG_LOCAL) {
+                throw new Error(`Corrupt local header for ${entry.name}`);
+            }
+
+            // Local name/extra lengths can differ from the central directory copy
+            const start = local + 30 + this.view.getUint16(local + 26, true) + this.view.getUint16(local + 28, true);
+            const compressed = this.bytes.subarray(start, start + entry.compressedSize);
+
+            let data;
+            if (entry.method === 0) {
+                data = compressed.slice();
+            } else if (entry.method === 8) {
+                data = new Inflater(compressed, entry.size).inflate();
+            } else {
+                throw new Error(`${entry.name}: unsupported compression method ${entry.method}`);
+            }
+
+            if (data.length !== entry.size || crc32(data) !== entry.crc) {
+                throw new Error(`${entry.name}: checksum mismatch`);
+            }
+
+            return data;
+        }
+
+        findEndOfCentralDirectory() {
+            // EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+            const min = Math.max(0, this.bytes.length - 22 - 0xFFFF);
+            for (let i = this.bytes.length - 22; i >= min; i--) {
+                if (this.view.getUint32(i, true) === SIG_EOCD) return i;
+            }
+            throw new Error('Not a ZIP archive (end of central directory not found)');
+        }
+
+        debug(message, data = null) {
+            if (!debugState.enabled) return;
+            data ? console.log(`[ZipReader] ${message}`, data)
+                 : console.log(`[ZipReader] ${message}`);
+        }
+    }
+
+    window.ZipReader = ZipReader;
+})();